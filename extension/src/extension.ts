@@ -1,6 +1,8 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
+import * as os from 'os';
+import { BM25Index, chunkDocument, PageChunk, spreadChunks, tableLikeness } from './retrieval';
 
 let outputChannel: vscode.OutputChannel;
 
@@ -20,45 +22,205 @@ function log(message: string, level: 'info' | 'warn' | 'error' = 'info') {
     }
 }
 
+interface PDFPages {
+    pages: string[];
+    numPages: number;
+    info: Record<string, unknown>;
+}
+
+interface AttachedPDF {
+    uri: vscode.Uri;
+    name: string;
+    chunks: PageChunk[];
+    numPages: number;
+}
+
+// Page text of attached PDFs by path and modification time, so follow-up questions skip re-parsing
+const pageCache = new Map<string, { mtime: number; data: PDFPages }>();
+
+// Tokens kept free for the model's own bookkeeping when filling the context
+const TOKEN_MARGIN = 1000;
+// Share of the model's input limit used for PDF excerpts at most
+const MAX_CONTEXT_SHARE = 0.75;
+
+/**
+ * Render one page's text for pdf-parse. Items on the same line are joined
+ * with a space, or a tab across wide gaps so table columns stay apart.
+ */
+async function renderPage(pageData: any): Promise<string> {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let text = '';
+    let lastY: number | undefined;
+    let lastEnd = 0;
+    for (const item of content.items) {
+        const [, , c, d, x, y] = item.transform;
+        const size = Math.hypot(c, d) || 10;
+        if (lastY !== undefined && Math.abs(y - lastY) > size * 0.5) {
+            text += '\n';
+        } else if (lastY !== undefined) {
+            const gap = x - lastEnd;
+            text += gap > size * 1.5 ? '\t' : gap > size * 0.15 ? ' ' : '';
+        }
+        text += item.str;
+        lastY = y;
+        lastEnd = x + (item.width || 0);
+    }
+    return text;
+}
+
 /**
- * Extract text content from a PDF file using pdf-parse.
+ * Extract the text of each page from a PDF provided as a byte buffer.
  * Resolves pdf-parse from the bundled mcp-server/node_modules.
  */
-async function extractPDFText(
-    pdfPath: string,
-    extensionPath: string
-): Promise<{ text: string; numPages: number; info: Record<string, unknown> }> {
+async function extractPDFPagesFromBuffer(buffer: Buffer, extensionPath: string): Promise<PDFPages> {
     const pdfParsePath = path.join(extensionPath, 'mcp-server', 'node_modules', 'pdf-parse');
     const pdfParse = require(pdfParsePath);
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdfParse(dataBuffer);
+    const pages: string[] = [];
+    const data = await pdfParse(buffer, {
+        pagerender: async (pageData: any) => {
+            pages[pageData.pageIndex] = await renderPage(pageData);
+            return '';
+        }
+    });
     return {
-        text: data.text || '',
+        pages: Array.from({ length: data.numpages || 0 }, (_, i) => pages[i] ?? ''),
         numPages: data.numpages || 0,
         info: data.info || {}
     };
 }
 
 /**
- * Extract text from a PDF provided as a byte buffer.
+ * Extract the text of each page from a PDF file
  */
-async function extractPDFTextFromBuffer(
-    buffer: Buffer,
-    extensionPath: string
-): Promise<{ text: string; numPages: number; info: Record<string, unknown> }> {
-    const pdfParsePath = path.join(extensionPath, 'mcp-server', 'node_modules', 'pdf-parse');
-    const pdfParse = require(pdfParsePath);
-    const data = await pdfParse(buffer);
-    return {
-        text: data.text || '',
-        numPages: data.numpages || 0,
-        info: data.info || {}
-    };
+async function extractPDFPages(pdfPath: string, extensionPath: string): Promise<PDFPages> {
+    return extractPDFPagesFromBuffer(fs.readFileSync(pdfPath), extensionPath);
+}
+
+async function readAttachedPDF(uri: vscode.Uri, extensionPath: string): Promise<PDFPages> {
+    const key = uri.toString();
+    let mtime = 0;
+    try {
+        mtime = (await vscode.workspace.fs.stat(uri)).mtime;
+    } catch {
+        // Not stat-able through workspace.fs; read it anyway and don't cache
+    }
+    const cached = pageCache.get(key);
+    if (cached && mtime && cached.mtime === mtime) {
+        return cached.data;
+    }
+
+    let data: PDFPages;
+    // Try reading via workspace.fs first (works for virtual file systems too)
+    try {
+        const fileBytes = await vscode.workspace.fs.readFile(uri);
+        data = await extractPDFPagesFromBuffer(Buffer.from(fileBytes), extensionPath);
+    } catch {
+        // Fallback to fs.readFileSync for local files
+        data = await extractPDFPages(uri.fsPath, extensionPath);
+    }
+    if (mtime) {
+        pageCache.set(key, { mtime, data });
+    }
+    return data;
+}
+
+/**
+ * Order the chunks to offer the model for a request, most useful first
+ */
+function candidateChunks(command: string | undefined, question: string, pdfs: AttachedPDF[]): PageChunk[][] {
+    const rank = (chunks: PageChunk[]) => question ? new BM25Index(chunks).search(question).map(r => r.chunk) : [];
+
+    switch (command) {
+        case 'compare':
+            // One list per document so each gets an equal share
+            return pdfs.map(pdf => {
+                const ranked = rank(pdf.chunks);
+                return ranked.length > 0 ? ranked : spreadChunks(pdf.chunks);
+            });
+        case 'extract-tables': {
+            const all = pdfs.flatMap(pdf => pdf.chunks);
+            const tables = all.filter(chunk => tableLikeness(chunk.text) >= 0.3);
+            const ranked = rank(tables);
+            return [ranked.length > 0 ? ranked : tables.sort((a, b) => tableLikeness(b.text) - tableLikeness(a.text))];
+        }
+        case 'summarize': {
+            const all = pdfs.flatMap(pdf => pdf.chunks);
+            const ranked = rank(all);
+            return [ranked.length > 0 ? ranked : spreadChunks(all)];
+        }
+        default: {
+            const all = pdfs.flatMap(pdf => pdf.chunks);
+            const ranked = rank(all);
+            // Nothing matched the wording (e.g. "what is this about?"): fall back to an overview
+            return [ranked.length > 0 ? ranked : spreadChunks(all)];
+        }
+    }
+}
+
+function formatSource(n: number, chunk: PageChunk, pdfs: AttachedPDF[]): string {
+    return `[${n}] ${pdfs[chunk.document].name}, page ${chunk.pageNumber}\n${chunk.text}`;
+}
+
+/**
+ * Take chunks in order while they fit the token budget. When everything fits,
+ * all chunks are used, in document order.
+ */
+async function selectChunks(
+    lists: PageChunk[][],
+    pdfs: AttachedPDF[],
+    model: vscode.LanguageModelChat,
+    budget: number,
+    token: vscode.CancellationToken
+): Promise<PageChunk[]> {
+    const all = pdfs.flatMap(pdf => pdf.chunks);
+    const estimate = all.reduce((sum, chunk) => sum + chunk.text.length / 4, 0);
+    if (estimate < budget * 0.8) {
+        const total = await model.countTokens(all.map((chunk, i) => formatSource(i + 1, chunk, pdfs)).join('\n\n'), token);
+        if (total <= budget) {
+            return all;
+        }
+    }
+
+    const selected: PageChunk[] = [];
+    const share = Math.floor(budget / lists.length);
+    for (const list of lists) {
+        let used = 0;
+        let misses = 0;
+        for (const chunk of list) {
+            const tokens = await model.countTokens(formatSource(selected.length + 1, chunk, pdfs), token);
+            if (used + tokens > share) {
+                // A shorter chunk further down may still fit
+                if (++misses >= 5) {
+                    break;
+                }
+                continue;
+            }
+            used += tokens;
+            selected.push(chunk);
+        }
+    }
+    return selected.sort((a, b) => a.document - b.document || a.pageNumber - b.pageNumber);
+}
+
+function commandInstructions(command: string | undefined, pdfs: AttachedPDF[]): string {
+    switch (command) {
+        case 'summarize':
+            return 'Summarize the document(s): purpose, main points and conclusions, in a structured way. If the excerpts do not cover the whole document, say so.';
+        case 'compare':
+            return `Compare the ${pdfs.length} documents: what they share, where they differ and anything present in only one of them. Use a table where it helps.`;
+        case 'extract-tables':
+            return 'Extract the tables found in the excerpts as Markdown tables, one per source table, with a short caption naming the file and page. Columns in the excerpts are separated by tabs. Do not invent values.';
+        default:
+            return 'Answer the user\'s question based on the excerpts. If they do not contain the answer, say so.';
+    }
 }
 
 /**
  * Register the @pdf Chat Participant.
  * Allows users to attach PDF files in Copilot Chat and interact with them.
+ * Page text is chunked and ranked against the question, and only the best
+ * chunks that fit the model's input limit are sent, numbered so the answer
+ * can cite them.
  */
 function registerChatParticipant(context: vscode.ExtensionContext): boolean {
     try {
@@ -68,7 +230,7 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
         }
 
         const participant = vscode.chat.createChatParticipant('pdf-utilities.pdf', async (request, chatContext, response, token) => {
-            log(`@pdf request: "${request.prompt}"`);
+            log(`@pdf request${request.command ? ` /${request.command}` : ''}: "${request.prompt}"`);
 
             // Collect PDF file references from attachments
             const pdfUris: vscode.Uri[] = [];
@@ -96,39 +258,33 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
                     '2. Select a PDF file from your workspace or file system\n' +
                     '3. Type your question about the PDF\n\n' +
                     '*Example:* `@pdf Summarize this document`\n\n' +
+                    '*Commands:* `/summarize`, `/compare` (two or more PDFs), `/extract-tables`\n\n' +
                     '> You can also use the MCP tools directly: ask Copilot to `read_pdf`, `get_pdf_info`, `merge_pdfs`, etc.'
                 );
                 return;
             }
 
-            // Extract text from all attached PDFs
-            const pdfContents: string[] = [];
+            if (request.command === 'compare' && pdfUris.length < 2) {
+                response.markdown('📎 `/compare` needs at least two attached PDFs.');
+                return;
+            }
+
+            // Extract and chunk the text of all attached PDFs
+            const pdfs: AttachedPDF[] = [];
             let totalPages = 0;
 
             for (const uri of pdfUris) {
                 const fileName = path.basename(uri.fsPath);
                 try {
                     response.progress(`Reading ${fileName}...`);
-
-                    let pdfData: { text: string; numPages: number; info: Record<string, unknown> };
-
-                    // Try reading via workspace.fs first (works for virtual file systems too)
-                    try {
-                        const fileBytes = await vscode.workspace.fs.readFile(uri);
-                        pdfData = await extractPDFTextFromBuffer(
-                            Buffer.from(fileBytes),
-                            context.extensionPath
-                        );
-                    } catch {
-                        // Fallback to fs.readFileSync for local files
-                        pdfData = await extractPDFText(uri.fsPath, context.extensionPath);
-                    }
-
+                    const pdfData = await readAttachedPDF(uri, context.extensionPath);
                     totalPages += pdfData.numPages;
-
-                    const header = `📄 **${fileName}** (${pdfData.numPages} page${pdfData.numPages !== 1 ? 's' : ''})`;
-                    pdfContents.push(`${header}\n\n${pdfData.text}`);
-
+                    pdfs.push({
+                        uri,
+                        name: fileName,
+                        numPages: pdfData.numPages,
+                        chunks: chunkDocument({ index: pdfs.length, name: fileName, pages: pdfData.pages })
+                    });
                     log(`Extracted ${pdfData.numPages} pages from ${fileName}`);
                 } catch (error) {
                     const errorMsg = error instanceof Error ? error.message : String(error);
@@ -137,23 +293,12 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
                 }
             }
 
-            if (pdfContents.length === 0) {
-                response.markdown('❌ Could not extract text from any of the attached PDFs.');
+            if (pdfs.every(pdf => pdf.chunks.length === 0)) {
+                response.markdown('❌ Could not extract text from any of the attached PDFs. Scanned PDFs need OCR first: ask Copilot to run `make_searchable` on them.');
                 return;
             }
 
-            // Build the prompt with PDF content + user question
-            const pdfContext = pdfContents.join('\n\n---\n\n');
-            const userQuestion = request.prompt?.trim() || 'Analyze and summarize this PDF document.';
-
-            const systemMessage = vscode.LanguageModelChatMessage.User(
-                `You are a helpful assistant specialized in analyzing PDF documents. ` +
-                `The user has attached ${pdfUris.length} PDF file(s) with a total of ${totalPages} pages. ` +
-                `Below is the extracted text content from the PDF(s). ` +
-                `Answer the user's question based on this content.\n\n` +
-                `--- PDF CONTENT START ---\n${pdfContext}\n--- PDF CONTENT END ---\n\n` +
-                `User's question: ${userQuestion}`
-            );
+            const question = request.prompt?.trim() || '';
 
             // Build conversation history from previous turns
             const messages: vscode.LanguageModelChatMessage[] = [];
@@ -173,17 +318,18 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
                 }
             }
 
-            // Add current request with PDF content
-            messages.push(systemMessage);
-
             // Select a language model
             try {
-                const models = await vscode.lm.selectChatModels({
-                    vendor: 'copilot',
-                    family: 'gpt-4o'
-                });
+                // The model picked in the chat input, on VS Code versions that expose it
+                let model: vscode.LanguageModelChat | undefined = request.model;
 
-                let model = models?.[0];
+                if (!model) {
+                    const models = await vscode.lm.selectChatModels({
+                        vendor: 'copilot',
+                        family: 'gpt-4o'
+                    });
+                    model = models?.[0];
+                }
 
                 // Fallback: try any copilot model
                 if (!model) {
@@ -196,13 +342,65 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
                     return;
                 }
 
-                log(`Using model: ${model.name} (${model.family})`);
+                log(`Using model: ${model.name} (${model.family}), ${model.maxInputTokens} input tokens`);
+
+                const instructions =
+                    `You are a helpful assistant specialized in analyzing PDF documents. ` +
+                    `The user has attached ${pdfs.length} PDF file(s) with a total of ${totalPages} pages: ${pdfs.map(pdf => pdf.name).join(', ')}. ` +
+                    `Below are numbered excerpts, each labeled with its file and page. ` +
+                    `${commandInstructions(request.command, pdfs)} ` +
+                    `Cite the excerpts you use with their number in square brackets, e.g. [2].\n\n` +
+                    `User's question: ${question || 'Analyze and summarize this PDF document.'}`;
+
+                // Budget for excerpts: what the history and instructions leave of the input limit
+                let used = 0;
+                for (const message of messages) {
+                    used += await model.countTokens(message, token);
+                }
+                used += await model.countTokens(instructions, token);
+                const budget = Math.min(model.maxInputTokens * MAX_CONTEXT_SHARE, model.maxInputTokens - used - TOKEN_MARGIN);
+                if (budget <= 0) {
+                    response.markdown('⚠️ This conversation is too long for the model. Start a new chat to continue asking about these PDFs.');
+                    return;
+                }
+
+                response.progress('Finding the relevant pages...');
+                const selected = await selectChunks(candidateChunks(request.command, question, pdfs), pdfs, model, budget, token);
+                if (selected.length === 0) {
+                    response.markdown(request.command === 'extract-tables'
+                        ? 'No table-like content was found in the attached PDFs.'
+                        : '⚠️ The attached PDFs do not fit in the model\'s input limit.');
+                    return;
+                }
+                log(`Sending ${selected.length} of ${pdfs.reduce((sum, pdf) => sum + pdf.chunks.length, 0)} chunks`);
+
+                const sources = selected.map((chunk, i) => formatSource(i + 1, chunk, pdfs)).join('\n\n');
+                messages.push(vscode.LanguageModelChatMessage.User(
+                    `${instructions}\n\n--- PDF EXCERPTS START ---\n${sources}\n--- PDF EXCERPTS END ---`
+                ));
 
                 const chatResponse = await model.sendRequest(messages, {}, token);
 
+                let answer = '';
                 for await (const fragment of chatResponse.text) {
+                    answer += fragment;
                     response.markdown(fragment);
                 }
+
+                // Link the cited pages; when nothing was cited, every page that was sent
+                const cited = new Set(Array.from(answer.matchAll(/\[(\d+)\]/g), match => Number(match[1]) - 1)
+                    .filter(i => i >= 0 && i < selected.length));
+                const referenced = new Set<string>();
+                selected.forEach((chunk, i) => {
+                    if (cited.size > 0 && !cited.has(i)) {
+                        return;
+                    }
+                    const target = pdfs[chunk.document].uri.with({ fragment: `page=${chunk.pageNumber}` });
+                    if (!referenced.has(target.toString())) {
+                        referenced.add(target.toString());
+                        response.reference(target);
+                    }
+                });
             } catch (error) {
                 if (error instanceof vscode.CancellationError) {
                     log('Request cancelled by user');
@@ -226,6 +424,30 @@ function registerChatParticipant(context: vscode.ExtensionContext): boolean {
     }
 }
 
+/**
+ * Command-line arguments restricting the MCP server to the allowedRoots
+ * setting, with ${workspaceFolder} expanded to every open folder, and
+ * applying the overwrite setting. Undefined when the setting lists roots but
+ * none of them apply (no folder open): the server must not run unconfined.
+ */
+function serverArguments(): string[] | undefined {
+    const config = vscode.workspace.getConfiguration('pdfUtilities');
+    const folders = (vscode.workspace.workspaceFolders ?? []).map(folder => folder.uri.fsPath);
+    const roots = config.get<string[]>('allowedRoots', []).flatMap(root =>
+        root.includes('${workspaceFolder}')
+            ? folders.map(folder => root.replace('${workspaceFolder}', folder))
+            : [root.replace('${userHome}', os.homedir())]
+    );
+
+    if (roots.length === 0 && config.get<string[]>('allowedRoots', []).length > 0) {
+        log('No workspace folder is open, so no allowed directory applies; the MCP server starts when a folder is opened', 'warn');
+        return undefined;
+    }
+    const args = roots.flatMap(root => ['--allowed-root', root]);
+    args.push('--overwrite', config.get<string>('overwrite', 'backup'));
+    return args;
+}
+
 export function activate(context: vscode.ExtensionContext) {
     outputChannel = vscode.window.createOutputChannel('PDF Utilities', { log: true });
     context.subscriptions.push(outputChannel);
@@ -256,15 +478,30 @@ export function activate(context: vscode.ExtensionContext) {
             
             // Check if MCP API is available
             if (typeof vscode.lm?.registerMcpServerDefinitionProvider === 'function') {
+                // Restart the server with new arguments when the file access settings change
+                const definitionsChanged = new vscode.EventEmitter<void>();
                 context.subscriptions.push(
+                    definitionsChanged,
+                    vscode.workspace.onDidChangeConfiguration(event => {
+                        if (event.affectsConfiguration('pdfUtilities.allowedRoots') || event.affectsConfiguration('pdfUtilities.overwrite')) {
+                            definitionsChanged.fire();
+                        }
+                    }),
+                    vscode.workspace.onDidChangeWorkspaceFolders(() => definitionsChanged.fire()),
                     vscode.lm.registerMcpServerDefinitionProvider('pdf-utilities', {
+                        onDidChangeMcpServerDefinitions: definitionsChanged.event,
                         provideMcpServerDefinitions() {
                             log('Providing MCP Server definitions...');
+                            const args = serverArguments();
+                            if (!args) {
+                                return [];
+                            }
+                            log(`MCP Server arguments: ${args.join(' ')}`);
                             return [
                                 new vscode.McpStdioServerDefinition(
                                     'pdf-utilities',
                                     'node',
-                                    [mcpServerPath]
+                                    [mcpServerPath, ...args]
                                 )
                             ];
                         }
@@ -0,0 +1,152 @@
+/**
+ * Page-aware chunking and BM25 ranking of PDF text for the @pdf participant.
+ * Chunks never span pages, so every chunk can be cited by file and page.
+ */
+
+export interface PdfDocumentText {
+    /** Position of the document among the attached files */
+    index: number;
+    name: string;
+    /** Text of each page, in page order */
+    pages: string[];
+}
+
+export interface PageChunk {
+    document: number;
+    pageNumber: number;
+    text: string;
+}
+
+export interface RankedChunk {
+    chunk: PageChunk;
+    score: number;
+}
+
+// Target chunk size; roughly 400 tokens of English or Portuguese text
+const CHUNK_CHARS = 1600;
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or',
+    'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'does', 'do',
+    'o', 'os', 'as', 'um', 'uma', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'no', 'na', 'nos', 'nas', 'para',
+    'por', 'com', 'que', 'qual', 'quais', 'se', 'ao', 'aos', 'sobre', 'como', 'onde', 'quando'
+]);
+
+/**
+ * Split every page into chunks of about CHUNK_CHARS characters, breaking at
+ * paragraph and line boundaries where possible.
+ */
+export function chunkDocument(document: PdfDocumentText): PageChunk[] {
+    const chunks: PageChunk[] = [];
+    document.pages.forEach((pageText, i) => {
+        const text = pageText.trim();
+        if (!text) {
+            return;
+        }
+        let rest = text;
+        while (rest.length > CHUNK_CHARS * 1.25) {
+            const window = rest.slice(0, CHUNK_CHARS);
+            const cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf('. '));
+            const end = cut > CHUNK_CHARS / 2 ? cut + 1 : CHUNK_CHARS;
+            chunks.push({ document: document.index, pageNumber: i + 1, text: rest.slice(0, end).trim() });
+            rest = rest.slice(end).trim();
+        }
+        if (rest) {
+            chunks.push({ document: document.index, pageNumber: i + 1, text: rest });
+        }
+    });
+    return chunks;
+}
+
+/** Lowercased words without accents or stopwords */
+export function tokenize(text: string): string[] {
+    return (text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/**
+ * Okapi BM25 over page chunks
+ */
+export class BM25Index {
+    private readonly termFrequencies: Map<string, number>[];
+    private readonly lengths: number[];
+    private readonly documentFrequency = new Map<string, number>();
+    private readonly averageLength: number;
+
+    constructor(private readonly chunks: PageChunk[]) {
+        this.termFrequencies = chunks.map(chunk => {
+            const frequencies = new Map<string, number>();
+            for (const term of tokenize(chunk.text)) {
+                frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+            }
+            for (const term of frequencies.keys()) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) ?? 0) + 1);
+            }
+            return frequencies;
+        });
+        this.lengths = this.termFrequencies.map(frequencies => Array.from(frequencies.values()).reduce((sum, n) => sum + n, 0));
+        this.averageLength = this.lengths.reduce((sum, n) => sum + n, 0) / Math.max(1, chunks.length) || 1;
+    }
+
+    /** Chunks by descending score; chunks sharing no term with the query are left out */
+    search(query: string): RankedChunk[] {
+        const terms = Array.from(new Set(tokenize(query)));
+        const total = this.chunks.length;
+        const ranked: RankedChunk[] = [];
+
+        this.chunks.forEach((chunk, i) => {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = this.termFrequencies[i].get(term);
+                if (!frequency) {
+                    continue;
+                }
+                const df = this.documentFrequency.get(term) ?? 0;
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * this.lengths[i] / this.averageLength));
+            }
+            if (score > 0) {
+                ranked.push({ chunk, score });
+            }
+        });
+        return ranked.sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * All chunks, ordered so that any prefix is spread evenly over the document,
+ * for summaries without a question. Callers take as many as fit.
+ */
+export function spreadChunks(chunks: PageChunk[]): PageChunk[] {
+    // Interleave by stride so any prefix covers the whole document
+    const order: PageChunk[] = [];
+    const taken = new Set<number>();
+    for (let stride = chunks.length; stride >= 1; stride = Math.floor(stride / 2)) {
+        for (let i = 0; i < chunks.length; i += stride) {
+            if (!taken.has(i)) {
+                taken.add(i);
+                order.push(chunks[i]);
+            }
+        }
+        if (stride === 1) {
+            break;
+        }
+    }
+    return order;
+}
+
+/**
+ * Share of lines that look like table rows: several tab-separated columns,
+ * or several numbers
+ */
+export function tableLikeness(text: string): number {
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+        return 0;
+    }
+    const rows = lines.filter(line => line.split('\t').length >= 3 || (line.match(/\d[\d.,]*/g) ?? []).length >= 3);
+    return rows.length / lines.length;
+}
@@ -1,7 +1,17 @@
+export interface PDFPageText {
+  pageNumber: number;
+  text: string;
+  charCount: number;
+  source: 'text' | 'ocr';
+  ocrConfidence?: number;
+}
+
 export interface PDFReadResult {
   text: string;
-  pages: number;
+  totalPages: number;
+  pages: PDFPageText[];
   info: PDFInfo;
+  warnings?: string[];
 }
 
 export interface PDFInfo {
@@ -15,6 +25,8 @@ export interface PDFInfo {
   modificationDate?: Date;
   fileSize: number;
   filePath: string;
+  lowTextPages?: number[];
+  encrypted?: boolean;
 }
 
 export interface PDFCreateResult {
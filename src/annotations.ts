@@ -0,0 +1,366 @@
+/**
+ * Annotations: read the comments, highlights and links on a page, add new
+ * ones and remove them. Annotations written here carry their own appearance
+ * stream, so they show up the same in every viewer.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFObject,
+  PDFPage,
+  PDFRef,
+  PDFString
+} from 'pdf-lib';
+import { destinationPage } from './outline.js';
+
+export interface AnnotationInfo {
+  /** The annotation's unique name (/NM), or page-position when it has none */
+  id: string;
+  pageNumber: number;
+  /** 'note' for sticky notes, otherwise the lowercased subtype: highlight, underline, strikeout, link, freetext, ink, ... */
+  type: string;
+  author?: string;
+  contents?: string;
+  subject?: string;
+  /** Last modification, ISO 8601 */
+  modified?: string;
+  /** [x1, y1, x2, y2] in PDF user space */
+  rect: number[];
+  color?: number[];
+  /** Id of the annotation this one replies to */
+  replyTo?: string;
+  /** Text markup only: the page text under the markup */
+  quotedText?: string;
+  /** Links only: the web address or page they open */
+  url?: string;
+  targetPage?: number | null;
+}
+
+export interface ReadAnnotation {
+  info: AnnotationInfo;
+  /** Text markup only: the marked areas, as in rangeQuads */
+  quads?: number[][];
+}
+
+interface AnnotationEntry extends ReadAnnotation {
+  /** Position in the page's /Annots array */
+  index: number;
+  dict: PDFDict;
+}
+
+// Text markup subtypes, whose QuadPoints cover the text they refer to
+const MARKUP_TYPES = new Set(['Highlight', 'Underline', 'StrikeOut', 'Squiggly']);
+
+/**
+ * List the annotations on the given 1-based pages (default: all). Popups are
+ * part of their parent note, and form field widgets are listed by
+ * listFormFields, so neither is included.
+ */
+export function readAnnotations(pdfDoc: PDFDocument, pageNumbers?: number[]): ReadAnnotation[] {
+  const pages = pdfDoc.getPages();
+  const pageRefs = new Map(pages.map((page, i) => [page.ref.toString(), i + 1]));
+  return (pageNumbers ?? pages.map((_, i) => i + 1))
+    .flatMap(pageNumber => pageAnnotations(pdfDoc, pages[pageNumber - 1], pageNumber, pageRefs))
+    .map(({ info, quads }) => (quads ? { info, quads } : { info }));
+}
+
+/**
+ * Remove the annotations for which matches returns true, together with their
+ * popups and the replies to them. Returns the removed annotations.
+ */
+export function removeAnnotations(pdfDoc: PDFDocument, matches: (info: AnnotationInfo) => boolean): AnnotationInfo[] {
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const pageRefs = new Map(pages.map((page, i) => [page.ref.toString(), i + 1]));
+  const removed: AnnotationInfo[] = [];
+
+  pages.forEach((page, i) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    const entries = pageAnnotations(pdfDoc, page, i + 1, pageRefs);
+    const selected = new Set(entries.filter(entry => matches(entry.info)));
+
+    // Replies to a removed comment would be left without context
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const entry of entries) {
+        if (selected.has(entry) || !entry.info.replyTo) continue;
+        if (Array.from(selected).some(parent => parent.info.id === entry.info.replyTo)) {
+          selected.add(entry);
+          grew = true;
+        }
+      }
+    }
+    if (selected.size === 0) return;
+
+    const dicts = new Set(Array.from(selected, entry => entry.dict));
+    const drop = new Set(Array.from(selected, entry => entry.index));
+    for (let index = 0; index < annots.size(); index++) {
+      const dict = annots.lookupMaybe(index, PDFDict);
+      const parent = dict?.lookupMaybe(PDFName.of('Parent'), PDFDict);
+      if (dict?.lookup(PDFName.of('Subtype')) === PDFName.of('Popup') && parent && dicts.has(parent)) {
+        drop.add(index);
+      }
+    }
+
+    const kept = context.obj([]);
+    for (let index = 0; index < annots.size(); index++) {
+      const item = annots.get(index);
+      if (!drop.has(index)) kept.push(item);
+      // Delete the objects too, so removed comments do not stay in the file
+      else if (item instanceof PDFRef) context.delete(item);
+    }
+    if (kept.size() > 0) page.node.set(PDFName.of('Annots'), kept);
+    else page.node.delete(PDFName.of('Annots'));
+    removed.push(...entries.filter(entry => selected.has(entry)).map(entry => entry.info));
+  });
+
+  return removed;
+}
+
+function pageAnnotations(pdfDoc: PDFDocument, page: PDFPage, pageNumber: number, pageRefs: Map<string, number>): AnnotationEntry[] {
+  const annots = page.node.Annots();
+  if (!annots) return [];
+
+  const entries: (AnnotationEntry & { irt?: PDFObject })[] = [];
+  const ids = new Map<string, string>();
+  const usedIds = new Set<string>();
+
+  for (let index = 0; index < annots.size(); index++) {
+    const dict = annots.lookupMaybe(index, PDFDict);
+    const subtype = dict?.lookupMaybe(PDFName.of('Subtype'), PDFName)?.decodeText();
+    if (!dict || !subtype || subtype === 'Popup' || subtype === 'Widget') continue;
+
+    const name = readText(dict, 'NM');
+    const id = name && !usedIds.has(name) ? name : `${pageNumber}-${index + 1}`;
+    usedIds.add(id);
+    const ref = annots.get(index);
+    if (ref instanceof PDFRef) ids.set(ref.toString(), id);
+
+    const info: AnnotationInfo = {
+      id,
+      pageNumber,
+      type: subtype === 'Text' ? 'note' : subtype.toLowerCase(),
+      rect: readNumbers(dict, 'Rect') ?? [0, 0, 0, 0]
+    };
+    const author = readText(dict, 'T');
+    const contents = readText(dict, 'Contents');
+    const subject = readText(dict, 'Subj');
+    const modified = readText(dict, 'M');
+    const color = readNumbers(dict, 'C');
+    if (author) info.author = author;
+    if (contents) info.contents = contents;
+    if (subject) info.subject = subject;
+    if (modified) info.modified = parsePdfDate(modified);
+    if (color && color.length > 0) info.color = color;
+
+    let quads: number[][] | undefined;
+    if (MARKUP_TYPES.has(subtype)) {
+      const points = readNumbers(dict, 'QuadPoints');
+      quads = points && points.length >= 8
+        ? Array.from({ length: Math.floor(points.length / 8) }, (_, q) => points.slice(q * 8, q * 8 + 8))
+        : [rectQuad(info.rect)];
+    }
+
+    if (subtype === 'Link') {
+      const action = dict.lookupMaybe(PDFName.of('A'), PDFDict);
+      const kind = action?.lookupMaybe(PDFName.of('S'), PDFName)?.decodeText();
+      if (kind === 'URI') {
+        info.url = readText(action!, 'URI');
+      } else if (kind === 'GoTo' || dict.has(PDFName.of('Dest'))) {
+        info.targetPage = destinationPage(pdfDoc, kind === 'GoTo' ? action!.get(PDFName.of('D')) : dict.get(PDFName.of('Dest')), pageRefs);
+      }
+    }
+
+    entries.push({ info, quads, index, dict, irt: dict.get(PDFName.of('IRT')) });
+  }
+
+  for (const entry of entries) {
+    const parent = entry.irt instanceof PDFRef ? ids.get(entry.irt.toString()) : undefined;
+    if (parent) entry.info.replyTo = parent;
+    delete entry.irt;
+  }
+  return entries;
+}
+
+function readText(dict: PDFDict, key: string): string | undefined {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined;
+}
+
+function readNumbers(dict: PDFDict, key: string): number[] | undefined {
+  const array = dict.lookupMaybe(PDFName.of(key), PDFArray);
+  if (!array) return undefined;
+  return array.asArray().map(item => (item instanceof PDFNumber ? round(item.asNumber()) : 0));
+}
+
+/** Corners of [x1, y1, x2, y2] in QuadPoints order */
+export function rectQuad([x1, y1, x2, y2]: number[]): number[] {
+  const [left, right] = [Math.min(x1, x2), Math.max(x1, x2)];
+  const [bottom, top] = [Math.min(y1, y2), Math.max(y1, y2)];
+  return [left, top, right, top, left, bottom, right, bottom];
+}
+
+export interface HighlightOptions {
+  /** RGB components between 0 and 1 (default: yellow) */
+  color?: [number, number, number];
+  /** Note shown in the viewer's comment panel, e.g. the highlighted text */
+  contents?: string;
+  author?: string;
+}
+
+/**
+ * Add a highlight covering the given quadrilaterals ([x1, y1, ..., x4, y4],
+ * top left, top right, bottom left, bottom right) to the page. Returns the
+ * new annotation's id.
+ */
+export function addHighlight(pdfDoc: PDFDocument, page: PDFPage, quads: number[][], options: HighlightOptions = {}): string | undefined {
+  if (quads.length === 0) return undefined;
+
+  const context = pdfDoc.context;
+  const [r, g, b] = options.color ?? [1, 0.9, 0];
+  const xs = quads.flatMap(q => [q[0], q[2], q[4], q[6]]);
+  const ys = quads.flatMap(q => [q[1], q[3], q[5], q[7]]);
+  const rect = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(round);
+
+  // Multiply blending keeps the text under the highlight readable
+  const fill = quads
+    .map(q => `${round(q[0])} ${round(q[1])} m ${round(q[2])} ${round(q[3])} l ${round(q[6])} ${round(q[7])} l ${round(q[4])} ${round(q[5])} l h f`)
+    .join('\n');
+  const appearance = context.stream(`/GS0 gs ${r} ${g} ${b} rg\n${fill}`, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: rect,
+    Resources: { ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply' } } }
+  });
+
+  const annotation = context.obj({
+    Type: 'Annot',
+    Subtype: 'Highlight',
+    Rect: rect,
+    QuadPoints: quads.flat().map(round),
+    C: [r, g, b],
+    F: 4,
+    P: page.ref,
+    AP: { N: context.register(appearance) }
+  });
+  return attach(pdfDoc, page, annotation, options);
+}
+
+export interface NoteOptions {
+  /** RGB components between 0 and 1 (default: red) */
+  color?: [number, number, number];
+  author?: string;
+}
+
+const NOTE_SIZE = 14;
+
+/**
+ * Add a sticky note whose icon's bottom left corner is at (x, y). The text
+ * shows in the viewer's popup and comment panel. Returns the note's id.
+ */
+export function addNote(pdfDoc: PDFDocument, page: PDFPage, x: number, y: number, contents: string, options: NoteOptions = {}): string {
+  const context = pdfDoc.context;
+  const [r, g, b] = options.color ?? [0.9, 0.1, 0.1];
+  const rect = [x, y, x + NOTE_SIZE, y + NOTE_SIZE].map(round);
+
+  // A filled square with three text lines, like most viewers' comment icon
+  const lines = [4, 7, 10].map(ly => `3 ${ly} m ${NOTE_SIZE - 3} ${ly} l`).join(' ');
+  const appearance = context.stream(
+    `${r} ${g} ${b} rg 0 0 ${NOTE_SIZE} ${NOTE_SIZE} re f 1 1 1 RG 1 w ${lines} S`,
+    { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, NOTE_SIZE, NOTE_SIZE] }
+  );
+
+  const annotation = context.obj({
+    Type: 'Annot',
+    Subtype: 'Text',
+    Rect: rect,
+    Name: 'Comment',
+    C: [r, g, b],
+    F: 4 | 8 | 16,
+    P: page.ref,
+    AP: { N: context.register(appearance) }
+  });
+  return attach(pdfDoc, page, annotation, { contents, author: options.author });
+}
+
+export interface LinkTarget {
+  url?: string;
+  /** Page in the same document */
+  page?: PDFPage;
+}
+
+/**
+ * Add a link over the given quadrilaterals that opens a web address or goes
+ * to a page. Links have no border. Returns the link's id.
+ */
+export function addLink(pdfDoc: PDFDocument, page: PDFPage, quads: number[][], target: LinkTarget): string {
+  const context = pdfDoc.context;
+  const xs = quads.flatMap(q => [q[0], q[2], q[4], q[6]]);
+  const ys = quads.flatMap(q => [q[1], q[3], q[5], q[7]]);
+
+  const annotation = context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(round),
+    QuadPoints: quads.flat().map(round),
+    Border: [0, 0, 0],
+    F: 4,
+    P: page.ref
+  });
+  if (target.url) {
+    annotation.set(PDFName.of('A'), context.obj({ S: 'URI', URI: uriString(target.url) }));
+  } else if (target.page) {
+    annotation.set(PDFName.of('Dest'), context.obj([target.page.ref, PDFName.of('XYZ'), PDFNull, PDFNull, PDFNull]));
+  }
+  return attach(pdfDoc, page, annotation, {});
+}
+
+/**
+ * A URI action's /URI string. URIs are 7-bit ASCII, written as is except for
+ * the characters that would end the literal string.
+ */
+export function uriString(url: string): PDFString {
+  return PDFString.of(url.replace(/[\\()]/g, '\\$&'));
+}
+
+/** Name, date and optional text of a new annotation, then add it to the page */
+function attach(pdfDoc: PDFDocument, page: PDFPage, annotation: PDFDict, options: { contents?: string; author?: string }): string {
+  const id = randomUUID();
+  annotation.set(PDFName.of('NM'), PDFString.of(id));
+  annotation.set(PDFName.of('M'), PDFString.of(pdfDate(new Date())));
+  if (options.contents) {
+    annotation.set(PDFName.of('Contents'), PDFHexString.fromText(options.contents));
+  }
+  if (options.author) {
+    annotation.set(PDFName.of('T'), PDFHexString.fromText(options.author));
+  }
+  page.node.addAnnot(pdfDoc.context.register(annotation));
+  return id;
+}
+
+function pdfDate(date: Date): string {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/** D:YYYYMMDDHHmmSS with an optional Z or +HH'mm' offset, as ISO 8601 */
+function parsePdfDate(value: string): string {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Z+-])(\d{2})?'?(\d{2})?)?/.exec(value);
+  if (!match) return value;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone, zoneHour = '00', zoneMinute = '00'] = match;
+  const offset = !zone || zone === 'Z' ? 'Z' : `${zone}${zoneHour}:${zoneMinute}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,305 @@
+/**
+ * Compare the text of two versions of a document: pages are aligned by
+ * content, each aligned pair gets a word-level diff, and text deleted in one
+ * place and inserted in another is reported as moved.
+ */
+
+import { IndexedPageText } from './search.js';
+
+export type PageStatus = 'unchanged' | 'changed' | 'added' | 'removed';
+
+export interface TextChange {
+  type: 'insert' | 'delete' | 'move';
+  text: string;
+  /** Character offsets in the old page text (deletions, moves away) or new page text (insertions, moves in) */
+  offset: number;
+  length: number;
+  /** For moves: where the text went (on the deleting side) or came from (on the inserting side) */
+  movedTo?: { pageNumber: number; offset: number };
+  movedFrom?: { pageNumber: number; offset: number };
+}
+
+export interface PageComparison {
+  /** 1-based page numbers; null when the page only exists on one side */
+  oldPage: number | null;
+  newPage: number | null;
+  status: PageStatus;
+  /** Share of words the two pages have in common, 0-1 */
+  similarity: number;
+  /** Changes on the old page (deletions, moved away) */
+  removed: TextChange[];
+  /** Changes on the new page (insertions, moved in) */
+  added: TextChange[];
+  /**
+   * Where the new page's deletions happened, as offsets in the new page text,
+   * so they can be marked in a redline copy
+   */
+  deletionPoints: { offset: number; text: string }[];
+}
+
+interface Token {
+  text: string;
+  start: number;
+  end: number;
+}
+
+// Pages sharing less than this are treated as unrelated
+const MIN_PAGE_SIMILARITY = 0.25;
+// Diffs needing more edits than this are reported as a full rewrite
+const MAX_EDIT_DISTANCE = 4000;
+// Moved text must be at least this many words to not match common phrases
+const MIN_MOVE_WORDS = 4;
+// Share of a hunk's words that must be in the common run to count as a move
+const MOVE_COVERAGE = 0.75;
+// Longer hunks only count as moved when they match exactly
+const MAX_MOVE_WORDS = 1000;
+
+export function comparePages(oldPages: IndexedPageText[], newPages: IndexedPageText[]): PageComparison[] {
+  const oldTokens = oldPages.map(page => tokenize(page.text));
+  const newTokens = newPages.map(page => tokenize(page.text));
+  const oldWords = oldTokens.map(wordSet);
+  const newWords = newTokens.map(wordSet);
+  const pairs = alignPages(oldWords, newWords);
+
+  const comparisons = pairs.map(([i, j]): PageComparison => {
+    const before = i === null ? [] : oldTokens[i];
+    const after = j === null ? [] : newTokens[j];
+    const comparison: PageComparison = {
+      oldPage: i === null ? null : oldPages[i].pageNumber,
+      newPage: j === null ? null : newPages[j].pageNumber,
+      status: i === null ? 'added' : j === null ? 'removed' : 'unchanged',
+      similarity: i === null || j === null ? 0 : round(similarity(oldWords[i], newWords[j])),
+      removed: [],
+      added: [],
+      deletionPoints: []
+    };
+
+    const oldText = i === null ? '' : oldPages[i].text;
+    const newText = j === null ? '' : newPages[j].text;
+    for (const hunk of diffTokens(before, after)) {
+      if (hunk.type === 'delete') {
+        const change = spanChange('delete', hunk.tokens, oldText);
+        comparison.removed.push(change);
+        comparison.deletionPoints.push({ offset: hunk.at < after.length ? after[hunk.at].start : newText.length, text: change.text });
+      } else {
+        comparison.added.push(spanChange('insert', hunk.tokens, newText));
+      }
+    }
+    if (comparison.status === 'unchanged' && (comparison.removed.length > 0 || comparison.added.length > 0)) {
+      comparison.status = 'changed';
+    }
+    return comparison;
+  });
+
+  markMoves(comparisons);
+  return comparisons;
+}
+
+function tokenize(text: string): Token[] {
+  return Array.from(text.matchAll(/\S+/g), match => ({
+    text: match[0],
+    start: match.index!,
+    end: match.index! + match[0].length
+  }));
+}
+
+/** Distinct words of a page, ignoring case, as similarity compares them */
+function wordSet(tokens: Token[]): Set<string> {
+  return new Set(tokens.map(token => token.text.toLowerCase()));
+}
+
+function similarity(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 && b.size === 0) return 1;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const word of smaller) if (larger.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Pair pages in order so that the total similarity of the pairs is as high
+ * as possible. Unpaired pages were added or removed.
+ */
+function alignPages(oldWords: Set<string>[], newWords: Set<string>[]): [number | null, number | null][] {
+  const n = oldWords.length;
+  const m = newWords.length;
+  const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  const sims = oldWords.map(a => newWords.map(b => similarity(a, b)));
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const sim = sims[i - 1][j - 1];
+      score[i][j] = Math.max(
+        score[i - 1][j],
+        score[i][j - 1],
+        sim >= MIN_PAGE_SIMILARITY ? score[i - 1][j - 1] + sim : -Infinity
+      );
+    }
+  }
+
+  const pairs: [number | null, number | null][] = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const sim = i > 0 && j > 0 ? sims[i - 1][j - 1] : 0;
+    if (i > 0 && j > 0 && sim >= MIN_PAGE_SIMILARITY && score[i][j] === score[i - 1][j - 1] + sim) {
+      pairs.push([--i, --j]);
+    } else if (i > 0 && (j === 0 || score[i][j] === score[i - 1][j])) {
+      pairs.push([--i, null]);
+    } else {
+      pairs.push([null, --j]);
+    }
+  }
+  return pairs.reverse();
+}
+
+interface Hunk {
+  type: 'insert' | 'delete';
+  tokens: Token[];
+  /** Index in the new tokens where the hunk applies */
+  at: number;
+}
+
+/**
+ * Myers' O(ND) difference algorithm on words. Consecutive insertions and
+ * deletions are grouped into hunks.
+ */
+function diffTokens(a: Token[], b: Token[]): Hunk[] {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace: Int32Array[] = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    // Keep only what the walk back reads: the diagonals -(d - 1), -(d - 3), ..., d - 1 of step d - 1
+    const live = new Int32Array(d);
+    for (let i = 0; i < d; i++) {
+      live[i] = v[offset - d + 1 + 2 * i];
+    }
+    trace.push(live);
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x].text === b[y].text) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    // Too different to diff word by word
+    return [
+      ...(n > 0 ? [{ type: 'delete' as const, tokens: a, at: 0 }] : []),
+      ...(m > 0 ? [{ type: 'insert' as const, tokens: b, at: 0 }] : [])
+    ];
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const edits: { type: 'insert' | 'delete'; index: number; at: number }[] = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const vd = trace[d];
+    const at = (diagonal: number) => vd[(diagonal + d - 1) / 2];
+    const k = x - y;
+    const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+    }
+    if (down) {
+      edits.push({ type: 'insert', index: prevY, at: prevY });
+    } else {
+      edits.push({ type: 'delete', index: prevX, at: prevY });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  edits.reverse();
+
+  const hunks: Hunk[] = [];
+  for (const edit of edits) {
+    const token = edit.type === 'insert' ? b[edit.index] : a[edit.index];
+    const last = hunks[hunks.length - 1];
+    const contiguous = last && last.type === edit.type
+      && (edit.type === 'insert' ? last.at + last.tokens.length === edit.at : last.at === edit.at);
+    if (contiguous) {
+      last.tokens.push(token);
+    } else {
+      hunks.push({ type: edit.type, tokens: [token], at: edit.at });
+    }
+  }
+  return hunks;
+}
+
+function spanChange(type: 'insert' | 'delete', tokens: Token[], text: string): TextChange {
+  const start = tokens[0].start;
+  const end = tokens[tokens.length - 1].end;
+  return { type, text: text.slice(start, end), offset: start, length: end - start };
+}
+
+/**
+ * Pair deletions and insertions that share most of their words as moves.
+ * Word diffs often shift a hunk's edges by a word or two, so a moved
+ * sentence is recognized when one run of words covers most of both hunks.
+ */
+function markMoves(comparisons: PageComparison[]): void {
+  const words = (text: string) => text.toLowerCase().split(/\s+/).filter(Boolean);
+  const deletions = comparisons.flatMap(page =>
+    page.removed.map(change => ({ change, page, words: words(change.text) }))
+  ).filter(deletion => deletion.words.length >= MIN_MOVE_WORDS);
+
+  for (const page of comparisons) {
+    for (const change of page.added) {
+      const inserted = words(change.text);
+      if (inserted.length < MIN_MOVE_WORDS) continue;
+
+      const source = deletions.find(deletion => deletion.change.type === 'delete' && isSameText(deletion.words, inserted));
+      if (!source) continue;
+      change.type = 'move';
+      source.change.type = 'move';
+      change.movedFrom = { pageNumber: source.page.oldPage!, offset: source.change.offset };
+      source.change.movedTo = { pageNumber: page.newPage!, offset: change.offset };
+      // A moved paragraph is not a deletion in the redline
+      source.page.deletionPoints = source.page.deletionPoints.filter(point => point.text !== source.change.text);
+    }
+  }
+}
+
+function isSameText(a: string[], b: string[]): boolean {
+  if (a.length > MAX_MOVE_WORDS || b.length > MAX_MOVE_WORDS) {
+    return a.length === b.length && a.every((word, i) => word === b[i]);
+  }
+  // Longest run of words the two have in common
+  let longest = 0;
+  let previous = new Uint16Array(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Uint16Array(b.length + 1);
+    for (let j = 1; j <= b.length; j++) {
+      if (a[i - 1] === b[j - 1]) {
+        current[j] = previous[j - 1] + 1;
+        longest = Math.max(longest, current[j]);
+      }
+    }
+    previous = current;
+  }
+  return longest >= MIN_MOVE_WORDS && longest >= MOVE_COVERAGE * Math.max(a.length, b.length);
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
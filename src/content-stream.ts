@@ -0,0 +1,323 @@
+/**
+ * Content stream parsing and writing. Operations keep their byte range in the
+ * source, so a stream can be written back with only the changed operations
+ * re-serialized and everything else copied byte for byte.
+ */
+
+import { decodePDFRawStream, PDFArray, PDFFlateStream, PDFPage, PDFRawStream, PDFStream } from 'pdf-lib';
+
+export type ContentValue =
+  | { type: 'number'; value: number }
+  | { type: 'name'; value: string }
+  | { type: 'string'; bytes: Uint8Array }
+  | { type: 'array'; items: ContentValue[] }
+  | { type: 'dict'; entries: [string, ContentValue][] }
+  | { type: 'boolean'; value: boolean }
+  | { type: 'null' };
+
+export interface ContentOperation {
+  operator: string;
+  operands: ContentValue[];
+  /** Byte range of the operands and operator in the source */
+  start: number;
+  end: number;
+  /** BI operations: the image dictionary and the data between ID and EI */
+  inlineImage?: { entries: [string, ContentValue][]; data: Uint8Array };
+}
+
+/** Transformation matrix [a b c d e f] */
+export type Matrix = [number, number, number, number, number, number];
+
+export const IDENTITY: Matrix = [1, 0, 0, 1, 0, 0];
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const isRegular = (byte: number) => !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+
+export function parseContent(source: Uint8Array): ContentOperation[] {
+  const operations: ContentOperation[] = [];
+  let pos = 0;
+  let operands: ContentValue[] = [];
+  let operandStart = -1;
+  // Open arrays and dictionaries; dictionaries collect keys and values in a flat list
+  const stack: { kind: 'array' | 'dict'; items: ContentValue[] }[] = [];
+
+  const push = (value: ContentValue) => {
+    if (stack.length > 0) stack[stack.length - 1].items.push(value);
+    else operands.push(value);
+  };
+
+  while (pos < source.length) {
+    const byte = source[pos];
+    if (WHITESPACE.has(byte)) {
+      pos++;
+      continue;
+    }
+    if (byte === 0x25) {
+      // Comment up to the end of the line
+      while (pos < source.length && source[pos] !== 0x0a && source[pos] !== 0x0d) pos++;
+      continue;
+    }
+    if (operandStart < 0) operandStart = pos;
+
+    if (byte === 0x28) {
+      const { bytes, next } = readLiteralString(source, pos + 1);
+      push({ type: 'string', bytes });
+      pos = next;
+    } else if (byte === 0x3c && source[pos + 1] === 0x3c) {
+      stack.push({ kind: 'dict', items: [] });
+      pos += 2;
+    } else if (byte === 0x3e && source[pos + 1] === 0x3e) {
+      const open = stack.pop();
+      if (open?.kind === 'dict') push({ type: 'dict', entries: pairEntries(open.items) });
+      pos += 2;
+    } else if (byte === 0x3c) {
+      const end = source.indexOf(0x3e, pos + 1);
+      const stop = end < 0 ? source.length : end;
+      push({ type: 'string', bytes: decodeHex(source.subarray(pos + 1, stop)) });
+      pos = stop + 1;
+    } else if (byte === 0x5b) {
+      stack.push({ kind: 'array', items: [] });
+      pos++;
+    } else if (byte === 0x5d) {
+      const open = stack.pop();
+      if (open?.kind === 'array') push({ type: 'array', items: open.items });
+      pos++;
+    } else if (byte === 0x2f) {
+      let end = pos + 1;
+      while (end < source.length && isRegular(source[end])) end++;
+      push({ type: 'name', value: decodeName(source.subarray(pos + 1, end)) });
+      pos = end;
+    } else if (!isRegular(byte)) {
+      // Stray delimiter such as } or ), skipped
+      pos++;
+    } else {
+      let end = pos;
+      while (end < source.length && isRegular(source[end])) end++;
+      const word = latin1(source.subarray(pos, end));
+      pos = end;
+
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        push({ type: 'number', value: parseFloat(word) });
+      } else if (word === 'true' || word === 'false') {
+        push({ type: 'boolean', value: word === 'true' });
+      } else if (word === 'null') {
+        push({ type: 'null' });
+      } else if (stack.length > 0) {
+        // Operators cannot appear inside arrays; keep going rather than fail
+        continue;
+      } else if (word === 'BI') {
+        const image = readInlineImage(source, pos);
+        operations.push({ operator: 'BI', operands: [], start: operandStart, end: image.next, inlineImage: image });
+        pos = image.next;
+        operands = [];
+        operandStart = -1;
+      } else {
+        operations.push({ operator: word, operands, start: operandStart, end: pos });
+        operands = [];
+        operandStart = -1;
+      }
+    }
+  }
+  return operations;
+}
+
+/**
+ * Write the operations back. Operations listed in replacements are written
+ * from their new form (several operations, or none to drop one); all others
+ * are copied from the source unchanged.
+ */
+export function writeContent(
+  source: Uint8Array,
+  operations: ContentOperation[],
+  replacements: Map<number, { operator: string; operands: ContentValue[] }[]>
+): Uint8Array {
+  const parts: Uint8Array[] = [];
+  operations.forEach((operation, index) => {
+    const replacement = replacements.get(index);
+    if (!replacement) {
+      parts.push(source.subarray(operation.start, operation.end), NEWLINE);
+      return;
+    }
+    for (const { operator, operands } of replacement) {
+      const text = [...operands.map(serializeValue), operator].join(' ');
+      parts.push(Buffer.from(text, 'latin1'), NEWLINE);
+    }
+  });
+  return Buffer.concat(parts);
+}
+
+const NEWLINE = Uint8Array.of(0x0a);
+
+export function serializeValue(value: ContentValue): string {
+  switch (value.type) {
+    case 'number':
+      return formatNumber(value.value);
+    case 'name':
+      return `/${encodeName(value.value)}`;
+    case 'string':
+      return `<${Buffer.from(value.bytes).toString('hex')}>`;
+    case 'array':
+      return `[${value.items.map(serializeValue).join(' ')}]`;
+    case 'dict':
+      return `<<${value.entries.map(([key, item]) => `/${encodeName(key)} ${serializeValue(item)}`).join(' ')}>>`;
+    case 'boolean':
+      return String(value.value);
+    case 'null':
+      return 'null';
+  }
+}
+
+/** The decoded content of a page, its content streams joined */
+export function pageContentBytes(page: PDFPage): Uint8Array | undefined {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(item => page.doc.context.lookup(item))
+    : [contents];
+  const parts = streams.filter((stream): stream is PDFStream => stream instanceof PDFStream).map(streamBytes);
+  if (parts.length === 0) return undefined;
+  // Streams split at token boundaries, so a newline between them is safe
+  return Buffer.concat(parts.flatMap(part => [part, Uint8Array.of(0x0a)]));
+}
+
+/** Decoded stream data, for streams read from a file and streams pdf-lib created */
+export function streamBytes(stream: PDFStream): Uint8Array {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  // getContents of a flate stream (page content drawn with pdf-lib) is compressed
+  if (stream instanceof PDFFlateStream) return stream.getUnencodedContents();
+  return stream.getContents();
+}
+
+/** m applied first, then n */
+export function multiply(m: Matrix, n: Matrix): Matrix {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+function formatNumber(value: number): string {
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+function readLiteralString(source: Uint8Array, start: number): { bytes: Uint8Array; next: number } {
+  const out: number[] = [];
+  let depth = 1;
+  let pos = start;
+
+  while (pos < source.length) {
+    const byte = source[pos++];
+    if (byte === 0x5c) {
+      const next = source[pos++];
+      if (next === 0x6e) out.push(0x0a);
+      else if (next === 0x72) out.push(0x0d);
+      else if (next === 0x74) out.push(0x09);
+      else if (next === 0x62) out.push(0x08);
+      else if (next === 0x66) out.push(0x0c);
+      else if (next === 0x0d) {
+        // Line continuation
+        if (source[pos] === 0x0a) pos++;
+      } else if (next === 0x0a) {
+        // Line continuation
+      } else if (next >= 0x30 && next <= 0x37) {
+        let octal = next - 0x30;
+        for (let i = 0; i < 2 && source[pos] >= 0x30 && source[pos] <= 0x37; i++) {
+          octal = octal * 8 + (source[pos++] - 0x30);
+        }
+        out.push(octal & 0xff);
+      } else if (next !== undefined) {
+        out.push(next);
+      }
+    } else if (byte === 0x28) {
+      depth++;
+      out.push(byte);
+    } else if (byte === 0x29) {
+      if (--depth === 0) break;
+      out.push(byte);
+    } else {
+      out.push(byte);
+    }
+  }
+  return { bytes: Uint8Array.from(out), next: pos };
+}
+
+function decodeHex(raw: Uint8Array): Uint8Array {
+  const digits = latin1(raw).replace(/[^0-9a-fA-F]/g, '');
+  return Buffer.from(digits.length % 2 === 1 ? `${digits}0` : digits, 'hex');
+}
+
+function decodeName(raw: Uint8Array): string {
+  return latin1(raw).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function encodeName(name: string): string {
+  return Array.from(name, char => {
+    const code = char.charCodeAt(0);
+    return code < 0x21 || code > 0x7e || char === '#' || !isRegular(code)
+      ? `#${code.toString(16).padStart(2, '0')}`
+      : char;
+  }).join('');
+}
+
+function pairEntries(items: ContentValue[]): [string, ContentValue][] {
+  const entries: [string, ContentValue][] = [];
+  for (let i = 0; i + 1 < items.length; i += 2) {
+    const key = items[i];
+    if (key.type === 'name') entries.push([key.value, items[i + 1]]);
+  }
+  return entries;
+}
+
+/**
+ * Read an inline image after BI: key/value pairs up to ID, then binary data
+ * up to an EI surrounded by whitespace.
+ */
+function readInlineImage(source: Uint8Array, start: number): { entries: [string, ContentValue][]; data: Uint8Array; next: number } {
+  const id = findKeyword(source, start, 'ID');
+  // The pairs have no operator after them, so parse them as the operands of a placeholder one
+  const [pairs] = parseContent(Buffer.concat([source.subarray(start, id < 0 ? source.length : id), Buffer.from(' x')]));
+  const entries = pairEntries(pairs?.operands ?? []);
+  if (id < 0) return { entries, data: new Uint8Array(0), next: source.length };
+
+  // A single whitespace byte separates ID from the data
+  const dataStart = id + 3;
+  let end = dataStart;
+  for (;;) {
+    end = source.indexOf(0x45, end);
+    if (end < 0) {
+      end = source.length;
+      break;
+    }
+    const before = source[end - 1];
+    const after = source[end + 2];
+    if (source[end + 1] === 0x49 && WHITESPACE.has(before) && (after === undefined || WHITESPACE.has(after))) break;
+    end++;
+  }
+  return {
+    entries,
+    data: source.subarray(dataStart, Math.max(dataStart, end - 1)),
+    next: Math.min(source.length, end + 2)
+  };
+}
+
+function findKeyword(source: Uint8Array, start: number, keyword: string): number {
+  const [first, second] = [keyword.charCodeAt(0), keyword.charCodeAt(1)];
+  for (let pos = start; pos + 1 < source.length; pos++) {
+    if (source[pos] === first && source[pos + 1] === second
+      && (pos === 0 || !isRegular(source[pos - 1]))
+      && (pos + 2 >= source.length || !isRegular(source[pos + 2]))) {
+      return pos;
+    }
+  }
+  return -1;
+}
+
+function latin1(bytes: Uint8Array): string {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('latin1');
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal ASN.1 reader for the DER (and BER, as some signers produce it)
+ * structures in PDF signatures: CMS SignedData, certificates and timestamp
+ * tokens. Only decoding is supported.
+ */
+
+export const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+} as const;
+
+export interface Asn1Node {
+  /** Identifier octet: class, constructed bit and tag number (low tag numbers only) */
+  tag: number;
+  constructed: boolean;
+  /** Encoding of the whole element, header included */
+  bytes: Uint8Array;
+  /** Content octets (for indefinite lengths, without the end-of-contents marker) */
+  content: Uint8Array;
+  children: Asn1Node[];
+}
+
+/** Read the element starting at offset; bytes after it are ignored */
+export function readDer(bytes: Uint8Array, offset = 0): Asn1Node {
+  return readElement(bytes, offset, 0);
+}
+
+function readElement(bytes: Uint8Array, offset: number, depth: number): Asn1Node {
+  if (depth > 64) {
+    throw new Error('ASN.1 structure nested too deeply');
+  }
+  if (offset + 2 > bytes.length) {
+    throw new Error('Truncated ASN.1 data');
+  }
+  const tag = bytes[offset];
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Error('Unsupported ASN.1 high tag number');
+  }
+  const constructed = (tag & 0x20) !== 0;
+  let pos = offset + 1;
+  const first = bytes[pos++];
+  let length = -1;
+  if (first < 0x80) {
+    length = first;
+  } else if (first > 0x80) {
+    const count = first & 0x7f;
+    if (count > 4 || pos + count > bytes.length) {
+      throw new Error('Invalid ASN.1 length');
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[pos++];
+    }
+  } else if (!constructed) {
+    throw new Error('Indefinite length on a primitive ASN.1 element');
+  }
+
+  const children: Asn1Node[] = [];
+  if (length >= 0) {
+    const end = pos + length;
+    if (end > bytes.length) {
+      throw new Error('Truncated ASN.1 data');
+    }
+    if (constructed) {
+      for (let child = pos; child < end;) {
+        const node = readElement(bytes, child, depth + 1);
+        children.push(node);
+        child += node.bytes.length;
+      }
+    }
+    return { tag, constructed, bytes: bytes.subarray(offset, end), content: bytes.subarray(pos, end), children };
+  }
+
+  // Indefinite length: children up to the 00 00 end-of-contents marker
+  const start = pos;
+  while (!(bytes[pos] === 0 && bytes[pos + 1] === 0)) {
+    const node = readElement(bytes, pos, depth + 1);
+    children.push(node);
+    pos += node.bytes.length;
+  }
+  return { tag, constructed, bytes: bytes.subarray(offset, pos + 2), content: bytes.subarray(start, pos), children };
+}
+
+/** Tag of a context-specific element [n], constructed or not */
+export function contextTag(n: number, constructed = true): number {
+  return 0x80 | (constructed ? 0x20 : 0) | n;
+}
+
+/** The child with the given tag, if any */
+export function findChild(node: Asn1Node, tag: number): Asn1Node | undefined {
+  return node.children.find(child => child.tag === tag);
+}
+
+export function expectTag(node: Asn1Node | undefined, tag: number, what: string): Asn1Node {
+  if (!node || node.tag !== tag) {
+    throw new Error(`Malformed ${what}`);
+  }
+  return node;
+}
+
+/** Dotted form of an OBJECT IDENTIFIER */
+export function readOid(node: Asn1Node): string {
+  const parts: number[] = [];
+  let value = 0;
+  for (const byte of node.content) {
+    value = value * 128 + (byte & 0x7f);
+    if ((byte & 0x80) === 0) {
+      if (parts.length === 0) {
+        const first = Math.min(Math.floor(value / 40), 2);
+        parts.push(first, value - first * 40);
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+/** Octets of an OCTET STRING, joining the segments of a constructed (BER) one */
+export function readOctets(node: Asn1Node): Uint8Array {
+  if (!node.constructed) {
+    return node.content;
+  }
+  return Buffer.concat(node.children.map(readOctets));
+}
+
+/** Big-endian hex of an INTEGER without leading zero octets */
+export function readIntegerHex(node: Asn1Node): string {
+  return Buffer.from(node.content).toString('hex').replace(/^(00)+(?=.)/, '').toUpperCase();
+}
+
+export function readTime(node: Asn1Node): Date {
+  const text = Buffer.from(node.content).toString('latin1');
+  const match = node.tag === TAG.UTC_TIME
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:[.,](\d+))?Z$/.exec(text);
+  if (!match) {
+    throw new Error(`Unsupported ASN.1 time: ${text}`);
+  }
+  let year = parseInt(match[1], 10);
+  if (node.tag === TAG.UTC_TIME) {
+    year += year < 50 ? 2000 : 1900;
+  }
+  const millis = match[7] ? Math.round(parseFloat(`0.${match[7]}`) * 1000) : 0;
+  return new Date(Date.UTC(
+    year, parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+    parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6] ?? '0', 10), millis
+  ));
+}
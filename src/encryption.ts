@@ -0,0 +1,107 @@
+/**
+ * Password-protected PDFs. pdf-lib can neither decrypt nor encrypt, so the
+ * @cantoo/pdf-lib fork is used at the boundary: encrypted input is decrypted
+ * to plain bytes once, and everything else keeps working on those.
+ */
+
+import { randomBytes } from 'crypto';
+import { EncryptedPDFError, PDFDocument as SecurePDFDocument } from '@cantoo/pdf-lib';
+
+export interface PDFPermissions {
+  print?: boolean;
+  copy?: boolean;
+  modify?: boolean;
+  annotate?: boolean;
+  fillForms?: boolean;
+  /** Insert, delete and rotate pages */
+  assemble?: boolean;
+}
+
+export interface ProtectOptions {
+  userPassword?: string;
+  ownerPassword?: string;
+  /** Everything is allowed unless set to false */
+  permissions?: PDFPermissions;
+}
+
+/** Whether the document is encrypted, so it needs decryptPDF to be read */
+export async function isEncryptedPDF(bytes: Buffer): Promise<boolean> {
+  // Every encrypted file names its /Encrypt dictionary in the trailer
+  if (!bytes.includes('/Encrypt')) {
+    return false;
+  }
+  try {
+    await SecurePDFDocument.load(bytes, { updateMetadata: false });
+    return false;
+  } catch (error) {
+    if (error instanceof EncryptedPDFError) return true;
+    throw error;
+  }
+}
+
+/**
+ * Return the bytes of an unencrypted copy of the document. Unencrypted input
+ * is returned unchanged. Documents with an empty user password open without
+ * one, whatever password is supplied.
+ */
+export async function decryptPDF(bytes: Buffer, password: string | undefined, filePath: string): Promise<Buffer> {
+  if (!await isEncryptedPDF(bytes)) {
+    return bytes;
+  }
+
+  // A wrong password is not fatal while the empty user password still opens the file
+  const candidates = password ? [password, ''] : [''];
+  for (const candidate of candidates) {
+    try {
+      const pdfDoc = await SecurePDFDocument.load(bytes, { password: candidate, updateMetadata: false });
+      return Buffer.from(await pdfDoc.save());
+    } catch (error) {
+      if (!(error instanceof Error && /password incorrect|needs password/i.test(error.message))) {
+        throw error;
+      }
+    }
+  }
+  throw new Error(
+    password
+      ? `Incorrect password for encrypted PDF: ${filePath}`
+      : `PDF is encrypted and requires a password: ${filePath}`
+  );
+}
+
+/**
+ * Encrypt a PDF with AES-256. Without an owner password a random one is used,
+ * so the permissions cannot be lifted by anyone.
+ */
+export async function encryptPDF(
+  bytes: Buffer,
+  options: ProtectOptions
+): Promise<{ bytes: Uint8Array; ownerPasswordGenerated: boolean }> {
+  if (!options.userPassword && !options.ownerPassword) {
+    throw new Error('Provide userPassword, ownerPassword or both');
+  }
+
+  const permissions = options.permissions || {};
+  const allowed = (flag: boolean | undefined) => flag !== false;
+  const ownerPassword = options.ownerPassword || randomBytes(24).toString('base64');
+
+  const pdfDoc = await SecurePDFDocument.load(bytes, { updateMetadata: false });
+  pdfDoc.encrypt({
+    userPassword: options.userPassword || '',
+    ownerPassword,
+    permissions: {
+      printing: allowed(permissions.print) ? 'highResolution' : false,
+      copying: allowed(permissions.copy),
+      modifying: allowed(permissions.modify),
+      annotating: allowed(permissions.annotate),
+      fillingForms: allowed(permissions.fillForms),
+      documentAssembly: allowed(permissions.assemble),
+      contentAccessibility: true
+    },
+    algorithm: 'AES-256'
+  });
+
+  return {
+    bytes: await pdfDoc.save(),
+    ownerPasswordGenerated: !options.ownerPassword
+  };
+}
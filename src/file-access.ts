@@ -0,0 +1,184 @@
+/**
+ * Confinement of reads and writes to configured root directories, the
+ * overwrite policy for existing output files, and atomic writes.
+ */
+
+import { randomBytes } from 'crypto';
+import { closeSync, copyFileSync, existsSync, fsyncSync, mkdirSync, openSync, realpathSync, renameSync, rmSync, statSync, writeSync } from 'fs';
+import { basename, delimiter, dirname, extname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+/**
+ * What to do when an output file already exists: fail, write next to it
+ * under a numbered name, or keep a copy of the old file as <name>.bak<ext>
+ */
+export type OverwritePolicy = 'error' | 'suffix' | 'backup';
+
+export const OVERWRITE_POLICIES: OverwritePolicy[] = ['error', 'suffix', 'backup'];
+
+export interface FileAccessOptions {
+  /** Directories files may be read from and written to; none allows any path */
+  allowedRoots?: string[];
+  overwrite?: OverwritePolicy;
+}
+
+export const ALLOWED_ROOTS_ENV = 'PDF_UTILITIES_ALLOWED_ROOTS';
+export const OVERWRITE_ENV = 'PDF_UTILITIES_OVERWRITE';
+
+/**
+ * Read the options from the command line (--allowed-root <dir>, repeatable,
+ * and --overwrite <policy>) or, when not given there, from
+ * PDF_UTILITIES_ALLOWED_ROOTS (separated like PATH) and PDF_UTILITIES_OVERWRITE
+ */
+export function parseFileAccessOptions(argv: string[], env: NodeJS.ProcessEnv): FileAccessOptions {
+  const roots: string[] = [];
+  let overwrite: string | undefined;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    if (flag !== '--allowed-root' && flag !== '--overwrite') {
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (!value) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (flag === '--allowed-root') {
+      roots.push(value);
+    } else {
+      overwrite = value;
+    }
+  }
+
+  if (roots.length === 0 && env[ALLOWED_ROOTS_ENV]) {
+    roots.push(...env[ALLOWED_ROOTS_ENV]!.split(delimiter).filter(root => root.trim()));
+  }
+  overwrite = overwrite ?? (env[OVERWRITE_ENV] || undefined);
+  if (overwrite !== undefined && !OVERWRITE_POLICIES.includes(overwrite as OverwritePolicy)) {
+    throw new Error(`Invalid overwrite policy "${overwrite}" (expected ${OVERWRITE_POLICIES.join(', ')})`);
+  }
+
+  return { allowedRoots: roots, overwrite: overwrite as OverwritePolicy | undefined };
+}
+
+/**
+ * Checks paths against the allowed roots and writes output files. Paths are
+ * compared after resolving symbolic links, so a link inside a root cannot
+ * reach outside it.
+ */
+export class FileAccess {
+  readonly allowedRoots: string[];
+  readonly overwrite: OverwritePolicy;
+
+  constructor(options: FileAccessOptions = {}) {
+    this.allowedRoots = (options.allowedRoots ?? []).map(root => {
+      if (!isAbsolute(root)) {
+        throw new Error(`Allowed root must be an absolute path: ${root}`);
+      }
+      return realPath(root);
+    });
+    this.overwrite = options.overwrite ?? 'backup';
+  }
+
+  isAllowed(path: string): boolean {
+    if (this.allowedRoots.length === 0) {
+      return true;
+    }
+    const target = realPath(resolve(path));
+    return this.allowedRoots.some(root => {
+      const rel = relative(root, target);
+      return rel === '' || (!isAbsolute(rel) && rel.split(sep)[0] !== '..');
+    });
+  }
+
+  assertAllowed(path: string): void {
+    if (!this.isAllowed(path)) {
+      throw new Error(`Access denied: ${path} is outside the allowed directories (${this.allowedRoots.join(', ')})`);
+    }
+  }
+
+  /** Throw unless the file exists and lies inside the allowed roots */
+  assertReadable(path: string, label = 'File'): void {
+    // Roots first, so paths outside them cannot be probed for existence
+    this.assertAllowed(path);
+    if (!existsSync(path)) {
+      throw new Error(`${label} not found: ${path}`);
+    }
+  }
+
+  /** Throw unless the directory exists and lies inside the allowed roots */
+  assertDirectory(path: string): void {
+    this.assertAllowed(path);
+    if (!existsSync(path) || !statSync(path).isDirectory()) {
+      throw new Error(`Directory not found: ${path}`);
+    }
+  }
+
+  /**
+   * Write data to a temporary file next to path and rename it into place, so
+   * readers never see a partial file. Missing directories are created and an
+   * existing file is handled according to the overwrite policy. Returns the
+   * path actually written.
+   */
+  write(path: string, data: Uint8Array | string): string {
+    let target = resolve(path);
+    this.assertAllowed(target);
+    mkdirSync(dirname(target), { recursive: true });
+
+    if (existsSync(target)) {
+      if (this.overwrite === 'error') {
+        throw new Error(`Output file already exists: ${path} (choose another output path or change the overwrite policy)`);
+      }
+      if (this.overwrite === 'suffix') {
+        target = availablePath(target, '');
+      } else {
+        copyFileSync(target, availablePath(target, '.bak'));
+      }
+    }
+
+    const temp = join(dirname(target), `.${basename(target)}.${randomBytes(6).toString('hex')}.tmp`);
+    try {
+      const fd = openSync(temp, 'wx');
+      try {
+        const bytes = typeof data === 'string' ? Buffer.from(data) : data;
+        for (let written = 0; written < bytes.length;) {
+          written += writeSync(fd, bytes, written);
+        }
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+      renameSync(temp, target);
+    } catch (error) {
+      rmSync(temp, { force: true });
+      throw error;
+    }
+    return target;
+  }
+}
+
+/** Real path of a possibly missing file: its deepest existing ancestor resolved, plus the rest */
+function realPath(path: string): string {
+  const missing: string[] = [];
+  let current = path;
+  while (!existsSync(current)) {
+    const parent = dirname(current);
+    if (parent === current) {
+      break;
+    }
+    missing.unshift(basename(current));
+    current = parent;
+  }
+  return join(realpathSync(current), ...missing);
+}
+
+/** First of <name><tag><ext>, <name><tag>-2<ext>, ... that does not exist yet */
+function availablePath(path: string, tag: string): string {
+  const ext = extname(path);
+  const stem = path.slice(0, path.length - ext.length);
+  for (let n = tag ? 1 : 2; ; n++) {
+    const candidate = `${stem}${tag}${n > 1 ? `-${n}` : ''}${ext}`;
+    if (!existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
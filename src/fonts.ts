@@ -0,0 +1,188 @@
+/**
+ * Font handling for PDF generation: custom TTF/OTF embedding through fontkit,
+ * per-character fallback between fonts, and line-breaking that works for
+ * scripts written without spaces (CJK).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import fontkit from '@pdf-lib/fontkit';
+import { degrees, PDFDocument, PDFFont, PDFPage, RGB, StandardFonts } from 'pdf-lib';
+
+export interface FontOptions {
+  regular?: string;
+  bold?: string;
+  italic?: string;
+  boldItalic?: string;
+  mono?: string;
+  /** Fonts tried in order for characters missing from the primary font */
+  fallback?: string[];
+  /** Embed only the glyphs used (default: true) */
+  subset?: boolean;
+}
+
+export type FontStyle = 'regular' | 'bold' | 'italic' | 'boldItalic' | 'mono';
+
+const STANDARD_FONTS: Record<FontStyle, StandardFonts> = {
+  regular: StandardFonts.Helvetica,
+  bold: StandardFonts.HelveticaBold,
+  italic: StandardFonts.HelveticaOblique,
+  boldItalic: StandardFonts.HelveticaBoldOblique,
+  mono: StandardFonts.Courier
+};
+
+const REPLACEMENT_CHAR = '?';
+
+/**
+ * A primary font plus fallbacks. Text is split into segments drawn with the
+ * first font that has a glyph for each character; characters no font covers
+ * are replaced with "?" and counted in `missingGlyphs` when drawn.
+ */
+export class FontStack {
+  missingGlyphs = 0;
+
+  private readonly charSets: Set<number>[];
+
+  constructor(private readonly fonts: PDFFont[]) {
+    this.charSets = fonts.map(font => new Set(font.getCharacterSet()));
+  }
+
+  segments(text: string): { text: string; font: PDFFont; missing: number }[] {
+    const segments: { text: string; font: PDFFont; missing: number }[] = [];
+
+    for (const char of Array.from(text)) {
+      const codePoint = char.codePointAt(0)!;
+      let index = this.charSets.findIndex(set => set.has(codePoint));
+      let glyph = char;
+      let missing = 0;
+
+      if (index < 0) {
+        index = 0;
+        glyph = /\s/.test(char) ? ' ' : REPLACEMENT_CHAR;
+        missing = glyph === REPLACEMENT_CHAR ? 1 : 0;
+      }
+
+      const last = segments[segments.length - 1];
+      if (last && last.font === this.fonts[index]) {
+        last.text += glyph;
+        last.missing += missing;
+      } else {
+        segments.push({ text: glyph, font: this.fonts[index], missing });
+      }
+    }
+
+    return segments;
+  }
+
+  widthOfTextAtSize(text: string, size: number): number {
+    return this.segments(text).reduce((sum, s) => sum + s.font.widthOfTextAtSize(s.text, size), 0);
+  }
+
+  /**
+   * Draw text starting at (x, y). With `rotate` (degrees, counter-clockwise)
+   * the segments advance along the rotated baseline.
+   */
+  draw(
+    page: PDFPage,
+    text: string,
+    options: { x: number; y: number; size: number; color: RGB; rotate?: number; opacity?: number }
+  ): void {
+    const { rotate = 0, ...rest } = options;
+    const angle = (rotate * Math.PI) / 180;
+    let { x, y } = options;
+
+    for (const segment of this.segments(text)) {
+      page.drawText(segment.text, { ...rest, x, y, font: segment.font, ...(rotate ? { rotate: degrees(rotate) } : {}) });
+      this.missingGlyphs += segment.missing;
+      const width = segment.font.widthOfTextAtSize(segment.text, options.size);
+      x += width * Math.cos(angle);
+      y += width * Math.sin(angle);
+    }
+  }
+}
+
+/**
+ * Embed the fonts for the requested styles. Each stack tries the style's own
+ * file, then the regular file and the fallbacks, and ends with the matching
+ * standard font, so any character one of the configured fonts covers is found.
+ */
+export async function loadFontStacks(
+  pdfDoc: PDFDocument,
+  options: FontOptions = {},
+  styles: FontStyle[] = ['regular']
+): Promise<Record<FontStyle, FontStack>> {
+  const subset = options.subset ?? true;
+  const embedded = new Map<string, PDFFont>();
+
+  const embedFile = async (path: string): Promise<PDFFont> => {
+    if (!embedded.has(path)) {
+      if (!existsSync(path)) {
+        throw new Error(`Font file not found: ${path}`);
+      }
+      pdfDoc.registerFontkit(fontkit);
+      try {
+        embedded.set(path, await pdfDoc.embedFont(readFileSync(path), { subset }));
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        throw new Error(`Could not load font ${path}: ${reason}`);
+      }
+    }
+    return embedded.get(path)!;
+  };
+
+  const fallbacks = await Promise.all((options.fallback || []).map(embedFile));
+  const regular = options.regular ? await embedFile(options.regular) : undefined;
+
+  const stacks = {} as Record<FontStyle, FontStack>;
+  for (const style of styles) {
+    const custom = options[style] ? await embedFile(options[style]!) : undefined;
+    const standard = await pdfDoc.embedFont(STANDARD_FONTS[style]);
+    // Code stays monospaced: Courier comes before a proportional custom font
+    const order = style === 'mono'
+      ? [custom, standard, regular, ...fallbacks]
+      : [custom, regular, ...fallbacks, standard];
+    const fonts = order.filter((font, i): font is PDFFont => font !== undefined && order.indexOf(font) === i);
+    stacks[style] = new FontStack(fonts);
+  }
+  return stacks;
+}
+
+// Ideographs, kana, hangul and CJK punctuation may break anywhere
+const CJK = /[⺀-⿿　-ヿ㄀-ㇿ㈀-䶿一-鿿ꥠ-꥿가-퟿豈-﫿＀-￯]|[\u{20000}-\u{2FFFF}]/u;
+// Closing punctuation that must not start a line
+const NO_LINE_START = /^[、。，．：；！？）」』】〕〉》”’ー…・,.:;!?)\]}]$/u;
+
+/**
+ * Split text into breakable units: whitespace runs, single CJK characters
+ * (with trailing closing punctuation attached) and other words.
+ */
+export function splitBreakable(text: string): string[] {
+  const units: string[] = [];
+  let word = '';
+
+  const flush = () => {
+    if (word) units.push(word);
+    word = '';
+  };
+
+  for (const char of Array.from(text)) {
+    const previous = units[units.length - 1];
+    if (/\s/.test(char)) {
+      flush();
+      if (units.length > 0 && /^\s+$/.test(units[units.length - 1])) {
+        units[units.length - 1] += char;
+      } else {
+        units.push(char);
+      }
+    } else if (NO_LINE_START.test(char) && word === '' && previous !== undefined && !/^\s+$/.test(previous)) {
+      units[units.length - 1] += char;
+    } else if (CJK.test(char)) {
+      flush();
+      units.push(char);
+    } else {
+      word += char;
+    }
+  }
+  flush();
+
+  return units;
+}
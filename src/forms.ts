@@ -0,0 +1,230 @@
+/**
+ * AcroForm support: list fields with their values and pages, and fill them
+ * from a name → value map.
+ */
+
+import {
+  PDFCheckBox,
+  PDFDocument,
+  PDFDropdown,
+  PDFField,
+  PDFFont,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFRef,
+  PDFSignature,
+  PDFTextField,
+  StandardFonts
+} from 'pdf-lib';
+
+export type FormFieldType = 'text' | 'checkbox' | 'radio' | 'dropdown' | 'optionList' | 'button' | 'signature';
+
+export interface FormField {
+  name: string;
+  type: FormFieldType;
+  value: string | boolean | string[] | null;
+  /** Choices for radio groups, dropdowns and option lists */
+  options?: string[];
+  /** 1-based pages holding the field's widgets */
+  pages: number[];
+  required: boolean;
+  readOnly: boolean;
+  maxLength?: number;
+  multiline?: boolean;
+  multiselect?: boolean;
+  editable?: boolean;
+}
+
+export type FormValue = string | number | boolean | string[];
+
+export interface FormFillReport {
+  filled: string[];
+  unknownFields: string[];
+  invalidValues: { field: string; value: FormValue; reason: string }[];
+}
+
+export function listFormFields(pdfDoc: PDFDocument): FormField[] {
+  const form = pdfDoc.getForm();
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, i) => [page.ref.toString(), i + 1]));
+  const annotPages = mapAnnotationPages(pdfDoc);
+
+  return form.getFields().map(field => {
+    const pages = new Set<number>();
+    for (const widget of field.acroField.getWidgets()) {
+      const pageRef = widget.P();
+      const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+      const page = (pageRef && pageNumbers.get(pageRef.toString()))
+        ?? (widgetRef && annotPages.get(widgetRef.toString()));
+      if (page) pages.add(page);
+    }
+
+    return {
+      name: field.getName(),
+      ...describeValue(field),
+      pages: [...pages].sort((a, b) => a - b),
+      required: field.isRequired(),
+      readOnly: field.isReadOnly()
+    };
+  });
+}
+
+/**
+ * Set field values. Unknown names and values a field cannot take are
+ * collected in the report; the remaining fields are still filled.
+ */
+export async function fillFormFields(
+  pdfDoc: PDFDocument,
+  values: Record<string, FormValue>
+): Promise<FormFillReport> {
+  const form = pdfDoc.getForm();
+  const fields = new Map(form.getFields().map(field => [field.getName(), field]));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const report: FormFillReport = { filled: [], unknownFields: [], invalidValues: [] };
+
+  for (const [name, value] of Object.entries(values)) {
+    const field = fields.get(name);
+    if (!field) {
+      report.unknownFields.push(name);
+      continue;
+    }
+
+    const reason = field.isReadOnly() ? 'field is read-only' : setFieldValue(field, value, font);
+    if (reason) {
+      report.invalidValues.push({ field: name, value, reason });
+    } else {
+      report.filled.push(name);
+    }
+  }
+
+  return report;
+}
+
+/** Returns a reason when the value was rejected */
+function setFieldValue(field: PDFField, value: FormValue, font: PDFFont): string | undefined {
+  if (field instanceof PDFTextField) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return 'text fields take a string';
+    }
+    const text = String(value);
+    const maxLength = field.getMaxLength();
+    if (maxLength !== undefined && text.length > maxLength) {
+      return `longer than the field's maximum of ${maxLength} characters`;
+    }
+    const previous = field.getText();
+    try {
+      field.setText(text);
+      field.updateAppearances(font);
+    } catch (error) {
+      field.setText(previous);
+      return `cannot be displayed with the form font: ${error instanceof Error ? error.message : String(error)}`;
+    }
+    return undefined;
+  }
+
+  if (field instanceof PDFCheckBox) {
+    const checked = parseBoolean(value, field.acroField.getOnValue()?.decodeText());
+    if (checked === undefined) {
+      return 'checkboxes take true/false';
+    }
+    if (checked) field.check(); else field.uncheck();
+    return undefined;
+  }
+
+  if (field instanceof PDFRadioGroup) {
+    const options = field.getOptions();
+    if (value === false || value === '') {
+      field.clear();
+      return undefined;
+    }
+    if (typeof value !== 'string' || !options.includes(value)) {
+      return `expected one of: ${options.join(', ')}`;
+    }
+    field.select(value);
+    return undefined;
+  }
+
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = Array.isArray(value) ? value : [String(value)];
+    const options = field.getOptions();
+    const editable = field instanceof PDFDropdown && field.isEditable();
+    if (selected.length > 1 && !field.isMultiselect()) {
+      return 'field allows a single selection';
+    }
+    const unknown = selected.filter(option => !options.includes(option));
+    if (unknown.length > 0 && !editable) {
+      return `expected one of: ${options.join(', ')}`;
+    }
+    if (selected.length === 0 || (selected.length === 1 && selected[0] === '')) {
+      field.clear();
+    } else {
+      field.select(selected);
+    }
+    return undefined;
+  }
+
+  if (field instanceof PDFSignature) {
+    return 'signature fields cannot be filled';
+  }
+  return 'push buttons have no value';
+}
+
+function describeValue(field: PDFField): Pick<FormField, 'type' | 'value' | 'options' | 'maxLength' | 'multiline' | 'multiselect' | 'editable'> {
+  if (field instanceof PDFTextField) {
+    return {
+      type: 'text',
+      value: field.getText() ?? null,
+      maxLength: field.getMaxLength(),
+      multiline: field.isMultiline()
+    };
+  }
+  if (field instanceof PDFCheckBox) {
+    return { type: 'checkbox', value: field.isChecked() };
+  }
+  if (field instanceof PDFRadioGroup) {
+    return { type: 'radio', value: field.getSelected() ?? null, options: field.getOptions() };
+  }
+  if (field instanceof PDFDropdown) {
+    return {
+      type: 'dropdown',
+      value: field.isMultiselect() ? field.getSelected() : field.getSelected()[0] ?? null,
+      options: field.getOptions(),
+      multiselect: field.isMultiselect(),
+      editable: field.isEditable()
+    };
+  }
+  if (field instanceof PDFOptionList) {
+    return {
+      type: 'optionList',
+      value: field.isMultiselect() ? field.getSelected() : field.getSelected()[0] ?? null,
+      options: field.getOptions(),
+      multiselect: field.isMultiselect()
+    };
+  }
+  if (field instanceof PDFSignature) {
+    return { type: 'signature', value: null };
+  }
+  return { type: 'button', value: null };
+}
+
+function parseBoolean(value: FormValue, onValue?: string): boolean | undefined {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return undefined;
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', 'on', 'x', '1'].includes(normalized) || (onValue && value === onValue)) return true;
+  if (['false', 'no', 'off', '0', ''].includes(normalized)) return false;
+  return undefined;
+}
+
+/** Widgets without a /P entry are located through the pages' /Annots arrays */
+function mapAnnotationPages(pdfDoc: PDFDocument): Map<string, number> {
+  const pages = new Map<string, number>();
+  pdfDoc.getPages().forEach((page, i) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let k = 0; k < annots.size(); k++) {
+      const ref = annots.get(k);
+      if (ref instanceof PDFRef) pages.set(ref.toString(), i + 1);
+    }
+  });
+  return pages;
+}
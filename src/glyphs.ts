@@ -0,0 +1,384 @@
+/**
+ * Font decoding for content stream interpretation: split shown strings into
+ * character codes, and look up each code's advance width and Unicode text.
+ * Covers simple fonts (Type1, TrueType, Type3) and composite fonts (Type0),
+ * using /ToUnicode maps where present and the font's encoding otherwise.
+ */
+
+import { Encodings, Font, FontNames } from '@pdf-lib/standard-fonts';
+import { decodePDFRawStream, PDFArray, PDFDict, PDFName, PDFNumber, PDFRawStream } from 'pdf-lib';
+
+export interface GlyphFont {
+  name: string;
+  /** Split the bytes of a shown string into character codes */
+  split(bytes: Uint8Array): { code: number; length: number }[];
+  /** Advance width in text space per unit of font size */
+  width(code: number): number;
+  unicode(code: number): string | undefined;
+  /** False when the font maps no codes to Unicode, so its text cannot be searched */
+  hasUnicode: boolean;
+}
+
+interface CodeRange {
+  low: number;
+  high: number;
+  length: number;
+}
+
+/** bfrange entries keep their destination, so large ranges are not expanded */
+interface UnicodeRange {
+  low: number;
+  high: number;
+  start?: string;
+  list?: string[];
+}
+
+interface UnicodeMap {
+  chars: Map<number, string>;
+  ranges: UnicodeRange[];
+  codespace: CodeRange[];
+}
+
+// Glyph name → Unicode for names used by the standard encodings
+const GLYPH_UNICODE = new Map<string, string>();
+// Code → glyph name of the built-in encodings
+const WIN_ANSI_NAMES = new Map<number, string>();
+const SYMBOL_NAMES = new Map<number, string>();
+const DINGBATS_NAMES = new Map<number, string>();
+
+for (const [encoding, names] of [
+  [Encodings.WinAnsi, WIN_ANSI_NAMES],
+  [Encodings.Symbol, SYMBOL_NAMES],
+  [Encodings.ZapfDingbats, DINGBATS_NAMES]
+] as const) {
+  for (const codePoint of encoding.supportedCodePoints) {
+    const { code, name } = encoding.encodeUnicodeCodePoint(codePoint);
+    if (!GLYPH_UNICODE.has(name)) GLYPH_UNICODE.set(name, String.fromCodePoint(codePoint));
+    if (!names.has(code)) names.set(code, name);
+  }
+}
+
+// Adobe StandardEncoding differs from WinAnsi in the quotes and the upper half
+const STANDARD_NAMES = new Map<number, string>([
+  ...Array.from(WIN_ANSI_NAMES).filter(([code]) => code >= 0x20 && code < 0x7f),
+  [0x27, 'quoteright'], [0x60, 'quoteleft'],
+  [0xa1, 'exclamdown'], [0xa2, 'cent'], [0xa3, 'sterling'], [0xa4, 'fraction'], [0xa5, 'yen'],
+  [0xa6, 'florin'], [0xa7, 'section'], [0xa8, 'currency'], [0xa9, 'quotesingle'], [0xaa, 'quotedblleft'],
+  [0xab, 'guillemotleft'], [0xac, 'guilsinglleft'], [0xad, 'guilsinglright'], [0xae, 'fi'], [0xaf, 'fl'],
+  [0xb1, 'endash'], [0xb2, 'dagger'], [0xb3, 'daggerdbl'], [0xb4, 'periodcentered'], [0xb6, 'paragraph'],
+  [0xb7, 'bullet'], [0xb8, 'quotesinglbase'], [0xb9, 'quotedblbase'], [0xba, 'quotedblright'],
+  [0xbb, 'guillemotright'], [0xbc, 'ellipsis'], [0xbd, 'perthousand'], [0xbf, 'questiondown'],
+  [0xc1, 'grave'], [0xc2, 'acute'], [0xc3, 'circumflex'], [0xc4, 'tilde'], [0xc5, 'macron'],
+  [0xc6, 'breve'], [0xc7, 'dotaccent'], [0xc8, 'dieresis'], [0xca, 'ring'], [0xcb, 'cedilla'],
+  [0xcd, 'hungarumlaut'], [0xce, 'ogonek'], [0xcf, 'caron'], [0xd0, 'emdash'], [0xe1, 'AE'],
+  [0xe3, 'ordfeminine'], [0xe8, 'Lslash'], [0xe9, 'Oslash'], [0xea, 'OE'], [0xeb, 'ordmasculine'],
+  [0xf1, 'ae'], [0xf5, 'dotlessi'], [0xf8, 'lslash'], [0xf9, 'oslash'], [0xfa, 'oe'], [0xfb, 'germandbls']
+]);
+for (const [name, text] of [['fi', 'ﬁ'], ['fl', 'ﬂ'], ['fraction', '⁄'], ['dotlessi', 'ı'], ['Lslash', 'Ł'], ['lslash', 'ł']]) {
+  if (!GLYPH_UNICODE.has(name)) GLYPH_UNICODE.set(name, text);
+}
+
+const STANDARD_FONTS: [RegExp, string][] = [
+  [/^(Helvetica|Arial)/i, 'Helvetica'],
+  [/^(Times|TimesNewRoman)/i, 'Times'],
+  [/^Courier/i, 'Courier'],
+  [/^Symbol/i, FontNames.Symbol],
+  [/^ZapfDingbats/i, FontNames.ZapfDingbats]
+];
+
+const metricsCache = new Map<string, Font>();
+
+export function loadGlyphFont(dict: PDFDict): GlyphFont {
+  const subtype = dict.lookupMaybe(PDFName.of('Subtype'), PDFName)?.decodeText();
+  const baseFont = dict.lookupMaybe(PDFName.of('BaseFont'), PDFName)?.decodeText() ?? '';
+  const toUnicode = readUnicodeMap(dict.lookup(PDFName.of('ToUnicode')));
+  return subtype === 'Type0'
+    ? compositeFont(dict, baseFont, toUnicode)
+    : simpleFont(dict, subtype, baseFont, toUnicode);
+}
+
+function simpleFont(dict: PDFDict, subtype: string | undefined, baseFont: string, toUnicode: UnicodeMap | undefined): GlyphFont {
+  const firstChar = numberOf(dict, 'FirstChar', 0);
+  const widths = numbersOf(dict.lookupMaybe(PDFName.of('Widths'), PDFArray));
+  const descriptor = dict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  const missingWidth = descriptor ? numberOf(descriptor, 'MissingWidth', 0) : 0;
+  // Type3 glyph widths are in glyph space, mapped to text space by the font matrix
+  const fontMatrix = numbersOf(dict.lookupMaybe(PDFName.of('FontMatrix'), PDFArray));
+  const scale = subtype === 'Type3' && fontMatrix ? fontMatrix[0] : 0.001;
+
+  const names = encodingNames(dict, baseFont);
+  const metrics = widths ? undefined : standardMetrics(baseFont);
+
+  const unicode = (code: number): string | undefined => {
+    const mapped = toUnicode && lookupUnicode(toUnicode, code);
+    if (mapped !== undefined) return mapped;
+    const name = names.get(code);
+    if (name) return glyphNameToUnicode(name);
+    return undefined;
+  };
+
+  return {
+    name: baseFont,
+    split: bytes => Array.from(bytes, code => ({ code, length: 1 })),
+    width: code => {
+      const listed = widths?.[code - firstChar];
+      if (listed !== undefined) return listed * scale;
+      const name = names.get(code);
+      const standard = name && metrics?.getWidthOfGlyph(name);
+      return (standard || missingWidth) * scale;
+    },
+    unicode,
+    hasUnicode: !!toUnicode || names.size > 0
+  };
+}
+
+function compositeFont(dict: PDFDict, baseFont: string, toUnicode: UnicodeMap | undefined): GlyphFont {
+  const descendant = dict.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray)?.lookupMaybe(0, PDFDict);
+  const defaultWidth = descendant ? numberOf(descendant, 'DW', 1000) : 1000;
+  const widths = cidWidths(descendant?.lookupMaybe(PDFName.of('W'), PDFArray));
+
+  // Identity and the predefined CMaps use two-byte codes; embedded CMaps say so themselves
+  const encoding = dict.lookup(PDFName.of('Encoding'));
+  const encodingName = encoding instanceof PDFName ? encoding.decodeText() : '';
+  const cmap = encoding instanceof PDFRawStream ? readCidMap(encoding) : undefined;
+  const codespace = cmap?.codespace.length ? cmap.codespace : toUnicode?.codespace.length ? toUnicode.codespace : undefined;
+  const isUnicodeCMap = /UCS2|UTF16/.test(encodingName);
+
+  const cid = (code: number) => (cmap ? lookupCid(cmap, code) : code);
+  return {
+    name: baseFont,
+    split: bytes => splitCodes(bytes, codespace),
+    width: code => (widths.get(cid(code)) ?? defaultWidth) * 0.001,
+    unicode: code => (toUnicode && lookupUnicode(toUnicode, code)) ?? (isUnicodeCMap ? String.fromCharCode(code) : undefined),
+    hasUnicode: !!toUnicode || isUnicodeCMap
+  };
+}
+
+/** Code → glyph name from the base encoding and /Differences */
+function encodingNames(dict: PDFDict, baseFont: string): Map<number, string> {
+  const encoding = dict.lookup(PDFName.of('Encoding'));
+  const base = encoding instanceof PDFName ? encoding : encoding instanceof PDFDict ? encoding.lookup(PDFName.of('BaseEncoding')) : undefined;
+  const baseName = base instanceof PDFName ? base.decodeText() : undefined;
+  const standard = standardFontName(baseFont);
+
+  let names: Map<number, string>;
+  if (baseName === 'WinAnsiEncoding') names = new Map(WIN_ANSI_NAMES);
+  else if (baseName === 'MacRomanEncoding') names = macRomanNames();
+  else if (baseName === 'StandardEncoding') names = new Map(STANDARD_NAMES);
+  else if (standard === FontNames.Symbol) names = new Map(SYMBOL_NAMES);
+  else if (standard === FontNames.ZapfDingbats) names = new Map(DINGBATS_NAMES);
+  else if (dict.lookup(PDFName.of('Subtype')) === PDFName.of('TrueType')) names = new Map(WIN_ANSI_NAMES);
+  else names = new Map(STANDARD_NAMES);
+
+  const differences = encoding instanceof PDFDict ? encoding.lookupMaybe(PDFName.of('Differences'), PDFArray) : undefined;
+  let code = 0;
+  for (const item of differences?.asArray() ?? []) {
+    if (item instanceof PDFNumber) code = item.asNumber();
+    else if (item instanceof PDFName) names.set(code++, item.decodeText());
+  }
+  return names;
+}
+
+let macRoman: Map<number, string> | undefined;
+
+function macRomanNames(): Map<number, string> {
+  if (!macRoman) {
+    const byUnicode = new Map(Array.from(GLYPH_UNICODE, ([name, text]) => [text, name]));
+    const decoder = new TextDecoder('macintosh');
+    macRoman = new Map();
+    for (let code = 0x20; code < 0x100; code++) {
+      const name = byUnicode.get(decoder.decode(Uint8Array.of(code)));
+      if (name) macRoman.set(code, name);
+    }
+  }
+  return new Map(macRoman);
+}
+
+function glyphNameToUnicode(name: string): string | undefined {
+  const known = GLYPH_UNICODE.get(name);
+  if (known) return known;
+  const base = name.split('.')[0];
+  if (base !== name && GLYPH_UNICODE.has(base)) return GLYPH_UNICODE.get(base);
+  // Ligatures named after their parts, e.g. f_f_i
+  if (base.includes('_')) {
+    const parts = base.split('_').map(part => glyphNameToUnicode(part));
+    if (parts.every(part => part !== undefined)) return parts.join('');
+  }
+  const uni = /^uni((?:[0-9A-F]{4})+)$/.exec(base);
+  if (uni) return String.fromCharCode(...uni[1].match(/.{4}/g)!.map(hex => parseInt(hex, 16)));
+  const u = /^u([0-9A-F]{4,6})$/.exec(base);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+  return undefined;
+}
+
+function standardFontName(baseFont: string): string | undefined {
+  const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+  const match = STANDARD_FONTS.find(([pattern]) => pattern.test(name));
+  if (!match) return undefined;
+  const family = match[1];
+  if (family === FontNames.Symbol || family === FontNames.ZapfDingbats) return family;
+
+  const bold = /bold|black|heavy/i.test(name);
+  const italic = /italic|oblique/i.test(name);
+  if (family === 'Times') {
+    return bold && italic ? FontNames.TimesRomanBoldItalic : bold ? FontNames.TimesRomanBold : italic ? FontNames.TimesRomanItalic : FontNames.TimesRoman;
+  }
+  return `${family}${bold || italic ? '-' : ''}${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`;
+}
+
+function standardMetrics(baseFont: string): Font | undefined {
+  const name = standardFontName(baseFont);
+  if (!name) return undefined;
+  if (!metricsCache.has(name)) metricsCache.set(name, Font.load(name as FontNames));
+  return metricsCache.get(name);
+}
+
+/** /W array: c [w1 w2 ...] or c_first c_last w */
+function cidWidths(array: PDFArray | undefined): Map<number, number> {
+  const widths = new Map<number, number>();
+  const items = array?.asArray() ?? [];
+  for (let i = 0; i < items.length;) {
+    const first = array!.lookup(i);
+    const next = array!.lookup(i + 1);
+    if (!(first instanceof PDFNumber)) break;
+    if (next instanceof PDFArray) {
+      next.asArray().forEach((width, j) => {
+        if (width instanceof PDFNumber) widths.set(first.asNumber() + j, width.asNumber());
+      });
+      i += 2;
+    } else {
+      const last = array!.lookup(i + 1);
+      const width = array!.lookup(i + 2);
+      if (!(last instanceof PDFNumber) || !(width instanceof PDFNumber)) break;
+      // Guard against ranges covering the whole code space
+      for (let cid = first.asNumber(); cid <= Math.min(last.asNumber(), first.asNumber() + 0xffff); cid++) {
+        widths.set(cid, width.asNumber());
+      }
+      i += 3;
+    }
+  }
+  return widths;
+}
+
+function splitCodes(bytes: Uint8Array, codespace: CodeRange[] | undefined): { code: number; length: number }[] {
+  const codes: { code: number; length: number }[] = [];
+  for (let pos = 0; pos < bytes.length;) {
+    let length = 0;
+    if (codespace) {
+      for (let n = 1; n <= 4 && pos + n <= bytes.length && length === 0; n++) {
+        const code = readCode(bytes, pos, n);
+        if (codespace.some(range => range.length === n && code >= range.low && code <= range.high)) length = n;
+      }
+    }
+    // Without a matching range, assume the usual two-byte codes
+    if (length === 0) length = Math.min(2, bytes.length - pos);
+    codes.push({ code: readCode(bytes, pos, length), length });
+    pos += length;
+  }
+  return codes;
+}
+
+function readCode(bytes: Uint8Array, pos: number, length: number): number {
+  let code = 0;
+  for (let i = 0; i < length; i++) code = code * 256 + bytes[pos + i];
+  return code;
+}
+
+function readUnicodeMap(value: unknown): UnicodeMap | undefined {
+  if (!(value instanceof PDFRawStream)) return undefined;
+  let text: string;
+  try {
+    text = Buffer.from(decodePDFRawStream(value).decode()).toString('latin1');
+  } catch {
+    return undefined;
+  }
+
+  const map: UnicodeMap = { chars: new Map(), ranges: [], codespace: readCodespace(text) };
+  for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const tokens = Array.from(body.matchAll(/<([0-9A-Fa-f\s]*)>/g), match => match[1].replace(/\s/g, ''));
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+      map.chars.set(parseInt(tokens[i], 16), utf16(tokens[i + 1]));
+    }
+  }
+  for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const tokens = Array.from(body.matchAll(/<([0-9A-Fa-f\s]*)>|\[|\]/g), match => match[1]?.replace(/\s/g, '') ?? match[0]);
+    for (let i = 0; i + 2 < tokens.length;) {
+      const low = parseInt(tokens[i], 16);
+      const high = parseInt(tokens[i + 1], 16);
+      if (tokens[i + 2] === '[') {
+        const list: string[] = [];
+        let j = i + 3;
+        while (j < tokens.length && tokens[j] !== ']') list.push(utf16(tokens[j++]));
+        map.ranges.push({ low, high, list });
+        i = j + 1;
+      } else {
+        map.ranges.push({ low, high, start: utf16(tokens[i + 2]) });
+        i += 3;
+      }
+    }
+  }
+  return map.chars.size > 0 || map.ranges.length > 0 ? map : undefined;
+}
+
+function lookupUnicode(map: UnicodeMap, code: number): string | undefined {
+  const char = map.chars.get(code);
+  if (char !== undefined) return char;
+  for (const range of map.ranges) {
+    if (code < range.low || code > range.high) continue;
+    if (range.list) return range.list[code - range.low];
+    // The last character of the destination is incremented through the range
+    const start = range.start!;
+    return start.slice(0, -1) + String.fromCharCode(start.charCodeAt(start.length - 1) + code - range.low);
+  }
+  return undefined;
+}
+
+/** Embedded CMap for a Type0 font: code space and code → CID */
+function readCidMap(stream: PDFRawStream): { codespace: CodeRange[]; chars: Map<number, number>; ranges: { low: number; high: number; cid: number }[] } {
+  const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+  const chars = new Map<number, number>();
+  const ranges: { low: number; high: number; cid: number }[] = [];
+  for (const [, body] of text.matchAll(/begincidchar([\s\S]*?)endcidchar/g)) {
+    for (const [, code, cid] of body.matchAll(/<([0-9A-Fa-f]+)>\s+(\d+)/g)) chars.set(parseInt(code, 16), Number(cid));
+  }
+  for (const [, body] of text.matchAll(/begincidrange([\s\S]*?)endcidrange/g)) {
+    for (const [, low, high, cid] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s+(\d+)/g)) {
+      ranges.push({ low: parseInt(low, 16), high: parseInt(high, 16), cid: Number(cid) });
+    }
+  }
+  return { codespace: readCodespace(text), chars, ranges };
+}
+
+function lookupCid(cmap: { chars: Map<number, number>; ranges: { low: number; high: number; cid: number }[] }, code: number): number {
+  const cid = cmap.chars.get(code);
+  if (cid !== undefined) return cid;
+  const range = cmap.ranges.find(range => code >= range.low && code <= range.high);
+  return range ? range.cid + code - range.low : 0;
+}
+
+function readCodespace(text: string): CodeRange[] {
+  const ranges: CodeRange[] = [];
+  for (const [, body] of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, low, high] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) {
+      ranges.push({ low: parseInt(low, 16), high: parseInt(high, 16), length: low.length / 2 });
+    }
+  }
+  return ranges;
+}
+
+function utf16(hex: string): string {
+  const bytes = Buffer.from(hex.length % 2 === 1 ? `${hex}0` : hex, 'hex');
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  // Single-byte destinations are seen in the wild
+  return bytes.length === 1 ? String.fromCharCode(bytes[0]) : text;
+}
+
+function numberOf(dict: PDFDict, key: string, fallback: number): number {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+function numbersOf(array: PDFArray | undefined): number[] | undefined {
+  return array?.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : 0));
+}
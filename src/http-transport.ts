@@ -0,0 +1,171 @@
+/**
+ * Streamable HTTP transport, so one server process can be shared by several
+ * clients. Each client session gets its own MCP server connected to its own
+ * transport; all of them share the PDF tools.
+ */
+
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { createServer, IncomingMessage, Server as HttpServer, ServerResponse } from 'http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export interface HttpOptions {
+  port: number;
+  /** Interface to listen on (default: 127.0.0.1, reachable from this machine only) */
+  host?: string;
+  /**
+   * Bearer token every request must present in its Authorization header.
+   * Required to listen on anything but loopback.
+   */
+  token?: string;
+}
+
+export const MCP_ENDPOINT = '/mcp';
+
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+// Sessions of clients that went away without closing them are dropped after this long
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 1000;
+
+interface Session {
+  transport: StreamableHTTPServerTransport;
+  lastUsed: number;
+  /** Requests still being answered, open event streams included */
+  active: number;
+}
+
+/**
+ * Serve MCP at http://<host>:<port>/mcp. connect is called with the
+ * transport of every new session. Other hosts than loopback serve the file
+ * tools to the network, so they are refused without a token.
+ */
+export async function serveHttp(
+  connect: (transport: StreamableHTTPServerTransport) => Promise<void>,
+  options: HttpOptions
+): Promise<HttpServer> {
+  const host = options.host ?? '127.0.0.1';
+  if (!LOOPBACK_HOSTS.includes(host) && !options.token) {
+    throw new Error(`Refusing to listen on ${host} without a bearer token: any client on the network could read and write files`);
+  }
+  const expectedToken = options.token ? digest(options.token) : undefined;
+  // On loopback, reject requests for other host names (DNS rebinding from web pages)
+  const allowedHosts = LOOPBACK_HOSTS.includes(host)
+    ? ['127.0.0.1', 'localhost', '[::1]'].map(name => `${name}:${options.port}`)
+    : undefined;
+  const sessions = new Map<string, Session>();
+
+  const handle = async (req: IncomingMessage, res: ServerResponse) => {
+    if (new URL(req.url ?? '/', 'http://localhost').pathname !== MCP_ENDPOINT) {
+      return sendError(res, 404, `Not found; the MCP endpoint is ${MCP_ENDPOINT}`);
+    }
+    if (expectedToken && !authorized(req, expectedToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'Missing or invalid bearer token');
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = typeof sessionId === 'string' ? sessions.get(sessionId) : undefined;
+    if (existing) {
+      existing.active++;
+      res.on('close', () => {
+        existing.active--;
+        existing.lastUsed = Date.now();
+      });
+      return existing.transport.handleRequest(req, res, req.method === 'POST' ? await readJson(req) : undefined);
+    }
+    if (sessionId !== undefined) {
+      return sendError(res, 404, 'Unknown or expired session');
+    }
+    if (req.method !== 'POST') {
+      return sendError(res, 400, 'Missing Mcp-Session-Id header');
+    }
+
+    const body = await readJson(req);
+    if (!isInitializeRequest(body)) {
+      return sendError(res, 400, 'The first request of a session must be initialize');
+    }
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        sessions.set(id, { transport, lastUsed: Date.now(), active: 0 });
+      },
+      onsessionclosed: id => {
+        sessions.delete(id);
+      },
+      enableDnsRebindingProtection: !!allowedHosts,
+      allowedHosts,
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    // connect may add its own close handling, but must chain this onclose rather than replace it
+    await connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch(error => {
+      console.error('[HTTP Error]', error);
+      if (!res.headersSent) {
+        sendError(res, error instanceof SyntaxError ? 400 : 500, error instanceof Error ? error.message : String(error));
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const session of sessions.values()) {
+      if (session.active === 0 && session.lastUsed < cutoff) {
+        // onclose removes it from the map
+        session.transport.close().catch(() => {});
+      }
+    }
+  }, SESSION_SWEEP_MS);
+  sweep.unref();
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  server.on('close', () => {
+    clearInterval(sweep);
+    for (const session of sessions.values()) {
+      session.transport.close().catch(() => {});
+    }
+  });
+  return server;
+}
+
+async function readJson(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+function digest(text: string): Buffer {
+  return createHash('sha256').update(text).digest();
+}
+
+/** Compare digests, so the check takes as long whatever the token length */
+function authorized(req: IncomingMessage, expected: Buffer): boolean {
+  const match = /^Bearer (.+)$/i.exec(req.headers.authorization ?? '');
+  return !!match && timingSafeEqual(digest(match[1]), expected);
+}
+
+function sendError(res: ServerResponse, status: number, message: string): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
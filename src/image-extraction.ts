@@ -0,0 +1,410 @@
+/**
+ * Embedded image extraction: find image XObjects on pages (including inside
+ * form XObjects), keep JPEG and JPEG 2000 streams as they are and decode
+ * everything else to RGBA for PNG output.
+ */
+
+import {
+  decodePDFRawStream,
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFObject,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFHexString
+} from 'pdf-lib';
+
+export interface PageImage {
+  ref: PDFRef;
+  stream: PDFRawStream;
+  /** 1-based page the image was first found on */
+  pageNumber: number;
+  /** Resource name, e.g. "Im0" */
+  name: string;
+  /** Resources the image was found in, for resolving named color spaces */
+  resources: PDFDict;
+}
+
+export type EncodedImage =
+  | { format: 'jpg' | 'jp2'; bytes: Uint8Array }
+  | { format: 'png'; width: number; height: number; data: Uint8Array };
+
+export interface ImageDescription {
+  width: number;
+  height: number;
+  colorSpace: string;
+  bitsPerComponent: number;
+  filters: string[];
+}
+
+interface ColorSpace {
+  name: string;
+  components: number;
+  toRGB: (values: number[]) => [number, number, number];
+  /** Lookup-based spaces take raw sample values rather than 0-1 values */
+  indexed?: boolean;
+}
+
+/**
+ * Collect the image XObjects used by the given 0-based pages. An image used
+ * on several pages is returned once, for the first page it appears on.
+ */
+export function collectPageImages(pdfDoc: PDFDocument, pageIndexes: number[]): PageImage[] {
+  const pages = pdfDoc.getPages();
+  const seen = new Set<string>();
+  const images: PageImage[] = [];
+
+  const walk = (resources: PDFDict | undefined, pageNumber: number, visitedForms: Set<string>) => {
+    const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!resources || !xObjects) return;
+
+    for (const [key, value] of xObjects.entries()) {
+      if (!(value instanceof PDFRef)) continue;
+      const stream = pdfDoc.context.lookup(value);
+      if (!(stream instanceof PDFStream)) continue;
+      const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+
+      if (subtype === PDFName.of('Image') && stream instanceof PDFRawStream && !seen.has(value.toString())) {
+        seen.add(value.toString());
+        images.push({ ref: value, stream, pageNumber, name: key.decodeText(), resources });
+      } else if (subtype === PDFName.of('Form') && !visitedForms.has(value.toString())) {
+        visitedForms.add(value.toString());
+        walk(stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), pageNumber, visitedForms);
+      }
+    }
+  };
+
+  for (const index of pageIndexes) {
+    const page = pages[index];
+    walk(page.node.Resources(), index + 1, new Set());
+  }
+
+  return images;
+}
+
+export function describeImage(image: PageImage): ImageDescription {
+  const dict = image.stream.dict;
+  const isMask = dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+  let colorSpace = 'unknown';
+  try {
+    colorSpace = isMask ? 'ImageMask' : resolveColorSpace(dict.lookup(PDFName.of('ColorSpace')), image.resources).name;
+  } catch {
+    // Reported as unknown; decoding reports the reason
+  }
+
+  return {
+    width: numberOf(dict, 'Width'),
+    height: numberOf(dict, 'Height'),
+    colorSpace,
+    bitsPerComponent: isMask ? 1 : numberOf(dict, 'BitsPerComponent', 8),
+    filters: filtersOf(dict)
+  };
+}
+
+/**
+ * JPEG (DCTDecode) and JPEG 2000 (JPXDecode) data is returned unchanged;
+ * other images are decoded to RGBA. Throws for encodings that cannot be
+ * decoded (CCITT fax, JBIG2) or unsupported color spaces.
+ */
+export function encodeImage(image: PageImage): EncodedImage {
+  const dict = image.stream.dict;
+  const filters = filtersOf(dict);
+  const last = filters[filters.length - 1];
+
+  if (last === 'DCTDecode' || last === 'JPXDecode') {
+    const bytes = filters.length > 1 ? decodeFilters(image.stream, filters.length - 1) : image.stream.contents;
+    return { format: last === 'DCTDecode' ? 'jpg' : 'jp2', bytes };
+  }
+
+  const unsupported = filters.find(filter => !DECODABLE_FILTERS.has(filter));
+  if (unsupported) {
+    throw new Error(`${unsupported} images are not supported`);
+  }
+
+  const width = numberOf(dict, 'Width');
+  const height = numberOf(dict, 'Height');
+  const samples = applyPredictor(decodeFilters(image.stream, filters.length), dict, filters.length);
+  const isMask = dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+
+  let data: Uint8Array;
+  if (isMask) {
+    data = decodeStencil(samples, width, height, decodeArray(dict, 1));
+  } else {
+    const colorSpace = resolveColorSpace(dict.lookup(PDFName.of('ColorSpace')), image.resources);
+    const bpc = numberOf(dict, 'BitsPerComponent', 8);
+    data = decodeSamples(samples, width, height, bpc, colorSpace, decodeArray(dict, colorSpace.components));
+  }
+
+  const smask = dict.lookup(PDFName.of('SMask'));
+  if (smask instanceof PDFRawStream) {
+    applySoftMask(data, width, height, smask);
+  }
+
+  return { format: 'png', width, height, data };
+}
+
+const DECODABLE_FILTERS = new Set(['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode']);
+
+function filtersOf(dict: PDFDict): string[] {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFName) return [filter.decodeText()];
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(item => (item instanceof PDFName ? item.decodeText() : String(item)));
+  }
+  return [];
+}
+
+/** Run the first `count` filters of the stream */
+function decodeFilters(stream: PDFRawStream, count: number): Uint8Array {
+  const filters = stream.dict.lookup(PDFName.of('Filter'));
+  if (count === 0 || !filters) return stream.contents;
+
+  const dict = stream.dict.clone();
+  if (filters instanceof PDFArray) {
+    const parms = stream.dict.lookup(PDFName.of('DecodeParms'));
+    dict.set(PDFName.of('Filter'), stream.dict.context.obj(filters.asArray().slice(0, count)));
+    if (parms instanceof PDFArray) {
+      dict.set(PDFName.of('DecodeParms'), stream.dict.context.obj(parms.asArray().slice(0, count)));
+    }
+  }
+  return decodePDFRawStream(PDFRawStream.of(dict, stream.contents)).decode();
+}
+
+/** Undo PNG (10-15) and TIFF (2) predictors of the last decoded filter */
+function applyPredictor(data: Uint8Array, dict: PDFDict, filterCount: number): Uint8Array {
+  const rawParms = dict.lookup(PDFName.of('DecodeParms'));
+  const parms = rawParms instanceof PDFArray ? rawParms.lookup(filterCount - 1) : rawParms;
+  if (!(parms instanceof PDFDict)) return data;
+
+  const predictor = numberOf(parms, 'Predictor', 1);
+  if (predictor < 2) return data;
+
+  const colors = numberOf(parms, 'Colors', 1);
+  const bpc = numberOf(parms, 'BitsPerComponent', 8);
+  const columns = numberOf(parms, 'Columns', 1);
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bpc) / 8));
+  const rowLength = Math.ceil((colors * bpc * columns) / 8);
+
+  if (predictor === 2) {
+    if (bpc !== 8) throw new Error('TIFF predictor is only supported for 8-bit images');
+    const out = Uint8Array.from(data);
+    for (let row = 0; row * rowLength < out.length; row++) {
+      for (let i = bytesPerPixel; i < rowLength; i++) {
+        const at = row * rowLength + i;
+        out[at] = (out[at] + out[at - bytesPerPixel]) & 0xff;
+      }
+    }
+    return out;
+  }
+
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = new Uint8Array(rows * rowLength);
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const src = row * (rowLength + 1) + 1;
+    const dst = row * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? out[dst + i - bytesPerPixel] : 0;
+      const up = row > 0 ? out[dst - rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? out[dst - rowLength + i - bytesPerPixel] : 0;
+      let value = data[src + i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += (left + up) >> 1;
+      else if (type === 4) value += paeth(left, up, upLeft);
+      out[dst + i] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function decodeSamples(
+  samples: Uint8Array,
+  width: number,
+  height: number,
+  bpc: number,
+  colorSpace: ColorSpace,
+  decode: number[] | undefined
+): Uint8Array {
+  const components = colorSpace.components;
+  const rowBits = width * components * bpc;
+  const rowBytes = Math.ceil(rowBits / 8);
+  const maxValue = (1 << bpc) - 1;
+  const out = new Uint8Array(width * height * 4);
+  const values = new Array<number>(components);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < components; c++) {
+        const raw = readSample(samples, y * rowBytes * 8 + (x * components + c) * bpc, bpc);
+        if (colorSpace.indexed) {
+          values[c] = decode ? Math.round(decode[0] + (raw * (decode[1] - decode[0])) / maxValue) : raw;
+        } else {
+          const [dmin, dmax] = decode ? [decode[c * 2], decode[c * 2 + 1]] : [0, 1];
+          values[c] = dmin + (raw * (dmax - dmin)) / maxValue;
+        }
+      }
+      const [r, g, b] = colorSpace.toRGB(values);
+      const at = (y * width + x) * 4;
+      out[at] = r;
+      out[at + 1] = g;
+      out[at + 2] = b;
+      out[at + 3] = 255;
+    }
+  }
+  return out;
+}
+
+/** Stencil masks paint black where the sample is 0 (or 1 with Decode [1 0]) */
+function decodeStencil(samples: Uint8Array, width: number, height: number, decode: number[] | undefined): Uint8Array {
+  const rowBytes = Math.ceil(width / 8);
+  const paintValue = decode && decode[0] === 1 ? 1 : 0;
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = readSample(samples, y * rowBytes * 8 + x, 1);
+      out[(y * width + x) * 4 + 3] = bit === paintValue ? 255 : 0;
+    }
+  }
+  return out;
+}
+
+function readSample(data: Uint8Array, bitOffset: number, bpc: number): number {
+  if (bpc === 8) return data[bitOffset >> 3] ?? 0;
+  if (bpc === 16) return ((data[bitOffset >> 3] ?? 0) << 8) | (data[(bitOffset >> 3) + 1] ?? 0);
+  const byte = data[bitOffset >> 3] ?? 0;
+  const shift = 8 - (bitOffset & 7) - bpc;
+  return (byte >> shift) & ((1 << bpc) - 1);
+}
+
+function applySoftMask(rgba: Uint8Array, width: number, height: number, smask: PDFRawStream): void {
+  const mw = numberOf(smask.dict, 'Width');
+  const mh = numberOf(smask.dict, 'Height');
+  const bpc = numberOf(smask.dict, 'BitsPerComponent', 8);
+  const filters = filtersOf(smask.dict);
+  if (filters.some(filter => !DECODABLE_FILTERS.has(filter))) return;
+
+  const samples = applyPredictor(decodeFilters(smask, filters.length), smask.dict, filters.length);
+  const rowBytes = Math.ceil((mw * bpc) / 8);
+  const maxValue = (1 << bpc) - 1;
+  for (let y = 0; y < height; y++) {
+    const my = Math.min(mh - 1, Math.floor((y * mh) / height));
+    for (let x = 0; x < width; x++) {
+      const mx = Math.min(mw - 1, Math.floor((x * mw) / width));
+      const value = readSample(samples, my * rowBytes * 8 + mx * bpc, bpc);
+      rgba[(y * width + x) * 4 + 3] = Math.round((value * 255) / maxValue);
+    }
+  }
+}
+
+function resolveColorSpace(value: PDFObject | undefined, resources: PDFDict, depth = 0): ColorSpace {
+  if (depth > 5) throw new Error('Color space nesting is too deep');
+
+  if (value instanceof PDFName) {
+    switch (value.decodeText()) {
+      case 'DeviceGray':
+      case 'G':
+        return { name: 'DeviceGray', components: 1, toRGB: ([g]) => gray(g) };
+      case 'DeviceRGB':
+      case 'RGB':
+        return { name: 'DeviceRGB', components: 3, toRGB: ([r, g, b]) => [byte(r), byte(g), byte(b)] };
+      case 'DeviceCMYK':
+      case 'CMYK':
+        return { name: 'DeviceCMYK', components: 4, toRGB: cmykToRGB };
+      default: {
+        // Named color space from the resources
+        const named = resources.lookupMaybe(PDFName.of('ColorSpace'), PDFDict)?.lookup(value);
+        if (named) return resolveColorSpace(named, resources, depth + 1);
+        throw new Error(`Unsupported color space ${value.decodeText()}`);
+      }
+    }
+  }
+
+  if (value instanceof PDFArray && value.size() > 0) {
+    const family = value.lookup(0);
+    const familyName = family instanceof PDFName ? family.decodeText() : '';
+
+    if (familyName === 'ICCBased') {
+      const profile = value.lookup(1);
+      const dict = profile instanceof PDFStream ? profile.dict : undefined;
+      const n = dict ? numberOf(dict, 'N', 3) : 3;
+      const alternate = dict?.lookup(PDFName.of('Alternate'));
+      const base = alternate
+        ? resolveColorSpace(alternate, resources, depth + 1)
+        : resolveColorSpace(PDFName.of(n === 1 ? 'DeviceGray' : n === 4 ? 'DeviceCMYK' : 'DeviceRGB'), resources, depth + 1);
+      return { ...base, name: `ICCBased(${n})` };
+    }
+    if (familyName === 'CalGray') return { ...resolveColorSpace(PDFName.of('DeviceGray'), resources), name: 'CalGray' };
+    if (familyName === 'CalRGB') return { ...resolveColorSpace(PDFName.of('DeviceRGB'), resources), name: 'CalRGB' };
+
+    if (familyName === 'Indexed' || familyName === 'I') {
+      const base = resolveColorSpace(value.lookup(1), resources, depth + 1);
+      const hival = value.lookup(2, PDFNumber).asNumber();
+      const lookup = value.lookup(3);
+      const table = lookup instanceof PDFRawStream
+        ? decodeFilters(lookup, filtersOf(lookup.dict).length)
+        : lookup instanceof PDFString || lookup instanceof PDFHexString
+          ? lookup.asBytes()
+          : new Uint8Array();
+      return {
+        name: `Indexed(${base.name})`,
+        components: 1,
+        indexed: true,
+        toRGB: ([index]) => {
+          const i = Math.min(Math.max(0, index), hival) * base.components;
+          const entry = Array.from({ length: base.components }, (_, c) => (table[i + c] ?? 0) / 255);
+          return base.toRGB(entry);
+        }
+      };
+    }
+
+    if (familyName === 'Separation') {
+      // Approximate the ink as grey: full tint is black
+      return { name: 'Separation', components: 1, toRGB: ([t]) => gray(1 - t) };
+    }
+
+    throw new Error(`Unsupported color space ${familyName || 'array'}`);
+  }
+
+  throw new Error('Image has no color space');
+}
+
+function gray(value: number): [number, number, number] {
+  const v = byte(value);
+  return [v, v, v];
+}
+
+function cmykToRGB([c, m, y, k]: number[]): [number, number, number] {
+  return [byte((1 - c) * (1 - k)), byte((1 - m) * (1 - k)), byte((1 - y) * (1 - k))];
+}
+
+function byte(value: number): number {
+  return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
+
+function decodeArray(dict: PDFDict, components: number): number[] | undefined {
+  const decode = dict.lookup(PDFName.of('Decode'));
+  if (!(decode instanceof PDFArray) || decode.size() < components * 2) return undefined;
+  return decode.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : 0));
+}
+
+function numberOf(dict: PDFDict, key: string, fallback?: number): number {
+  const value = dict.lookup(PDFName.of(key));
+  if (value instanceof PDFNumber) return value.asNumber();
+  if (fallback !== undefined) return fallback;
+  throw new Error(`Image is missing /${key}`);
+}
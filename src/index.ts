@@ -2,19 +2,32 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  ServerNotification,
+  ServerRequest,
 } from '@modelcontextprotocol/sdk/types.js';
 import { PDFTools } from './pdf-tools.js';
+import { parseFileAccessOptions } from './file-access.js';
+import { OperationContext } from './progress.js';
+import { listDocuments, readResource, RESOURCE_TEMPLATES } from './resources.js';
+import { getPrompt, PROMPTS } from './prompts.js';
+import { HttpOptions, MCP_ENDPOINT, serveHttp } from './http-transport.js';
+
+type RequestExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
 
 class PDFUtilitiesServer {
   private server: Server;
-  private pdfTools: PDFTools;
 
-  constructor() {
-    this.pdfTools = new PDFTools();
-    
+  constructor(private readonly pdfTools: PDFTools) {
     this.server = new Server(
       {
         name: 'pdf-utilities-mcp',
@@ -23,11 +36,14 @@ class PDFUtilitiesServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
     this.setupHandlers();
+    this.setupResourceHandlers();
     this.setupErrorHandling();
   }
 
@@ -35,10 +51,49 @@ class PDFUtilitiesServer {
     this.server.onerror = (error) => {
       console.error('[MCP Error]', error);
     };
+  }
 
-    process.on('SIGINT', async () => {
-      await this.server.close();
-      process.exit(0);
+  /**
+   * Progress notifications for requests that carry a progress token, and the
+   * request's cancellation signal
+   */
+  private operationContext(extra: RequestExtra): OperationContext {
+    const progressToken = extra._meta?.progressToken;
+    return {
+      signal: extra.signal,
+      onProgress: progressToken === undefined
+        ? undefined
+        : (progress, total, message) => {
+          extra.sendNotification({
+            method: 'notifications/progress',
+            params: { progressToken, progress, total, ...(message ? { message } : {}) },
+          }).catch((error) => console.error('[MCP Error]', error));
+        },
+    };
+  }
+
+  private setupResourceHandlers(): void {
+    // PDFs in the allowed directories; without allowed directories only the templates apply
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return listDocuments(this.pdfTools.allowedRoots, request.params?.cursor);
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      return {
+        contents: [await readResource(this.pdfTools, request.params.uri, this.operationContext(extra))],
+      };
+    });
+
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: PROMPTS };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      return getPrompt(this.pdfTools, request.params.name, request.params.arguments, this.operationContext(extra));
     });
   }
 
@@ -49,7 +104,7 @@ class PDFUtilitiesServer {
         tools: [
           {
             name: 'read_pdf',
-            description: 'Extract text content from a PDF file. Optionally specify page range (e.g., "1-5" or "1,3,5").',
+            description: 'Extract text content from a PDF file. Optionally specify page range (e.g., "1-5" or "1,3,5") to return only those pages. The result includes a per-page breakdown in "pages". Scanned pages without a text layer are read with OCR; each page reports its "source" ("text" or "ocr") and "ocrConfidence".',
             inputSchema: {
               type: 'object',
               properties: {
@@ -61,13 +116,97 @@ class PDFUtilitiesServer {
                   type: 'string',
                   description: 'Optional page range (e.g., "1-5", "1,3,5-10")',
                 },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+                ocr: {
+                  type: 'string',
+                  enum: ['auto', 'force', 'off'],
+                  description: 'OCR pages with little or no text layer ("auto", default), every page ("force"), or never ("off")',
+                },
+                ocrLanguage: {
+                  type: 'string',
+                  enum: ['eng', 'por'],
+                  description: 'Language of the scanned text: "eng" (English, default) or "por" (Portuguese)',
+                },
               },
               required: ['filePath'],
             },
           },
           {
             name: 'get_pdf_info',
-            description: 'Get metadata and information about a PDF file (pages, title, author, size, etc.).',
+            description: 'Get metadata and information about a PDF file (pages, title, author, keywords, custom properties, XMP metadata, size, etc.). Also lists pages with little or no extractable text in "lowTextPages", and flags digitally signed documents with "signed" and "signatureCount".',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'extract_structured_text',
+            description: 'Extract text as headings, paragraphs and list items in reading order, with bounding boxes and font name/size for each block and text run. Handles two-column layouts.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Optional page range (e.g., "1-5", "1,3,5-10")',
+                },
+                includeRuns: {
+                  type: 'boolean',
+                  description: 'Include the individual text runs of each block (default: true). Disable to reduce output size.',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'extract_tables',
+            description: 'Detect tables (ruled or whitespace-aligned) and return each as rows of cells in JSON. Optionally writes one CSV file per table next to the source PDF.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Optional page range to scan (e.g., "1-5", "1,3,5-10")',
+                },
+                writeCsv: {
+                  type: 'boolean',
+                  description: 'Write each table to <name>_page<N>_table<M>.csv next to the PDF (default: false)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'render_pages',
+            description: 'Render PDF pages to PNG images to see what they look like (charts, signatures, layout, scans). Returns the images directly, or writes them to outputDir. With thumbnails, all selected pages are returned as one overview sheet.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -75,19 +214,116 @@ class PDFUtilitiesServer {
                   type: 'string',
                   description: 'Absolute path to the PDF file',
                 },
+                pageRange: {
+                  type: 'string',
+                  description: 'Pages to render (e.g., "1", "2-3"; default: all pages). At most 10 pages are returned inline',
+                },
+                dpi: {
+                  type: 'number',
+                  description: 'Resolution in dots per inch (default: 150)',
+                },
+                outputDir: {
+                  type: 'string',
+                  description: 'Directory to write <name>_page<N>.png files to instead of returning the images',
+                },
+                thumbnails: {
+                  type: 'boolean',
+                  description: 'Render small thumbnails of the selected pages on a single sheet for a quick overview (default: false)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
               },
               required: ['filePath'],
             },
           },
+          {
+            name: 'extract_images',
+            description: 'Extract the embedded images (photos, logos, scanned pages) of a PDF to files. JPEG images are written unchanged; other images are decoded and saved as PNG.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outputDir: {
+                  type: 'string',
+                  description: 'Directory to write <name>_page<N>_img<M>.<ext> files to',
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Pages to extract images from (e.g., "1", "2-5"; default: all pages)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'outputDir'],
+            },
+          },
+          {
+            name: 'search_pdf',
+            description: 'Search the text of PDF files for a word, phrase or regular expression without reading whole documents. Returns each match with file, page number, character offset in the page text (as returned by read_pdf) and a context snippet. Optionally writes highlighted copies of the files.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Text to find, or a JavaScript regular expression when regex is true',
+                },
+                filePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Absolute paths of the PDFs to search',
+                },
+                directory: {
+                  type: 'string',
+                  description: 'Search every PDF in this directory',
+                },
+                recursive: {
+                  type: 'boolean',
+                  description: 'Include PDFs in subdirectories of directory (default: false)',
+                },
+                regex: {
+                  type: 'boolean',
+                  description: 'Treat query as a regular expression (default: false)',
+                },
+                caseSensitive: {
+                  type: 'boolean',
+                  description: 'Match letter case exactly (default: false)',
+                },
+                maxResults: {
+                  type: 'number',
+                  description: 'Maximum matches to return (default: 100)',
+                },
+                contextChars: {
+                  type: 'number',
+                  description: 'Characters of context around each match in snippets (default: 60)',
+                },
+                highlightDir: {
+                  type: 'string',
+                  description: 'Directory to write <name>_highlighted.pdf copies of files with matches to',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for encrypted PDFs',
+                },
+              },
+              required: ['query'],
+            },
+          },
           {
             name: 'create_pdf',
-            description: 'Create a new PDF from text content with optional formatting and metadata.',
+            description: 'Create a new PDF from text content with optional formatting and metadata. Set options.format to "markdown" to render headings, emphasis, lists, code blocks, tables, links and local PNG/JPEG images.',
             inputSchema: {
               type: 'object',
               properties: {
                 content: {
                   type: 'string',
-                  description: 'Text content to include in the PDF',
+                  description: 'Text or Markdown content to include in the PDF',
                 },
                 outputPath: {
                   type: 'string',
@@ -105,6 +341,28 @@ class PDFUtilitiesServer {
                       type: 'string',
                       enum: ['A4', 'Letter', 'Legal', 'A3', 'A5']
                     },
+                    format: {
+                      type: 'string',
+                      enum: ['text', 'markdown'],
+                      description: 'How to interpret content (default: "text"). Markdown image paths are resolved relative to the output file.',
+                    },
+                    fonts: {
+                      type: 'object',
+                      description: 'Local TTF/OTF font files for text outside Latin-1 (CJK, Cyrillic, emoji, ...). Characters missing from a font fall back to the next one.',
+                      properties: {
+                        regular: { type: 'string', description: 'Absolute path to the body font' },
+                        bold: { type: 'string' },
+                        italic: { type: 'string' },
+                        boldItalic: { type: 'string' },
+                        mono: { type: 'string', description: 'Font for code in Markdown mode' },
+                        fallback: {
+                          type: 'array',
+                          items: { type: 'string' },
+                          description: 'Fonts tried in order for characters the primary font lacks',
+                        },
+                        subset: { type: 'boolean', description: 'Embed only the used glyphs (default: true)' },
+                      },
+                    },
                   },
                 },
               },
@@ -113,7 +371,7 @@ class PDFUtilitiesServer {
           },
           {
             name: 'merge_pdfs',
-            description: 'Merge multiple PDF files into a single PDF.',
+            description: 'Merge multiple PDF files into a single PDF, keeping each file\'s bookmarks.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -126,13 +384,91 @@ class PDFUtilitiesServer {
                   type: 'string',
                   description: 'Absolute path where the merged PDF will be saved',
                 },
+                password: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: 'string' } },
+                  ],
+                  description: 'Password for encrypted inputs: one for all files, or one per file in the same order',
+                },
+                fileBookmarks: {
+                  type: 'boolean',
+                  description: 'Add a top-level bookmark per input file (named after the file) with that file\'s own bookmarks nested under it (default: false, bookmarks are kept as they are)',
+                },
+                optimize: {
+                  type: 'boolean',
+                  description: 'Optimize the merged file like optimize_pdf with default settings: share fonts and resources repeated across inputs, downsample images above 150 dpi (default: false)',
+                },
               },
               required: ['filePaths', 'outputPath'],
             },
           },
+          {
+            name: 'optimize_pdf',
+            description: 'Reduce the file size of a PDF: downsample and recompress images above a target resolution, compress streams, deduplicate identical streams and fonts, remove unused objects and use object streams. Reports the size before and after.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Where to save the optimized PDF (default: overwrite the input)',
+                },
+                imageDpi: {
+                  type: 'number',
+                  description: 'Downsample images above this resolution, measured at the size each image is drawn (default: 150; use 300 for print, 96 for screen only)',
+                },
+                imageQuality: {
+                  type: 'number',
+                  description: 'JPEG quality 1-100 for downsampled images (default: 75)',
+                },
+                downsampleImages: {
+                  type: 'boolean',
+                  description: 'Set to false to leave images untouched (default: true)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'compare_pdfs',
+            description: 'Compare two versions of a PDF: aligns pages by content (so inserted or removed pages do not shift the rest), diffs each page pair word by word, detects text moved between places, and compares metadata. Optionally writes a redline copy of the new version with insertions highlighted green, moves blue and deletions as notes.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                oldPath: {
+                  type: 'string',
+                  description: 'Absolute path to the original PDF',
+                },
+                newPath: {
+                  type: 'string',
+                  description: 'Absolute path to the revised PDF',
+                },
+                redlinePath: {
+                  type: 'string',
+                  description: 'Where to save an annotated copy of the revised PDF marking the changes (optional)',
+                },
+                password: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: 'string' } },
+                  ],
+                  description: 'Password for encrypted inputs: one for both files, or [old, new]',
+                },
+              },
+              required: ['oldPath', 'newPath'],
+            },
+          },
           {
             name: 'split_pdf',
-            description: 'Extract specific pages from a PDF into a new file.',
+            description: 'Extract specific pages from a PDF into a new file, keeping the bookmarks that point into those pages.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -148,13 +484,17 @@ class PDFUtilitiesServer {
                   type: 'string',
                   description: 'Absolute path where the extracted PDF will be saved',
                 },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
               },
               required: ['filePath', 'pageRange', 'outputPath'],
             },
           },
           {
-            name: 'update_pdf_metadata',
-            description: 'Update metadata (title, author, subject, keywords) of a PDF file.',
+            name: 'get_outline',
+            description: 'Get the bookmarks (outline / table of contents) of a PDF as a tree, with the page each bookmark points to.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -162,90 +502,869 @@ class PDFUtilitiesServer {
                   type: 'string',
                   description: 'Absolute path to the PDF file',
                 },
-                metadata: {
-                  type: 'object',
-                  properties: {
-                    title: { type: 'string' },
-                    author: { type: 'string' },
-                    subject: { type: 'string' },
-                    keywords: { type: 'string' },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'set_outline',
+            description: 'Replace the bookmarks (outline) of a PDF with the given tree. An empty array removes all bookmarks.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outline: {
+                  type: 'array',
+                  description: 'Bookmarks in order; each has title, pageNumber (1-based, or null for a folder), optional open and optional children with the same shape',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      title: { type: 'string' },
+                      pageNumber: { type: ['number', 'null'] },
+                      open: { type: 'boolean', description: 'Show children expanded (default: false)' },
+                      children: { type: 'array', items: { type: 'object' } },
+                    },
+                    required: ['title', 'pageNumber'],
                   },
-                  description: 'Metadata fields to update',
                 },
                 outputPath: {
                   type: 'string',
-                  description: 'Optional output path (defaults to overwriting original)',
+                  description: 'Absolute path for the result (default: overwrite the source file)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
                 },
               },
-              required: ['filePath', 'metadata'],
+              required: ['filePath', 'outline'],
             },
           },
           {
-            name: 'extract_pages',
-            description: 'Extract specific pages from a PDF into separate PDF files.',
+            name: 'modify_pages',
+            description: 'Rotate, delete, move, insert blank and duplicate pages of a PDF. Operations run in order, each using the page numbers left by the previous one, and the file is saved once. Returns the resulting page count and which original page each page came from.',
             inputSchema: {
               type: 'object',
               properties: {
                 filePath: {
                   type: 'string',
-                  description: 'Absolute path to the source PDF file',
+                  description: 'Absolute path to the PDF file',
                 },
-                pages: {
+                operations: {
                   type: 'array',
-                  items: { type: 'number' },
-                  description: 'Array of page numbers to extract (1-based)',
+                  description: 'Operations to apply in order',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: {
+                        type: 'string',
+                        enum: ['rotate', 'delete', 'move', 'insert_blank', 'duplicate'],
+                        description: 'Operation to perform',
+                      },
+                      pages: {
+                        type: 'string',
+                        description: 'Pages the operation applies to (e.g., "3", "2-5", "1,3"); required for rotate, delete, move and duplicate',
+                      },
+                      angle: {
+                        type: 'number',
+                        description: 'rotate: degrees clockwise, a multiple of 90 (e.g. 90, 180, 270, -90)',
+                      },
+                      to: {
+                        type: 'number',
+                        description: 'move: page number the first moved page should end up at',
+                      },
+                      at: {
+                        type: 'number',
+                        description: 'insert_blank/duplicate: page number the first new page should get (default: end of document for insert_blank, right after each original for duplicate)',
+                      },
+                      count: {
+                        type: 'number',
+                        description: 'insert_blank: number of blank pages (default: 1)',
+                      },
+                      size: {
+                        description: 'insert_blank: page size name such as "A4" or "Letter", or [width, height] in points (default: size of the neighbouring page)',
+                      },
+                    },
+                    required: ['type'],
+                  },
                 },
-                outputDir: {
+                outputPath: {
                   type: 'string',
-                  description: 'Directory where extracted pages will be saved',
+                  description: 'Absolute path for the result (default: overwrite the source file)',
                 },
-                prefix: {
+                password: {
                   type: 'string',
-                  description: 'Optional filename prefix for extracted pages (default: "page")',
+                  description: 'Password for an encrypted PDF',
                 },
               },
-              required: ['filePath', 'pages', 'outputDir'],
+              required: ['filePath', 'operations'],
             },
           },
-        ],
-      };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      try {
-        const { name, arguments: args } = request.params;
-
-        if (!args) {
-          throw new Error('Missing arguments for tool call');
-        }
-
-        switch (name) {
-          case 'read_pdf': {
-            const result = await this.pdfTools.readPDF(
-              args.filePath as string,
-              args.pageRange as string | undefined
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(result, null, 2),
+          {
+            name: 'stamp_pdf',
+            description: 'Stamp text or images onto existing PDF pages: headers, footers, "Page X of Y" numbers, logos or watermarks such as "CONFIDENTIAL". Text supports {page}, {total}, {filename} and {date}. Writes the result to a new file.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the source PDF file',
                 },
-              ],
-            };
-          }
-
-          case 'get_pdf_info': {
-            const result = await this.pdfTools.getPDFInfo(args.filePath as string);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(result, null, 2),
+                stamps: {
+                  type: 'array',
+                  description: 'Stamps to apply, drawn in order',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      text: { type: 'string', description: 'Text to draw, e.g. "Page {page} of {total}"' },
+                      imagePath: { type: 'string', description: 'Absolute path to a PNG/JPEG image to draw instead of text' },
+                      position: {
+                        type: 'string',
+                        enum: ['top-left', 'top-center', 'top-right', 'center-left', 'center', 'center-right', 'bottom-left', 'bottom-center', 'bottom-right'],
+                        description: 'Placement on the page (default: "center")',
+                      },
+                      x: { type: 'number', description: 'Explicit x of the bottom-left corner in points (overrides position)' },
+                      y: { type: 'number', description: 'Explicit y of the bottom-left corner in points (overrides position)' },
+                      margin: { type: 'number', description: 'Distance from the page edge in points (default: 36)' },
+                      fontSize: { type: 'number', description: 'Font size (default: 12)' },
+                      color: { type: 'string', description: 'Hex color, e.g. "#FF0000" (default: black)' },
+                      opacity: { type: 'number', description: 'Opacity from 0 to 1 (default: 1)' },
+                      rotation: { type: 'number', description: 'Rotation in degrees, counter-clockwise (e.g. 45 for a diagonal watermark)' },
+                      width: { type: 'number', description: 'Image width in points' },
+                      height: { type: 'number', description: 'Image height in points' },
+                      pageRange: { type: 'string', description: 'Pages to stamp (e.g., "1", "2-5", "1,3,5-10"; default: all)' },
+                      fontPath: { type: 'string', description: 'Absolute path to a TTF/OTF font for the text' },
+                    },
+                  },
                 },
-              ],
-            };
+                outputPath: {
+                  type: 'string',
+                  description: 'Absolute path where the stamped PDF will be saved',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'stamps', 'outputPath'],
+            },
+          },
+          {
+            name: 'make_searchable',
+            description: 'Make a scanned PDF searchable: OCR the pages that have no text layer and save a copy with invisible text over the recognized words, so the text can be searched, selected and copied in any viewer. Pages that already have text are left unchanged.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the scanned PDF',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Absolute path for the searchable copy',
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Pages to process (e.g., "1-5"; default: all pages)',
+                },
+                language: {
+                  type: 'string',
+                  enum: ['eng', 'por'],
+                  description: 'Language of the scanned text: "eng" (English, default) or "por" (Portuguese)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'outputPath'],
+            },
+          },
+          {
+            name: 'update_pdf_metadata',
+            description: 'Update metadata of a PDF file: title, author, subject, keyword lists, creator, producer and custom properties. The XMP metadata stream is updated to match.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                metadata: {
+                  type: 'object',
+                  properties: {
+                    title: { type: 'string' },
+                    author: { type: 'string' },
+                    subject: { type: 'string' },
+                    keywords: {
+                      oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+                      description: 'List of keywords, or a single string stored as is',
+                    },
+                    creator: { type: 'string', description: 'Application that created the original document' },
+                    producer: { type: 'string', description: 'Application that produced the PDF' },
+                    custom: {
+                      type: 'object',
+                      additionalProperties: { type: ['string', 'null'] },
+                      description: 'Custom properties, e.g. { "Department": "Legal" }; null removes one',
+                    },
+                  },
+                  description: 'Metadata fields to update; an empty string removes a field',
+                },
+                syncXmp: {
+                  type: 'boolean',
+                  description: 'Rewrite the XMP metadata to match (default: true)',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Optional output path (defaults to overwriting original)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'metadata'],
+            },
+          },
+          {
+            name: 'strip_metadata',
+            description: 'Remove all metadata from a PDF before publishing it: document properties, XMP metadata, private application data and document IDs.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Optional output path (defaults to overwriting original)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'protect_pdf',
+            description: 'Encrypt a PDF (AES-256) with a user password to open it and/or an owner password, and set permissions for printing, copying and modifying.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Absolute path where the encrypted PDF will be saved',
+                },
+                userPassword: {
+                  type: 'string',
+                  description: 'Password required to open the document (omit to let anyone open it with the permissions below)',
+                },
+                ownerPassword: {
+                  type: 'string',
+                  description: 'Password that grants full access and lifts the permissions (a random one is used when omitted)',
+                },
+                permissions: {
+                  type: 'object',
+                  description: 'What users opening with the user password may do; each flag defaults to true',
+                  properties: {
+                    print: { type: 'boolean' },
+                    copy: { type: 'boolean' },
+                    modify: { type: 'boolean' },
+                    annotate: { type: 'boolean' },
+                    fillForms: { type: 'boolean' },
+                    assemble: { type: 'boolean', description: 'Insert, delete and rotate pages' },
+                  },
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password of the source PDF if it is already encrypted',
+                },
+              },
+              required: ['filePath', 'outputPath'],
+            },
+          },
+          {
+            name: 'redact_pdf',
+            description: 'Permanently redact a PDF: text matching regex patterns or built-in PII detectors (CPF, CNPJ, emails, phone numbers, card numbers, IBANs, bank accounts), and anything inside given rectangles, is removed from the page content (not just covered), image pixels under it are blacked out and overlapping annotations and form fields are deleted. Black boxes mark the redactions. The output is re-read to verify the text can no longer be extracted.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Absolute path where the redacted PDF will be saved',
+                },
+                patterns: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'JavaScript regular expressions of text to redact, e.g. "Contract No\\. \\d+"',
+                },
+                detectors: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['cpf', 'cnpj', 'email', 'phone', 'credit_card', 'iban', 'bank_account'] },
+                  description: 'Built-in PII detectors. bank_account redacts numbers after labels like "Conta", "Agência" or "Account No."',
+                },
+                areas: {
+                  type: 'array',
+                  description: 'Rectangles to redact regardless of content',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      pageNumber: { type: 'number', description: '1-based page' },
+                      rect: {
+                        type: 'array',
+                        items: { type: 'number' },
+                        description: '[x1, y1, x2, y2] in points from the bottom left corner',
+                      },
+                    },
+                    required: ['pageNumber', 'rect'],
+                  },
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Pages searched for patterns and detectors (e.g., "1-3,5"). Default: all pages',
+                },
+                caseSensitive: {
+                  type: 'boolean',
+                  description: 'Match patterns with exact letter case (default: false)',
+                },
+                scrubMetadata: {
+                  type: 'boolean',
+                  description: 'Also remove all document properties, XMP metadata, private application data and document IDs (default: false; otherwise only matching properties are removed)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password if the PDF is encrypted',
+                },
+              },
+              required: ['filePath', 'outputPath'],
+            },
+          },
+          {
+            name: 'get_form_fields',
+            description: 'List the fillable form fields (AcroForm) of a PDF: name, type, current value, options for choice fields, and the pages they appear on.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'fill_form',
+            description: 'Fill PDF form fields from a map of field name to value, optionally flattening the form. Unknown field names and values a field cannot take are reported instead of being ignored.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF form',
+                },
+                values: {
+                  type: 'object',
+                  description: 'Field name to value: strings for text fields, true/false for checkboxes, an option name for radio groups and dropdowns, an array of options for multi-select lists',
+                  additionalProperties: true,
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Absolute path for the filled PDF (default: overwrite the source file)',
+                },
+                flatten: {
+                  type: 'boolean',
+                  description: 'Flatten the form after filling so fields can no longer be edited (default: false)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'values'],
+            },
+          },
+          {
+            name: 'get_annotations',
+            description: 'List the comments and markup in a PDF (read_pdf does not include them): sticky notes, highlights, underlines, links, free text and others, with type, author, contents, date, page, rectangle, reply thread and, for highlights, the text they cover.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                pageRange: {
+                  type: 'string',
+                  description: 'Pages to read, e.g. "1-3,5" (default: all pages)',
+                },
+                types: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only these types, e.g. ["note", "highlight"] (default: all)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'add_annotations',
+            description: 'Add sticky notes, highlights over a text match, and links to a web address or a page. Text is matched ignoring case and line breaks. Nothing is saved if any annotation cannot be placed.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                annotations: {
+                  type: 'array',
+                  description: 'Annotations to add',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: {
+                        type: 'string',
+                        enum: ['note', 'highlight', 'link'],
+                      },
+                      pageNumber: {
+                        type: 'number',
+                        description: '1-based page. Required for notes and links without text; limits the text search otherwise',
+                      },
+                      text: {
+                        type: 'string',
+                        description: 'Text to highlight or turn into a link, or to put a note next to',
+                      },
+                      allMatches: {
+                        type: 'boolean',
+                        description: 'Mark every occurrence of text, not just the first (default: false)',
+                      },
+                      contents: {
+                        type: 'string',
+                        description: 'Comment text. Required for notes; for highlights defaults to the highlighted text',
+                      },
+                      author: {
+                        type: 'string',
+                        description: 'Author shown in the viewer',
+                      },
+                      color: {
+                        type: 'array',
+                        items: { type: 'number' },
+                        description: 'RGB color with components 0-1, e.g. [1, 0.9, 0] (default: yellow highlights, red notes)',
+                      },
+                      x: {
+                        type: 'number',
+                        description: 'Note position in points from the left edge',
+                      },
+                      y: {
+                        type: 'number',
+                        description: 'Note position in points from the bottom edge',
+                      },
+                      rect: {
+                        type: 'array',
+                        items: { type: 'number' },
+                        description: 'Link area [x1, y1, x2, y2] in points, instead of text',
+                      },
+                      url: {
+                        type: 'string',
+                        description: 'Web address the link opens',
+                      },
+                      targetPage: {
+                        type: 'number',
+                        description: '1-based page the link goes to',
+                      },
+                    },
+                    required: ['type'],
+                  },
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Where to save the annotated PDF (default: overwrite the input)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'annotations'],
+            },
+          },
+          {
+            name: 'remove_annotations',
+            description: 'Remove annotations matching a filter, together with their popups and replies. All given criteria must match. Form fields are not affected.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                filter: {
+                  type: 'object',
+                  properties: {
+                    ids: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Annotation ids from get_annotations or add_annotations',
+                    },
+                    types: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Types such as "note", "highlight", "link"',
+                    },
+                    author: {
+                      type: 'string',
+                      description: 'Author name (ignoring case)',
+                    },
+                    contains: {
+                      type: 'string',
+                      description: 'Text the comment contains (ignoring case)',
+                    },
+                    pageRange: {
+                      type: 'string',
+                      description: 'Pages, e.g. "1-3,5"',
+                    },
+                    all: {
+                      type: 'boolean',
+                      description: 'Remove every annotation; required when no other criterion is given',
+                    },
+                  },
+                },
+                outputPath: {
+                  type: 'string',
+                  description: 'Where to save the PDF (default: overwrite the input)',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'filter'],
+            },
+          },
+          {
+            name: 'extract_pages',
+            description: 'Extract specific pages from a PDF into separate PDF files.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the source PDF file',
+                },
+                pages: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  description: 'Array of page numbers to extract (1-based)',
+                },
+                outputDir: {
+                  type: 'string',
+                  description: 'Directory where extracted pages will be saved',
+                },
+                prefix: {
+                  type: 'string',
+                  description: 'Optional filename prefix for extracted pages (default: "page")',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath', 'pages', 'outputDir'],
+            },
+          },
+          {
+            name: 'run_pipeline',
+            description: 'Run an ordered list of operations over many PDFs in one call, e.g. "for every PDF in this folder: strip metadata, add a footer, merge by customer, split every 50 pages". Steps run in memory and each result is written once to outputDir as <name>.pdf; results that share a name get _2, _3 and so on. Steps before a merge run on each input file; merge groups the documents and later steps run on each group. A failing file is reported and skipped while the others continue. Use dryRun first to check the inputs and the files that would be written.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                files: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Absolute paths of the input PDFs',
+                },
+                glob: {
+                  type: 'string',
+                  description: 'Absolute glob pattern for the input PDFs: * and ? within a folder, ** across folders, {a,b} alternatives (e.g. "/data/invoices/**/*.pdf")',
+                },
+                steps: {
+                  type: 'array',
+                  description: 'Operations applied in order',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      op: {
+                        type: 'string',
+                        enum: ['strip_metadata', 'update_metadata', 'stamp', 'modify_pages', 'fill_form', 'optimize', 'merge', 'split'],
+                        description: 'strip_metadata: remove all metadata. update_metadata: set metadata (and syncXmp). stamp: apply stamps. modify_pages: apply page operations. fill_form: fill values (and flatten). optimize: shrink with options. merge: combine documents (groupBy, fileBookmarks), at most once. split: cut into parts of pagesPerFile pages named <name>_part<N>',
+                      },
+                      metadata: {
+                        type: 'object',
+                        description: 'update_metadata: fields as in update_pdf_metadata (title, author, subject, keywords, creator, producer, custom)',
+                      },
+                      syncXmp: {
+                        type: 'boolean',
+                        description: 'update_metadata: also update the XMP metadata stream (default: true)',
+                      },
+                      stamps: {
+                        type: 'array',
+                        items: { type: 'object' },
+                        description: 'stamp: stamps as in stamp_pdf; {filename} is the current document name',
+                      },
+                      operations: {
+                        type: 'array',
+                        items: { type: 'object' },
+                        description: 'modify_pages: operations as in modify_pages',
+                      },
+                      values: {
+                        type: 'object',
+                        description: 'fill_form: field names mapped to values, as in fill_form',
+                      },
+                      flatten: {
+                        type: 'boolean',
+                        description: 'fill_form: flatten the form after filling',
+                      },
+                      options: {
+                        type: 'object',
+                        description: 'optimize: options as in optimize_pdf (imageDpi, imageQuality, ...)',
+                      },
+                      groupBy: {
+                        type: 'string',
+                        description: 'merge: regular expression applied to each document name (file name without .pdf); documents with the same first capture group (or match) are merged into <group>.pdf, unmatched documents stay separate. Without it all documents are merged into merged.pdf',
+                      },
+                      fileBookmarks: {
+                        type: 'boolean',
+                        description: 'merge: add a bookmark per merged document',
+                      },
+                      pagesPerFile: {
+                        type: 'number',
+                        description: 'split: maximum pages per part',
+                      },
+                    },
+                    required: ['op'],
+                  },
+                },
+                outputDir: {
+                  type: 'string',
+                  description: 'Directory for the results (created if missing)',
+                },
+                concurrency: {
+                  type: 'number',
+                  description: 'Files processed at the same time, 1-16 (default: 2)',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Run every step without writing files; reports the outputs that would be written and whether they already exist',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for encrypted input PDFs',
+                },
+              },
+              required: ['steps', 'outputDir'],
+            },
+          },
+          {
+            name: 'verify_signatures',
+            description: 'Verify the digital signatures of a PDF, fully offline. For each signature field: signer certificate subject and issuer, the certificate chain, signing time, the byte range it covers, whether the document was changed after signing, and whether the signed bytes and signature are intact. The signer is trusted only when its chain reaches a certificate in trustStore; revocation is not checked.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Absolute path to the PDF file',
+                },
+                trustStore: {
+                  type: 'string',
+                  description: 'Absolute path to a directory of trusted root or intermediate certificates (.pem, .crt, .cer or .der files, PEM or DER encoded). Signer certificates not embedded in a signature are also looked up here',
+                },
+                password: {
+                  type: 'string',
+                  description: 'Password for an encrypted PDF',
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+        ],
+      };
+    });
+
+    // Handle tool calls
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      try {
+        const { name, arguments: args } = request.params;
+
+        if (!args) {
+          throw new Error('Missing arguments for tool call');
+        }
+
+        switch (name) {
+          case 'read_pdf': {
+            const result = await this.pdfTools.readPDF(
+              args.filePath as string,
+              args.pageRange as string | undefined,
+              args.password as string | undefined,
+              args.ocr as any,
+              args.ocrLanguage as any,
+              this.operationContext(extra)
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'get_pdf_info': {
+            const result = await this.pdfTools.getPDFInfo(
+              args.filePath as string,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'extract_structured_text': {
+            const result = await this.pdfTools.extractStructuredText(
+              args.filePath as string,
+              args.pageRange as string | undefined,
+              args.includeRuns as boolean | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'extract_tables': {
+            const result = await this.pdfTools.extractTables(
+              args.filePath as string,
+              args.pageRange as string | undefined,
+              args.writeCsv as boolean | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'render_pages': {
+            const result = await this.pdfTools.renderPages(
+              args.filePath as string,
+              args.pageRange as string | undefined,
+              {
+                dpi: args.dpi as number | undefined,
+                outputDir: args.outputDir as string | undefined,
+                thumbnails: args.thumbnails as boolean | undefined,
+              },
+              args.password as string | undefined,
+              this.operationContext(extra)
+            );
+            const summary = { ...result, images: result.images.map(({ data, ...image }) => image) };
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(summary, null, 2),
+                },
+                ...result.images
+                  .filter((image) => image.data)
+                  .map((image) => ({
+                    type: 'image',
+                    data: image.data as string,
+                    mimeType: 'image/png',
+                  })),
+              ],
+            };
+          }
+
+          case 'extract_images': {
+            const result = await this.pdfTools.extractImages(
+              args.filePath as string,
+              args.outputDir as string,
+              args.pageRange as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'search_pdf': {
+            const result = await this.pdfTools.searchPDF(
+              args.query as string,
+              args.filePaths as string[] | undefined,
+              args.directory as string | undefined,
+              {
+                regex: args.regex as boolean | undefined,
+                caseSensitive: args.caseSensitive as boolean | undefined,
+                recursive: args.recursive as boolean | undefined,
+                maxResults: args.maxResults as number | undefined,
+                contextChars: args.contextChars as number | undefined,
+                highlightDir: args.highlightDir as string | undefined,
+              },
+              args.password as string | undefined,
+              this.operationContext(extra)
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
           }
 
           case 'create_pdf': {
@@ -267,7 +1386,49 @@ class PDFUtilitiesServer {
           case 'merge_pdfs': {
             const result = await this.pdfTools.mergePDFs(
               args.filePaths as string[],
-              args.outputPath as string
+              args.outputPath as string,
+              args.password as string | string[] | undefined,
+              args.fileBookmarks as boolean | undefined,
+              args.optimize as boolean | undefined,
+              this.operationContext(extra)
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'optimize_pdf': {
+            const result = await this.pdfTools.optimizePDF(
+              args.filePath as string,
+              args.outputPath as string | undefined,
+              {
+                imageDpi: args.imageDpi as number | undefined,
+                imageQuality: args.imageQuality as number | undefined,
+                downsampleImages: args.downsampleImages as boolean | undefined,
+              },
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'compare_pdfs': {
+            const result = await this.pdfTools.comparePDFs(
+              args.oldPath as string,
+              args.newPath as string,
+              args.redlinePath as string | undefined,
+              args.password as string | string[] | undefined
             );
             return {
               content: [
@@ -283,7 +1444,93 @@ class PDFUtilitiesServer {
             const result = await this.pdfTools.splitPDF(
               args.filePath as string,
               args.pageRange as string,
-              args.outputPath as string
+              args.outputPath as string,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'get_outline': {
+            const result = await this.pdfTools.getOutline(
+              args.filePath as string,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'set_outline': {
+            const result = await this.pdfTools.setOutline(
+              args.filePath as string,
+              args.outline as any,
+              args.outputPath as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'modify_pages': {
+            const result = await this.pdfTools.modifyPages(
+              args.filePath as string,
+              args.operations as any,
+              args.outputPath as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'stamp_pdf': {
+            const result = await this.pdfTools.stampPDF(
+              args.filePath as string,
+              args.stamps as any,
+              args.outputPath as string,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'make_searchable': {
+            const result = await this.pdfTools.makeSearchable(
+              args.filePath as string,
+              args.outputPath as string,
+              args.pageRange as string | undefined,
+              args.language as any,
+              args.password as string | undefined,
+              this.operationContext(extra)
             );
             return {
               content: [
@@ -299,7 +1546,154 @@ class PDFUtilitiesServer {
             const result = await this.pdfTools.updatePDFMetadata(
               args.filePath as string,
               args.metadata as any,
-              args.outputPath as string | undefined
+              args.outputPath as string | undefined,
+              args.password as string | undefined,
+              args.syncXmp as boolean | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'strip_metadata': {
+            const result = await this.pdfTools.stripPDFMetadata(
+              args.filePath as string,
+              args.outputPath as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'protect_pdf': {
+            const result = await this.pdfTools.protectPDF(
+              args.filePath as string,
+              args.outputPath as string,
+              {
+                userPassword: args.userPassword as string | undefined,
+                ownerPassword: args.ownerPassword as string | undefined,
+                permissions: args.permissions as any,
+              },
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'redact_pdf': {
+            const result = await this.pdfTools.redactPDF(
+              args.filePath as string,
+              args.outputPath as string,
+              {
+                patterns: args.patterns as string[] | undefined,
+                detectors: args.detectors as any,
+                areas: args.areas as any,
+                pageRange: args.pageRange as string | undefined,
+                caseSensitive: args.caseSensitive as boolean | undefined,
+                scrubMetadata: args.scrubMetadata as boolean | undefined,
+              },
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'get_form_fields': {
+            const result = await this.pdfTools.getFormFields(
+              args.filePath as string,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'fill_form': {
+            const result = await this.pdfTools.fillForm(
+              args.filePath as string,
+              args.values as any,
+              args.outputPath as string | undefined,
+              args.flatten as boolean | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'get_annotations': {
+            const result = await this.pdfTools.getAnnotations(
+              args.filePath as string,
+              args.pageRange as string | undefined,
+              args.types as string[] | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'add_annotations': {
+            const result = await this.pdfTools.addAnnotations(
+              args.filePath as string,
+              args.annotations as any,
+              args.outputPath as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'remove_annotations': {
+            const result = await this.pdfTools.removeAnnotations(
+              args.filePath as string,
+              args.filter as any,
+              args.outputPath as string | undefined,
+              args.password as string | undefined
             );
             return {
               content: [
@@ -316,7 +1710,47 @@ class PDFUtilitiesServer {
               args.filePath as string,
               args.pages as number[],
               args.outputDir as string,
-              args.prefix as string | undefined
+              args.prefix as string | undefined,
+              args.password as string | undefined
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'run_pipeline': {
+            const result = await this.pdfTools.runPipeline(
+              {
+                files: args.files as string[] | undefined,
+                glob: args.glob as string | undefined,
+                steps: args.steps as any,
+                outputDir: args.outputDir as string,
+                concurrency: args.concurrency as number | undefined,
+                dryRun: args.dryRun as boolean | undefined,
+              },
+              args.password as string | undefined,
+              this.operationContext(extra)
+            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(result, null, 2),
+                },
+              ],
+            };
+          }
+
+          case 'verify_signatures': {
+            const result = await this.pdfTools.verifySignatures(
+              args.filePath as string,
+              args.trustStore as string | undefined,
+              args.password as string | undefined
             );
             return {
               content: [
@@ -349,12 +1783,81 @@ class PDFUtilitiesServer {
     });
   }
 
-  async run(): Promise<void> {
-    const transport = new StdioServerTransport();
+  async connect(transport: Transport): Promise<void> {
     await this.server.connect(transport);
-    console.error('PDF Utilities MCP Server running on stdio');
   }
+
+  async close(): Promise<void> {
+    await this.server.close();
+  }
+}
+
+/**
+ * Transport options: --http <port> (or PDF_UTILITIES_HTTP_PORT) serves
+ * Streamable HTTP instead of stdio, on --host (default 127.0.0.1). The
+ * bearer token is only read from PDF_UTILITIES_HTTP_TOKEN, so it does not
+ * show in process listings.
+ */
+function parseHttpOptions(argv: string[], env: NodeJS.ProcessEnv): HttpOptions | undefined {
+  const value = (flag: string) => {
+    const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].slice(flag.length + 1) : argv[index + 1];
+  };
+  const port = value('--http') ?? env.PDF_UTILITIES_HTTP_PORT;
+  if (port === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(port) || Number(port) > 65535) {
+    throw new Error(`Invalid HTTP port: ${port}`);
+  }
+  return {
+    port: Number(port),
+    host: value('--host') ?? env.PDF_UTILITIES_HTTP_HOST,
+    token: env.PDF_UTILITIES_HTTP_TOKEN || undefined,
+  };
+}
+
+async function main(): Promise<void> {
+  const pdfTools = new PDFTools(parseFileAccessOptions(process.argv.slice(2), process.env));
+  const http = parseHttpOptions(process.argv.slice(2), process.env);
+  if (pdfTools.allowedRoots.length > 0) {
+    console.error(`Allowed directories: ${pdfTools.allowedRoots.join(', ')}`);
+  }
+
+  if (http) {
+    const servers = new Set<PDFUtilitiesServer>();
+    const httpServer = await serveHttp(async (transport) => {
+      const server = new PDFUtilitiesServer(pdfTools);
+      servers.add(server);
+      const onclose = transport.onclose;
+      transport.onclose = () => {
+        onclose?.();
+        servers.delete(server);
+      };
+      await server.connect(transport);
+    }, http);
+    console.error(`PDF Utilities MCP Server running on http://${http.host ?? '127.0.0.1'}:${http.port}${MCP_ENDPOINT}`);
+
+    process.on('SIGINT', async () => {
+      httpServer.close();
+      await Promise.all(Array.from(servers, server => server.close()));
+      process.exit(0);
+    });
+    return;
+  }
+
+  const server = new PDFUtilitiesServer(pdfTools);
+  await server.connect(new StdioServerTransport());
+  console.error('PDF Utilities MCP Server running on stdio');
+
+  process.on('SIGINT', async () => {
+    await server.close();
+    process.exit(0);
+  });
 }
 
-const server = new PDFUtilitiesServer();
-server.run().catch(console.error);
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,703 @@
+/**
+ * Markdown to PDF layout for create_pdf's `format: "markdown"` mode.
+ *
+ * Block tokens come from marked's lexer; inline content is flattened into
+ * styled spans, wrapped with the real font metrics and drawn with pdf-lib.
+ * Headings are kept together with the start of the following block, table
+ * headers are repeated after a page break, and links become link annotations.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, resolve } from 'path';
+import { marked, Token, Tokens } from 'marked';
+import { PDFDocument, PDFName, PDFPage, PDFRef, RGB, rgb } from 'pdf-lib';
+import { FontStack, FontStyle, splitBreakable } from './fonts.js';
+import { uriString } from './annotations.js';
+
+export type MarkdownFonts = Record<FontStyle, FontStack>;
+
+export interface MarkdownLayoutOptions {
+  pageSize: [number, number];
+  margins: { top: number; bottom: number; left: number; right: number };
+  fontSize: number;
+  /** Directory used to resolve relative image paths */
+  baseDir: string;
+  /** Whether a local image may be read; images it rejects are skipped */
+  canRead?: (path: string) => boolean;
+}
+
+interface Span {
+  text: string;
+  bold?: boolean;
+  italic?: boolean;
+  code?: boolean;
+  strike?: boolean;
+  link?: string;
+  image?: { href: string; alt: string };
+  lineBreak?: boolean;
+}
+
+interface Piece {
+  text: string;
+  font: FontStack;
+  size: number;
+  width: number;
+  color: RGB;
+  span: Span;
+}
+
+interface Line {
+  pieces: Piece[];
+  width: number;
+}
+
+interface BlockContext {
+  indent: number;
+  quoteDepth: number;
+}
+
+const HEADING_SCALE = [2, 1.6, 1.3, 1.15, 1, 0.9];
+const LINE_SPACING = 1.3;
+const LIST_INDENT = 18;
+const QUOTE_INDENT = 14;
+const CELL_PADDING = 4;
+const BULLETS = ['•', '–', '·'];
+
+const TEXT_COLOR = rgb(0, 0, 0);
+const MUTED_COLOR = rgb(0.35, 0.35, 0.35);
+const LINK_COLOR = rgb(0.02, 0.36, 0.75);
+const CODE_BACKGROUND = rgb(0.95, 0.95, 0.95);
+const RULE_COLOR = rgb(0.75, 0.75, 0.75);
+
+/**
+ * Render markdown into new pages of pdfDoc. Problems that should not abort
+ * the document (missing images, unresolved internal links) are returned as
+ * warnings.
+ */
+export async function renderMarkdown(
+  pdfDoc: PDFDocument,
+  markdown: string,
+  fonts: MarkdownFonts,
+  options: MarkdownLayoutOptions
+): Promise<{ warnings: string[] }> {
+  const renderer = new MarkdownRenderer(pdfDoc, fonts, options);
+  await renderer.render(marked.lexer(markdown));
+  return { warnings: renderer.warnings };
+}
+
+class MarkdownRenderer {
+  readonly warnings: string[] = [];
+
+  private page!: PDFPage;
+  private y = 0;
+  private readonly anchors = new Map<string, { page: PDFPage; y: number }>();
+  private readonly internalLinks: { page: PDFPage; rect: number[]; anchor: string }[] = [];
+
+  constructor(
+    private readonly pdfDoc: PDFDocument,
+    private readonly fonts: MarkdownFonts,
+    private readonly options: MarkdownLayoutOptions
+  ) {}
+
+  async render(tokens: Token[]): Promise<void> {
+    this.newPage();
+    await this.renderBlocks(tokens, { indent: 0, quoteDepth: 0 });
+    this.resolveInternalLinks();
+  }
+
+  // Page handling
+
+  private get contentWidth(): number {
+    return this.options.pageSize[0] - this.options.margins.left - this.options.margins.right;
+  }
+
+  private get contentTop(): number {
+    return this.options.pageSize[1] - this.options.margins.top;
+  }
+
+  private newPage(): void {
+    this.page = this.pdfDoc.addPage(this.options.pageSize);
+    this.y = this.contentTop;
+  }
+
+  private atPageTop(): boolean {
+    return this.y >= this.contentTop;
+  }
+
+  /** Start a new page unless `height` still fits above the bottom margin */
+  private ensureSpace(height: number): void {
+    if (this.y - height < this.options.margins.bottom && !this.atPageTop()) {
+      this.newPage();
+    }
+  }
+
+  private skip(space: number): void {
+    if (!this.atPageTop()) {
+      this.y -= space;
+    }
+  }
+
+  // Blocks
+
+  private async renderBlocks(tokens: Token[], ctx: BlockContext): Promise<void> {
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      switch (token.type) {
+        case 'heading':
+          this.renderHeading(token as Tokens.Heading, ctx);
+          break;
+        case 'paragraph':
+        case 'text':
+          await this.renderParagraph(this.inlineSpans(token), ctx);
+          break;
+        case 'list':
+          await this.renderList(token as Tokens.List, ctx, 0);
+          break;
+        case 'code':
+          this.renderCode((token as Tokens.Code).text, ctx);
+          break;
+        case 'blockquote':
+          this.skip(this.options.fontSize * 0.3);
+          await this.renderBlocks((token as Tokens.Blockquote).tokens, {
+            indent: ctx.indent + QUOTE_INDENT,
+            quoteDepth: ctx.quoteDepth + 1
+          });
+          break;
+        case 'table':
+          this.renderTable(token as Tokens.Table, ctx);
+          break;
+        case 'hr':
+          this.renderRule(ctx);
+          break;
+        case 'html':
+          await this.renderParagraph([{ text: decodeEntities(stripTags((token as Tokens.HTML).text)) }], ctx);
+          break;
+        case 'space':
+          break;
+        default:
+          if ('text' in token && typeof token.text === 'string') {
+            await this.renderParagraph([{ text: token.text }], ctx);
+          }
+      }
+    }
+  }
+
+  private renderHeading(token: Tokens.Heading, ctx: BlockContext): void {
+    const size = this.options.fontSize * HEADING_SCALE[Math.min(token.depth, 6) - 1];
+    const spans = this.flattenInline(token.tokens, { text: '', bold: true });
+    const lines = this.wrap(spans, size, this.contentWidth - ctx.indent);
+    const lineHeight = size * LINE_SPACING;
+
+    // Keep the heading together with at least two lines of what follows
+    this.skip(size * 0.6);
+    this.ensureSpace(lines.length * lineHeight + 2 * this.options.fontSize * LINE_SPACING);
+
+    this.anchors.set(slugify(token.text), { page: this.page, y: this.y });
+    for (const line of lines) {
+      this.drawLine(line, ctx, size, lineHeight);
+    }
+
+    if (token.depth <= 2) {
+      const x = this.options.margins.left + ctx.indent;
+      this.page.drawLine({
+        start: { x, y: this.y + size * 0.15 },
+        end: { x: x + this.contentWidth - ctx.indent, y: this.y + size * 0.15 },
+        thickness: 0.5,
+        color: RULE_COLOR
+      });
+    }
+    this.y -= size * 0.3;
+  }
+
+  private async renderParagraph(spans: Span[], ctx: BlockContext, afterSpace: number = 0.6): Promise<void> {
+    const size = this.options.fontSize;
+    const lineHeight = size * LINE_SPACING;
+
+    // Images are laid out as their own blocks between the text around them
+    let pending: Span[] = [];
+    const flushText = () => {
+      if (pending.some(s => s.text.trim() !== '' || s.lineBreak)) {
+        for (const line of this.wrap(pending, size, this.contentWidth - ctx.indent)) {
+          this.ensureSpace(lineHeight);
+          this.drawLine(line, ctx, size, lineHeight);
+        }
+      }
+      pending = [];
+    };
+
+    for (const span of spans) {
+      if (span.image) {
+        flushText();
+        await this.renderImage(span.image.href, span.image.alt, ctx);
+      } else {
+        pending.push(span);
+      }
+    }
+    flushText();
+    this.y -= size * afterSpace;
+  }
+
+  private async renderList(token: Tokens.List, ctx: BlockContext, depth: number): Promise<void> {
+    const size = this.options.fontSize;
+    const start = typeof token.start === 'number' ? token.start : 1;
+
+    for (let index = 0; index < token.items.length; index++) {
+      const item = token.items[index];
+      let marker = token.ordered ? `${start + index}.` : BULLETS[depth % BULLETS.length];
+      if (item.task) {
+        marker = item.checked ? '[x]' : '[ ]';
+      }
+
+      const itemCtx = { ...ctx, indent: ctx.indent + LIST_INDENT };
+      const markerX = this.options.margins.left + itemCtx.indent - this.fonts.regular.widthOfTextAtSize(marker, size) - 5;
+      let markerDrawn = false;
+      const drawMarker = () => {
+        if (markerDrawn) return;
+        markerDrawn = true;
+        this.ensureSpace(size * LINE_SPACING);
+        this.fonts.regular.draw(this.page, marker, {
+          x: markerX,
+          y: this.y - size,
+          size,
+          color: ctx.quoteDepth > 0 ? MUTED_COLOR : TEXT_COLOR
+        });
+      };
+
+      for (const child of item.tokens) {
+        if (child.type === 'list') {
+          drawMarker();
+          await this.renderList(child as Tokens.List, itemCtx, depth + 1);
+        } else if (child.type === 'text' || child.type === 'paragraph') {
+          this.ensureSpace(size * LINE_SPACING);
+          drawMarker();
+          await this.renderParagraph(this.inlineSpans(child), itemCtx, item.loose ? 0.6 : 0.15);
+        } else if (child.type !== 'space') {
+          drawMarker();
+          await this.renderBlocks([child], itemCtx);
+        }
+      }
+      drawMarker();
+    }
+    this.y -= size * 0.45;
+  }
+
+  private renderCode(text: string, ctx: BlockContext): void {
+    const size = this.options.fontSize * 0.9;
+    const lineHeight = size * LINE_SPACING;
+    const font = this.fonts.mono;
+    const padding = 4;
+    const x = this.options.margins.left + ctx.indent;
+    const width = this.contentWidth - ctx.indent;
+
+    const lines: string[] = [];
+    for (const raw of text.replace(/\t/g, '    ').split('\n')) {
+      lines.push(...this.breakLongWord(raw, font, size, width - padding * 2, true));
+    }
+
+    const background = (height: number) => {
+      this.page.drawRectangle({ x, y: this.y - height, width, height, color: CODE_BACKGROUND });
+    };
+
+    this.skip(size * 0.2);
+    this.ensureSpace(lineHeight + padding);
+    background(padding);
+    this.y -= padding;
+
+    for (const line of lines) {
+      this.ensureSpace(lineHeight);
+      background(lineHeight);
+      this.drawQuoteBars(ctx, lineHeight);
+      if (line !== '') {
+        font.draw(this.page, line, { x: x + padding, y: this.y - size, size, color: TEXT_COLOR });
+      }
+      this.y -= lineHeight;
+    }
+
+    background(padding);
+    this.y -= padding;
+    this.y -= this.options.fontSize * 0.8;
+  }
+
+  private renderTable(token: Tokens.Table, ctx: BlockContext): void {
+    const size = this.options.fontSize * 0.9;
+    const lineHeight = size * LINE_SPACING;
+    const x0 = this.options.margins.left + ctx.indent;
+    const available = this.contentWidth - ctx.indent;
+
+    const header = token.header.map(cell => this.flattenInline(cell.tokens, { text: '', bold: true }));
+    const rows = token.rows.map(row => row.map(cell => this.flattenInline(cell.tokens, { text: '' })));
+    const columnCount = header.length;
+
+    // Natural column widths, scaled down proportionally when too wide
+    const natural = Array.from({ length: columnCount }, (_, c) =>
+      Math.max(...[header[c], ...rows.map(r => r[c] || [])].map(spans => this.spansWidth(spans, size))) + CELL_PADDING * 2
+    );
+    const total = natural.reduce((a, b) => a + b, 0);
+    const widths = total <= available
+      ? natural
+      : natural.map(w => Math.max(size * 3, (w / total) * available));
+
+    const layoutRow = (cells: Span[][]) => {
+      const wrapped = widths.map((w, c) => this.wrap(cells[c] || [], size, w - CELL_PADDING * 2));
+      const height = Math.max(1, ...wrapped.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2;
+      return { wrapped, height };
+    };
+
+    const drawRow = (cells: Span[][], isHeader: boolean) => {
+      const { wrapped, height } = layoutRow(cells);
+      if (this.y - height < this.options.margins.bottom && !this.atPageTop()) {
+        this.newPage();
+        if (!isHeader) drawRow(header, true);
+      }
+
+      let x = x0;
+      wrapped.forEach((lines, c) => {
+        const align = token.align[c];
+        this.page.drawRectangle({
+          x,
+          y: this.y - height,
+          width: widths[c],
+          height,
+          borderColor: RULE_COLOR,
+          borderWidth: 0.5,
+          color: isHeader ? CODE_BACKGROUND : undefined
+        });
+        let y = this.y - CELL_PADDING;
+        for (const line of lines) {
+          const inner = widths[c] - CELL_PADDING * 2;
+          const offset = align === 'right' ? inner - line.width : align === 'center' ? (inner - line.width) / 2 : 0;
+          this.drawPieces(line, x + CELL_PADDING + Math.max(0, offset), y - size);
+          y -= lineHeight;
+        }
+        x += widths[c];
+      });
+      this.y -= height;
+    };
+
+    this.skip(size * 0.3);
+    this.ensureSpace(layoutRow(header).height + (rows[0] ? layoutRow(rows[0]).height : 0));
+    drawRow(header, true);
+    for (const row of rows) {
+      drawRow(row, false);
+    }
+    this.y -= this.options.fontSize * 0.8;
+  }
+
+  private renderRule(ctx: BlockContext): void {
+    const x = this.options.margins.left + ctx.indent;
+    this.ensureSpace(this.options.fontSize);
+    this.y -= this.options.fontSize * 0.5;
+    this.page.drawLine({
+      start: { x, y: this.y },
+      end: { x: x + this.contentWidth - ctx.indent, y: this.y },
+      thickness: 1,
+      color: RULE_COLOR
+    });
+    this.y -= this.options.fontSize * 0.5;
+  }
+
+  private async renderImage(href: string, alt: string, ctx: BlockContext): Promise<void> {
+    const imagePath = isAbsolute(href) ? href : resolve(this.options.baseDir, href);
+    const placeholder = async (reason: string) => {
+      this.warnings.push(`Image "${href}" skipped: ${reason}`);
+      await this.renderParagraph([{ text: `[${alt || 'image'}]`, italic: true }], ctx, 0.3);
+    };
+
+    if (/^[a-z]+:\/\//i.test(href)) {
+      return placeholder('only local image files are supported');
+    }
+    if (this.options.canRead && !this.options.canRead(imagePath)) {
+      return placeholder('outside the allowed directories');
+    }
+    if (!existsSync(imagePath)) {
+      return placeholder('file not found');
+    }
+
+    const bytes = readFileSync(imagePath);
+    let image;
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+      image = await this.pdfDoc.embedPng(bytes);
+    } else if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      image = await this.pdfDoc.embedJpg(bytes);
+    } else {
+      return placeholder('only PNG and JPEG images are supported');
+    }
+
+    const maxWidth = this.contentWidth - ctx.indent;
+    const maxHeight = this.contentTop - this.options.margins.bottom;
+    const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    this.ensureSpace(height);
+    this.page.drawImage(image, {
+      x: this.options.margins.left + ctx.indent,
+      y: this.y - height,
+      width,
+      height
+    });
+    this.y -= height + this.options.fontSize * 0.5;
+  }
+
+  // Inline content
+
+  private inlineSpans(token: Token): Span[] {
+    const tokens = 'tokens' in token && Array.isArray(token.tokens) ? token.tokens : undefined;
+    if (tokens) {
+      return this.flattenInline(tokens, { text: '' });
+    }
+    return [{ text: decodeEntities('text' in token ? String(token.text) : '') }];
+  }
+
+  private flattenInline(tokens: Token[] | undefined, style: Span): Span[] {
+    const spans: Span[] = [];
+    for (const token of tokens || []) {
+      switch (token.type) {
+        case 'strong':
+          spans.push(...this.flattenInline((token as Tokens.Strong).tokens, { ...style, bold: true }));
+          break;
+        case 'em':
+          spans.push(...this.flattenInline((token as Tokens.Em).tokens, { ...style, italic: true }));
+          break;
+        case 'del':
+          spans.push(...this.flattenInline((token as Tokens.Del).tokens, { ...style, strike: true }));
+          break;
+        case 'codespan':
+          spans.push({ ...style, text: decodeEntities((token as Tokens.Codespan).text), code: true });
+          break;
+        case 'link':
+          spans.push(...this.flattenInline((token as Tokens.Link).tokens, { ...style, link: (token as Tokens.Link).href }));
+          break;
+        case 'image':
+          spans.push({ ...style, text: '', image: { href: (token as Tokens.Image).href, alt: (token as Tokens.Image).text } });
+          break;
+        case 'br':
+          spans.push({ ...style, text: '', lineBreak: true });
+          break;
+        case 'html':
+          spans.push({ ...style, text: decodeEntities(stripTags((token as Tokens.HTML).text)) });
+          break;
+        case 'text':
+          if ('tokens' in token && Array.isArray(token.tokens) && token.tokens.length > 0) {
+            spans.push(...this.flattenInline(token.tokens, style));
+          } else {
+            spans.push({ ...style, text: decodeEntities((token as Tokens.Text).text) });
+          }
+          break;
+        default:
+          if ('text' in token && typeof token.text === 'string') {
+            spans.push({ ...style, text: decodeEntities(token.text) });
+          }
+      }
+    }
+    return spans;
+  }
+
+  private fontFor(span: Span): FontStack {
+    if (span.code) return this.fonts.mono;
+    if (span.bold && span.italic) return this.fonts.boldItalic;
+    if (span.bold) return this.fonts.bold;
+    if (span.italic) return this.fonts.italic;
+    return this.fonts.regular;
+  }
+
+  private spansWidth(spans: Span[], size: number): number {
+    return spans.reduce((sum, span) => sum + this.fontFor(span).widthOfTextAtSize(span.text.replace(/\n/g, ' '), size), 0);
+  }
+
+  /**
+   * Word-wrap styled spans to maxWidth. Words wider than a whole line are
+   * broken between characters.
+   */
+  private wrap(spans: Span[], size: number, maxWidth: number): Line[] {
+    const lines: Line[] = [];
+    let current: Line = { pieces: [], width: 0 };
+
+    const pushLine = () => {
+      // Trailing spaces do not count towards alignment
+      while (current.pieces.length > 0 && current.pieces[current.pieces.length - 1].text.trim() === '') {
+        current.width -= current.pieces.pop()!.width;
+      }
+      // Draw consecutive words of the same span as one text run
+      const merged: Piece[] = [];
+      for (const piece of current.pieces) {
+        const last = merged[merged.length - 1];
+        if (last && last.span === piece.span && last.font === piece.font) {
+          merged.push({ ...last, text: last.text + piece.text, width: last.width + piece.width });
+          merged.splice(merged.length - 2, 1);
+        } else {
+          merged.push(piece);
+        }
+      }
+      current.pieces = merged;
+      lines.push(current);
+      current = { pieces: [], width: 0 };
+    };
+
+    for (const span of spans) {
+      if (span.lineBreak) {
+        pushLine();
+        continue;
+      }
+
+      const font = this.fontFor(span);
+      const color = span.link ? LINK_COLOR : TEXT_COLOR;
+      const pieceSize = span.code ? size * 0.92 : size;
+
+      for (const word of splitBreakable(span.text.replace(/\s*\n\s*/g, ' '))) {
+        if (word === '') continue;
+        const isSpace = word.trim() === '';
+        if (isSpace && current.pieces.length === 0) continue;
+
+        const text = isSpace ? ' ' : word;
+        const width = font.widthOfTextAtSize(text, pieceSize);
+
+        if (!isSpace && current.width + width > maxWidth && current.pieces.length > 0) {
+          pushLine();
+        }
+
+        if (!isSpace && width > maxWidth) {
+          for (const part of this.breakLongWord(text, font, pieceSize, maxWidth - current.width)) {
+            const partWidth = font.widthOfTextAtSize(part, pieceSize);
+            if (current.width + partWidth > maxWidth && current.pieces.length > 0) {
+              pushLine();
+            }
+            current.pieces.push({ text: part, font, size: pieceSize, width: partWidth, color, span });
+            current.width += partWidth;
+          }
+          continue;
+        }
+
+        current.pieces.push({ text, font, size: pieceSize, width, color, span });
+        current.width += width;
+      }
+    }
+
+    if (current.pieces.length > 0 || lines.length === 0) {
+      pushLine();
+    }
+    return lines;
+  }
+
+  private breakLongWord(text: string, font: FontStack, size: number, maxWidth: number, keepEmpty: boolean = false): string[] {
+    if (text === '') return keepEmpty ? [''] : [];
+
+    const parts: string[] = [];
+    let current = '';
+    for (const char of Array.from(text)) {
+      if (current !== '' && font.widthOfTextAtSize(current + char, size) > maxWidth) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    if (current !== '') parts.push(current);
+    return parts;
+  }
+
+  private drawLine(line: Line, ctx: BlockContext, size: number, lineHeight: number): void {
+    this.drawQuoteBars(ctx, lineHeight);
+    this.drawPieces(line, this.options.margins.left + ctx.indent, this.y - size, ctx.quoteDepth > 0 ? MUTED_COLOR : undefined);
+    this.y -= lineHeight;
+  }
+
+  private drawQuoteBars(ctx: BlockContext, lineHeight: number): void {
+    for (let depth = 0; depth < ctx.quoteDepth; depth++) {
+      const x = this.options.margins.left + ctx.indent - QUOTE_INDENT * (ctx.quoteDepth - depth) + 3;
+      this.page.drawRectangle({ x, y: this.y - lineHeight, width: 2, height: lineHeight, color: RULE_COLOR });
+    }
+  }
+
+  private drawPieces(line: Line, x: number, baseline: number, colorOverride?: RGB): void {
+    for (const piece of line.pieces) {
+      const { span } = piece;
+      if (span.code && piece.text.trim() !== '') {
+        this.page.drawRectangle({
+          x: x - 1,
+          y: baseline - piece.size * 0.25,
+          width: piece.width + 2,
+          height: piece.size * 1.2,
+          color: CODE_BACKGROUND
+        });
+      }
+
+      piece.font.draw(this.page, piece.text, {
+        x,
+        y: baseline,
+        size: piece.size,
+        color: span.link ? piece.color : colorOverride || piece.color
+      });
+
+      if (span.strike || span.link) {
+        const lineY = span.strike ? baseline + piece.size * 0.3 : baseline - piece.size * 0.12;
+        this.page.drawLine({
+          start: { x, y: lineY },
+          end: { x: x + piece.width, y: lineY },
+          thickness: 0.5,
+          color: span.link ? LINK_COLOR : piece.color
+        });
+      }
+
+      if (span.link) {
+        this.addLink(span.link, [x, baseline - piece.size * 0.25, x + piece.width, baseline + piece.size * 0.9]);
+      }
+      x += piece.width;
+    }
+  }
+
+  // Links
+
+  private addLink(href: string, rect: number[]): void {
+    if (href.startsWith('#')) {
+      this.internalLinks.push({ page: this.page, rect, anchor: slugify(decodeURIComponent(href.slice(1))) });
+      return;
+    }
+
+    const annotation = this.pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: rect,
+      Border: [0, 0, 0],
+      A: { Type: 'Action', S: 'URI', URI: uriString(href) }
+    });
+    this.page.node.addAnnot(this.pdfDoc.context.register(annotation));
+  }
+
+  /** Internal (#heading) links can point forward, so they are added last */
+  private resolveInternalLinks(): void {
+    for (const link of this.internalLinks) {
+      const target = this.anchors.get(link.anchor);
+      if (!target) {
+        this.warnings.push(`Link target "#${link.anchor}" does not match any heading`);
+        continue;
+      }
+      const annotation = this.pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: link.rect,
+        Border: [0, 0, 0],
+        Dest: [target.page.ref, PDFName.of('XYZ'), null, target.y, null]
+      });
+      const ref: PDFRef = this.pdfDoc.context.register(annotation);
+      link.page.node.addAnnot(ref);
+    }
+  }
+}
+
+function slugify(text: string): string {
+  return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s-]/gu, '').replace(/\s+/g, '-');
+}
+
+function stripTags(html: string): string {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,333 @@
+/**
+ * Document metadata beyond the standard fields pdf-lib exposes: keyword
+ * lists, custom document information entries, the XMP metadata stream (read,
+ * and rewritten to match the document information), and removal of all of it.
+ */
+
+import {
+  decodePDFRawStream,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString
+} from 'pdf-lib';
+import { removeUnusedObjects } from './optimization.js';
+
+export interface XmpMetadata {
+  title?: string;
+  authors?: string[];
+  description?: string;
+  keywords?: string[];
+  creatorTool?: string;
+  producer?: string;
+  createDate?: string;
+  modifyDate?: string;
+  /** Custom document information entries (pdfx namespace) */
+  custom?: Record<string, string>;
+}
+
+export interface MetadataUpdate {
+  title?: string;
+  author?: string;
+  subject?: string;
+  /** A list, or a single string stored as is */
+  keywords?: string | string[];
+  creator?: string;
+  producer?: string;
+  /** Custom entries to set; null removes an entry */
+  custom?: Record<string, string | null>;
+}
+
+// Entries with their own field; everything else in the Info dictionary is custom
+const STANDARD_KEYS = new Set(['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate', 'Trapped']);
+
+const FIELD_KEYS: Record<Exclude<keyof MetadataUpdate, 'keywords' | 'custom'>, string> = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  creator: 'Creator',
+  producer: 'Producer'
+};
+
+/** Keywords as a list, split at commas or semicolons, or at spaces when there are none */
+export function readKeywords(pdfDoc: PDFDocument): string[] | undefined {
+  const keywords = pdfDoc.getKeywords();
+  if (!keywords) return undefined;
+  return splitKeywords(keywords);
+}
+
+/** Document information entries other than the standard ones, as text */
+export function readCustomInfo(pdfDoc: PDFDocument): Record<string, string> {
+  const custom: Record<string, string> = {};
+  const info = infoDict(pdfDoc);
+  for (const [key, value] of info?.entries() ?? []) {
+    const name = key.decodeText();
+    if (STANDARD_KEYS.has(name)) continue;
+    if (value instanceof PDFString || value instanceof PDFHexString) custom[name] = value.decodeText();
+    else if (value instanceof PDFName) custom[name] = value.decodeText();
+    else if (value instanceof PDFNumber) custom[name] = String(value.asNumber());
+  }
+  return custom;
+}
+
+/**
+ * Apply an update to the document information. Empty strings remove a
+ * standard field; null removes a custom entry.
+ */
+export function applyMetadata(pdfDoc: PDFDocument, update: MetadataUpdate): void {
+  const info = ensureInfoDict(pdfDoc);
+  for (const [field, key] of Object.entries(FIELD_KEYS) as [keyof typeof FIELD_KEYS, string][]) {
+    const value = update[field];
+    if (value === undefined) continue;
+    if (value === '') info.delete(PDFName.of(key));
+    else info.set(PDFName.of(key), PDFHexString.fromText(value));
+  }
+
+  if (update.keywords !== undefined) {
+    const keywords = Array.isArray(update.keywords) ? update.keywords.map(keyword => keyword.trim()).filter(Boolean).join(', ') : update.keywords;
+    if (keywords === '') info.delete(PDFName.of('Keywords'));
+    else info.set(PDFName.of('Keywords'), PDFHexString.fromText(keywords));
+  }
+
+  for (const [key, value] of Object.entries(update.custom ?? {})) {
+    if (!key || STANDARD_KEYS.has(key)) {
+      throw new Error(`"${key}" is not a custom metadata key; use the field of the same name`);
+    }
+    if (value === null) info.delete(PDFName.of(key));
+    else info.set(PDFName.of(key), PDFHexString.fromText(String(value)));
+  }
+}
+
+/** The XMP metadata stream attached to the catalog, if any */
+export function readXmp(pdfDoc: PDFDocument): XmpMetadata | undefined {
+  const xml = xmpPacket(pdfDoc);
+  if (xml === undefined) return undefined;
+
+  const xmp: XmpMetadata = {
+    title: listValues(xml, 'dc:title')[0],
+    authors: nonEmpty(listValues(xml, 'dc:creator')),
+    description: listValues(xml, 'dc:description')[0],
+    keywords: nonEmpty(listValues(xml, 'dc:subject')) ?? (simpleValue(xml, 'pdf:Keywords') ? splitKeywords(simpleValue(xml, 'pdf:Keywords')!) : undefined),
+    creatorTool: simpleValue(xml, 'xmp:CreatorTool'),
+    producer: simpleValue(xml, 'pdf:Producer'),
+    createDate: simpleValue(xml, 'xmp:CreateDate'),
+    modifyDate: simpleValue(xml, 'xmp:ModifyDate')
+  };
+
+  const custom: Record<string, string> = {};
+  for (const match of xml.matchAll(/<pdfx:([\w.-]+)[^>]*?>([^<]*)<\/pdfx:\1>|\spdfx:([\w.-]+)="([^"]*)"/g)) {
+    custom[match[1] ?? match[3]] = decodeEntities(match[2] ?? match[4]);
+  }
+  if (Object.keys(custom).length > 0) xmp.custom = custom;
+
+  return Object.fromEntries(Object.entries(xmp).filter(([, value]) => value !== undefined)) as XmpMetadata;
+}
+
+/**
+ * Rewrite the XMP metadata to match the document information. Properties
+ * this module does not manage (e.g. PDF/A identification) are kept.
+ */
+export function syncXmp(pdfDoc: PDFDocument): void {
+  const info = infoDict(pdfDoc);
+  const text = (key: string) => {
+    const value = info?.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined;
+  };
+  const date = (value: Date | undefined) => value?.toISOString();
+
+  const properties: string[] = ['<dc:format>application/pdf</dc:format>'];
+  const title = text('Title');
+  const author = text('Author');
+  const subject = text('Subject');
+  const keywords = text('Keywords');
+  if (title) properties.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>`);
+  if (author) properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`);
+  if (subject) properties.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(subject)}</rdf:li></rdf:Alt></dc:description>`);
+  if (keywords) {
+    properties.push(`<dc:subject><rdf:Bag>${splitKeywords(keywords).map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+    properties.push(`<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`);
+  }
+  const simple: [string, string | undefined][] = [
+    ['pdf:Producer', text('Producer')],
+    ['xmp:CreatorTool', text('Creator')],
+    ['xmp:CreateDate', date(pdfDoc.getCreationDate())],
+    ['xmp:ModifyDate', date(pdfDoc.getModificationDate())],
+    ['xmp:MetadataDate', new Date().toISOString()]
+  ];
+  for (const [name, value] of simple) {
+    if (value) properties.push(`<${name}>${escapeXml(value)}</${name}>`);
+  }
+  for (const [key, value] of Object.entries(readCustomInfo(pdfDoc))) {
+    // Keys that are not valid XML names cannot be stored in XMP
+    if (/^[A-Za-z_][\w.-]*$/.test(key)) properties.push(`<pdfx:${key}>${escapeXml(value)}</pdfx:${key}>`);
+  }
+
+  const description = [
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    ' xmlns:pdfx="http://ns.adobe.com/pdfx/1.3/">',
+    ...properties.map(property => `  ${property}`),
+    '</rdf:Description>'
+  ].join('\n');
+
+  const existing = xmpPacket(pdfDoc);
+  let rdf: string;
+  if (existing && existing.includes('</rdf:RDF>')) {
+    rdf = removeManaged(existing.slice(existing.indexOf('<rdf:RDF'), existing.indexOf('</rdf:RDF>')))
+      .replace(/<rdf:Description\b([^>]*?)(?:\/>|>\s*<\/rdf:Description>)/g, (description, attributes: string) =>
+        // Descriptions left with only namespace declarations are empty
+        attributes.replace(/\s(?:xmlns:[\w.-]+|rdf:about)="[^"]*"/g, '').trim() ? description : '');
+    rdf = `${rdf.trimEnd()}\n${description}\n</rdf:RDF>`;
+  } else {
+    rdf = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n${description}\n</rdf:RDF>`;
+  }
+
+  const packet = [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    rdf,
+    '</x:xmpmeta>',
+    // Padding lets other tools edit the packet in place
+    ...Array(20).fill(' '.repeat(99)),
+    '<?xpacket end="w"?>'
+  ].join('\n');
+
+  const stream = pdfDoc.context.stream(Buffer.from(packet, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+  // Replace the old packet in place so it does not stay behind in the file
+  const ref = pdfDoc.catalog.get(PDFName.of('Metadata'));
+  if (ref instanceof PDFRef) pdfDoc.context.assign(ref, stream);
+  else pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+}
+
+/**
+ * Copy the document information and XMP metadata to a document made from
+ * pages of this one
+ */
+export function copyMetadata(from: PDFDocument, to: PDFDocument): void {
+  const info = infoDict(from);
+  if (info) {
+    const target = ensureInfoDict(to);
+    for (const [key, value] of info.entries()) {
+      target.set(key, from.context.lookup(value)!.clone());
+    }
+  }
+  const xmp = from.catalog.lookup(PDFName.of('Metadata'));
+  if (xmp instanceof PDFStream) {
+    to.catalog.set(PDFName.of('Metadata'), to.context.register(xmp.clone(to.context)));
+  }
+}
+
+/**
+ * Remove all document information, XMP metadata and private application data
+ * (PieceInfo) wherever they are attached, and the document IDs. Returns what
+ * was removed. Load the document with updateMetadata: false, or pdf-lib adds
+ * its own entries back.
+ */
+export function stripMetadata(pdfDoc: PDFDocument): string[] {
+  const context = pdfDoc.context;
+  const removed = new Set<string>();
+  const info = infoDict(pdfDoc);
+  for (const key of info?.keys() ?? []) {
+    info!.delete(key);
+    removed.add(key.decodeText());
+  }
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFStream ? object.dict : object instanceof PDFDict ? object : undefined;
+    if (dict?.has(PDFName.of('Metadata'))) {
+      dict.delete(PDFName.of('Metadata'));
+      removed.add('XMP');
+    }
+    if (dict?.has(PDFName.of('PieceInfo'))) {
+      dict.delete(PDFName.of('PieceInfo'));
+      removed.add('PieceInfo');
+    }
+  }
+  if (context.trailerInfo.ID) {
+    context.trailerInfo.ID = undefined;
+    removed.add('ID');
+  }
+  removeUnusedObjects(pdfDoc);
+  return Array.from(removed);
+}
+
+function infoDict(pdfDoc: PDFDocument): PDFDict | undefined {
+  const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+  return info instanceof PDFDict ? info : undefined;
+}
+
+function ensureInfoDict(pdfDoc: PDFDocument): PDFDict {
+  const existing = infoDict(pdfDoc);
+  if (existing) return existing;
+  const info = pdfDoc.context.obj({});
+  pdfDoc.context.trailerInfo.Info = pdfDoc.context.register(info);
+  return info;
+}
+
+function xmpPacket(pdfDoc: PDFDocument): string | undefined {
+  const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (!(stream instanceof PDFStream)) return undefined;
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function splitKeywords(keywords: string): string[] {
+  const separator = /[,;]/.test(keywords) ? /[,;]/ : /\s+/;
+  return keywords.split(separator).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+/** Items of an rdf:Alt, rdf:Seq or rdf:Bag property, or its plain value */
+function listValues(xml: string, name: string): string[] {
+  const element = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+  if (!element) {
+    const value = simpleValue(xml, name);
+    return value === undefined ? [] : [value];
+  }
+  const items = Array.from(element[1].matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g), match => decodeEntities(match[1]).trim());
+  return items.length > 0 ? items : [decodeEntities(element[1]).trim()];
+}
+
+/** A simple property, written as an element or as an attribute of rdf:Description */
+function simpleValue(xml: string, name: string): string | undefined {
+  const match = xml.match(new RegExp(`<${name}\\b[^>]*>([^<]*)</${name}>|\\s${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1] ?? match[2]).trim() : undefined;
+}
+
+function nonEmpty(values: string[]): string[] | undefined {
+  return values.length > 0 ? values : undefined;
+}
+
+/** Drop the properties syncXmp writes, in element and attribute form */
+function removeManaged(rdf: string): string {
+  const names = ['dc:format', 'dc:title', 'dc:creator', 'dc:description', 'dc:subject', 'pdf:Keywords', 'pdf:Producer', 'xmp:CreatorTool', 'xmp:CreateDate', 'xmp:ModifyDate', 'xmp:MetadataDate'];
+  for (const name of names) {
+    rdf = rdf
+      .replace(new RegExp(`\\s*<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`, 'g'), '')
+      .replace(new RegExp(`\\s${name}="[^"]*"`, 'g'), '');
+  }
+  return rdf
+    .replace(/\s*<pdfx:([\w.-]+)\b[^>]*?(?:\/>|>[\s\S]*?<\/pdfx:\1>)/g, '')
+    .replace(/\spdfx:[\w.-]+="[^"]*"/g, '');
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
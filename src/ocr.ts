@@ -0,0 +1,206 @@
+/**
+ * OCR for pages without a text layer. Pages are rendered with PDFium and
+ * recognized with tesseract.js (Tesseract compiled to WebAssembly). Language
+ * data comes from the @tesseract.js-data packages, so nothing is downloaded
+ * at runtime. Recognized words can be written back as an invisible text layer.
+ */
+
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import {
+  beginText,
+  endText,
+  PDFFont,
+  PDFPage,
+  popGraphicsState,
+  pushGraphicsState,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+  TextRenderingMode
+} from 'pdf-lib';
+import { createWorker, Page } from 'tesseract.js';
+import { encodePng, rasterizePages } from './rendering.js';
+import { OperationContext, throwIfCancelled } from './progress.js';
+
+export type OcrMode = 'auto' | 'force' | 'off';
+
+export const OCR_LANGUAGES = ['eng', 'por'] as const;
+export type OcrLanguage = typeof OCR_LANGUAGES[number];
+
+export interface OcrPage {
+  pageNumber: number;
+  text: string;
+  /** Mean word confidence reported by Tesseract, 0-100 */
+  confidence: number;
+  /** Word positions, when requested */
+  layout?: OcrLayout;
+}
+
+/** Positions are in pixels of the rendered page image, origin top left */
+export interface OcrLayout {
+  width: number;
+  height: number;
+  lines: OcrLine[];
+}
+
+export interface OcrLine {
+  /** Top and bottom of the line's bounding box */
+  top: number;
+  bottom: number;
+  /** Baseline height at the line's left and right edges */
+  baseline: { x0: number; y0: number; x1: number; y1: number };
+  words: { text: string; x0: number; x1: number }[];
+}
+
+export interface RecognizeOptions extends OperationContext {
+  /** Language of the text (default: 'eng') */
+  language?: OcrLanguage;
+  /** Also return word positions (default: false) */
+  layout?: boolean;
+}
+
+// Tesseract is trained on text scanned at around 300 dpi
+const OCR_DPI = 300;
+
+const require = createRequire(import.meta.url);
+
+function languageDataPath(language: OcrLanguage): string {
+  if (!OCR_LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported OCR language "${language}"; available: ${OCR_LANGUAGES.join(', ')}`);
+  }
+  // The LSTM-only models are smaller and match the default engine mode
+  return join(dirname(require.resolve(`@tesseract.js-data/${language}`)), '4.0.0_best_int');
+}
+
+/**
+ * Render and recognize the given 1-based pages one at a time, so only one
+ * page bitmap is held in memory.
+ */
+export async function recognizePages(
+  pdfBytes: Uint8Array,
+  pageNumbers: number[],
+  options: RecognizeOptions = {}
+): Promise<OcrPage[]> {
+  if (pageNumbers.length === 0) return [];
+
+  const language = options.language ?? 'eng';
+  const worker = await createWorker(language, undefined, {
+    langPath: languageDataPath(language),
+    cacheMethod: 'none'
+  });
+  try {
+    await worker.setParameters({ user_defined_dpi: String(OCR_DPI) });
+    const results: OcrPage[] = [];
+    for (const pageNumber of pageNumbers) {
+      throwIfCancelled(options);
+      const [page] = await rasterizePages(pdfBytes, [pageNumber], { dpi: OCR_DPI });
+      const { data } = await worker.recognize(encodePng(page), {}, { text: true, blocks: !!options.layout });
+      results.push({
+        pageNumber,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence * 10) / 10,
+        ...(options.layout ? { layout: { width: page.width, height: page.height, lines: collectLines(data) } } : {})
+      });
+      options.onProgress?.(results.length, pageNumbers.length, `Recognized page ${pageNumber}`);
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Draw the recognized words as invisible text (rendering mode 3) over the
+ * page, so viewers can search and select the scanned text. Each word is
+ * stretched to the width it covers in the image. Returns the number of words
+ * written.
+ */
+export function addTextLayer(page: PDFPage, layout: OcrLayout, font: PDFFont): number {
+  const crop = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+  const visualWidth = sideways ? crop.height : crop.width;
+  const visualHeight = sideways ? crop.width : crop.height;
+  // Rendered pixels per point
+  const scale = layout.width / visualWidth;
+
+  // Positions in the upright rendered image → page space, as in stamping
+  const toPage = (px: number, py: number): { x: number; y: number } => {
+    const cx = px / scale;
+    const cy = visualHeight - py / scale;
+    const point =
+      rotation === 90 ? { x: crop.width - cy, y: cx }
+      : rotation === 180 ? { x: crop.width - cx, y: crop.height - cy }
+      : rotation === 270 ? { x: cy, y: crop.height - cx }
+      : { x: cx, y: cy };
+    return { x: crop.x + point.x, y: crop.y + point.y };
+  };
+
+  const supported = new Set(font.getCharacterSet());
+  const fontKey = page.node.newFontDictionary(font.name, font.ref);
+  const radians = (rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const ascent = font.heightAtSize(1, { descender: false });
+
+  const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+  let written = 0;
+
+  for (const line of layout.lines) {
+    // One baseline per line keeps its words on one line for text extraction.
+    // Fall back to the bottom of the box when Tesseract found no usable one.
+    const { x0, y0, x1, y1 } = line.baseline;
+    const left = line.words[0].x0;
+    const measured = x1 === x0 ? y0 : y0 + ((y1 - y0) * (left - x0)) / (x1 - x0);
+    const baseline = measured > line.top && measured <= line.bottom ? measured : line.bottom;
+    const fontSize = Math.max(1, (baseline - line.top) / scale / ascent);
+
+    for (const word of line.words) {
+      const text = Array.from(word.text)
+        .map(char => (supported.has(char.codePointAt(0)!) ? char : '?'))
+        .join('');
+      const naturalWidth = font.widthOfTextAtSize(text, fontSize);
+      if (naturalWidth === 0) continue;
+
+      const stretch = (word.x1 - word.x0) / scale / naturalWidth;
+      const origin = toPage(word.x0, baseline);
+      operators.push(
+        setFontAndSize(fontKey, fontSize),
+        setTextMatrix(stretch * cos, stretch * sin, -sin, cos, origin.x, origin.y),
+        // A trailing space keeps words apart when viewers extract the text
+        showText(font.encodeText(`${text} `))
+      );
+      written++;
+    }
+  }
+
+  if (written === 0) return 0;
+
+  // Existing content may leave the graphics state changed, so isolate it first
+  const context = page.doc.context;
+  page.node.normalize();
+  page.node.wrapContentStreams(context.register(context.stream('q')), context.register(context.stream('Q')));
+
+  operators.push(endText(), popGraphicsState());
+  page.pushOperators(...operators);
+  return written;
+}
+
+function collectLines(data: Page): OcrLine[] {
+  const lines: OcrLine[] = [];
+  for (const block of data.blocks ?? []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        const words = line.words
+          .filter(word => word.text.trim())
+          .map(word => ({ text: word.text.trim(), x0: word.bbox.x0, x1: word.bbox.x1 }));
+        if (words.length === 0) continue;
+        const { x0, y0, x1, y1 } = line.baseline;
+        lines.push({ top: line.bbox.y0, bottom: line.bbox.y1, baseline: { x0, y0, x1, y1 }, words });
+      }
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,392 @@
+/**
+ * Size optimization for documents loaded with pdf-lib: downsample oversized
+ * images, compress uncompressed streams, share identical streams and font
+ * objects, and drop objects nothing refers to. pdf-lib writes object streams
+ * when saving, which packs the remaining small objects.
+ */
+
+import { createHash } from 'crypto';
+import { deflateSync } from 'zlib';
+import jpeg from 'jpeg-js';
+import {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFObject,
+  PDFPage,
+  PDFRawStream,
+  PDFRef,
+  PDFStream
+} from 'pdf-lib';
+import { collectPageImages, describeImage, encodeImage, PageImage } from './image-extraction.js';
+import { ContentValue, IDENTITY, Matrix, multiply, pageContentBytes, parseContent, streamBytes } from './content-stream.js';
+
+export interface OptimizeOptions {
+  /** Downsample images above this resolution (default: 150) */
+  imageDpi?: number;
+  /** JPEG quality for downsampled images, 1-100 (default: 75) */
+  imageQuality?: number;
+  /** Set to false to leave images untouched (default: true) */
+  downsampleImages?: boolean;
+}
+
+export interface OptimizeStats {
+  imagesDownsampled: number;
+  streamsCompressed: number;
+  duplicatesRemoved: number;
+  unusedObjectsRemoved: number;
+}
+
+// Dictionaries that can be shared between pages and documents once identical
+const SHAREABLE_TYPES = new Set(['Font', 'FontDescriptor', 'ExtGState', 'Encoding']);
+
+// Color spaces whose 8-bit samples can go through JPEG as RGB
+const JPEG_COLOR_SPACES = new Set(['DeviceGray', 'DeviceRGB', 'CalGray', 'CalRGB', 'ICCBased(1)', 'ICCBased(3)']);
+
+export async function optimizeDocument(pdfDoc: PDFDocument, options: OptimizeOptions = {}): Promise<OptimizeStats> {
+  const imageDpi = options.imageDpi ?? 150;
+  const imageQuality = options.imageQuality ?? 75;
+  if (!(imageDpi > 0)) {
+    throw new Error(`imageDpi must be positive, got ${imageDpi}`);
+  }
+  if (!(imageQuality >= 1 && imageQuality <= 100)) {
+    throw new Error(`imageQuality must be between 1 and 100, got ${imageQuality}`);
+  }
+
+  // Write out pending embedded fonts and pages so every object is in the context
+  await pdfDoc.flush();
+
+  const stats: OptimizeStats = { imagesDownsampled: 0, streamsCompressed: 0, duplicatesRemoved: 0, unusedObjectsRemoved: 0 };
+  if (options.downsampleImages !== false) {
+    stats.imagesDownsampled = downsampleImages(pdfDoc, imageDpi, imageQuality);
+  }
+  stats.streamsCompressed = compressStreams(pdfDoc);
+  stats.duplicatesRemoved = removeDuplicates(pdfDoc);
+  stats.unusedObjectsRemoved = removeUnusedObjects(pdfDoc);
+  return stats;
+}
+
+/**
+ * Re-encode images whose resolution exceeds maxDpi where they are drawn
+ * largest. Images that are never drawn by page content (only by annotations,
+ * for example) are measured as if they covered their whole page, so they
+ * never end up below the target. Replacements are only kept when they are
+ * smaller.
+ */
+function downsampleImages(pdfDoc: PDFDocument, maxDpi: number, quality: number): number {
+  const pages = pdfDoc.getPages();
+  const images = collectPageImages(pdfDoc, pages.map((_, i) => i));
+  const placements = imagePlacements(pdfDoc, pages);
+  let downsampled = 0;
+
+  for (const image of images) {
+    const { width, height, colorSpace, bitsPerComponent } = describeImage(image);
+    const dict = image.stream.dict;
+    if (bitsPerComponent !== 8 || !JPEG_COLOR_SPACES.has(colorSpace)) continue;
+    if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True || dict.has(PDFName.of('Decode'))) continue;
+    // Color-key masks match exact sample values, which JPEG does not keep
+    if (dict.lookup(PDFName.of('Mask')) instanceof PDFArray) continue;
+
+    const placement = placements.get(image.ref.toString());
+    let scale: number;
+    if (placement) {
+      scale = Math.max((placement.width / 72) * maxDpi / width, (placement.height / 72) * maxDpi / height);
+    } else {
+      const page = pages[image.pageNumber - 1];
+      const { width: pageWidth, height: pageHeight } = page.getSize();
+      const sideways = width > height !== pageWidth > pageHeight;
+      const fitWidth = ((sideways ? pageHeight : pageWidth) / 72) * maxDpi;
+      const fitHeight = ((sideways ? pageWidth : pageHeight) / 72) * maxDpi;
+      scale = Math.max(fitWidth / width, fitHeight / height);
+    }
+    if (scale >= 1) continue;
+
+    const pixels = decodePixels(image);
+    if (!pixels) continue;
+
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+    const resized = resample(pixels.data, width, height, targetWidth, targetHeight);
+    const encoded = jpeg.encode({ width: targetWidth, height: targetHeight, data: resized }, quality).data;
+    if (encoded.length >= image.stream.contents.length) continue;
+
+    const replacement = pdfDoc.context.stream(encoded, {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: targetWidth,
+      Height: targetHeight,
+      ColorSpace: 'DeviceRGB',
+      BitsPerComponent: 8,
+      Filter: 'DCTDecode'
+    });
+    // Soft masks may have their own resolution, so they are kept as they are
+    for (const key of ['SMask', 'Mask', 'Interpolate', 'Intent', 'Metadata', 'OC']) {
+      const value = dict.get(PDFName.of(key));
+      if (value) replacement.dict.set(PDFName.of(key), value);
+    }
+    pdfDoc.context.assign(image.ref, replacement);
+    downsampled++;
+  }
+
+  return downsampled;
+}
+
+/**
+ * The largest size, in points, at which page content draws each image
+ * XObject (keyed by reference): the image's unit square under the
+ * transformation in effect at its Do operation, through nested forms
+ */
+function imagePlacements(pdfDoc: PDFDocument, pages: PDFPage[]): Map<string, { width: number; height: number }> {
+  const placements = new Map<string, { width: number; height: number }>();
+
+  const walk = (content: Uint8Array, resources: PDFDict | undefined, ctm: Matrix, forms: Set<string>) => {
+    let operations;
+    try {
+      operations = parseContent(content);
+    } catch {
+      return;
+    }
+    const saved: Matrix[] = [];
+    let current = ctm;
+    const num = (value: ContentValue | undefined) => (value?.type === 'number' ? value.value : 0);
+
+    for (const { operator, operands } of operations) {
+      if (operator === 'q') {
+        saved.push(current);
+      } else if (operator === 'Q') {
+        current = saved.pop() ?? current;
+      } else if (operator === 'cm') {
+        current = multiply(operands.map(num) as Matrix, current);
+      } else if (operator === 'Do' && operands[0]?.type === 'name') {
+        const ref = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict)?.get(PDFName.of(operands[0].value));
+        const stream = ref instanceof PDFRef ? pdfDoc.context.lookup(ref) : undefined;
+        if (!(ref instanceof PDFRef) || !(stream instanceof PDFStream)) continue;
+
+        const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image')) {
+          const known = placements.get(ref.toString());
+          placements.set(ref.toString(), {
+            width: Math.max(known?.width ?? 0, Math.hypot(current[0], current[1])),
+            height: Math.max(known?.height ?? 0, Math.hypot(current[2], current[3]))
+          });
+        } else if (subtype === PDFName.of('Form') && !forms.has(ref.toString())) {
+          const matrix = stream.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+          const formMatrix = matrix ? (matrix.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : 0)) as Matrix) : IDENTITY;
+          let bytes: Uint8Array;
+          try {
+            bytes = streamBytes(stream);
+          } catch {
+            continue;
+          }
+          walk(bytes, stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) ?? resources, multiply(formMatrix, current),
+            new Set([...forms, ref.toString()]));
+        }
+      }
+    }
+  };
+
+  for (const page of pages) {
+    let content: Uint8Array | undefined;
+    try {
+      content = pageContentBytes(page);
+    } catch {
+      continue;
+    }
+    if (content) walk(content, page.node.Resources(), IDENTITY, new Set());
+  }
+  return placements;
+}
+
+function decodePixels(image: PageImage): { data: Uint8Array } | undefined {
+  try {
+    const encoded = encodeImage(image);
+    if (encoded.format === 'png') return { data: encoded.data };
+    if (encoded.format === 'jpg') {
+      return { data: jpeg.decode(encoded.bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 }).data };
+    }
+  } catch {
+    // Images that cannot be decoded are left unchanged
+  }
+  return undefined;
+}
+
+/** Box filter: each target pixel averages the source pixels it covers */
+function resample(rgba: Uint8Array, width: number, height: number, targetWidth: number, targetHeight: number): Uint8Array {
+  const out = new Uint8Array(targetWidth * targetHeight * 4);
+  const xRatio = width / targetWidth;
+  const yRatio = height / targetHeight;
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor(ty * yRatio);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * yRatio));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor(tx * xRatio);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * xRatio));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          r += rgba[i];
+          g += rgba[i + 1];
+          b += rgba[i + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (ty * targetWidth + tx) * 4;
+      out[o] = r / count;
+      out[o + 1] = g / count;
+      out[o + 2] = b / count;
+      out[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+/** Flate-compress streams stored without any filter */
+function compressStreams(pdfDoc: PDFDocument): number {
+  let compressed = 0;
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+    // XMP metadata stays readable to tools that scan files for it
+    if (object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) continue;
+
+    const deflated = deflateSync(object.contents);
+    if (deflated.length >= object.contents.length) continue;
+
+    const dict = object.dict.clone(pdfDoc.context);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.set(PDFName.of('Length'), PDFNumber.of(deflated.length));
+    pdfDoc.context.assign(ref, PDFRawStream.of(dict, deflated));
+    compressed++;
+  }
+  return compressed;
+}
+
+/**
+ * Point every reference to an identical stream or shareable dictionary at a
+ * single copy. Repeats until nothing changes, since fonts only become
+ * identical once their font files and widths have been merged.
+ */
+function removeDuplicates(pdfDoc: PDFDocument): number {
+  const context = pdfDoc.context;
+  let removed = 0;
+
+  for (let pass = 0; pass < 5; pass++) {
+    const canonical = new Map<string, PDFRef>();
+    const replacements = new Map<string, PDFRef>();
+    const duplicates: PDFRef[] = [];
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      const key = shareKey(object);
+      if (key === undefined) continue;
+      const existing = canonical.get(key);
+      if (existing) {
+        replacements.set(ref.toString(), existing);
+        duplicates.push(ref);
+      } else {
+        canonical.set(key, ref);
+      }
+    }
+    if (replacements.size === 0) break;
+
+    for (const [, object] of context.enumerateIndirectObjects()) {
+      replaceRefs(object, replacements);
+    }
+    duplicates.forEach(ref => context.delete(ref));
+    removed += duplicates.length;
+  }
+
+  return removed;
+}
+
+function shareKey(object: PDFObject): string | undefined {
+  if (object instanceof PDFStream) {
+    const hash = createHash('sha1').update(object.getContents()).digest('hex');
+    return `stream ${hash} ${serializeDict(object.dict)}`;
+  }
+  if (object instanceof PDFDict) {
+    const type = object.lookup(PDFName.of('Type'));
+    if (type instanceof PDFName && SHAREABLE_TYPES.has(type.decodeText())) {
+      return `dict ${serializeDict(object)}`;
+    }
+    return undefined;
+  }
+  if (object instanceof PDFArray) {
+    // Width tables, and color spaces such as [/ICCBased 12 0 R]
+    const items = object.asArray();
+    if (items.every(item => item instanceof PDFNumber) || items[0] instanceof PDFName) {
+      return `array ${object.toString()}`;
+    }
+  }
+  return undefined;
+}
+
+/** Key order and /Length do not change what a dictionary means */
+function serializeDict(dict: PDFDict): string {
+  return dict.entries()
+    .filter(([key]) => key !== PDFName.of('Length'))
+    .map(([key, value]) => `${key.toString()} ${value.toString()}`)
+    .sort()
+    .join(' ');
+}
+
+function replaceRefs(object: PDFObject, replacements: Map<string, PDFRef>): void {
+  if (object instanceof PDFStream) {
+    replaceRefs(object.dict, replacements);
+  } else if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      const replacement = value instanceof PDFRef ? replacements.get(value.toString()) : undefined;
+      if (replacement) object.set(key, replacement);
+      else replaceRefs(value, replacements);
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      const value = object.get(i);
+      const replacement = value instanceof PDFRef ? replacements.get(value.toString()) : undefined;
+      if (replacement) object.set(i, replacement);
+      else replaceRefs(value, replacements);
+    }
+  }
+}
+
+/** Delete indirect objects that cannot be reached from the trailer */
+export function removeUnusedObjects(pdfDoc: PDFDocument): number {
+  const context = pdfDoc.context;
+  const reachable = new Set<string>();
+  const pending: PDFObject[] = [];
+
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  for (const entry of [Root, Info, Encrypt]) {
+    if (entry) pending.push(entry);
+  }
+
+  while (pending.length > 0) {
+    const object = pending.pop()!;
+    if (object instanceof PDFRef) {
+      if (reachable.has(object.toString())) continue;
+      reachable.add(object.toString());
+      const target = context.lookup(object);
+      if (target) pending.push(target);
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    } else if (object instanceof PDFDict) {
+      pending.push(...object.values());
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.toString())) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,208 @@
+/**
+ * Document outline (bookmarks): read the tree with target pages, write a new
+ * one, and remap outlines when pages are merged or split.
+ */
+
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFObject,
+  PDFRef,
+  PDFString
+} from 'pdf-lib';
+
+export interface OutlineItem {
+  title: string;
+  /** 1-based target page, or null when the bookmark has no page destination */
+  pageNumber: number | null;
+  /** Whether the item shows its children expanded (default: false) */
+  open?: boolean;
+  children?: OutlineItem[];
+}
+
+export function readOutline(pdfDoc: PDFDocument): OutlineItem[] {
+  const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!outlines) return [];
+
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, i) => [page.ref.toString(), i + 1]));
+  const resolveDest = (dest: PDFObject | undefined) => destinationPage(pdfDoc, dest, pageNumbers);
+
+  const visited = new Set<PDFDict>();
+  const readLevel = (parent: PDFDict): OutlineItem[] => {
+    const items: OutlineItem[] = [];
+    let node = parent.lookupMaybe(PDFName.of('First'), PDFDict);
+    while (node && !visited.has(node)) {
+      visited.add(node);
+      const title = node.lookup(PDFName.of('Title'));
+      const action = node.lookupMaybe(PDFName.of('A'), PDFDict);
+      const isGoTo = action?.lookupMaybe(PDFName.of('S'), PDFName) === PDFName.of('GoTo');
+      const count = node.lookupMaybe(PDFName.of('Count'), PDFNumber)?.asNumber() ?? 0;
+      const children = readLevel(node);
+
+      items.push({
+        title: title instanceof PDFString || title instanceof PDFHexString ? title.decodeText() : '',
+        pageNumber: resolveDest(node.lookup(PDFName.of('Dest')) ?? (isGoTo ? action!.lookup(PDFName.of('D')) : undefined)),
+        ...(children.length > 0 ? { open: count > 0, children } : {})
+      });
+      node = node.lookupMaybe(PDFName.of('Next'), PDFDict);
+    }
+    return items;
+  };
+
+  return readLevel(outlines);
+}
+
+/**
+ * Replace the document outline. Items without a page keep no destination and
+ * act as folders for their children.
+ */
+export function writeOutline(pdfDoc: PDFDocument, items: OutlineItem[]): void {
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+
+  if (items.length === 0) {
+    pdfDoc.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  const validate = (list: OutlineItem[], path: string) => {
+    list.forEach((item, i) => {
+      const label = `${path}${i + 1}`;
+      if (typeof item.title !== 'string') {
+        throw new Error(`Outline item ${label} needs a title`);
+      }
+      if (item.pageNumber !== null && item.pageNumber !== undefined
+        && (!Number.isInteger(item.pageNumber) || item.pageNumber < 1 || item.pageNumber > pages.length)) {
+        throw new Error(`Outline item ${label} ("${item.title}") points to page ${item.pageNumber}, outside 1-${pages.length}`);
+      }
+      validate(item.children || [], `${label}.`);
+    });
+  };
+  validate(items, '');
+
+  // Number of descendants shown when the item's ancestors are all open
+  const visibleCount = (item: OutlineItem): number =>
+    (item.children || []).reduce((sum, child) => sum + 1 + (child.open ? visibleCount(child) : 0), 0);
+
+  const rootRef = context.nextRef();
+  const writeLevel = (list: OutlineItem[], parentRef: PDFRef): { first: PDFRef; last: PDFRef } => {
+    const refs = list.map(() => context.nextRef());
+    list.forEach((item, i) => {
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef
+      });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < list.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+      if (item.pageNumber) {
+        dict.set(
+          PDFName.of('Dest'),
+          context.obj([pages[item.pageNumber - 1].ref, PDFName.of('XYZ'), PDFNull, PDFNull, PDFNull])
+        );
+      }
+      if (item.children && item.children.length > 0) {
+        const { first, last } = writeLevel(item.children, refs[i]);
+        dict.set(PDFName.of('First'), first);
+        dict.set(PDFName.of('Last'), last);
+        const count = visibleCount({ ...item, open: true });
+        dict.set(PDFName.of('Count'), PDFNumber.of(item.open ? count : -count));
+      }
+      context.assign(refs[i], dict);
+    });
+    return { first: refs[0], last: refs[refs.length - 1] };
+  };
+
+  const { first, last } = writeLevel(items, rootRef);
+  const rootCount = items.reduce((sum, item) => sum + 1 + (item.open ? visibleCount(item) : 0), 0);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: first,
+    Last: last,
+    Count: rootCount
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+}
+
+/**
+ * Map an outline onto new page numbers. Items whose page is dropped
+ * (mapPage returns null) are removed and their children take their place.
+ */
+export function remapOutline(
+  items: OutlineItem[],
+  mapPage: (pageNumber: number) => number | null
+): OutlineItem[] {
+  return items.flatMap(item => {
+    const children = remapOutline(item.children || [], mapPage);
+    const pageNumber = item.pageNumber === null ? null : mapPage(item.pageNumber);
+    if (pageNumber === null && (item.pageNumber !== null || children.length === 0)) {
+      return children;
+    }
+    const remapped: OutlineItem = { title: item.title, pageNumber };
+    if (children.length > 0) {
+      remapped.open = item.open;
+      remapped.children = children;
+    }
+    return [remapped];
+  });
+}
+
+/**
+ * 1-based page a destination (explicit array, or name looked up in the
+ * catalog) points to, or null. pageNumbers maps page references to numbers.
+ */
+export function destinationPage(
+  pdfDoc: PDFDocument,
+  dest: PDFObject | undefined,
+  pageNumbers: Map<string, number>
+): number | null {
+  const target = lookupNamedDest(pdfDoc, dest) ?? dest;
+  const array = target instanceof PDFDict ? target.lookupMaybe(PDFName.of('D'), PDFArray) : target;
+  if (!(array instanceof PDFArray) || array.size() === 0) return null;
+  const page = array.get(0);
+  if (page instanceof PDFRef) return pageNumbers.get(page.toString()) ?? null;
+  // Some producers write a page index instead of a page reference
+  return page instanceof PDFNumber ? page.asNumber() + 1 : null;
+}
+
+/** Resolve a named destination through the /Dests dictionary or name tree */
+function lookupNamedDest(pdfDoc: PDFDocument, dest: PDFObject | undefined): PDFObject | undefined {
+  let name: string | undefined;
+  if (dest instanceof PDFName) name = dest.decodeText();
+  else if (dest instanceof PDFString || dest instanceof PDFHexString) name = dest.decodeText();
+  if (name === undefined) return undefined;
+
+  const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  const direct = dests?.lookup(PDFName.of(name));
+  if (direct) return direct;
+
+  const tree = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  return tree ? searchNameTree(tree, name, new Set()) : undefined;
+}
+
+function searchNameTree(node: PDFDict, name: string, visited: Set<PDFDict>): PDFObject | undefined {
+  if (visited.has(node)) return undefined;
+  visited.add(node);
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const key = names.lookup(i);
+      if ((key instanceof PDFString || key instanceof PDFHexString) && key.decodeText() === name) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  for (let i = 0; kids && i < kids.size(); i++) {
+    const kid = kids.lookup(i);
+    const found = kid instanceof PDFDict ? searchNameTree(kid, name, visited) : undefined;
+    if (found) return found;
+  }
+  return undefined;
+}
@@ -0,0 +1,181 @@
+/**
+ * In-place page manipulation: rotate, delete, move, insert blank pages and
+ * duplicate, applied in order to a single document.
+ */
+
+import { degrees, PageSizes, PDFDocument, PDFPage } from 'pdf-lib';
+
+export type PageOperation =
+  | { type: 'rotate'; pages: string; angle: number }
+  | { type: 'delete'; pages: string }
+  /** Move the pages, kept in their current order, so the first one becomes page `to` */
+  | { type: 'move'; pages: string; to: number }
+  /** Insert blank pages so the first one becomes page `at` (default: append) */
+  | { type: 'insert_blank'; at?: number; count?: number; size?: keyof typeof PageSizes | [number, number] }
+  /** Copy the pages; copies go to page `at`, or right after each original */
+  | { type: 'duplicate'; pages: string; at?: number };
+
+export interface PageMapping {
+  pageNumber: number;
+  /** Page number in the original document, or null for inserted blank pages */
+  sourcePage: number | null;
+  rotation: number;
+}
+
+export interface PageOperationsResult {
+  pages: number;
+  mapping: PageMapping[];
+  /** Original pages that no longer appear in the document */
+  deletedPages: number[];
+}
+
+interface TrackedPage {
+  page: PDFPage;
+  sourcePage: number | null;
+}
+
+/**
+ * Apply the operations to pdfDoc. Page numbers in each operation refer to the
+ * document as left by the previous operations, not to the original.
+ */
+export async function applyPageOperations(
+  pdfDoc: PDFDocument,
+  operations: PageOperation[],
+  resolvePages: (range: string, totalPages: number) => number[]
+): Promise<PageOperationsResult> {
+  const originalCount = pdfDoc.getPageCount();
+  const tracked: TrackedPage[] = pdfDoc.getPages().map((page, i) => ({ page, sourcePage: i + 1 }));
+
+  for (const [index, operation] of operations.entries()) {
+    const label = `Operation ${index + 1} (${operation.type})`;
+    const select = (range: string): number[] => {
+      const indexes = [...new Set(resolvePages(String(range), tracked.length))].sort((a, b) => a - b);
+      if (indexes.length === 0) {
+        throw new Error(`${label}: no pages match "${range}" in a document of ${tracked.length} page(s)`);
+      }
+      return indexes;
+    };
+    const position = (value: number | undefined, fallback: number): number => {
+      if (value === undefined) return fallback;
+      if (!Number.isInteger(value) || value < 1 || value > tracked.length + 1) {
+        throw new Error(`${label}: position ${value} is outside 1-${tracked.length + 1}`);
+      }
+      return value - 1;
+    };
+
+    switch (operation.type) {
+      case 'rotate': {
+        if (!Number.isInteger(operation.angle) || operation.angle % 90 !== 0) {
+          throw new Error(`${label}: angle must be a multiple of 90, got ${operation.angle}`);
+        }
+        for (const i of select(operation.pages)) {
+          const page = tracked[i].page;
+          const angle = (((page.getRotation().angle + operation.angle) % 360) + 360) % 360;
+          page.setRotation(degrees(angle));
+        }
+        break;
+      }
+
+      case 'delete': {
+        const indexes = select(operation.pages);
+        if (indexes.length === tracked.length) {
+          throw new Error(`${label}: cannot delete every page`);
+        }
+        for (const i of [...indexes].reverse()) {
+          pdfDoc.removePage(i);
+          tracked.splice(i, 1);
+        }
+        break;
+      }
+
+      case 'move': {
+        const indexes = select(operation.pages);
+        const moving = indexes.map(i => tracked[i]);
+        for (const i of [...indexes].reverse()) {
+          pdfDoc.removePage(i);
+          tracked.splice(i, 1);
+        }
+        if (!Number.isInteger(operation.to) || operation.to < 1 || operation.to > tracked.length + 1) {
+          throw new Error(`${label}: target ${operation.to} is outside 1-${tracked.length + 1} once the moved pages are taken out`);
+        }
+        moving.forEach((entry, offset) => {
+          pdfDoc.insertPage(operation.to - 1 + offset, entry.page);
+          tracked.splice(operation.to - 1 + offset, 0, entry);
+        });
+        break;
+      }
+
+      case 'insert_blank': {
+        const at = position(operation.at, tracked.length);
+        const count = operation.count ?? 1;
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`${label}: count must be a positive integer`);
+        }
+        const size = blankPageSize(operation.size, tracked[at - 1]?.page ?? tracked[at]?.page, label);
+        for (let n = 0; n < count; n++) {
+          const page = pdfDoc.insertPage(at + n, size);
+          tracked.splice(at + n, 0, { page, sourcePage: null });
+        }
+        break;
+      }
+
+      case 'duplicate': {
+        const indexes = select(operation.pages);
+        const sources = indexes.map(i => tracked[i].sourcePage);
+        const copies = await pdfDoc.copyPages(pdfDoc, indexes);
+        if (operation.at !== undefined) {
+          const at = position(operation.at, tracked.length);
+          copies.forEach((page, offset) => {
+            pdfDoc.insertPage(at + offset, page);
+            tracked.splice(at + offset, 0, { page, sourcePage: sources[offset] });
+          });
+        } else {
+          // Work backwards so earlier indexes stay valid
+          for (let k = indexes.length - 1; k >= 0; k--) {
+            pdfDoc.insertPage(indexes[k] + 1, copies[k]);
+            tracked.splice(indexes[k] + 1, 0, { page: copies[k], sourcePage: sources[k] });
+          }
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`${label}: unknown operation type`);
+    }
+  }
+
+  const remaining = new Set(tracked.map(entry => entry.sourcePage));
+  return {
+    pages: tracked.length,
+    mapping: tracked.map((entry, i) => ({
+      pageNumber: i + 1,
+      sourcePage: entry.sourcePage,
+      rotation: entry.page.getRotation().angle
+    })),
+    deletedPages: Array.from({ length: originalCount }, (_, i) => i + 1).filter(n => !remaining.has(n))
+  };
+}
+
+function blankPageSize(
+  size: keyof typeof PageSizes | [number, number] | undefined,
+  neighbour: PDFPage | undefined,
+  label: string
+): [number, number] {
+  if (Array.isArray(size)) {
+    if (size.length !== 2 || !size.every(n => typeof n === 'number' && n > 0)) {
+      throw new Error(`${label}: size must be [width, height] in points`);
+    }
+    return size;
+  }
+  if (size !== undefined) {
+    if (!(size in PageSizes)) {
+      throw new Error(`${label}: unknown page size "${size}"`);
+    }
+    return [...PageSizes[size]] as [number, number];
+  }
+  if (neighbour) {
+    const { width, height } = neighbour.getSize();
+    return [width, height];
+  }
+  return [...PageSizes.A4] as [number, number];
+}
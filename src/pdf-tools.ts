@@ -1,6 +1,63 @@
-import { readFileSync, writeFileSync, statSync, existsSync } from 'fs';
-import { PDFDocument, StandardFonts, rgb, PageSizes } from 'pdf-lib';
+import { existsSync, readFileSync, statSync, readdirSync } from 'fs';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { PDFDocument, PDFPage, rgb, PageSizes, StandardFonts } from 'pdf-lib';
 import pdfParse from 'pdf-parse';
+import { buildStructuredPages, collectTextRuns, StructuredPage } from './text-layout.js';
+import { collectTableInput, detectTables, ExtractedTable, toCsv } from './table-extraction.js';
+import { renderMarkdown } from './markdown-renderer.js';
+import { FontOptions, FontStack, loadFontStacks, splitBreakable } from './fonts.js';
+import { applyStamps, StampOptions } from './stamping.js';
+import { FileAccess, FileAccessOptions } from './file-access.js';
+import { OperationContext, throwIfCancelled } from './progress.js';
+import {
+  applyStep,
+  expandGlob,
+  globBase,
+  mapLimit,
+  mergeDocuments,
+  PipelineDocument,
+  PipelineStep,
+  StepContext,
+  validatePipelineSteps
+} from './pipeline.js';
+import { fillFormFields, FormField, FormFillReport, FormValue, listFormFields } from './forms.js';
+import { decryptPDF, encryptPDF, isEncryptedPDF, ProtectOptions } from './encryption.js';
+import { OutlineItem, readOutline, remapOutline, writeOutline } from './outline.js';
+import { composeContactSheet, encodePng, rasterizePages } from './rendering.js';
+import { collectPageImages, describeImage, encodeImage, ImageDescription } from './image-extraction.js';
+import { addTextLayer, OcrLanguage, OcrMode, recognizePages } from './ocr.js';
+import { applyPageOperations, PageOperation, PageOperationsResult } from './page-operations.js';
+import {
+  buildPattern,
+  escapeRegExp,
+  findMatches,
+  IndexedPageText,
+  indexPageText,
+  quadText,
+  rangeQuads,
+  TextMatch
+} from './search.js';
+import {
+  addHighlight,
+  addLink,
+  addNote,
+  AnnotationInfo,
+  readAnnotations,
+  rectQuad,
+  removeAnnotations
+} from './annotations.js';
+import { comparePages, PageComparison } from './comparison.js';
+import { optimizeDocument, OptimizeOptions, OptimizeStats } from './optimization.js';
+import {
+  buildMatchers,
+  findTextMatches,
+  redactDocument,
+  RedactionReport,
+  RedactionTargets,
+  redactMetadata
+} from './redaction.js';
+import { countSignatures, loadTrustStore, SignatureVerification, verifySignatures } from './signatures.js';
+import { applyMetadata, MetadataUpdate, readCustomInfo, readKeywords, readXmp, stripMetadata, syncXmp, XmpMetadata } from './metadata.js';
 
 export interface PDFInfo {
   pages: number;
@@ -11,14 +68,230 @@ export interface PDFInfo {
   producer?: string;
   creationDate?: Date;
   modificationDate?: Date;
+  keywords?: string[];
+  /** Document information entries beyond the standard ones */
+  custom?: Record<string, string>;
+  /** Properties from the XMP metadata stream, when the document has one */
+  xmp?: XmpMetadata;
   fileSize: number;
   filePath: string;
+  lowTextPages?: number[];
+  encrypted?: boolean;
+  /** The document holds at least one digital signature; see verify_signatures */
+  signed?: boolean;
+  signatureCount?: number;
+}
+
+export interface PDFPageText {
+  pageNumber: number;
+  text: string;
+  charCount: number;
+  /** 'ocr' when the text was recognized from the rendered page image */
+  source: 'text' | 'ocr';
+  /** Tesseract's confidence (0-100) for OCR pages */
+  ocrConfidence?: number;
 }
 
 export interface PDFTextContent {
   text: string;
-  pages: number;
+  totalPages: number;
+  pages: PDFPageText[];
   info: PDFInfo;
+  warnings?: string[];
+}
+
+export interface PDFStructuredText {
+  totalPages: number;
+  pages: StructuredPage[];
+}
+
+export interface PDFTableResult {
+  totalPages: number;
+  tables: (ExtractedTable & { csvPath?: string })[];
+}
+
+export interface RenderedImage {
+  pageNumber?: number;
+  /** Pages on a thumbnail sheet, left to right and top to bottom */
+  pages?: number[];
+  width: number;
+  height: number;
+  path?: string;
+  /** Base64 PNG, when no output directory was given */
+  data?: string;
+}
+
+export interface PDFRenderResult {
+  totalPages: number;
+  images: RenderedImage[];
+}
+
+export interface RenderOptions {
+  dpi?: number;
+  outputDir?: string;
+  /** Render all selected pages as small thumbnails on a single sheet */
+  thumbnails?: boolean;
+}
+
+export interface PDFImageResult {
+  totalPages: number;
+  images: (ImageDescription & { pageNumber: number; name: string; format: 'jpg' | 'jp2' | 'png'; path: string })[];
+  /** Images that could not be decoded, with the reason */
+  skipped: { pageNumber: number; name: string; reason: string }[];
+}
+
+export interface PDFSearchableResult {
+  success: boolean;
+  path: string;
+  pages: number;
+  /** Pages that received an OCR text layer */
+  ocrPages: { pageNumber: number; words: number; confidence: number }[];
+  /** Pages left unchanged because they already have text */
+  textPages: number[];
+  /** Image-only pages where OCR found no text */
+  blankPages: number[];
+}
+
+export interface SearchOptions {
+  /** Treat the query as a JavaScript regular expression (default: false) */
+  regex?: boolean;
+  /** Match letter case exactly (default: false) */
+  caseSensitive?: boolean;
+  /** Also search PDFs in subdirectories of the directory (default: false) */
+  recursive?: boolean;
+  /** Maximum number of matches to return (default: 100) */
+  maxResults?: number;
+  /** Characters of context on each side of a match (default: 60) */
+  contextChars?: number;
+  /** Write a copy of each file with matches, highlighted, to this directory */
+  highlightDir?: string;
+}
+
+export interface PDFSearchResult {
+  query: string;
+  filesSearched: number;
+  totalMatches: number;
+  /** True when more matches were found than maxResults */
+  truncated: boolean;
+  matches: (Omit<TextMatch, 'length'> & { file: string; pageNumber: number })[];
+  highlightedFiles?: string[];
+  /** Files that could not be searched, e.g. encrypted without a password */
+  errors?: { file: string; error: string }[];
+}
+
+export interface PDFOptimizeResult extends OptimizeStats {
+  success: boolean;
+  path: string;
+  originalSize: number;
+  optimizedSize: number;
+  /** Percentage of the original size saved */
+  reduction: number;
+}
+
+export interface PDFComparison {
+  oldFile: string;
+  newFile: string;
+  summary: {
+    pagesUnchanged: number;
+    pagesChanged: number;
+    pagesAdded: number;
+    pagesRemoved: number;
+    insertions: number;
+    deletions: number;
+    moves: number;
+  };
+  metadata: { field: string; old: PDFInfo[keyof PDFInfo] | null; new: PDFInfo[keyof PDFInfo] | null }[];
+  pages: Omit<PageComparison, 'deletionPoints'>[];
+  redlinePath?: string;
+}
+
+export interface AnnotationRequest {
+  type: 'note' | 'highlight' | 'link';
+  /** 1-based page. Highlights and links over text search every page when omitted */
+  pageNumber?: number;
+  /** Text to highlight or link, or to put a note next to */
+  text?: string;
+  /** Mark every occurrence of text instead of the first (default: false) */
+  allMatches?: boolean;
+  /** Comment text: required for notes, defaults to the highlighted text for highlights */
+  contents?: string;
+  author?: string;
+  /** RGB components between 0 and 1 */
+  color?: [number, number, number];
+  /** Note position in points from the page's bottom left corner */
+  x?: number;
+  y?: number;
+  /** Link area [x1, y1, x2, y2], instead of text */
+  rect?: number[];
+  /** Link target: a web address or a 1-based page */
+  url?: string;
+  targetPage?: number;
+}
+
+export interface RedactOptions extends RedactionTargets {
+  /** Pages to search for patterns and detectors (default: all); areas name their own page */
+  pageRange?: string;
+  /** Remove all metadata as stripPDFMetadata does */
+  scrubMetadata?: boolean;
+}
+
+export interface PDFRedactionResult extends RedactionReport {
+  success: boolean;
+  path: string;
+  /** Number of redactions per detector, 'pattern' and 'area' */
+  summary: Record<string, number>;
+  /** Metadata entries removed because they matched, or all of them when scrubbing */
+  metadataRemoved: string[];
+  /** True when the output was re-read and none of the redacted text can be extracted */
+  verified: boolean;
+  /** Text still extractable after redaction, when not verified */
+  remaining: { pageNumber: number; kind: string; text: string }[];
+}
+
+export interface AnnotationFilter {
+  ids?: string[];
+  /** Types as reported by getAnnotations, e.g. note, highlight, link */
+  types?: string[];
+  author?: string;
+  /** Text the comment contains, ignoring case */
+  contains?: string;
+  pageRange?: string;
+  /** Remove all annotations; needed when no other criterion is given */
+  all?: boolean;
+}
+
+export interface PipelineOptions {
+  /** Input files */
+  files?: string[];
+  /** Absolute glob pattern for input files, e.g. /data/in/*.pdf */
+  glob?: string;
+  steps: PipelineStep[];
+  /** Directory the results are written to as <name>.pdf */
+  outputDir: string;
+  /** Files processed at the same time (default: 2) */
+  concurrency?: number;
+  /** Run every step but write nothing */
+  dryRun?: boolean;
+}
+
+export interface PDFPipelineResult {
+  /** True when every input file was processed without error */
+  success: boolean;
+  dryRun: boolean;
+  files: { file: string; success: boolean; error?: string; outputs: string[] }[];
+  /** Files written, or that would be written in a dry run */
+  outputs: { path: string; pages: number; sources: string[]; exists?: boolean }[];
+  warnings?: string[];
+}
+
+export interface PDFSignatureReport {
+  filePath: string;
+  signed: boolean;
+  signatures: SignatureVerification[];
+  /** Signature fields that have not been signed */
+  unsignedFields: string[];
+  /** Certificates loaded from the trust store directory, when one was given */
+  trustStore?: { directory: string; certificates: number; skipped?: string[] };
 }
 
 export interface CreatePDFOptions {
@@ -28,77 +301,468 @@ export interface CreatePDFOptions {
   fontSize?: number;
   pageSize?: keyof typeof PageSizes;
   margins?: { top: number; bottom: number; left: number; right: number };
+  format?: 'text' | 'markdown';
+  fonts?: FontOptions;
 }
 
+// Images returned inline (without outputDir) are limited to keep responses small
+const MAX_INLINE_RENDERED_PAGES = 10;
+const THUMBNAIL_SIZE = 200;
+
+// Pages with fewer non-whitespace characters than this are reported as low-text
+// by getPDFInfo (usually scans, image-only pages or blank separators).
+const LOW_TEXT_THRESHOLD = 20;
+
 export class PDFTools {
+  private readonly files: FileAccess;
+
+  /**
+   * Inputs and outputs are confined to the allowed roots in options, and
+   * existing output files are handled by its overwrite policy
+   */
+  constructor(options: FileAccessOptions = {}) {
+    this.files = new FileAccess(options);
+  }
+
+  /** Directories inputs and outputs are confined to; empty when any path is allowed */
+  get allowedRoots(): string[] {
+    return this.files.allowedRoots;
+  }
+
   /**
-   * Read and extract text from a PDF file
+   * Read and extract text from a PDF file. Pages without a usable text layer
+   * are run through OCR unless ocr is 'off'; 'force' OCRs every page.
    */
-  async readPDF(filePath: string, pageRange?: string): Promise<PDFTextContent> {
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
+  async readPDF(
+    filePath: string,
+    pageRange?: string,
+    password?: string,
+    ocr: OcrMode = 'auto',
+    ocrLanguage?: OcrLanguage,
+    context: OperationContext = {}
+  ): Promise<PDFTextContent> {
+    this.files.assertReadable(filePath);
+    if (!['auto', 'force', 'off'].includes(ocr)) {
+      throw new Error(`Invalid ocr mode "${ocr}"; use "auto", "force" or "off"`);
     }
 
-    const dataBuffer = readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
+    const dataBuffer = await this.readPDFBytes(filePath, password);
 
-    const stats = statSync(filePath);
-    const info: PDFInfo = {
-      pages: data.numpages,
-      title: data.info?.Title,
-      author: data.info?.Author,
-      subject: data.info?.Subject,
-      creator: data.info?.Creator,
-      producer: data.info?.Producer,
-      creationDate: data.info?.CreationDate,
-      modificationDate: data.info?.ModDate,
-      fileSize: stats.size,
-      filePath
-    };
+    const pageNumbers = pageRange ? await this.resolvePageNumbers(dataBuffer, pageRange) : undefined;
+    const { data, pages } = await this.parsePages(dataBuffer, renderPageText, pageNumbers);
+    const pageTexts: PDFPageText[] = pages.map(({ pageNumber, result }) => ({
+      pageNumber,
+      text: result,
+      charCount: result.length,
+      source: 'text'
+    }));
 
-    let text = data.text;
+    const lowTextPages = pageTexts.filter(p => isLowTextPage(p.text));
+    const warnings: string[] = [];
 
-    // If pageRange specified, extract specific pages
-    if (pageRange) {
-      const pdfDoc = await PDFDocument.load(dataBuffer);
-      const pages = this.parsePageRange(pageRange, pdfDoc.getPageCount());
-      
-      // For page range, we need to extract text page by page
-      // This is a simplified approach - full implementation would need more sophisticated parsing
-      text = `[Extracted pages ${pageRange}]\n${text}`;
+    if (ocr === 'off') {
+      if (lowTextPages.length > 0) {
+        warnings.push(
+          `Little or no text layer on pages ${lowTextPages.map(p => p.pageNumber).join(', ')} ` +
+          '(likely scanned); read them with ocr "auto" to recognize their text'
+        );
+      }
+    } else {
+      const ocrTargets = ocr === 'force' ? pageTexts : lowTextPages;
+      const recognized = await recognizePages(dataBuffer, ocrTargets.map(p => p.pageNumber), {
+        ...context,
+        language: ocrLanguage
+      });
+      for (const result of recognized) {
+        const page = ocrTargets.find(p => p.pageNumber === result.pageNumber)!;
+        // In auto mode a blank scan keeps whatever the text layer had
+        if (ocr === 'auto' && countVisible(result.text) <= countVisible(page.text)) continue;
+        page.text = result.text;
+        page.charCount = result.text.length;
+        page.source = 'ocr';
+        page.ocrConfidence = result.confidence;
+      }
+      const blankPages = lowTextPages.filter(p => p.source === 'text');
+      if (blankPages.length > 0) {
+        warnings.push(
+          `Little or no text on pages ${blankPages.map(p => p.pageNumber).join(', ')}, ` +
+          'even with OCR (blank pages or pictures without text)'
+        );
+      }
     }
 
     return {
-      text,
-      pages: data.numpages,
-      info
+      text: pageTexts.map(p => p.text).join('\n\n'),
+      totalPages: data.numpages,
+      pages: pageTexts,
+      info: this.buildPDFInfo(data, filePath),
+      ...(warnings.length > 0 ? { warnings } : {})
     };
   }
 
   /**
    * Get PDF metadata and information
    */
-  async getPDFInfo(filePath: string): Promise<PDFInfo> {
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
+  async getPDFInfo(filePath: string, password?: string): Promise<PDFInfo> {
+    this.files.assertReadable(filePath);
+
+    const fileBuffer = readFileSync(filePath);
+    const dataBuffer = await decryptPDF(fileBuffer, password, filePath);
+    const { data, pages } = await this.parsePages(dataBuffer, renderPageText);
+    const pdfDoc = await PDFDocument.load(dataBuffer, { updateMetadata: false });
+    const custom = readCustomInfo(pdfDoc);
+    const xmp = readXmp(pdfDoc);
+    const signatureCount = countSignatures(pdfDoc);
+
+    return {
+      ...this.buildPDFInfo(data, filePath),
+      keywords: readKeywords(pdfDoc),
+      ...(Object.keys(custom).length > 0 ? { custom } : {}),
+      ...(xmp ? { xmp } : {}),
+      encrypted: dataBuffer !== fileBuffer,
+      signed: signatureCount > 0,
+      ...(signatureCount > 0 ? { signatureCount } : {}),
+      lowTextPages: pages
+        .filter(({ result }) => isLowTextPage(result))
+        .map(({ pageNumber }) => pageNumber)
+    };
+  }
+
+  /**
+   * Extract text as classified blocks (headings, paragraphs, list items) with
+   * positions and fonts, in reading order
+   */
+  async extractStructuredText(
+    filePath: string,
+    pageRange?: string,
+    includeRuns: boolean = true,
+    password?: string
+  ): Promise<PDFStructuredText> {
+    this.files.assertReadable(filePath);
+
+    const dataBuffer = await this.readPDFBytes(filePath, password);
+    const pageNumbers = pageRange ? await this.resolvePageNumbers(dataBuffer, pageRange) : undefined;
+    const { data, pages } = await this.parsePages(dataBuffer, collectTextRuns, pageNumbers);
+
+    return {
+      totalPages: data.numpages,
+      pages: buildStructuredPages(pages.map(p => p.result), includeRuns)
+    };
+  }
+
+  /**
+   * Detect ruled and whitespace-aligned tables and return their cells,
+   * optionally writing each table as a CSV file next to the source PDF
+   */
+  async extractTables(
+    filePath: string,
+    pageRange?: string,
+    writeCsv: boolean = false,
+    password?: string
+  ): Promise<PDFTableResult> {
+    this.files.assertReadable(filePath);
+
+    const dataBuffer = await this.readPDFBytes(filePath, password);
+    const pageNumbers = pageRange ? await this.resolvePageNumbers(dataBuffer, pageRange) : undefined;
+    const { data, pages } = await this.parsePages(dataBuffer, collectTableInput, pageNumbers);
+
+    const tables: (ExtractedTable & { csvPath?: string })[] = [];
+    for (const { result } of pages) {
+      detectTables(result).forEach((table, index) => {
+        if (!writeCsv) {
+          tables.push(table);
+          return;
+        }
+        const csvPath = this.files.write(
+          join(dirname(filePath), `${basename(filePath, extname(filePath))}_page${table.pageNumber}_table${index + 1}.csv`),
+          toCsv(table.rows)
+        );
+        tables.push({ ...table, csvPath });
+      });
     }
 
-    const dataBuffer = readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    const stats = statSync(filePath);
+    return {
+      totalPages: data.numpages,
+      tables
+    };
+  }
+
+  /**
+   * Render pages to PNG, either returned as base64 data or written to
+   * outputDir as <name>_page<N>.png
+   */
+  async renderPages(
+    filePath: string,
+    pageRange?: string,
+    options: RenderOptions = {},
+    password?: string,
+    context: OperationContext = {}
+  ): Promise<PDFRenderResult> {
+    this.files.assertReadable(filePath);
+
+    const dataBuffer = await this.readPDFBytes(filePath, password);
+    const totalPages = (await PDFDocument.load(dataBuffer)).getPageCount();
+    const pageNumbers = pageRange
+      ? await this.resolvePageNumbers(dataBuffer, pageRange)
+      : Array.from({ length: totalPages }, (_, i) => i + 1);
+    const baseName = basename(filePath, extname(filePath));
+
+    const output = (name: string, image: { width: number; height: number; data: Uint8Array }) => {
+      const png = encodePng(image);
+      if (!options.outputDir) {
+        return { width: image.width, height: image.height, data: png.toString('base64') };
+      }
+      const path = this.files.write(join(options.outputDir, name), png);
+      return { width: image.width, height: image.height, path };
+    };
+
+    if (options.thumbnails) {
+      const thumbnails = await rasterizePages(dataBuffer, pageNumbers, { ...context, maxSize: THUMBNAIL_SIZE });
+      const columns = Math.min(5, thumbnails.length);
+      const sheet = composeContactSheet(thumbnails, columns);
+      return {
+        totalPages,
+        images: [{ pages: pageNumbers, ...output(`${baseName}_thumbnails.png`, sheet) }]
+      };
+    }
+
+    if (!options.outputDir && pageNumbers.length > MAX_INLINE_RENDERED_PAGES) {
+      throw new Error(
+        `Rendering ${pageNumbers.length} pages inline is too large; select at most ${MAX_INLINE_RENDERED_PAGES} pages, set outputDir, or use thumbnails`
+      );
+    }
 
+    const pages = await rasterizePages(dataBuffer, pageNumbers, { ...context, dpi: options.dpi });
     return {
-      pages: data.numpages,
-      title: data.info?.Title,
-      author: data.info?.Author,
-      subject: data.info?.Subject,
-      creator: data.info?.Creator,
-      producer: data.info?.Producer,
-      creationDate: data.info?.CreationDate,
-      modificationDate: data.info?.ModDate,
-      fileSize: stats.size,
-      filePath
+      totalPages,
+      images: pages.map(page => ({
+        pageNumber: page.pageNumber,
+        ...output(`${baseName}_page${page.pageNumber}.png`, page)
+      }))
+    };
+  }
+
+  /**
+   * Write the images embedded in the selected pages to outputDir as
+   * <name>_page<N>_img<M>.<ext>. JPEG data is copied unchanged; other images
+   * are decoded to PNG
+   */
+  async extractImages(
+    filePath: string,
+    outputDir: string,
+    pageRange?: string,
+    password?: string
+  ): Promise<PDFImageResult> {
+    this.files.assertReadable(filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const totalPages = pdfDoc.getPageCount();
+    const pageIndexes = pageRange
+      ? (await this.resolvePageNumbers(pdfBytes, pageRange)).map(n => n - 1)
+      : Array.from({ length: totalPages }, (_, i) => i);
+    const baseName = basename(filePath, extname(filePath));
+
+    const result: PDFImageResult = { totalPages, images: [], skipped: [] };
+    const perPage = new Map<number, number>();
+
+    for (const image of collectPageImages(pdfDoc, pageIndexes)) {
+      let encoded;
+      try {
+        encoded = encodeImage(image);
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        result.skipped.push({ pageNumber: image.pageNumber, name: image.name, reason });
+        continue;
+      }
+
+      const index = (perPage.get(image.pageNumber) ?? 0) + 1;
+      perPage.set(image.pageNumber, index);
+      const path = this.files.write(
+        join(outputDir, `${baseName}_page${image.pageNumber}_img${index}.${encoded.format}`),
+        encoded.format === 'png' ? encodePng(encoded) : encoded.bytes
+      );
+
+      result.images.push({
+        pageNumber: image.pageNumber,
+        name: image.name,
+        ...describeImage(image),
+        format: encoded.format,
+        path
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Search the text of one or more PDFs, or of all PDFs in a directory.
+   * Offsets refer to the page text returned by readPDF.
+   */
+  async searchPDF(
+    query: string,
+    filePaths?: string[],
+    directory?: string,
+    options: SearchOptions = {},
+    password?: string,
+    context: OperationContext = {}
+  ): Promise<PDFSearchResult> {
+    const pattern = buildPattern({ query, regex: options.regex, caseSensitive: options.caseSensitive });
+    const maxResults = options.maxResults ?? 100;
+
+    const files = [...(filePaths || [])];
+    if (directory) {
+      this.files.assertDirectory(directory);
+      const entries = readdirSync(directory, { recursive: !!options.recursive, encoding: 'utf8' });
+      files.push(...entries.filter(name => extname(name).toLowerCase() === '.pdf').sort().map(name => join(directory, name)));
+    }
+    if (files.length === 0) {
+      throw new Error('No PDF files to search; provide filePaths or a directory containing PDFs');
+    }
+    for (const filePath of files) {
+      this.files.assertReadable(filePath);
+    }
+
+    const result: PDFSearchResult = { query, filesSearched: 0, totalMatches: 0, truncated: false, matches: [] };
+    const highlightedFiles: string[] = [];
+    const errors: { file: string; error: string }[] = [];
+
+    for (const [index, filePath] of files.entries()) {
+      throwIfCancelled(context);
+      context.onProgress?.(index, files.length, `Searching ${basename(filePath)}`);
+      let dataBuffer: Buffer;
+      let pages: { pageNumber: number; result: IndexedPageText }[];
+      try {
+        dataBuffer = await this.readPDFBytes(filePath, password);
+        ({ pages } = await this.parsePages(dataBuffer, indexPageText));
+      } catch (error) {
+        errors.push({ file: filePath, error: error instanceof Error ? error.message : String(error) });
+        continue;
+      }
+      result.filesSearched++;
+
+      const fileMatches = pages.map(({ result: page }) => ({ page, matches: findMatches(page.text, pattern, options.contextChars) }));
+      for (const { page, matches } of fileMatches) {
+        result.totalMatches += matches.length;
+        for (const { length, ...match } of matches) {
+          if (result.matches.length < maxResults) {
+            result.matches.push({ file: filePath, pageNumber: page.pageNumber, ...match });
+          } else {
+            result.truncated = true;
+          }
+        }
+      }
+
+      if (options.highlightDir && fileMatches.some(({ matches }) => matches.length > 0)) {
+        const pdfDoc = await PDFDocument.load(dataBuffer);
+        for (const { page, matches } of fileMatches) {
+          for (const match of matches) {
+            addHighlight(pdfDoc, pdfDoc.getPage(page.pageNumber - 1), rangeQuads(page, match.offset, match.length), {
+              contents: match.match
+            });
+          }
+        }
+        highlightedFiles.push(this.files.write(
+          join(options.highlightDir, `${basename(filePath, extname(filePath))}_highlighted.pdf`),
+          await pdfDoc.save()
+        ));
+      }
+    }
+
+    context.onProgress?.(files.length, files.length);
+    if (options.highlightDir) result.highlightedFiles = highlightedFiles;
+    if (errors.length > 0) result.errors = errors;
+    return result;
+  }
+
+  /**
+   * Compare two versions of a document: align pages by content, diff the
+   * words of each pair and compare metadata. Optionally write a redline copy
+   * of the new version with insertions and moves highlighted and deletions
+   * marked with notes.
+   */
+  async comparePDFs(
+    oldPath: string,
+    newPath: string,
+    redlinePath?: string,
+    password?: string | string[]
+  ): Promise<PDFComparison> {
+    for (const filePath of [oldPath, newPath]) {
+      this.files.assertReadable(filePath);
+    }
+
+    const [oldBytes, newBytes] = await Promise.all([oldPath, newPath].map((filePath, index) =>
+      this.readPDFBytes(filePath, Array.isArray(password) ? password[index] : password)
+    ));
+    const oldParsed = await this.parsePages(oldBytes, indexPageText);
+    const newParsed = await this.parsePages(newBytes, indexPageText);
+    const newPages = newParsed.pages.map(p => p.result);
+    const comparisons = comparePages(oldParsed.pages.map(p => p.result), newPages);
+
+    const changes = comparisons.flatMap(page => [...page.removed, ...page.added]);
+    const oldInfo = this.buildPDFInfo(oldParsed.data, oldPath);
+    const newInfo = this.buildPDFInfo(newParsed.data, newPath);
+    const fields: (keyof PDFInfo)[] = ['pages', 'title', 'author', 'subject', 'creator', 'producer', 'creationDate', 'modificationDate'];
+    const metadata = fields
+      .filter(field => JSON.stringify(oldInfo[field]) !== JSON.stringify(newInfo[field]))
+      .map(field => ({ field, old: oldInfo[field] ?? null, new: newInfo[field] ?? null }));
+
+    const result: PDFComparison = {
+      oldFile: oldPath,
+      newFile: newPath,
+      summary: {
+        pagesUnchanged: comparisons.filter(page => page.status === 'unchanged').length,
+        pagesChanged: comparisons.filter(page => page.status === 'changed').length,
+        pagesAdded: comparisons.filter(page => page.status === 'added').length,
+        pagesRemoved: comparisons.filter(page => page.status === 'removed').length,
+        insertions: changes.filter(change => change.type === 'insert').length,
+        deletions: changes.filter(change => change.type === 'delete').length,
+        // Each move shows up on both sides
+        moves: changes.filter(change => change.type === 'move').length / 2
+      },
+      metadata,
+      pages: comparisons.map(({ deletionPoints, ...page }) => page)
     };
+
+    if (redlinePath) {
+      const pdfDoc = await PDFDocument.load(newBytes);
+      let pendingRemovals: number[] = [];
+
+      for (const page of comparisons) {
+        if (page.newPage === null) {
+          pendingRemovals.push(page.oldPage!);
+          continue;
+        }
+        const pdfPage = pdfDoc.getPage(page.newPage - 1);
+        const indexed = newPages[page.newPage - 1];
+
+        for (const change of page.added) {
+          addHighlight(pdfDoc, pdfPage, rangeQuads(indexed, change.offset, change.length), change.type === 'move'
+            ? { color: [0.4, 0.7, 1], contents: `Moved from page ${change.movedFrom!.pageNumber}: ${change.text}` }
+            : { color: [0.5, 0.9, 0.4], contents: `Inserted: ${change.text}` });
+        }
+        for (const point of page.deletionPoints) {
+          const { x, y } = this.locateOffset(indexed, point.offset, pdfPage);
+          addNote(pdfDoc, pdfPage, x, y, `Deleted: ${point.text}`);
+        }
+        if (pendingRemovals.length > 0) {
+          const { x, y } = this.locateOffset(indexed, 0, pdfPage);
+          addNote(pdfDoc, pdfPage, x, y, `Removed before this page: old page(s) ${pendingRemovals.join(', ')}`);
+          pendingRemovals = [];
+        }
+      }
+
+      // Pages removed at the end are noted on the last page
+      if (pendingRemovals.length > 0 && pdfDoc.getPageCount() > 0) {
+        const lastPage = pdfDoc.getPage(pdfDoc.getPageCount() - 1);
+        const { x, y } = this.locateOffset(newPages[newPages.length - 1], newPages[newPages.length - 1].text.length, lastPage);
+        addNote(pdfDoc, lastPage, x, y, `Removed after this page: old page(s) ${pendingRemovals.join(', ')}`);
+      }
+
+      result.redlinePath = this.files.write(redlinePath, await pdfDoc.save());
+    }
+
+    return result;
   }
 
   /**
@@ -108,7 +772,12 @@ export class PDFTools {
     content: string,
     outputPath: string,
     options: CreatePDFOptions = {}
-  ): Promise<{ success: boolean; path: string; pages: number }> {
+  ): Promise<{ success: boolean; path: string; pages: number; warnings?: string[] }> {
+    const fontFiles = options.fonts ?? {};
+    for (const fontPath of [fontFiles.regular, fontFiles.bold, fontFiles.italic, fontFiles.boldItalic, fontFiles.mono, ...(fontFiles.fallback ?? [])]) {
+      if (fontPath) this.files.assertReadable(fontPath, 'Font file');
+    }
+
     const pdfDoc = await PDFDocument.create();
     
     // Set metadata
@@ -120,83 +789,145 @@ export class PDFTools {
     pdfDoc.setCreationDate(new Date());
     pdfDoc.setModificationDate(new Date());
 
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
     const fontSize = options.fontSize || 12;
     const pageSize = options.pageSize ? PageSizes[options.pageSize] : PageSizes.A4;
     const margins = options.margins || { top: 50, bottom: 50, left: 50, right: 50 };
+    const warnings: string[] = [];
+    let fonts: FontStack[];
 
-    const maxWidth = pageSize[0] - margins.left - margins.right;
-    const maxHeight = pageSize[1] - margins.top - margins.bottom;
-    const lineHeight = fontSize * 1.2;
-
-    // Split content into lines that fit the page width
-    const lines = this.wrapText(content, font, fontSize, maxWidth);
-    
-    let page = pdfDoc.addPage(pageSize);
-    let y = pageSize[1] - margins.top;
-
-    for (const line of lines) {
-      if (y < margins.bottom) {
-        page = pdfDoc.addPage(pageSize);
-        y = pageSize[1] - margins.top;
-      }
-
-      page.drawText(line, {
-        x: margins.left,
-        y,
-        size: fontSize,
-        font,
-        color: rgb(0, 0, 0)
-      });
+    if (options.format === 'markdown') {
+      const stacks = await loadFontStacks(pdfDoc, options.fonts, ['regular', 'bold', 'italic', 'boldItalic', 'mono']);
+      const rendered = await renderMarkdown(
+        pdfDoc,
+        content,
+        stacks,
+        { pageSize: [pageSize[0], pageSize[1]], margins, fontSize, baseDir: dirname(outputPath), canRead: path => this.files.isAllowed(path) }
+      );
+      warnings.push(...rendered.warnings);
+      fonts = Object.values(stacks);
+    } else {
+      const { regular } = await loadFontStacks(pdfDoc, options.fonts);
+      this.drawPlainText(pdfDoc, content, regular, fontSize, pageSize, margins);
+      fonts = [regular];
+    }
 
-      y -= lineHeight;
+    const missingGlyphs = fonts.reduce((sum, stack) => sum + stack.missingGlyphs, 0);
+    if (missingGlyphs > 0) {
+      warnings.push(`${missingGlyphs} character(s) have no glyph in the configured fonts and were replaced with "?". Add a font covering them via options.fonts.`);
     }
 
     const pdfBytes = await pdfDoc.save();
-    writeFileSync(outputPath, pdfBytes);
+    const savePath = this.files.write(outputPath, pdfBytes);
 
     return {
       success: true,
-      path: outputPath,
-      pages: pdfDoc.getPageCount()
+      path: savePath,
+      pages: pdfDoc.getPageCount(),
+      ...(warnings.length > 0 ? { warnings } : {})
     };
   }
 
   /**
-   * Merge multiple PDFs into one
+   * Merge multiple PDFs into one. `password` is either one password tried for
+   * every encrypted input or one per file, in the same order. Each file's
+   * bookmarks are kept; with fileBookmarks they are nested under a top-level
+   * bookmark per file
    */
   async mergePDFs(
     filePaths: string[],
-    outputPath: string
-  ): Promise<{ success: boolean; path: string; pages: number }> {
+    outputPath: string,
+    password?: string | string[],
+    fileBookmarks: boolean = false,
+    optimize: boolean = false,
+    context: OperationContext = {}
+  ): Promise<{ success: boolean; path: string; pages: number; inputSize?: number; optimizedSize?: number }> {
     if (filePaths.length === 0) {
       throw new Error('No PDF files provided for merging');
     }
 
     const mergedPdf = await PDFDocument.create();
+    const outline: OutlineItem[] = [];
 
-    for (const filePath of filePaths) {
-      if (!existsSync(filePath)) {
-        throw new Error(`File not found: ${filePath}`);
-      }
+    for (const [index, filePath] of filePaths.entries()) {
+      this.files.assertReadable(filePath);
+      await this.assertKeepsEncryption(outputPath, filePath);
+      throwIfCancelled(context);
+      context.onProgress?.(index, filePaths.length, `Merging ${basename(filePath)}`);
 
-      const pdfBytes = readFileSync(filePath);
+      const pdfBytes = await this.readPDFBytes(filePath, Array.isArray(password) ? password[index] : password);
       const pdf = await PDFDocument.load(pdfBytes);
+      const offset = mergedPdf.getPageCount();
+      const fileOutline = remapOutline(readOutline(pdf), pageNumber => pageNumber + offset);
+      if (fileBookmarks) {
+        outline.push({
+          title: basename(filePath, extname(filePath)),
+          pageNumber: offset + 1,
+          ...(fileOutline.length > 0 ? { children: fileOutline } : {})
+        });
+      } else {
+        outline.push(...fileOutline);
+      }
+
       const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPages().map((_, i) => i));
       copiedPages.forEach((page) => mergedPdf.addPage(page));
     }
 
+    context.onProgress?.(filePaths.length, filePaths.length);
+    writeOutline(mergedPdf, outline);
+
     mergedPdf.setCreator('PDF Utilities MCP');
     mergedPdf.setProducer('pdf-lib');
     mergedPdf.setModificationDate(new Date());
 
+    if (optimize) {
+      await optimizeDocument(mergedPdf);
+    }
+
     const mergedPdfBytes = await mergedPdf.save();
-    writeFileSync(outputPath, mergedPdfBytes);
+    const savePath = this.files.write(outputPath, mergedPdfBytes);
 
     return {
       success: true,
-      path: outputPath,
-      pages: mergedPdf.getPageCount()
+      path: savePath,
+      pages: mergedPdf.getPageCount(),
+      ...(optimize
+        ? {
+          inputSize: filePaths.reduce((sum, filePath) => sum + statSync(filePath).size, 0),
+          optimizedSize: mergedPdfBytes.length
+        }
+        : {})
+    };
+  }
+
+  /**
+   * Reduce file size: downsample oversized images, compress streams, share
+   * duplicate streams and fonts, drop unused objects and pack objects into
+   * object streams
+   */
+  async optimizePDF(
+    filePath: string,
+    outputPath?: string,
+    options: OptimizeOptions = {},
+    password?: string
+  ): Promise<PDFOptimizeResult> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+
+    const originalSize = statSync(filePath).size;
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const stats = await optimizeDocument(pdfDoc, options);
+
+    const optimizedBytes = await pdfDoc.save();
+    const savePath = this.files.write(outputPath || filePath, optimizedBytes);
+
+    return {
+      success: true,
+      path: savePath,
+      originalSize,
+      optimizedSize: optimizedBytes.length,
+      reduction: Math.round((1 - optimizedBytes.length / originalSize) * 1000) / 10,
+      ...stats
     };
   }
 
@@ -206,13 +937,12 @@ export class PDFTools {
   async splitPDF(
     filePath: string,
     pageRange: string,
-    outputPath: string
+    outputPath: string,
+    password?: string
   ): Promise<{ success: boolean; path: string; pages: number }> {
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+    this.files.assertReadable(filePath);
 
-    const pdfBytes = readFileSync(filePath);
+    const pdfBytes = await this.readPDFBytes(filePath, password);
     const pdfDoc = await PDFDocument.load(pdfBytes);
     const newPdf = await PDFDocument.create();
 
@@ -220,87 +950,835 @@ export class PDFTools {
     const copiedPages = await newPdf.copyPages(pdfDoc, pages);
     copiedPages.forEach((page) => newPdf.addPage(page));
 
+    // Keep the bookmarks that point into the extracted pages
+    const newPageNumbers = new Map(pages.map((index, i) => [index + 1, i + 1]));
+    writeOutline(newPdf, remapOutline(readOutline(pdfDoc), pageNumber => newPageNumbers.get(pageNumber) ?? null));
+
     newPdf.setCreator('PDF Utilities MCP');
     newPdf.setProducer('pdf-lib');
     newPdf.setCreationDate(new Date());
 
     const newPdfBytes = await newPdf.save();
-    writeFileSync(outputPath, newPdfBytes);
+    const savePath = this.files.write(outputPath, newPdfBytes);
 
     return {
       success: true,
-      path: outputPath,
+      path: savePath,
       pages: newPdf.getPageCount()
     };
   }
 
   /**
-   * Update PDF metadata
+   * Rotate, delete, move, insert blank and duplicate pages in one pass.
+   * Without outputPath the source file is replaced.
    */
-  async updatePDFMetadata(
+  async modifyPages(
     filePath: string,
-    metadata: {
-      title?: string;
-      author?: string;
-      subject?: string;
-      keywords?: string;
-    },
-    outputPath?: string
-  ): Promise<{ success: boolean; path: string }> {
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
-
-    const pdfBytes = readFileSync(filePath);
+    operations: PageOperation[],
+    outputPath?: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string } & PageOperationsResult> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+    if (!operations || operations.length === 0) {
+      throw new Error('No page operations provided');
+    }
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
     const pdfDoc = await PDFDocument.load(pdfBytes);
 
-    if (metadata.title) pdfDoc.setTitle(metadata.title);
-    if (metadata.author) pdfDoc.setAuthor(metadata.author);
-    if (metadata.subject) pdfDoc.setSubject(metadata.subject);
-    if (metadata.keywords) pdfDoc.setKeywords([metadata.keywords]);
+    const result = await applyPageOperations(
+      pdfDoc,
+      operations,
+      (range, totalPages) => this.parsePageRange(range, totalPages)
+    );
     pdfDoc.setModificationDate(new Date());
 
-    const modifiedPdfBytes = await pdfDoc.save();
-    const savePath = outputPath || filePath;
-    writeFileSync(savePath, modifiedPdfBytes);
+    const targetPath = this.files.write(outputPath || filePath, await pdfDoc.save());
 
     return {
       success: true,
-      path: savePath
+      path: targetPath,
+      ...result
     };
   }
 
   /**
-   * Extract pages from PDF into separate files
+   * Read the bookmark tree (outline) with the page each bookmark points to
    */
-  async extractPages(
+  async getOutline(
     filePath: string,
-    pages: number[],
-    outputDir: string,
-    prefix: string = 'page'
-  ): Promise<{ success: boolean; files: string[] }> {
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+    password?: string
+  ): Promise<{ totalPages: number; outline: OutlineItem[] }> {
+    this.files.assertReadable(filePath);
 
-    const pdfBytes = readFileSync(filePath);
+    const pdfBytes = await this.readPDFBytes(filePath, password);
     const pdfDoc = await PDFDocument.load(pdfBytes);
-    const extractedFiles: string[] = [];
-
-    for (const pageNum of pages) {
-      if (pageNum < 1 || pageNum > pdfDoc.getPageCount()) {
-        throw new Error(`Invalid page number: ${pageNum}`);
-      }
-
-      const newPdf = await PDFDocument.create();
-      const [copiedPage] = await newPdf.copyPages(pdfDoc, [pageNum - 1]);
-      newPdf.addPage(copiedPage);
-
-      const outputPath = `${outputDir}/${prefix}_${pageNum}.pdf`;
-      const newPdfBytes = await newPdf.save();
-      writeFileSync(outputPath, newPdfBytes);
-      extractedFiles.push(outputPath);
-    }
+
+    return {
+      totalPages: pdfDoc.getPageCount(),
+      outline: readOutline(pdfDoc)
+    };
+  }
+
+  /**
+   * Replace the bookmark tree (outline). An empty list removes all bookmarks
+   */
+  async setOutline(
+    filePath: string,
+    outline: OutlineItem[],
+    outputPath?: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string; bookmarks: number }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+    if (!Array.isArray(outline)) {
+      throw new Error('outline must be an array of bookmarks');
+    }
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    writeOutline(pdfDoc, outline);
+    pdfDoc.setModificationDate(new Date());
+
+    const modifiedPdfBytes = await pdfDoc.save();
+    const savePath = this.files.write(outputPath || filePath, modifiedPdfBytes);
+
+    const count = (items: OutlineItem[]): number =>
+      items.reduce((sum, item) => sum + 1 + count(item.children || []), 0);
+
+    return {
+      success: true,
+      path: savePath,
+      bookmarks: count(outline)
+    };
+  }
+
+  /**
+   * Stamp text (headers, footers, page numbers, watermarks) or images onto
+   * existing pages and save the result to a new file
+   */
+  async stampPDF(
+    filePath: string,
+    stamps: StampOptions[],
+    outputPath: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string; pages: number; stampedPages: number[]; warnings?: string[] }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath, filePath);
+    if (!stamps || stamps.length === 0) {
+      throw new Error('No stamps provided');
+    }
+    this.assertStampFiles(stamps);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    const { stampedPages, missingGlyphs } = await applyStamps(pdfDoc, stamps, {
+      filename: basename(filePath),
+      date: new Date().toISOString().slice(0, 10),
+      resolvePages: (range, totalPages) => this.parsePageRange(range, totalPages)
+    });
+    pdfDoc.setModificationDate(new Date());
+
+    const stampedPdfBytes = await pdfDoc.save();
+    const savePath = this.files.write(outputPath, stampedPdfBytes);
+
+    return {
+      success: true,
+      path: savePath,
+      pages: pdfDoc.getPageCount(),
+      stampedPages,
+      ...(missingGlyphs > 0
+        ? { warnings: [`${missingGlyphs} character(s) have no glyph in the stamp font and were replaced with "?". Set fontPath to a font covering them.`] }
+        : {})
+    };
+  }
+
+  /**
+   * OCR pages without a text layer and save a copy with invisible text over
+   * the recognized words, so the scan becomes searchable and selectable.
+   * Pages that already have text are left unchanged.
+   */
+  async makeSearchable(
+    filePath: string,
+    outputPath: string,
+    pageRange?: string,
+    language?: OcrLanguage,
+    password?: string,
+    context: OperationContext = {}
+  ): Promise<PDFSearchableResult> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath, filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pageNumbers = pageRange ? await this.resolvePageNumbers(pdfBytes, pageRange) : undefined;
+    const { pages } = await this.parsePages(pdfBytes, renderPageText, pageNumbers);
+    const scannedPages = pages
+      .filter(({ result }) => isLowTextPage(result))
+      .map(({ pageNumber }) => pageNumber);
+
+    const recognized = await recognizePages(pdfBytes, scannedPages, { ...context, language, layout: true });
+
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const result: PDFSearchableResult = {
+      success: true,
+      path: outputPath,
+      pages: pdfDoc.getPageCount(),
+      ocrPages: [],
+      textPages: pages.map(p => p.pageNumber).filter(pageNumber => !scannedPages.includes(pageNumber)),
+      blankPages: []
+    };
+
+    for (const page of recognized) {
+      const words = addTextLayer(pdfDoc.getPage(page.pageNumber - 1), page.layout!, font);
+      if (words > 0) {
+        result.ocrPages.push({ pageNumber: page.pageNumber, words, confidence: page.confidence });
+      } else {
+        result.blankPages.push(page.pageNumber);
+      }
+    }
+
+    if (result.ocrPages.length > 0) {
+      pdfDoc.setModificationDate(new Date());
+    }
+    result.path = this.files.write(outputPath, await pdfDoc.save());
+
+    return result;
+  }
+
+  /**
+   * Update PDF metadata: standard fields, keyword lists and custom entries.
+   * The XMP metadata is rewritten to match unless syncXmp is false.
+   */
+  async updatePDFMetadata(
+    filePath: string,
+    metadata: MetadataUpdate,
+    outputPath?: string,
+    password?: string,
+    syncXmpMetadata: boolean = true
+  ): Promise<{ success: boolean; path: string; keywords?: string[]; custom: Record<string, string>; xmp?: XmpMetadata }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    applyMetadata(pdfDoc, metadata);
+    pdfDoc.setModificationDate(new Date());
+    if (syncXmpMetadata) syncXmp(pdfDoc);
+
+    const modifiedPdfBytes = await pdfDoc.save();
+    const savePath = this.files.write(outputPath || filePath, modifiedPdfBytes);
+
+    return {
+      success: true,
+      path: savePath,
+      keywords: readKeywords(pdfDoc),
+      custom: readCustomInfo(pdfDoc),
+      xmp: readXmp(pdfDoc)
+    };
+  }
+
+  /**
+   * Remove all metadata before publishing: document information, XMP
+   * streams, private application data and the document IDs
+   */
+  async stripPDFMetadata(
+    filePath: string,
+    outputPath?: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string; removed: string[] }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    // Without updateMetadata: false pdf-lib would add its producer and dates back
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const removed = stripMetadata(pdfDoc);
+
+    const savePath = this.files.write(outputPath || filePath, await pdfDoc.save());
+
+    return {
+      success: true,
+      path: savePath,
+      removed
+    };
+  }
+
+  /**
+   * List the AcroForm fields of a PDF with their type, value, options and page
+   */
+  async getFormFields(filePath: string, password?: string): Promise<{ totalFields: number; fields: FormField[] }> {
+    this.files.assertReadable(filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const fields = listFormFields(pdfDoc);
+
+    return {
+      totalFields: fields.length,
+      fields
+    };
+  }
+
+  /**
+   * Fill AcroForm fields from a name → value map, optionally flattening the
+   * form so the values become part of the page content
+   */
+  async fillForm(
+    filePath: string,
+    values: Record<string, FormValue>,
+    outputPath?: string,
+    flatten: boolean = false,
+    password?: string
+  ): Promise<{ success: boolean; path: string; flattened: boolean } & FormFillReport> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('values must be an object mapping field names to values');
+    }
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    if (pdfDoc.getForm().getFields().length === 0) {
+      throw new Error(`PDF has no form fields: ${filePath}`);
+    }
+
+    const report = await fillFormFields(pdfDoc, values);
+    if (flatten) {
+      pdfDoc.getForm().flatten();
+    }
+    pdfDoc.setModificationDate(new Date());
+
+    const filledPdfBytes = await pdfDoc.save();
+    const savePath = this.files.write(outputPath || filePath, filledPdfBytes);
+
+    return {
+      success: true,
+      path: savePath,
+      flattened: flatten,
+      ...report
+    };
+  }
+
+  /**
+   * List comments, highlights, links and other annotations, with the text
+   * under each highlight
+   */
+  async getAnnotations(
+    filePath: string,
+    pageRange?: string,
+    types?: string[],
+    password?: string
+  ): Promise<{ totalAnnotations: number; annotations: AnnotationInfo[] }> {
+    this.files.assertReadable(filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const pageNumbers = pageRange ? await this.resolvePageNumbers(pdfBytes, pageRange) : undefined;
+    const wanted = types?.map(type => type.toLowerCase());
+    const annotations = readAnnotations(pdfDoc, pageNumbers).filter(({ info }) => !wanted || wanted.includes(info.type));
+
+    const markupPages = [...new Set(annotations.filter(({ quads }) => quads).map(({ info }) => info.pageNumber))];
+    if (markupPages.length > 0) {
+      const { pages } = await this.parsePages(pdfBytes, indexPageText, markupPages);
+      const pageTexts = new Map(pages.map(({ pageNumber, result }) => [pageNumber, result]));
+      for (const { info, quads } of annotations) {
+        const text = quads && pageTexts.has(info.pageNumber) ? quadText(pageTexts.get(info.pageNumber)!, quads) : '';
+        if (text) info.quotedText = text;
+      }
+    }
+
+    return {
+      totalAnnotations: annotations.length,
+      annotations: annotations.map(({ info }) => info)
+    };
+  }
+
+  /**
+   * Add sticky notes, highlights over text and links. Nothing is saved when
+   * any of the annotations cannot be placed
+   */
+  async addAnnotations(
+    filePath: string,
+    annotations: AnnotationRequest[],
+    outputPath?: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string; added: { id: string; type: string; pageNumber: number }[] }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+    if (!annotations || annotations.length === 0) {
+      throw new Error('No annotations provided');
+    }
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const totalPages = pdfDoc.getPageCount();
+    const pageTexts = annotations.some(annotation => annotation.text)
+      ? (await this.parsePages(pdfBytes, indexPageText)).pages.map(({ result }) => result)
+      : [];
+    const added: { id: string; type: string; pageNumber: number }[] = [];
+
+    annotations.forEach((annotation, i) => {
+      const label = `Annotation ${i + 1} (${annotation.type})`;
+      if (!['note', 'highlight', 'link'].includes(annotation.type)) {
+        throw new Error(`${label}: type must be note, highlight or link`);
+      }
+      const pageNumber = annotation.pageNumber;
+      if (pageNumber !== undefined && (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > totalPages)) {
+        throw new Error(`${label}: page ${pageNumber} is outside 1-${totalPages}`);
+      }
+
+      // Occurrences of the text, whitespace-insensitive since page text breaks lines
+      let matches: { page: IndexedPageText; offset: number; length: number }[] = [];
+      if (annotation.text !== undefined) {
+        const words = annotation.text.trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+          throw new Error(`${label}: text is empty`);
+        }
+        const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'gi');
+        matches = pageTexts
+          .filter(page => pageNumber === undefined || page.pageNumber === pageNumber)
+          .flatMap(page => findMatches(page.text, pattern, 0).map(match => ({ page, offset: match.offset, length: match.length })));
+        if (matches.length === 0) {
+          throw new Error(`${label}: text "${annotation.text}" not found${pageNumber ? ` on page ${pageNumber}` : ''}`);
+        }
+        if (!annotation.allMatches || annotation.type === 'note') matches = matches.slice(0, 1);
+      }
+      const record = (id: string | undefined, page: number) => {
+        if (id) added.push({ id, type: annotation.type, pageNumber: page });
+      };
+
+      if (annotation.type === 'note') {
+        if (!annotation.contents) {
+          throw new Error(`${label}: contents is required`);
+        }
+        const target = matches[0]?.page.pageNumber ?? pageNumber;
+        if (target === undefined) {
+          throw new Error(`${label}: give pageNumber or text to place the note`);
+        }
+        const pdfPage = pdfDoc.getPage(target - 1);
+        const position = annotation.x !== undefined && annotation.y !== undefined
+          ? { x: annotation.x, y: annotation.y }
+          : this.locateOffset(matches[0]?.page ?? { pageNumber: target, text: '', spans: [] }, matches[0]?.offset ?? 0, pdfPage);
+        record(addNote(pdfDoc, pdfPage, position.x, position.y, annotation.contents, {
+          color: annotation.color,
+          author: annotation.author
+        }), target);
+      } else if (annotation.type === 'highlight') {
+        if (annotation.text === undefined) {
+          throw new Error(`${label}: text is required`);
+        }
+        for (const match of matches) {
+          const quads = rangeQuads(match.page, match.offset, match.length);
+          record(addHighlight(pdfDoc, pdfDoc.getPage(match.page.pageNumber - 1), quads, {
+            color: annotation.color,
+            contents: annotation.contents ?? match.page.text.slice(match.offset, match.offset + match.length).replace(/\s+/g, ' '),
+            author: annotation.author
+          }), match.page.pageNumber);
+        }
+      } else {
+        const { url, targetPage, rect } = annotation;
+        if (!url === (targetPage === undefined)) {
+          throw new Error(`${label}: give either url or targetPage`);
+        }
+        if (targetPage !== undefined && (!Number.isInteger(targetPage) || targetPage < 1 || targetPage > totalPages)) {
+          throw new Error(`${label}: target page ${targetPage} is outside 1-${totalPages}`);
+        }
+        const target = { url, page: targetPage !== undefined ? pdfDoc.getPage(targetPage - 1) : undefined };
+        if (rect) {
+          if (pageNumber === undefined || rect.length !== 4) {
+            throw new Error(`${label}: rect needs four numbers and a pageNumber`);
+          }
+          record(addLink(pdfDoc, pdfDoc.getPage(pageNumber - 1), [rectQuad(rect)], target), pageNumber);
+        } else if (matches.length > 0) {
+          for (const match of matches) {
+            const quads = rangeQuads(match.page, match.offset, match.length);
+            record(addLink(pdfDoc, pdfDoc.getPage(match.page.pageNumber - 1), quads, target), match.page.pageNumber);
+          }
+        } else {
+          throw new Error(`${label}: give text or rect for the link area`);
+        }
+      }
+    });
+    pdfDoc.setModificationDate(new Date());
+
+    const savePath = this.files.write(outputPath || filePath, await pdfDoc.save());
+
+    return {
+      success: true,
+      path: savePath,
+      added
+    };
+  }
+
+  /**
+   * Remove the annotations matching every criterion of the filter, along
+   * with their popups and replies
+   */
+  async removeAnnotations(
+    filePath: string,
+    filter: AnnotationFilter,
+    outputPath?: string,
+    password?: string
+  ): Promise<{ success: boolean; path: string; removed: AnnotationInfo[]; remaining: number }> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath || filePath, filePath);
+    const { ids, types, author, contains, pageRange, all } = filter || {};
+    if (!ids && !types && !author && !contains && !pageRange && !all) {
+      throw new Error('Give a filter (ids, types, author, contains or pageRange), or set all to true to remove every annotation');
+    }
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const pages = pageRange ? new Set(await this.resolvePageNumbers(pdfBytes, pageRange)) : undefined;
+    const wantedTypes = types?.map(type => type.toLowerCase());
+
+    const removed = removeAnnotations(pdfDoc, info =>
+      (!ids || ids.includes(info.id))
+      && (!wantedTypes || wantedTypes.includes(info.type))
+      && (!author || info.author?.toLowerCase() === author.toLowerCase())
+      && (!contains || (info.contents ?? '').toLowerCase().includes(contains.toLowerCase()))
+      && (!pages || pages.has(info.pageNumber))
+    );
+    pdfDoc.setModificationDate(new Date());
+
+    const savePath = this.files.write(outputPath || filePath, await pdfDoc.save());
+
+    return {
+      success: true,
+      path: savePath,
+      removed,
+      remaining: readAnnotations(pdfDoc).length
+    };
+  }
+
+  /**
+   * Encrypt a PDF with user/owner passwords and permission flags
+   */
+  async protectPDF(
+    filePath: string,
+    outputPath: string,
+    options: ProtectOptions,
+    password?: string
+  ): Promise<{ success: boolean; path: string; ownerPasswordGenerated: boolean; warnings?: string[] }> {
+    this.files.assertReadable(filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const { bytes, ownerPasswordGenerated } = await encryptPDF(pdfBytes, options);
+    const savePath = this.files.write(outputPath, bytes);
+
+    return {
+      success: true,
+      path: savePath,
+      ownerPasswordGenerated,
+      ...(ownerPasswordGenerated
+        ? { warnings: ['No ownerPassword given: a random one was used, so the permissions cannot be lifted later.'] }
+        : {})
+    };
+  }
+
+  /**
+   * Remove text matching patterns or PII detectors, and content inside given
+   * areas, from the document and paint boxes over it. The output is read back
+   * to check that the redacted text can no longer be extracted.
+   */
+  async redactPDF(
+    filePath: string,
+    outputPath: string,
+    options: RedactOptions,
+    password?: string
+  ): Promise<PDFRedactionResult> {
+    this.files.assertReadable(filePath);
+    await this.assertKeepsEncryption(outputPath, filePath);
+    const hasTargets = !!(options.patterns?.length || options.detectors?.length || options.areas?.length);
+    if (!hasTargets && !options.scrubMetadata) {
+      throw new Error('Nothing to redact; provide patterns, detectors, areas or scrubMetadata');
+    }
+    const matchers = buildMatchers(options);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const pageNumbers = !hasTargets || !matchers.length
+      ? []
+      : options.pageRange
+        ? await this.resolvePageNumbers(pdfBytes, options.pageRange)
+        : pdfDoc.getPages().map((_, i) => i + 1);
+
+    const report = redactDocument(pdfDoc, options, pageNumbers);
+    const metadataRemoved = options.scrubMetadata ? stripMetadata(pdfDoc) : redactMetadata(pdfDoc, matchers);
+    if (!options.scrubMetadata) pdfDoc.setModificationDate(new Date());
+    let output = Buffer.from(await pdfDoc.save());
+
+    // Read the result back as any text extractor would
+    const checkedPages = Array.from(new Set([...pageNumbers, ...(options.areas ?? []).map(area => area.pageNumber)]));
+    const findRemaining = async (bytes: Buffer) => {
+      if (checkedPages.length === 0) return [];
+      const { pages } = await this.parsePages(bytes, indexPageText, checkedPages);
+      return pages.flatMap(({ pageNumber, result: page }) => [
+        ...(pageNumbers.includes(pageNumber) ? findTextMatches(page.text, matchers) : [])
+          .map(match => ({ pageNumber, kind: match.kind, text: match.text, quads: rangeQuads(page, match.offset, match.length) })),
+        ...(options.areas ?? []).filter(area => area.pageNumber === pageNumber)
+          .map(area => {
+            // Text merely touching the area's edge does not count
+            const [x1, y1, x2, y2] = area.rect;
+            const inner = [Math.min(x1, x2) + 1, Math.min(y1, y2) + 1, Math.max(x1, x2) - 1, Math.max(y1, y2) - 1];
+            return { pageNumber, kind: 'area', text: quadText(page, [rectQuad(inner)]).trim(), quads: [] as number[][] };
+          })
+          .filter(found => found.text.length > 0)
+      ]);
+    };
+
+    let remaining = await findRemaining(output);
+    const missed = remaining.filter(found => found.quads.length > 0);
+    if (missed.length > 0) {
+      // Text the content interpretation placed differently than pdf.js: redact where pdf.js found it
+      const retryDoc = await PDFDocument.load(output, { updateMetadata: false });
+      const retried = missed.map(found => ({
+        ...found,
+        rects: found.quads.map(quad => {
+          const xs = [quad[0], quad[2], quad[4], quad[6]];
+          const ys = [quad[1], quad[3], quad[5], quad[7]];
+          return [Math.min(...xs) - 2, Math.min(...ys) - 2, Math.max(...xs) + 2, Math.max(...ys) + 2];
+        })
+      }));
+      const areas = retried.flatMap(found => found.rects.map(rect => ({ pageNumber: found.pageNumber, rect })));
+      const retry = redactDocument(retryDoc, { areas }, []);
+      output = Buffer.from(await retryDoc.save());
+
+      report.redactions.push(...retried.map(found => ({
+        pageNumber: found.pageNumber,
+        kind: found.kind,
+        text: found.text,
+        rect: [0, 1, 2, 3].map(i => (i < 2 ? Math.min : Math.max)(...found.rects.map(rect => rect[i])))
+      })));
+      report.imagesRedacted += retry.imagesRedacted;
+      report.imagesRemoved += retry.imagesRemoved;
+      report.annotationsRemoved += retry.annotationsRemoved;
+      report.formFieldsRemoved.push(...retry.formFieldsRemoved);
+      report.warnings.push(...retry.warnings.filter(warning => !report.warnings.includes(warning)));
+      remaining = await findRemaining(output);
+    }
+    const savePath = this.files.write(outputPath, output);
+
+    const summary: Record<string, number> = {};
+    for (const redaction of report.redactions) summary[redaction.kind] = (summary[redaction.kind] ?? 0) + 1;
+
+    return {
+      success: true,
+      path: savePath,
+      summary,
+      ...report,
+      metadataRemoved,
+      verified: remaining.length === 0,
+      remaining: remaining.map(({ quads, ...found }) => found)
+    };
+  }
+
+  /**
+   * Run the pipeline steps over every input file in memory and write each
+   * result once. A file that fails is reported and left out; the others
+   * continue. Documents are held in memory until a merge step combines them.
+   */
+  async runPipeline(
+    options: PipelineOptions,
+    password?: string,
+    context: OperationContext = {}
+  ): Promise<PDFPipelineResult> {
+    validatePipelineSteps(options.steps);
+    if (!options.outputDir) {
+      throw new Error('outputDir is required');
+    }
+    const concurrency = options.concurrency ?? 2;
+    if (!(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 16)) {
+      throw new Error(`concurrency must be an integer from 1 to 16, got ${concurrency}`);
+    }
+    this.files.assertAllowed(options.outputDir);
+    for (const step of options.steps) {
+      if (step.op === 'stamp') this.assertStampFiles(step.stamps);
+    }
+
+    const inputs = [...(options.files ?? []).map(file => resolve(file))];
+    if (options.glob) {
+      this.files.assertDirectory(globBase(options.glob));
+      inputs.push(...expandGlob(options.glob).filter(file => extname(file).toLowerCase() === '.pdf'));
+    }
+    const files = Array.from(new Set(inputs)).sort();
+    if (files.length === 0) {
+      throw new Error('No input files; provide files or a glob matching PDFs');
+    }
+
+    const dryRun = !!options.dryRun;
+    const mergeIndex = options.steps.findIndex(step => step.op === 'merge');
+    const stepsBefore = mergeIndex === -1 ? options.steps : options.steps.slice(0, mergeIndex);
+    const stepsAfter = mergeIndex === -1 ? [] : options.steps.slice(mergeIndex + 1);
+    const reports = new Map(files.map(file => [file, { file, success: true, outputs: [] as string[] } as PDFPipelineResult['files'][number]]));
+    const result: PDFPipelineResult = { success: true, dryRun, files: Array.from(reports.values()), outputs: [] };
+    const warnings: string[] = [];
+    const stepContext: StepContext = {
+      date: new Date().toISOString().slice(0, 10),
+      resolvePages: (range, totalPages) => this.parsePageRange(range, totalPages),
+      warn: message => warnings.push(message)
+    };
+
+    const fail = (sources: string[], error: unknown) => {
+      for (const source of sources) {
+        const report = reports.get(source)!;
+        report.success = false;
+        report.error = error instanceof Error ? error.message : String(error);
+      }
+    };
+    const runSteps = async (documents: PipelineDocument[], steps: PipelineStep[]) => {
+      for (const step of steps) {
+        throwIfCancelled(context);
+        const next: PipelineDocument[] = [];
+        for (const document of documents) {
+          next.push(...await applyStep(document, step, stepContext));
+        }
+        documents = next;
+      }
+      return documents;
+    };
+
+    let completed = 0;
+    let total = files.length;
+    const processed: PipelineDocument[] = [];
+    const finished: PipelineDocument[] = [];
+    await mapLimit(files, concurrency, async file => {
+      throwIfCancelled(context);
+      try {
+        this.files.assertReadable(file);
+        const pdfDoc = await PDFDocument.load(await this.readPDFBytes(file, password), { updateMetadata: false });
+        const documents = await runSteps([{ name: basename(file, extname(file)), sources: [file], pdfDoc }], stepsBefore);
+        (mergeIndex === -1 ? finished : processed).push(...documents);
+      } catch (error) {
+        if (context.signal?.aborted) throw error;
+        fail([file], error);
+      }
+      context.onProgress?.(++completed, total, `Processed ${basename(file)}`);
+    });
+
+    if (mergeIndex !== -1) {
+      // Files finish in any order with concurrency; merge in input order
+      processed.sort((a, b) => a.sources[0].localeCompare(b.sources[0]));
+      const merged = await mergeDocuments(processed, options.steps[mergeIndex] as Extract<PipelineStep, { op: 'merge' }>);
+      total += merged.length;
+      await mapLimit(merged, concurrency, async document => {
+        throwIfCancelled(context);
+        try {
+          finished.push(...await runSteps([document], stepsAfter));
+        } catch (error) {
+          if (context.signal?.aborted) throw error;
+          fail(document.sources, error);
+        }
+        context.onProgress?.(++completed, total, `Processed ${document.name}`);
+      });
+    }
+
+    // Name every result before writing any, so none of them replaces another
+    finished.sort((a, b) => a.sources[0].localeCompare(b.sources[0]));
+    const taken = new Set<string>();
+    for (const document of finished) {
+      const name = document.name;
+      for (let n = 2; taken.has(document.name.toLowerCase()); n++) {
+        document.name = `${name}_${n}`;
+      }
+      taken.add(document.name.toLowerCase());
+      if (document.name !== name) {
+        const from = document.sources.join(', ');
+        warnings.push(`Several results are named ${name}.pdf; the one from ${from} ${dryRun ? 'would be' : 'was'} written as ${document.name}.pdf`);
+      }
+    }
+
+    for (const document of finished) {
+      throwIfCancelled(context);
+      const path = join(options.outputDir, `${document.name}.pdf`);
+      const pages = document.pdfDoc.getPageCount();
+      try {
+        for (const file of files) {
+          await this.assertKeepsEncryption(path, file);
+        }
+        if (dryRun) {
+          result.outputs.push({ path, pages, sources: document.sources, exists: existsSync(path) });
+          continue;
+        }
+        const written = this.files.write(path, await document.pdfDoc.save());
+        result.outputs.push({ path: written, pages, sources: document.sources });
+        for (const source of document.sources) {
+          reports.get(source)!.outputs.push(written);
+        }
+      } catch (error) {
+        fail(document.sources, error);
+      }
+    }
+
+    result.success = result.files.every(file => file.success);
+    if (warnings.length > 0) result.warnings = warnings;
+    return result;
+  }
+
+  /**
+   * Verify the digital signatures of a PDF offline: what bytes each one covers,
+   * whether they are unchanged, and whether the signer certificate chains to
+   * a certificate in trustStore (a directory of PEM or DER certificates)
+   */
+  async verifySignatures(filePath: string, trustStore?: string, password?: string): Promise<PDFSignatureReport> {
+    this.files.assertReadable(filePath);
+    if (trustStore) {
+      this.files.assertDirectory(trustStore);
+    }
+
+    // Byte ranges refer to the file as stored, before any decryption
+    const fileBytes = readFileSync(filePath);
+    const pdfDoc = await PDFDocument.load(await this.readPDFBytes(filePath, password), { updateMetadata: false });
+    const store = trustStore ? loadTrustStore(trustStore) : undefined;
+    const { signatures, unsignedFields } = verifySignatures(pdfDoc, fileBytes, store?.certificates);
+
+    return {
+      filePath,
+      signed: signatures.length > 0,
+      signatures,
+      unsignedFields,
+      ...(store && trustStore ? {
+        trustStore: {
+          directory: trustStore,
+          certificates: store.certificates.length,
+          ...(store.skipped.length > 0 ? { skipped: store.skipped } : {})
+        }
+      } : {})
+    };
+  }
+
+  /**
+   * Extract pages from PDF into separate files
+   */
+  async extractPages(
+    filePath: string,
+    pages: number[],
+    outputDir: string,
+    prefix: string = 'page',
+    password?: string
+  ): Promise<{ success: boolean; files: string[] }> {
+    this.files.assertReadable(filePath);
+
+    const pdfBytes = await this.readPDFBytes(filePath, password);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const extractedFiles: string[] = [];
+
+    for (const pageNum of pages) {
+      if (pageNum < 1 || pageNum > pdfDoc.getPageCount()) {
+        throw new Error(`Invalid page number: ${pageNum}`);
+      }
+
+      const newPdf = await PDFDocument.create();
+      const [copiedPage] = await newPdf.copyPages(pdfDoc, [pageNum - 1]);
+      newPdf.addPage(copiedPage);
+
+      extractedFiles.push(this.files.write(join(outputDir, `${prefix}_${pageNum}.pdf`), await newPdf.save()));
+    }
 
     return {
       success: true,
@@ -310,6 +1788,106 @@ export class PDFTools {
 
   // Helper methods
 
+  private async readPDFBytes(filePath: string, password?: string): Promise<Buffer> {
+    return decryptPDF(readFileSync(filePath), password, filePath);
+  }
+
+  /**
+   * Results are saved unencrypted, so refuse to let one replace an encrypted
+   * input. The suffix policy never replaces existing files.
+   */
+  private async assertKeepsEncryption(outputPath: string, inputPath: string): Promise<void> {
+    if (this.files.overwrite === 'suffix' || resolve(outputPath) !== resolve(inputPath)) {
+      return;
+    }
+    if (await isEncryptedPDF(readFileSync(inputPath))) {
+      throw new Error(
+        `${inputPath} is encrypted and the result would replace it unencrypted; ` +
+        'write it to another path (protect_pdf can encrypt it again)'
+      );
+    }
+  }
+
+  /** Images and fonts stamps read must lie inside the allowed roots too */
+  private assertStampFiles(stamps: StampOptions[]): void {
+    for (const stamp of stamps) {
+      if (stamp.imagePath) this.files.assertReadable(stamp.imagePath, 'Image');
+      if (stamp.fontPath) this.files.assertReadable(stamp.fontPath, 'Font file');
+    }
+  }
+
+  /**
+   * Position for a marker at a character offset: just above the start of the
+   * text there, or the end of the page's last text, or the page's top left
+   */
+  private locateOffset(page: IndexedPageText, offset: number, pdfPage: PDFPage): { x: number; y: number } {
+    const quad = rangeQuads(page, offset, 1)[0] ?? (offset > 0 ? rangeQuads(page, offset - 1, 1)[0] : undefined);
+    if (quad) {
+      return { x: quad[0], y: quad[1] };
+    }
+    const { x, y, height } = pdfPage.getCropBox();
+    return { x: x + 10, y: y + height - 24 };
+  }
+
+  /**
+   * Run pdf-parse with a custom page renderer and collect the per-page results.
+   * Pages not listed in pageNumbers (1-based) are skipped without extracting
+   * their content.
+   */
+  private async parsePages<T>(
+    dataBuffer: Buffer,
+    render: (pageData: any) => Promise<T>,
+    pageNumbers?: number[]
+  ): Promise<{ data: pdfParse.Result; pages: { pageNumber: number; result: T }[] }> {
+    const wanted = pageNumbers ? new Set(pageNumbers) : undefined;
+    const pages: { pageNumber: number; result: T }[] = [];
+
+    // pdf.js mis-reads Node Buffers backed by a shared pool, so hand it a plain copy
+    const data = await pdfParse(new Uint8Array(dataBuffer) as Buffer, {
+      pagerender: async (pageData: any) => {
+        const pageNumber = pageData.pageIndex + 1;
+        if (wanted && !wanted.has(pageNumber)) {
+          return '';
+        }
+        pages.push({ pageNumber, result: await render(pageData) });
+        return '';
+      }
+    });
+
+    // pdf-parse renders sequentially, but keep the requested order explicit
+    pages.sort((a, b) => a.pageNumber - b.pageNumber);
+    return { data, pages };
+  }
+
+  /**
+   * Resolve a page range string to 1-based page numbers, failing when it
+   * selects nothing
+   */
+  private async resolvePageNumbers(dataBuffer: Buffer, pageRange: string): Promise<number[]> {
+    const pdfDoc = await PDFDocument.load(dataBuffer);
+    const pageNumbers = this.parsePageRange(pageRange, pdfDoc.getPageCount()).map(i => i + 1);
+    if (pageNumbers.length === 0) {
+      throw new Error(`Page range "${pageRange}" does not match any page (total pages: ${pdfDoc.getPageCount()})`);
+    }
+    return pageNumbers;
+  }
+
+  private buildPDFInfo(data: pdfParse.Result, filePath: string): PDFInfo {
+    const stats = statSync(filePath);
+    return {
+      pages: data.numpages,
+      title: data.info?.Title,
+      author: data.info?.Author,
+      subject: data.info?.Subject,
+      creator: data.info?.Creator,
+      producer: data.info?.Producer,
+      creationDate: data.info?.CreationDate,
+      modificationDate: data.info?.ModDate,
+      fileSize: stats.size,
+      filePath
+    };
+  }
+
   private parsePageRange(range: string, totalPages: number): number[] {
     const pages: number[] = [];
     const parts = range.split(',');
@@ -333,7 +1911,41 @@ export class PDFTools {
     return pages;
   }
 
-  private wrapText(text: string, font: any, fontSize: number, maxWidth: number): string[] {
+  private drawPlainText(
+    pdfDoc: PDFDocument,
+    content: string,
+    font: FontStack,
+    fontSize: number,
+    pageSize: [number, number],
+    margins: { top: number; bottom: number; left: number; right: number }
+  ): void {
+    const maxWidth = pageSize[0] - margins.left - margins.right;
+    const lineHeight = fontSize * 1.2;
+
+    // Split content into lines that fit the page width
+    const lines = this.wrapText(content, font, fontSize, maxWidth);
+
+    let page = pdfDoc.addPage(pageSize);
+    let y = pageSize[1] - margins.top;
+
+    for (const line of lines) {
+      if (y < margins.bottom) {
+        page = pdfDoc.addPage(pageSize);
+        y = pageSize[1] - margins.top;
+      }
+
+      font.draw(page, line, {
+        x: margins.left,
+        y,
+        size: fontSize,
+        color: rgb(0, 0, 0)
+      });
+
+      y -= lineHeight;
+    }
+  }
+
+  private wrapText(text: string, font: FontStack, fontSize: number, maxWidth: number): string[] {
     const lines: string[] = [];
     const paragraphs = text.split('\n');
 
@@ -343,26 +1955,52 @@ export class PDFTools {
         continue;
       }
 
-      const words = paragraph.split(' ');
+      // Units are words, whitespace runs and single CJK characters
       let currentLine = '';
 
-      for (const word of words) {
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        const width = font.widthOfTextAtSize(testLine, fontSize);
+      for (const unit of splitBreakable(paragraph)) {
+        const isSpace = unit.trim() === '';
+        if (isSpace && currentLine === '') continue;
 
-        if (width > maxWidth && currentLine) {
-          lines.push(currentLine);
-          currentLine = word;
+        const testLine = currentLine + unit;
+        if (!isSpace && currentLine && font.widthOfTextAtSize(testLine, fontSize) > maxWidth) {
+          lines.push(currentLine.trimEnd());
+          currentLine = unit;
         } else {
           currentLine = testLine;
         }
+
+        // A single unit wider than the page is broken between characters
+        while (font.widthOfTextAtSize(currentLine, fontSize) > maxWidth && Array.from(currentLine).length > 1) {
+          const chars = Array.from(currentLine);
+          let fit = chars.length - 1;
+          while (fit > 1 && font.widthOfTextAtSize(chars.slice(0, fit).join(''), fontSize) > maxWidth) {
+            fit--;
+          }
+          lines.push(chars.slice(0, fit).join(''));
+          currentLine = chars.slice(fit).join('');
+        }
       }
 
-      if (currentLine) {
-        lines.push(currentLine);
+      if (currentLine.trim()) {
+        lines.push(currentLine.trimEnd());
       }
     }
 
     return lines;
   }
 }
+
+/** Page text as pdf-parse renders it by default; search offsets refer to it */
+async function renderPageText(pageData: any): Promise<string> {
+  return (await indexPageText(pageData)).text;
+}
+
+function countVisible(text: string): number {
+  return text.replace(/\s/g, '').length;
+}
+
+/** Whether a page's text layer is too thin to stand for it, so OCR would read the page */
+export function isLowTextPage(text: string): boolean {
+  return countVisible(text) < LOW_TEXT_THRESHOLD;
+}
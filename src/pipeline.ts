@@ -0,0 +1,309 @@
+/**
+ * Batch pipelines: an ordered list of steps applied in memory to many PDFs,
+ * with a single save per output file. Steps before a merge run on each input
+ * file separately; merge combines the documents into groups, and the steps
+ * after it run on each group. split turns a document into several, and the
+ * following steps apply to every part.
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { applyMetadata, copyMetadata, MetadataUpdate, stripMetadata, syncXmp } from './metadata.js';
+import { applyStamps, StampOptions } from './stamping.js';
+import { applyPageOperations, PageOperation } from './page-operations.js';
+import { fillFormFields, FormValue } from './forms.js';
+import { optimizeDocument, OptimizeOptions } from './optimization.js';
+import { OutlineItem, readOutline, remapOutline, writeOutline } from './outline.js';
+
+export type PipelineStep =
+  | { op: 'strip_metadata' }
+  | { op: 'update_metadata'; metadata: MetadataUpdate; syncXmp?: boolean }
+  | { op: 'stamp'; stamps: StampOptions[] }
+  | { op: 'modify_pages'; operations: PageOperation[] }
+  | { op: 'fill_form'; values: Record<string, FormValue>; flatten?: boolean }
+  | { op: 'optimize'; options?: OptimizeOptions }
+  | { op: 'merge'; groupBy?: string; fileBookmarks?: boolean }
+  | { op: 'split'; pagesPerFile: number };
+
+export const PIPELINE_OPERATIONS: PipelineStep['op'][] = [
+  'strip_metadata', 'update_metadata', 'stamp', 'modify_pages', 'fill_form', 'optimize', 'merge', 'split'
+];
+
+export interface PipelineDocument {
+  /** Output file name without the .pdf extension */
+  name: string;
+  /** Input files the document was made from */
+  sources: string[];
+  pdfDoc: PDFDocument;
+}
+
+export interface StepContext {
+  date: string;
+  /** Resolve a page range string to 0-based page indexes */
+  resolvePages: (range: string, totalPages: number) => number[];
+  warn: (message: string) => void;
+}
+
+/** Throw on unknown operations or missing parameters before any file is read */
+export function validatePipelineSteps(steps: PipelineStep[]): void {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('No pipeline steps provided');
+  }
+  steps.forEach((step, index) => {
+    const where = `Step ${index + 1} (${step?.op})`;
+    if (!PIPELINE_OPERATIONS.includes(step?.op)) {
+      throw new Error(`Step ${index + 1}: unknown op "${step?.op}"; use one of ${PIPELINE_OPERATIONS.join(', ')}`);
+    }
+    if (step.op === 'update_metadata' && (!step.metadata || typeof step.metadata !== 'object')) {
+      throw new Error(`${where} needs metadata`);
+    }
+    if (step.op === 'stamp' && (!Array.isArray(step.stamps) || step.stamps.length === 0)) {
+      throw new Error(`${where} needs at least one stamp`);
+    }
+    if (step.op === 'modify_pages' && (!Array.isArray(step.operations) || step.operations.length === 0)) {
+      throw new Error(`${where} needs at least one operation`);
+    }
+    if (step.op === 'fill_form' && (!step.values || typeof step.values !== 'object' || Array.isArray(step.values))) {
+      throw new Error(`${where} needs values mapping field names to values`);
+    }
+    if (step.op === 'split' && !(Number.isInteger(step.pagesPerFile) && step.pagesPerFile > 0)) {
+      throw new Error(`${where} needs pagesPerFile as a positive integer`);
+    }
+    if (step.op === 'merge' && step.groupBy !== undefined) {
+      try {
+        new RegExp(step.groupBy);
+      } catch (error) {
+        throw new Error(`${where}: invalid groupBy expression: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+  });
+  if (steps.filter(step => step.op === 'merge').length > 1) {
+    throw new Error('A pipeline can contain only one merge step');
+  }
+}
+
+/**
+ * Apply a step that works on one document. Returns the documents it results
+ * in: the same one, or the parts for split.
+ */
+export async function applyStep(
+  document: PipelineDocument,
+  step: PipelineStep,
+  context: StepContext
+): Promise<PipelineDocument[]> {
+  const { pdfDoc } = document;
+
+  switch (step.op) {
+    case 'strip_metadata':
+      stripMetadata(pdfDoc);
+      break;
+
+    case 'update_metadata':
+      applyMetadata(pdfDoc, step.metadata);
+      pdfDoc.setModificationDate(new Date());
+      if (step.syncXmp ?? true) syncXmp(pdfDoc);
+      break;
+
+    case 'stamp': {
+      const { missingGlyphs } = await applyStamps(pdfDoc, step.stamps, {
+        filename: `${document.name}.pdf`,
+        date: context.date,
+        resolvePages: context.resolvePages
+      });
+      if (missingGlyphs > 0) {
+        context.warn(`${document.name}: ${missingGlyphs} character(s) have no glyph in the stamp font and were replaced with "?"`);
+      }
+      pdfDoc.setModificationDate(new Date());
+      break;
+    }
+
+    case 'modify_pages':
+      await applyPageOperations(pdfDoc, step.operations, context.resolvePages);
+      pdfDoc.setModificationDate(new Date());
+      break;
+
+    case 'fill_form':
+      if (pdfDoc.getForm().getFields().length === 0) {
+        throw new Error(`PDF has no form fields: ${document.name}`);
+      }
+      await fillFormFields(pdfDoc, step.values);
+      if (step.flatten) pdfDoc.getForm().flatten();
+      pdfDoc.setModificationDate(new Date());
+      break;
+
+    case 'optimize':
+      await optimizeDocument(pdfDoc, step.options);
+      break;
+
+    case 'split':
+      return splitDocument(document, step.pagesPerFile);
+
+    case 'merge':
+      throw new Error('merge combines several documents; use mergeDocuments');
+  }
+  return [document];
+}
+
+/**
+ * Combine, in the given order, the documents whose names give the same
+ * groupBy key: the first capture group of the regular expression, or the
+ * whole match. Documents it does not match are left alone; without groupBy
+ * everything goes into "merged". Bookmarks are kept, and with fileBookmarks
+ * each document gets a bookmark holding its own. Merged documents start
+ * without metadata.
+ */
+export async function mergeDocuments(
+  documents: PipelineDocument[],
+  step: Extract<PipelineStep, { op: 'merge' }>
+): Promise<PipelineDocument[]> {
+  const pattern = step.groupBy !== undefined ? new RegExp(step.groupBy) : undefined;
+  const groups = new Map<string, PipelineDocument[]>();
+  const result: PipelineDocument[] = [];
+
+  for (const document of documents) {
+    const match = pattern ? pattern.exec(document.name) : undefined;
+    if (match === null) {
+      result.push(document);
+      continue;
+    }
+    const key = safeName(match ? match[1] ?? match[0] : 'merged');
+    groups.set(key, [...(groups.get(key) ?? []), document]);
+  }
+
+  for (const [key, members] of groups) {
+    const merged = await PDFDocument.create({ updateMetadata: false });
+    const outline: OutlineItem[] = [];
+    for (const member of members) {
+      const offset = merged.getPageCount();
+      const memberOutline = remapOutline(readOutline(member.pdfDoc), pageNumber => pageNumber + offset);
+      if (step.fileBookmarks) {
+        outline.push({
+          title: member.name,
+          pageNumber: offset + 1,
+          ...(memberOutline.length > 0 ? { children: memberOutline } : {})
+        });
+      } else {
+        outline.push(...memberOutline);
+      }
+      const pages = await merged.copyPages(member.pdfDoc, member.pdfDoc.getPageIndices());
+      pages.forEach(page => merged.addPage(page));
+    }
+    writeOutline(merged, outline);
+    result.push({ name: key, sources: members.flatMap(member => member.sources), pdfDoc: merged });
+  }
+  return result;
+}
+
+/**
+ * Parts of at most pagesPerFile pages, named <name>_part<N>. Each part keeps
+ * the document's metadata and the bookmarks pointing into its pages.
+ */
+async function splitDocument(document: PipelineDocument, pagesPerFile: number): Promise<PipelineDocument[]> {
+  const total = document.pdfDoc.getPageCount();
+  if (total <= pagesPerFile) {
+    return [document];
+  }
+
+  const outline = readOutline(document.pdfDoc);
+  const parts: PipelineDocument[] = [];
+  for (let start = 0; start < total; start += pagesPerFile) {
+    const end = Math.min(start + pagesPerFile, total);
+    const part = await PDFDocument.create({ updateMetadata: false });
+    const pages = await part.copyPages(document.pdfDoc, Array.from({ length: end - start }, (_, i) => start + i));
+    pages.forEach(page => part.addPage(page));
+    copyMetadata(document.pdfDoc, part);
+    writeOutline(part, remapOutline(outline, pageNumber => pageNumber > start && pageNumber <= end ? pageNumber - start : null));
+    parts.push({ name: `${document.name}_part${parts.length + 1}`, sources: document.sources, pdfDoc: part });
+  }
+  return parts;
+}
+
+function safeName(name: string): string {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim() || 'unnamed';
+}
+
+/** Run fn over the items with at most limit calls in progress */
+export async function mapLimit<T>(items: T[], limit: number, fn: (item: T) => Promise<void>): Promise<void> {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/** Directory a glob pattern is matched under: the path up to its first wildcard */
+export function globBase(pattern: string): string {
+  const segments = resolve(pattern).split(sep);
+  const first = segments.findIndex(segment => /[*?{]/.test(segment));
+  return first === -1 ? dirname(resolve(pattern)) : segments.slice(0, first).join(sep) || sep;
+}
+
+/**
+ * Files matching an absolute glob pattern, sorted: * and ? match within a
+ * path segment, ** any number of segments, {a,b} either alternative
+ */
+export function expandGlob(pattern: string): string[] {
+  if (!isAbsolute(pattern)) {
+    throw new Error(`Glob pattern must be an absolute path: ${pattern}`);
+  }
+  const base = globBase(pattern);
+  const rest = relative(base, resolve(pattern)).split(sep).join('/');
+  if (!/[*?{]/.test(rest)) {
+    return existsSync(pattern) ? [resolve(pattern)] : [];
+  }
+  const matcher = globToRegExp(rest);
+  const maxDepth = rest.includes('**') ? Infinity : rest.split('/').length;
+  const files: string[] = [];
+
+  const walk = (directory: string, depth: number) => {
+    let entries;
+    try {
+      entries = readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const path = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) walk(path, depth + 1);
+      } else if (matcher.test(relative(base, path).split(sep).join('/'))) {
+        files.push(path);
+      }
+    }
+  };
+
+  walk(base, 1);
+  return files.sort();
+}
+
+function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(alternative => globToRegExp(alternative).source.slice(1, -1)).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
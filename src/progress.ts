@@ -0,0 +1,20 @@
+/**
+ * Progress reporting and cancellation for long-running operations. Work is
+ * counted in units such as pages or files; cancellation is checked between
+ * units, so a unit in progress always completes.
+ */
+
+export type ProgressCallback = (progress: number, total: number, message?: string) => void;
+
+export interface OperationContext {
+  /** Called with the number of completed units as the work advances */
+  onProgress?: ProgressCallback;
+  /** Stops the operation before its next unit of work */
+  signal?: AbortSignal;
+}
+
+export function throwIfCancelled(context: OperationContext): void {
+  if (context.signal?.aborted) {
+    throw new Error('Operation cancelled');
+  }
+}
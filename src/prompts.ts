@@ -0,0 +1,99 @@
+/**
+ * Reusable MCP prompts. Each prompt embeds the document text as a pdf://
+ * resource, or, for documents too long to embed, asks the model to read them
+ * with read_pdf page range by page range.
+ */
+
+import { isLowTextPage, PDFTools } from './pdf-tools.js';
+import { OperationContext } from './progress.js';
+import { documentUri, readResource } from './resources.js';
+
+export const PROMPTS = [
+  {
+    name: 'summarize_document',
+    title: 'Summarize PDF',
+    description: 'Summarize a PDF, citing the pages each point comes from',
+    arguments: [
+      { name: 'filePath', description: 'Absolute path to the PDF file', required: true },
+      { name: 'focus', description: 'Topic or question the summary should concentrate on', required: false },
+    ],
+  },
+  {
+    name: 'extract_key_dates',
+    title: 'Extract key dates',
+    description: 'List the dates, deadlines and periods in a PDF with what they refer to and where they appear',
+    arguments: [
+      { name: 'filePath', description: 'Absolute path to the PDF file', required: true },
+    ],
+  },
+];
+
+// Longer documents are not embedded, so the prompt stays within typical context windows
+const MAX_EMBEDDED_CHARS = 200_000;
+// Upper estimate of the text OCR recognizes on a dense scanned page
+const MAX_OCR_PAGE_CHARS = 4_000;
+
+type PromptMessage =
+  | { role: 'user'; content: { type: 'text'; text: string } }
+  | { role: 'user'; content: { type: 'resource'; resource: { uri: string; mimeType: string; text: string } } };
+
+export async function getPrompt(
+  pdfTools: PDFTools,
+  name: string,
+  args: Record<string, string> = {},
+  context: OperationContext = {}
+): Promise<{ description: string; messages: PromptMessage[] }> {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  const filePath = args.filePath;
+  if (!filePath) {
+    throw new Error('Missing required argument: filePath');
+  }
+
+  let instructions: string;
+  if (name === 'summarize_document') {
+    instructions = 'Summarize this PDF. Start with a two or three sentence overview, then list the main points ' +
+      'in document order. Cite the page of every point as (p. N), using the "--- Page N ---" headers.';
+    if (args.focus) {
+      instructions += ` Concentrate on: ${args.focus}`;
+    }
+  } else {
+    instructions = 'List every date, deadline and period mentioned in this PDF as a table with the columns ' +
+      'Date (YYYY-MM-DD when the day is known), What it refers to, Page and Quote (the sentence it appears in). ' +
+      'Resolve relative dates ("30 days after signature") against the dates they depend on when the document gives them, ' +
+      'and say so when it does not. Sort the rows by date.';
+  }
+
+  // Measure the text layer first, so a long scan is not recognized only to be left out
+  const layer = await pdfTools.readPDF(filePath, undefined, undefined, 'off', undefined, context);
+  const estimate = layer.pages.reduce(
+    (total, page) => total + (isLowTextPage(page.text) ? MAX_OCR_PAGE_CHARS : page.text.length),
+    0
+  );
+  const document = estimate <= MAX_EMBEDDED_CHARS
+    ? await readResource(pdfTools, documentUri(filePath), context)
+    : undefined;
+  if (!document || document.text.length > MAX_EMBEDDED_CHARS) {
+    return {
+      description: prompt.description,
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `${instructions}\n\nThe PDF at ${filePath} is too long to include here. Read it with the read_pdf tool ` +
+            'a page range at a time (for example "1-20", then "21-40") and combine what you find.',
+        },
+      }],
+    };
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      { role: 'user', content: { type: 'resource', resource: document } },
+      { role: 'user', content: { type: 'text', text: instructions } },
+    ],
+  };
+}
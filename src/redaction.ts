@@ -0,0 +1,1060 @@
+/**
+ * Redaction that removes content instead of covering it. Page content is
+ * interpreted to find the position of every glyph; glyphs under a redaction
+ * area are taken out of their text operation (the following glyphs keep their
+ * place), image pixels under an area are painted over in the image data, and
+ * annotations and form fields in an area are deleted. A filled box then marks
+ * each area. Areas come from pattern or PII matches in the page text, or are
+ * given as rectangles.
+ */
+
+import { deflateSync } from 'zlib';
+import jpeg from 'jpeg-js';
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFDropdown,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFObject,
+  PDFPage,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFTextField
+} from 'pdf-lib';
+import {
+  ContentOperation,
+  ContentValue,
+  IDENTITY,
+  Matrix,
+  multiply,
+  pageContentBytes,
+  parseContent,
+  streamBytes,
+  writeContent
+} from './content-stream.js';
+import { GlyphFont, loadGlyphFont } from './glyphs.js';
+import { encodeImage, PageImage } from './image-extraction.js';
+import { AnnotationInfo, removeAnnotations } from './annotations.js';
+import { removeUnusedObjects } from './optimization.js';
+
+export const PII_DETECTORS = ['cpf', 'cnpj', 'email', 'phone', 'credit_card', 'iban', 'bank_account'] as const;
+export type PiiDetector = typeof PII_DETECTORS[number];
+
+export interface RedactionArea {
+  pageNumber: number;
+  /** [x1, y1, x2, y2] in PDF user space */
+  rect: number[];
+}
+
+export interface RedactionTargets {
+  /** JavaScript regular expressions */
+  patterns?: string[];
+  detectors?: PiiDetector[];
+  /** Match patterns with exact letter case (default: false) */
+  caseSensitive?: boolean;
+  areas?: RedactionArea[];
+}
+
+export interface Redaction {
+  pageNumber: number;
+  /** The detector that matched, 'pattern' or 'area' */
+  kind: string;
+  /** Text that was removed */
+  text: string;
+  /** Box painted over the removed content, [x1, y1, x2, y2] */
+  rect: number[];
+}
+
+export interface RedactionReport {
+  redactions: Redaction[];
+  imagesRedacted: number;
+  imagesRemoved: number;
+  annotationsRemoved: number;
+  formFieldsRemoved: string[];
+  warnings: string[];
+}
+
+export interface TextMatcher {
+  kind: string;
+  pattern: RegExp;
+  /** Redact only this capture group, e.g. the number after a label */
+  group?: number;
+  /** Length of the valid part of a match, 0 to reject it */
+  validate?: (text: string) => number;
+}
+
+type Point = [number, number];
+
+// Forms nested deeper than this are not followed
+const MAX_FORM_DEPTH = 12;
+
+// Document information entries holding dates, never redacted
+const DATE_INFO_KEYS = new Set(['CreationDate', 'ModDate']);
+
+const all = (text: string) => text.length;
+const digitsOnly = (text: string) => text.replace(/\D/g, '');
+
+const DETECTORS: Record<PiiDetector, Omit<TextMatcher, 'kind'>> = {
+  // Formatted numbers are always redacted; bare digit runs only with valid check digits
+  cpf: {
+    pattern: /(?<!\d)(?:\d{3}\.\d{3}\.\d{3}-\d{2}|\d{11})(?!\d)/g,
+    validate: text => (/\D/.test(text) || validCpf(text) ? text.length : 0)
+  },
+  cnpj: {
+    pattern: /(?<!\d)(?:\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}|\d{14})(?!\d)/g,
+    validate: text => (/\D/.test(text) || validCnpj(text) ? text.length : 0)
+  },
+  email: { pattern: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi, validate: all },
+  phone: { pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,3}\)\s?|\d{2,3}[\s.-])\d{3,5}[\s.-]?\d{4}(?!\d)/g, validate: all },
+  // Grouped like printed card numbers, or a bare digit run after a card label,
+  // so that other long numbers (dates, references) that pass Luhn are left alone
+  credit_card: {
+    pattern: /(?<!\d)(?:\d{4}(?:[ -]\d{4}){2}[ -]\d{1,7}|\d{4}[ -]\d{6}[ -]\d{4,5}|(?<=\b(?:card|cart[aã]o|credit|cr[ée]dito|visa|master(?:card)?|amex|cc)\b[^\d\n]{0,20})\d{13,19})(?!\d)/gi,
+    validate: text => (luhn(digitsOnly(text)) ? text.length : 0)
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}/g,
+    // The pattern may run into a following word; keep the longest valid prefix
+    validate: text => {
+      for (let length = text.length; length >= 15; length--) {
+        if (/[A-Z0-9]$/.test(text.slice(0, length)) && validIban(text.slice(0, length))) return length;
+      }
+      return 0;
+    }
+  },
+  bank_account: {
+    pattern: /\b(?:conta(?:\s+corrente|\s+poupan[çc]a)?|c\/c|account(?:\s+(?:no\.?|number|#))?|acct\.?|ag[êe]ncia|ag\.)\s*(?:n[º°o]\.?\s*)?[:#]?\s*(\d[\d.-]{2,18}[\dXx])/gi,
+    group: 1,
+    validate: all
+  }
+};
+
+/** Matchers for the patterns and detectors; throws for an invalid pattern */
+export function buildMatchers(targets: RedactionTargets): TextMatcher[] {
+  const matchers: TextMatcher[] = [];
+  for (const detector of targets.detectors ?? []) {
+    if (!PII_DETECTORS.includes(detector)) {
+      throw new Error(`Unknown detector "${detector}"; available: ${PII_DETECTORS.join(', ')}`);
+    }
+    const { pattern, ...rest } = DETECTORS[detector];
+    matchers.push({ kind: detector, pattern: new RegExp(pattern.source, pattern.flags), ...rest });
+  }
+  for (const source of targets.patterns ?? []) {
+    if (!source) throw new Error('Redaction pattern is empty');
+    try {
+      matchers.push({ kind: 'pattern', pattern: new RegExp(source, targets.caseSensitive ? 'g' : 'gi') });
+    } catch (error) {
+      throw new Error(`Invalid pattern "${source}": ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+  return matchers;
+}
+
+/** Non-empty matches of all matchers, without matches inside an earlier one */
+export function findTextMatches(text: string, matchers: TextMatcher[]): { kind: string; offset: number; length: number; text: string }[] {
+  const found: { kind: string; offset: number; length: number; text: string }[] = [];
+  for (const matcher of matchers) {
+    const pattern = matcher.group ? new RegExp(matcher.pattern.source, `${matcher.pattern.flags}d`) : matcher.pattern;
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const [start, end] = matcher.group && match.indices?.[matcher.group]
+        ? match.indices[matcher.group]
+        : [match.index, match.index + match[0].length];
+      const length = matcher.validate ? matcher.validate(text.slice(start, end)) : end - start;
+      if (length > 0) found.push({ kind: matcher.kind, offset: start, length, text: text.slice(start, start + length) });
+    }
+  }
+
+  found.sort((a, b) => a.offset - b.offset || b.length - a.length);
+  return found.filter((match, i) =>
+    !found.slice(0, i).some(other => other.offset <= match.offset && other.offset + other.length >= match.offset + match.length)
+  );
+}
+
+interface Glyph {
+  unit: ContentUnit;
+  op: number;
+  /** Position in the TJ array (0 for Tj) and of the code in that string */
+  element: number;
+  index: number;
+  text: string;
+  /** Corners of the glyph box and its baseline in user space */
+  corners: Point[];
+  center: Point;
+  origin: Point;
+  end: Point;
+  size: number;
+}
+
+interface ShowText {
+  /** TJ elements: adjustments, or the codes of a string with the TJ adjustment each one's advance equals */
+  elements: (number | { bytes: Uint8Array; advance: number }[])[];
+  /** For ' and ": the operations they imply before showing the text */
+  prefix: { operator: string; operands: ContentValue[] }[];
+  /** Marked content (BDC/BMC) operations open around the text */
+  marks: number[];
+}
+
+interface ImageDraw {
+  unit: ContentUnit;
+  op: number;
+  ctm: Matrix;
+  /** XObject images; inline images have none */
+  ref?: PDFRef;
+  name?: string;
+}
+
+interface ContentUnit {
+  source: Uint8Array;
+  operations: ContentOperation[];
+  resources?: PDFDict;
+  shows: Map<number, ShowText>;
+  /** Glyphs to remove, as "element:index" per operation */
+  removed: Map<number, Set<string>>;
+  /** Form XObjects drawn by Do operations */
+  forms: Map<number, { unit: ContentUnit; ref: PDFRef; name: string }>;
+  /** Marked content (BDC) operations whose /ActualText covers removed glyphs */
+  marks: Set<number>;
+  /** Do or BI operations to replace with a new image, or to drop (null) */
+  images: Map<number, { ref: PDFRef; name: string } | null>;
+}
+
+interface PageContent {
+  unit: ContentUnit;
+  glyphs: Glyph[];
+  images: ImageDraw[];
+  text: string;
+  offsets: { start: number; end: number }[];
+}
+
+/**
+ * Redact the given 1-based pages. Text patterns and detectors apply to all of
+ * them; areas only to their own page.
+ */
+export function redactDocument(
+  pdfDoc: PDFDocument,
+  targets: RedactionTargets,
+  pageNumbers: number[],
+  fillColor: [number, number, number] = [0, 0, 0]
+): RedactionReport {
+  const matchers = buildMatchers(targets);
+  const pages = pdfDoc.getPages();
+  const report: RedactionReport = { redactions: [], imagesRedacted: 0, imagesRemoved: 0, annotationsRemoved: 0, formFieldsRemoved: [], warnings: [] };
+  const warnings = new Set<string>();
+  const fonts = new Map<PDFDict, GlyphFont>();
+  const boxesByPage = new Map<number, number[][]>();
+
+  for (const area of targets.areas ?? []) {
+    if (!Number.isInteger(area.pageNumber) || area.pageNumber < 1 || area.pageNumber > pages.length) {
+      throw new Error(`Redaction area page ${area.pageNumber} is outside 1-${pages.length}`);
+    }
+    if (!Array.isArray(area.rect) || area.rect.length !== 4 || area.rect.some(value => typeof value !== 'number')) {
+      throw new Error(`Redaction area on page ${area.pageNumber} needs a rect [x1, y1, x2, y2]`);
+    }
+  }
+
+  const selected = new Set([...pageNumbers, ...(targets.areas ?? []).map(area => area.pageNumber)]);
+  for (const pageNumber of Array.from(selected).sort((a, b) => a - b)) {
+    const page = pages[pageNumber - 1];
+    const content = readPageContent(pdfDoc, page, pageNumber, fonts, warnings);
+    const boxes: number[][] = [];
+    const removedGlyphs = new Set<Glyph>();
+
+    if (content) {
+      for (const match of findTextMatches(content.text, matchers)) {
+        const glyphs = content.glyphs.filter((_, i) =>
+          content.offsets[i].end > match.offset && content.offsets[i].start < match.offset + match.length
+        );
+        if (glyphs.length === 0) continue;
+        glyphs.forEach(glyph => removedGlyphs.add(glyph));
+        const lineBoxes = glyphBoxes(glyphs, content);
+        boxes.push(...lineBoxes);
+        report.redactions.push({ pageNumber, kind: match.kind, text: match.text, rect: union(lineBoxes) });
+      }
+    }
+
+    for (const area of (targets.areas ?? []).filter(area => area.pageNumber === pageNumber)) {
+      const rect = normalize(area.rect);
+      const glyphs = content?.glyphs.filter(glyph => inside(glyph.center, rect)) ?? [];
+      glyphs.forEach(glyph => removedGlyphs.add(glyph));
+      boxes.push(rect);
+      report.redactions.push({ pageNumber, kind: 'area', text: glyphs.map(glyph => glyph.text).join(''), rect });
+    }
+    if (boxes.length === 0) continue;
+    boxesByPage.set(pageNumber, boxes);
+
+    if (content) {
+      for (const glyph of removedGlyphs) {
+        const key = `${glyph.element}:${glyph.index}`;
+        if (!glyph.unit.removed.has(glyph.op)) glyph.unit.removed.set(glyph.op, new Set());
+        glyph.unit.removed.get(glyph.op)!.add(key);
+      }
+      markActualText(removedGlyphs);
+      redactImages(pdfDoc, content.images, boxes, fillColor, pageNumber, report, warnings);
+      writePage(pdfDoc, page, content.unit, boxes, fillColor);
+    } else {
+      writePage(pdfDoc, page, undefined, boxes, fillColor);
+    }
+    // Thumbnails would still show the original page
+    page.node.delete(PDFName.of('Thumb'));
+  }
+
+  removeAnnotationsAndFields(pdfDoc, boxesByPage, matchers, report);
+  // The replaced content streams, images and forms still hold the removed content
+  if (boxesByPage.size > 0) removeUnusedObjects(pdfDoc);
+  report.warnings = Array.from(warnings);
+  return report;
+}
+
+/** Interpret a page's content and build its text, as used for matching */
+function readPageContent(
+  pdfDoc: PDFDocument,
+  page: PDFPage,
+  pageNumber: number,
+  fonts: Map<PDFDict, GlyphFont>,
+  warnings: Set<string>
+): PageContent | undefined {
+  const source = pageContentBytes(page);
+  if (!source) return undefined;
+
+  const unit = newUnit(source, page.node.Resources());
+  const glyphs: Glyph[] = [];
+  const images: ImageDraw[] = [];
+  interpret(pdfDoc, unit, IDENTITY, { glyphs, images, fonts, warnings, pageNumber, depth: 0, forms: new Set() });
+
+  // Lines break where the baseline changes, words where glyphs are spaced apart
+  let text = '';
+  const offsets: { start: number; end: number }[] = [];
+  glyphs.forEach((glyph, i) => {
+    const previous = glyphs[i - 1];
+    if (previous) {
+      const length = Math.hypot(previous.end[0] - previous.origin[0], previous.end[1] - previous.origin[1]) || 1;
+      const dir = [(previous.end[0] - previous.origin[0]) / length, (previous.end[1] - previous.origin[1]) / length];
+      const dx = glyph.origin[0] - previous.end[0];
+      const dy = glyph.origin[1] - previous.end[1];
+      const along = dx * dir[0] + dy * dir[1];
+      const across = Math.abs(dx * dir[1] - dy * dir[0]);
+      if (across > previous.size * 0.5 || along < -previous.size * 2) text += '\n';
+      else if (along > previous.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(glyph.text)) text += ' ';
+    }
+    offsets.push({ start: text.length, end: text.length + glyph.text.length });
+    text += glyph.text;
+  });
+  return { unit, glyphs, images, text, offsets };
+}
+
+function newUnit(source: Uint8Array, resources: PDFDict | undefined): ContentUnit {
+  return {
+    source,
+    operations: parseContent(source),
+    resources,
+    shows: new Map(),
+    removed: new Map(),
+    forms: new Map(),
+    marks: new Set(),
+    images: new Map()
+  };
+}
+
+interface InterpretContext {
+  glyphs: Glyph[];
+  images: ImageDraw[];
+  fonts: Map<PDFDict, GlyphFont>;
+  warnings: Set<string>;
+  pageNumber: number;
+  depth: number;
+  /** Forms being interpreted, to stop on forms that draw themselves */
+  forms: Set<string>;
+}
+
+interface GraphicsState {
+  ctm: Matrix;
+  charSpacing: number;
+  wordSpacing: number;
+  scale: number;
+  leading: number;
+  font?: GlyphFont;
+  size: number;
+  rise: number;
+}
+
+function interpret(pdfDoc: PDFDocument, unit: ContentUnit, ctm: Matrix, context: InterpretContext): void {
+  let state: GraphicsState = { ctm, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, size: 0, rise: 0 };
+  const saved: GraphicsState[] = [];
+  let tm: Matrix = IDENTITY;
+  let tlm: Matrix = IDENTITY;
+  // Open marked content sequences (BDC/BMC) by operation index
+  const marks: number[] = [];
+
+  const num = (value: ContentValue | undefined) => (value?.type === 'number' ? value.value : 0);
+  const moveLine = (tx: number, ty: number) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  const show = (op: number, elements: ContentValue[], prefix: ShowText['prefix']) => {
+    const font = state.font ?? fallbackFont(context);
+    const info: ShowText = { elements: [], prefix, marks: [...marks] };
+    elements.forEach((element, e) => {
+      if (element.type === 'number') {
+        tm = multiply([1, 0, 0, 1, (-element.value / 1000) * state.size * state.scale, 0], tm);
+        info.elements.push(element.value);
+        return;
+      }
+      if (element.type !== 'string') {
+        info.elements.push(0);
+        return;
+      }
+      const codes: { bytes: Uint8Array; advance: number }[] = [];
+      let pos = 0;
+      font.split(element.bytes).forEach(({ code, length }, index) => {
+        const width = font.width(code);
+        const wordSpace = length === 1 && code === 0x20 ? state.wordSpacing : 0;
+        const advance = (width * state.size + state.charSpacing + wordSpace) * state.scale;
+        const trm = multiply([state.size * state.scale, 0, 0, state.size, 0, state.rise], multiply(tm, state.ctm));
+        const corners = [apply(trm, 0, -0.25), apply(trm, width, -0.25), apply(trm, width, 0.9), apply(trm, 0, 0.9)];
+        const origin = apply(trm, 0, 0);
+        const top = apply(trm, 0, 1);
+
+        context.glyphs.push({
+          unit,
+          op,
+          element: e,
+          index,
+          text: font.unicode(code) ?? '�',
+          corners,
+          center: apply(trm, width / 2, 0.3),
+          origin,
+          end: apply(trm, width, 0),
+          size: Math.hypot(top[0] - origin[0], top[1] - origin[1])
+        });
+        codes.push({
+          bytes: element.bytes.subarray(pos, pos + length),
+          advance: state.size ? (-1000 * (width * state.size + state.charSpacing + wordSpace)) / state.size : 0
+        });
+        pos += length;
+        tm = multiply([1, 0, 0, 1, advance, 0], tm);
+      });
+      info.elements.push(codes);
+    });
+    unit.shows.set(op, info);
+  };
+
+  unit.operations.forEach((operation, op) => {
+    const operands = operation.operands;
+    switch (operation.operator) {
+      case 'q':
+        saved.push({ ...state });
+        break;
+      case 'Q':
+        if (saved.length > 0) state = saved.pop()!;
+        break;
+      case 'cm':
+        state.ctm = multiply(operands.map(num) as Matrix, state.ctm);
+        break;
+      case 'BT':
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        break;
+      case 'Tc':
+        state.charSpacing = num(operands[0]);
+        break;
+      case 'Tw':
+        state.wordSpacing = num(operands[0]);
+        break;
+      case 'Tz':
+        state.scale = num(operands[0]) / 100;
+        break;
+      case 'TL':
+        state.leading = num(operands[0]);
+        break;
+      case 'Ts':
+        state.rise = num(operands[0]);
+        break;
+      case 'Tf': {
+        const name = operands[0]?.type === 'name' ? operands[0].value : '';
+        state.font = loadFont(unit.resources, name, context);
+        state.size = num(operands[1]);
+        break;
+      }
+      case 'Td':
+        moveLine(num(operands[0]), num(operands[1]));
+        break;
+      case 'TD':
+        state.leading = -num(operands[1]);
+        moveLine(num(operands[0]), num(operands[1]));
+        break;
+      case 'Tm':
+        tlm = operands.map(num) as Matrix;
+        tm = tlm;
+        break;
+      case 'T*':
+        moveLine(0, -state.leading);
+        break;
+      case 'Tj':
+        show(op, operands.slice(0, 1), []);
+        break;
+      case "'":
+        moveLine(0, -state.leading);
+        show(op, operands.slice(0, 1), [{ operator: 'T*', operands: [] }]);
+        break;
+      case '"':
+        state.wordSpacing = num(operands[0]);
+        state.charSpacing = num(operands[1]);
+        moveLine(0, -state.leading);
+        show(op, operands.slice(2, 3), [
+          { operator: 'Tw', operands: [operands[0]] },
+          { operator: 'Tc', operands: [operands[1]] },
+          { operator: 'T*', operands: [] }
+        ]);
+        break;
+      case 'TJ':
+        show(op, operands[0]?.type === 'array' ? operands[0].items : [], []);
+        break;
+      case 'BDC':
+      case 'BMC':
+        marks.push(op);
+        break;
+      case 'EMC':
+        marks.pop();
+        break;
+      case 'BI':
+        context.images.push({ unit, op, ctm: state.ctm });
+        break;
+      case 'Do':
+        drawXObject(pdfDoc, unit, op, operands[0], state.ctm, context);
+        break;
+    }
+  });
+}
+
+function drawXObject(pdfDoc: PDFDocument, unit: ContentUnit, op: number, operand: ContentValue | undefined, ctm: Matrix, context: InterpretContext): void {
+  if (operand?.type !== 'name') return;
+  const xObjects = unit.resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const ref = xObjects?.get(PDFName.of(operand.value));
+  const stream = ref instanceof PDFRef ? pdfDoc.context.lookup(ref) : undefined;
+  if (!(ref instanceof PDFRef) || !(stream instanceof PDFStream)) return;
+
+  const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+  if (subtype === PDFName.of('Image')) {
+    context.images.push({ unit, op, ctm, ref, name: operand.value });
+    return;
+  }
+  if (subtype !== PDFName.of('Form') || context.forms.has(ref.toString())) return;
+  if (context.depth >= MAX_FORM_DEPTH) {
+    context.warnings.add(`Page ${context.pageNumber}: forms nested deeper than ${MAX_FORM_DEPTH} levels were not searched`);
+    return;
+  }
+
+  const matrix = stream.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+  const formMatrix = matrix ? (matrix.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : 0)) as Matrix) : IDENTITY;
+  const resources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) ?? unit.resources;
+  const child = newUnit(streamBytes(stream), resources);
+  unit.forms.set(op, { unit: child, ref, name: operand.value });
+
+  context.forms.add(ref.toString());
+  interpret(pdfDoc, child, multiply(formMatrix, ctm), { ...context, depth: context.depth + 1 });
+  context.forms.delete(ref.toString());
+}
+
+function loadFont(resources: PDFDict | undefined, name: string, context: InterpretContext): GlyphFont | undefined {
+  const dict = resources?.lookupMaybe(PDFName.of('Font'), PDFDict)?.lookupMaybe(PDFName.of(name), PDFDict);
+  if (!dict) return undefined;
+  if (!context.fonts.has(dict)) {
+    const font = loadGlyphFont(dict);
+    if (!font.hasUnicode) {
+      context.warnings.add(`Font ${font.name || name} has no Unicode mapping; its text can only be redacted by area`);
+    }
+    context.fonts.set(dict, font);
+  }
+  return context.fonts.get(dict);
+}
+
+function fallbackFont(context: InterpretContext): GlyphFont {
+  context.warnings.add(`Page ${context.pageNumber}: text uses a missing font; its positions are estimated`);
+  return {
+    name: '',
+    split: bytes => Array.from(bytes, code => ({ code, length: 1 })),
+    width: () => 0.5,
+    unicode: () => undefined,
+    hasUnicode: false
+  };
+}
+
+/** Drop /ActualText from marked content around removed glyphs, since it repeats their text */
+function markActualText(removed: Set<Glyph>): void {
+  for (const glyph of removed) {
+    for (const mark of glyph.unit.shows.get(glyph.op)?.marks ?? []) {
+      const operation = glyph.unit.operations[mark];
+      if (operation.operands.some(value => value.type === 'dict' && value.entries.some(([key]) => key === 'ActualText'))) {
+        glyph.unit.marks.add(mark);
+      }
+    }
+  }
+}
+
+/**
+ * Boxes covering the glyphs, one per run on the same line, as
+ * [x1, y1, x2, y2] in user space
+ */
+function glyphBoxes(glyphs: Glyph[], content: PageContent): number[][] {
+  const boxes: number[][] = [];
+  let run: Glyph[] = [];
+  const flush = () => {
+    if (run.length > 0) boxes.push(union(run.map(glyph => bounds(glyph.corners))));
+    run = [];
+  };
+  for (const glyph of glyphs) {
+    const previous = run[run.length - 1];
+    if (previous) {
+      const between = content.text.slice(content.offsets[content.glyphs.indexOf(previous)].end, content.offsets[content.glyphs.indexOf(glyph)].start);
+      if (between.includes('\n')) flush();
+    }
+    run.push(glyph);
+  }
+  flush();
+  return boxes;
+}
+
+/**
+ * Paint the areas into the pixels of images drawn under them. Images that
+ * cannot be decoded are removed from the page.
+ */
+function redactImages(
+  pdfDoc: PDFDocument,
+  draws: ImageDraw[],
+  boxes: number[][],
+  fillColor: [number, number, number],
+  pageNumber: number,
+  report: RedactionReport,
+  warnings: Set<string>
+): void {
+  for (const draw of draws) {
+    const inverse = invert(draw.ctm);
+    if (!inverse) continue;
+
+    // Area corners in the image's unit square, clipped to it
+    const regions = boxes.map(box => {
+      const corners = [apply(inverse, box[0], box[1]), apply(inverse, box[2], box[1]), apply(inverse, box[2], box[3]), apply(inverse, box[0], box[3])];
+      const [u0, v0, u1, v1] = bounds(corners);
+      return [Math.max(0, u0), Math.max(0, v0), Math.min(1, u1), Math.min(1, v1)];
+    }).filter(([u0, v0, u1, v1]) => u1 > u0 && v1 > v0);
+    if (regions.length === 0) continue;
+
+    if (!draw.ref) {
+      draw.unit.images.set(draw.op, null);
+      report.imagesRemoved++;
+      warnings.add(`Page ${pageNumber}: an inline image under a redaction area was removed`);
+      continue;
+    }
+
+    const stream = pdfDoc.context.lookup(draw.ref);
+    const replacement = stream instanceof PDFRawStream
+      ? repaintImage(pdfDoc, { ref: draw.ref, stream, pageNumber, name: draw.name!, resources: draw.unit.resources ?? pdfDoc.context.obj({}) }, regions, fillColor)
+      : undefined;
+    if (replacement) {
+      draw.unit.images.set(draw.op, { ref: replacement, name: draw.name! });
+      report.imagesRedacted++;
+    } else {
+      draw.unit.images.set(draw.op, null);
+      report.imagesRemoved++;
+      warnings.add(`Page ${pageNumber}: image ${draw.name} could not be decoded and was removed`);
+    }
+  }
+}
+
+function repaintImage(pdfDoc: PDFDocument, image: PageImage, regions: number[][], fillColor: [number, number, number]): PDFRef | undefined {
+  const dict = image.stream.dict;
+  const width = (dict.lookup(PDFName.of('Width')) as PDFNumber | undefined)?.asNumber() ?? 0;
+  const height = (dict.lookup(PDFName.of('Height')) as PDFNumber | undefined)?.asNumber() ?? 0;
+  const isStencil = dict.lookup(PDFName.of('ImageMask'))?.toString() === 'true';
+
+  let rgba: Uint8Array;
+  let wasJpeg = false;
+  try {
+    const encoded = encodeImage(image);
+    if (encoded.format === 'png') {
+      rgba = encoded.data;
+    } else if (encoded.format === 'jpg') {
+      rgba = jpeg.decode(encoded.bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 }).data;
+      wasJpeg = true;
+    } else {
+      return undefined;
+    }
+  } catch {
+    return undefined;
+  }
+  if (rgba.length !== width * height * 4) return undefined;
+
+  const [r, g, b] = fillColor.map(value => Math.round(value * 255));
+  for (const [u0, v0, u1, v1] of regions) {
+    // Image rows run from the top (v = 1) down
+    const x0 = Math.floor(u0 * width);
+    const x1 = Math.ceil(u1 * width);
+    const y0 = Math.floor((1 - v1) * height);
+    const y1 = Math.ceil((1 - v0) * height);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const at = (y * width + x) * 4;
+        // Stencil masks stop painting there; the box covers the area
+        if (isStencil) {
+          rgba[at + 3] = 0;
+        } else {
+          rgba[at] = r;
+          rgba[at + 1] = g;
+          rgba[at + 2] = b;
+          rgba[at + 3] = 255;
+        }
+      }
+    }
+  }
+
+  const context = pdfDoc.context;
+  if (isStencil) {
+    const rowBytes = Math.ceil(width / 8);
+    const bits = new Uint8Array(rowBytes * height).fill(0xff);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (rgba[(y * width + x) * 4 + 3] > 0) bits[y * rowBytes + (x >> 3)] &= ~(0x80 >> (x & 7));
+      }
+    }
+    return context.register(flateImage(pdfDoc, bits, { Width: width, Height: height, ImageMask: true, BitsPerComponent: 1 }));
+  }
+
+  const hasAlpha = dict.has(PDFName.of('SMask')) || dict.has(PDFName.of('Mask'));
+  const rgb = new Uint8Array(width * height * 3);
+  const alpha = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    rgb[i * 3] = rgba[i * 4];
+    rgb[i * 3 + 1] = rgba[i * 4 + 1];
+    rgb[i * 3 + 2] = rgba[i * 4 + 2];
+    alpha[i] = rgba[i * 4 + 3];
+  }
+
+  const entries = { Width: width, Height: height, ColorSpace: 'DeviceRGB', BitsPerComponent: 8 };
+  const replacement = wasJpeg
+    ? context.stream(jpeg.encode({ width, height, data: rgba }, 90).data, { Type: 'XObject', Subtype: 'Image', ...entries, Filter: 'DCTDecode' })
+    : flateImage(pdfDoc, rgb, entries);
+  if (hasAlpha) {
+    const mask = flateImage(pdfDoc, alpha, { Width: width, Height: height, ColorSpace: 'DeviceGray', BitsPerComponent: 8 });
+    replacement.dict.set(PDFName.of('SMask'), context.register(mask));
+  }
+  for (const key of ['Interpolate', 'Intent', 'OC']) {
+    const value = dict.get(PDFName.of(key));
+    if (value) replacement.dict.set(PDFName.of(key), value);
+  }
+  return context.register(replacement);
+}
+
+function flateImage(pdfDoc: PDFDocument, data: Uint8Array, entries: Record<string, string | number | boolean>) {
+  return pdfDoc.context.stream(deflateSync(data), { Type: 'XObject', Subtype: 'Image', ...entries, Filter: 'FlateDecode' });
+}
+
+/**
+ * Replace the page content with the rewritten content, isolated in q/Q, and
+ * paint the redaction boxes over it
+ */
+function writePage(pdfDoc: PDFDocument, page: PDFPage, unit: ContentUnit | undefined, boxes: number[][], fillColor: [number, number, number]): void {
+  const context = pdfDoc.context;
+  const rewritten = unit ? rewriteUnit(pdfDoc, unit) : undefined;
+  const body = rewritten?.bytes ?? (unit ? unit.source : new Uint8Array(0));
+  if (rewritten?.resources) page.node.set(PDFName.of('Resources'), rewritten.resources);
+
+  const [r, g, b] = fillColor;
+  const fills = boxes.map(([x1, y1, x2, y2]) => `${round(x1)} ${round(y1)} ${round(x2 - x1)} ${round(y2 - y1)} re f`).join('\n');
+  const content = Buffer.concat([
+    Buffer.from('q\n'),
+    body,
+    Buffer.from(`\nQ\nq ${r} ${g} ${b} rg\n${fills}\nQ\n`)
+  ]);
+  page.node.set(PDFName.of('Contents'), context.register(context.flateStream(content)));
+}
+
+/**
+ * Write a content unit back with removed glyphs, dropped or repainted images
+ * and rewritten forms. Changed forms and images get new objects under new
+ * resource names, since the originals may also be drawn elsewhere.
+ */
+function rewriteUnit(pdfDoc: PDFDocument, unit: ContentUnit): { bytes: Uint8Array; resources?: PDFDict } | undefined {
+  const context = pdfDoc.context;
+  const replacements = new Map<number, { operator: string; operands: ContentValue[] }[]>();
+  let resources: PDFDict | undefined;
+  let xObjects: PDFDict | undefined;
+
+  const ownXObjects = (): PDFDict => {
+    if (!xObjects) {
+      resources = (unit.resources ?? context.obj({})).clone(context);
+      xObjects = (unit.resources?.lookupMaybe(PDFName.of('XObject'), PDFDict) ?? context.obj({})).clone(context);
+      resources.set(PDFName.of('XObject'), xObjects);
+    }
+    return xObjects;
+  };
+  const addXObject = (base: string, ref: PDFRef): string => {
+    const xObjects = ownXObjects();
+    let name = `${base}R`;
+    for (let n = 1; xObjects.has(PDFName.of(name)); n++) name = `${base}R${n}`;
+    xObjects.set(PDFName.of(name), ref);
+    return name;
+  };
+
+  for (const [op, keys] of unit.removed) {
+    const show = unit.shows.get(op);
+    if (show) replacements.set(op, [...show.prefix, { operator: 'TJ', operands: [rebuildText(show, keys)] }]);
+  }
+
+  for (const op of unit.marks) {
+    const operation = unit.operations[op];
+    replacements.set(op, [{
+      operator: operation.operator,
+      operands: operation.operands.map(value =>
+        value.type === 'dict' ? { type: 'dict', entries: value.entries.filter(([key]) => key !== 'ActualText') } : value
+      )
+    }]);
+  }
+
+  for (const [op, form] of unit.forms) {
+    const rewritten = rewriteUnit(pdfDoc, form.unit);
+    if (!rewritten) continue;
+    const original = context.lookup(form.ref, PDFStream);
+    const dict = original.dict.clone(context);
+    for (const key of ['Filter', 'DecodeParms', 'Length']) dict.delete(PDFName.of(key));
+    if (rewritten.resources) dict.set(PDFName.of('Resources'), rewritten.resources);
+    const deflated = deflateSync(rewritten.bytes);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.set(PDFName.of('Length'), PDFNumber.of(deflated.length));
+    const name = addXObject(form.name, context.register(PDFRawStream.of(dict, deflated)));
+    replacements.set(op, [{ operator: 'Do', operands: [{ type: 'name', value: name }] }]);
+  }
+
+  for (const [op, image] of unit.images) {
+    replacements.set(op, image ? [{ operator: 'Do', operands: [{ type: 'name', value: addXObject(image.name, image.ref) }] }] : []);
+  }
+
+  // Unlink the originals of replaced forms and images, unless also drawn elsewhere in this content
+  const replacedNames = new Set([...unit.forms.entries()].filter(([op]) => replacements.has(op)).map(([, form]) => form.name));
+  for (const op of unit.images.keys()) {
+    const operand = unit.operations[op].operands[0];
+    if (operand?.type === 'name') replacedNames.add(operand.value);
+  }
+  for (const name of replacedNames) {
+    const stillUsed = unit.operations.some((operation, op) =>
+      operation.operator === 'Do' && !replacements.has(op) && operation.operands[0]?.type === 'name' && operation.operands[0].value === name
+    );
+    if (!stillUsed) ownXObjects().delete(PDFName.of(name));
+  }
+
+  if (replacements.size === 0) return undefined;
+  return { bytes: writeContent(unit.source, unit.operations, replacements), resources };
+}
+
+/** The TJ array of a text operation without the removed glyphs, keeping the rest in place */
+function rebuildText(show: ShowText, removed: Set<string>): ContentValue {
+  const items: ContentValue[] = [];
+  const pushNumber = (value: number) => {
+    const last = items[items.length - 1];
+    if (last?.type === 'number') last.value += value;
+    else items.push({ type: 'number', value });
+  };
+
+  show.elements.forEach((element, e) => {
+    if (typeof element === 'number') {
+      pushNumber(element);
+      return;
+    }
+    let kept: Uint8Array[] = [];
+    const flush = () => {
+      if (kept.length > 0) items.push({ type: 'string', bytes: Buffer.concat(kept) });
+      kept = [];
+    };
+    element.forEach((code, index) => {
+      if (removed.has(`${e}:${index}`)) {
+        flush();
+        pushNumber(code.advance);
+      } else {
+        kept.push(code.bytes);
+      }
+    });
+    flush();
+  });
+  return { type: 'array', items };
+}
+
+/**
+ * Delete annotations overlapping a redaction box or whose comment matches,
+ * and form fields with a widget in a box or a matching value
+ */
+function removeAnnotationsAndFields(
+  pdfDoc: PDFDocument,
+  boxesByPage: Map<number, number[][]>,
+  matchers: TextMatcher[],
+  report: RedactionReport
+): void {
+  const overlaps = (pageNumber: number, rect: number[]) =>
+    (boxesByPage.get(pageNumber) ?? []).some(box => intersects(box, normalize(rect)));
+  const matchesText = (text: string | undefined) => !!text && findTextMatches(text, matchers).length > 0;
+
+  const removed = removeAnnotations(pdfDoc, (info: AnnotationInfo) => overlaps(info.pageNumber, info.rect) || matchesText(info.contents));
+  report.annotationsRemoved = removed.length;
+
+  if (!pdfDoc.catalog.has(PDFName.of('AcroForm'))) return;
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  const pageNumbers = new Map(pages.map((page, i) => [page.ref.toString(), i + 1]));
+  const widgetPages = new Map<PDFObject, number>();
+  pages.forEach((page, i) => {
+    const annots = page.node.Annots();
+    for (let index = 0; annots && index < annots.size(); index++) {
+      const widget = annots.lookup(index);
+      if (widget) widgetPages.set(widget, i + 1);
+    }
+  });
+
+  for (const field of form.getFields()) {
+    const value = field instanceof PDFTextField ? field.getText() : field instanceof PDFDropdown ? field.getSelected().join(' ') : undefined;
+    const inBox = field.acroField.getWidgets().some(widget => {
+      const pageRef = widget.P();
+      const pageNumber = (pageRef && pageNumbers.get(pageRef.toString())) ?? widgetPages.get(widget.dict);
+      return pageNumber !== undefined && overlaps(pageNumber, rectArray(widget.getRectangle()));
+    });
+    if (inBox || matchesText(value)) {
+      report.formFieldsRemoved.push(field.getName());
+      form.removeField(field);
+    }
+  }
+}
+
+/**
+ * Delete document information entries whose value matches. XMP metadata
+ * mirrors those entries, so it goes too when any entry is removed or when
+ * it matches itself. Returns the removed entries.
+ */
+export function redactMetadata(pdfDoc: PDFDocument, matchers: TextMatcher[]): string[] {
+  const removed: string[] = [];
+  const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+  if (info instanceof PDFDict) {
+    for (const [key, value] of info.entries()) {
+      // Dates are digit runs that detectors could mistake for numbers
+      if (DATE_INFO_KEYS.has(key.decodeText())) continue;
+      const text = value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined;
+      if (text && findTextMatches(text, matchers).length > 0) {
+        info.delete(key);
+        removed.push(key.decodeText());
+      }
+    }
+  }
+
+  const xmp = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (xmp instanceof PDFStream && (removed.length > 0 || findTextMatches(Buffer.from(streamBytes(xmp)).toString('utf8'), matchers).length > 0)) {
+    pdfDoc.catalog.delete(PDFName.of('Metadata'));
+    removed.push('XMP');
+  }
+  return removed;
+}
+
+function rectArray({ x, y, width, height }: { x: number; y: number; width: number; height: number }): number[] {
+  return [x, y, x + width, y + height];
+}
+
+function apply(m: Matrix, x: number, y: number): Point {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function invert(m: Matrix): Matrix | undefined {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(det) < 1e-12) return undefined;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+function bounds(points: Point[]): number[] {
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function union(boxes: number[][]): number[] {
+  return [
+    Math.min(...boxes.map(box => box[0])),
+    Math.min(...boxes.map(box => box[1])),
+    Math.max(...boxes.map(box => box[2])),
+    Math.max(...boxes.map(box => box[3]))
+  ].map(round);
+}
+
+function normalize([x1, y1, x2, y2]: number[]): number[] {
+  return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+}
+
+function inside([x, y]: Point, [x1, y1, x2, y2]: number[]): boolean {
+  return x >= x1 && x <= x2 && y >= y1 && y <= y2;
+}
+
+function intersects(a: number[], b: number[]): boolean {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function validCpf(digits: string): boolean {
+  if (/^(\d)\1{10}$/.test(digits)) return false;
+  const check = (length: number) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+    return ((sum * 10) % 11) % 10;
+  };
+  return check(9) === Number(digits[9]) && check(10) === Number(digits[10]);
+}
+
+function validCnpj(digits: string): boolean {
+  if (/^(\d)\1{13}$/.test(digits)) return false;
+  const check = (length: number) => {
+    const weights = length === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    const sum = weights.reduce((total, weight, i) => total + weight * Number(digits[i]), 0);
+    return sum % 11 < 2 ? 0 : 11 - (sum % 11);
+  };
+  return check(12) === Number(digits[12]) && check(13) === Number(digits[13]);
+}
+
+function luhn(digits: string): boolean {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function validIban(text: string): boolean {
+  const compact = text.replace(/ /g, '');
+  if (compact.length < 15 || compact.length > 34) return false;
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
@@ -0,0 +1,112 @@
+/**
+ * Page rasterization with PDFium compiled to WebAssembly, and PNG encoding
+ * with pngjs. Both are pure JS/WASM, so rendering works offline on any
+ * platform without native modules.
+ */
+
+import { PDFiumLibrary } from '@hyzyla/pdfium';
+import { PNG } from 'pngjs';
+import { OperationContext, throwIfCancelled } from './progress.js';
+
+export interface RasterPage {
+  pageNumber: number;
+  width: number;
+  height: number;
+  /** RGBA pixels, row by row */
+  data: Uint8Array;
+}
+
+export interface RasterOptions extends OperationContext {
+  /** Resolution in dots per inch (default: 150) */
+  dpi?: number;
+  /** Scale each page to fit within this many pixels on its longer side instead */
+  maxSize?: number;
+}
+
+// Refuse bitmaps larger than this to keep memory bounded (~200 MB of RGBA)
+const MAX_PIXELS = 50_000_000;
+
+let library: ReturnType<typeof PDFiumLibrary.init> | undefined;
+
+function loadLibrary(): ReturnType<typeof PDFiumLibrary.init> {
+  // The WASM module is instantiated once and reused across calls
+  library ??= PDFiumLibrary.init();
+  return library;
+}
+
+/**
+ * Render the given 1-based pages. Page rotation (/Rotate) is applied, so the
+ * images show pages as a viewer displays them.
+ */
+export async function rasterizePages(
+  pdfBytes: Uint8Array,
+  pageNumbers: number[],
+  options: RasterOptions = {}
+): Promise<RasterPage[]> {
+  const dpi = options.dpi ?? 150;
+  if (!(dpi > 0) || dpi > 1200) {
+    throw new Error(`dpi must be between 1 and 1200, got ${dpi}`);
+  }
+
+  const pdfium = await loadLibrary();
+  const document = await pdfium.loadDocument(new Uint8Array(pdfBytes));
+
+  try {
+    const rendered: RasterPage[] = [];
+    for (const pageNumber of pageNumbers) {
+      throwIfCancelled(options);
+      const page = document.getPage(pageNumber - 1);
+      const { originalWidth, originalHeight } = page.getOriginalSize();
+      const scale = options.maxSize
+        ? options.maxSize / Math.max(originalWidth, originalHeight)
+        : dpi / 72;
+
+      const pixels = Math.ceil(originalWidth * scale) * Math.ceil(originalHeight * scale);
+      if (pixels > MAX_PIXELS) {
+        throw new Error(`Page ${pageNumber} would be ${Math.round(pixels / 1e6)} megapixels at ${dpi} dpi; use a lower dpi`);
+      }
+
+      const { width, height, data } = await page.render({ scale, render: 'bitmap' });
+      rendered.push({ pageNumber, width, height, data });
+      options.onProgress?.(rendered.length, pageNumbers.length, `Rendered page ${pageNumber}`);
+    }
+    return rendered;
+  } finally {
+    document.destroy();
+  }
+}
+
+export function encodePng(page: Pick<RasterPage, 'width' | 'height' | 'data'>): Buffer {
+  const png = new PNG({ width: page.width, height: page.height });
+  png.data = Buffer.from(page.data.buffer, page.data.byteOffset, page.data.byteLength);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Lay thumbnails out left to right, top to bottom, on one grey sheet.
+ */
+export function composeContactSheet(
+  pages: RasterPage[],
+  columns: number,
+  gap: number = 8
+): { width: number; height: number; data: Uint8Array } {
+  const cellWidth = Math.max(...pages.map(p => p.width));
+  const cellHeight = Math.max(...pages.map(p => p.height));
+  const rows = Math.ceil(pages.length / columns);
+  const width = columns * cellWidth + (columns + 1) * gap;
+  const height = rows * cellHeight + (rows + 1) * gap;
+
+  const sheet = new PNG({ width, height });
+  sheet.data.fill(0xdd);
+
+  pages.forEach((page, i) => {
+    const source = new PNG({ width: page.width, height: page.height });
+    source.data = Buffer.from(page.data.buffer, page.data.byteOffset, page.data.byteLength);
+    // Center each page in its cell
+    const x = gap + (i % columns) * (cellWidth + gap) + Math.floor((cellWidth - page.width) / 2);
+    const y = gap + Math.floor(i / columns) * (cellHeight + gap) + Math.floor((cellHeight - page.height) / 2);
+    PNG.bitblt(source, sheet, 0, 0, page.width, page.height, x, y);
+  });
+
+  return { width, height, data: sheet.data };
+}
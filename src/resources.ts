@@ -0,0 +1,140 @@
+/**
+ * MCP resources for the PDFs in the allowed directories. A document is
+ * addressed as pdf://<absolute path>, with the path encoded as in a file URL
+ * (pdf:///home/me/report.pdf); /pages/<n> selects the text of one page and
+ * /info the document information.
+ */
+
+import { Dirent, readdirSync } from 'fs';
+import { basename, join, relative } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ListResourcesResult } from '@modelcontextprotocol/sdk/types.js';
+import { PDFTools } from './pdf-tools.js';
+import { OperationContext } from './progress.js';
+
+export type PDFResource =
+  | { view: 'document'; path: string }
+  | { view: 'page'; path: string; pageNumber: number }
+  | { view: 'info'; path: string };
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'pdf://{+path}',
+    name: 'pdf-document',
+    title: 'PDF document text',
+    description: 'Text of every page of the PDF at an absolute path, with page headers',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'pdf://{+path}/pages/{page}',
+    name: 'pdf-page',
+    title: 'PDF page text',
+    description: 'Text of one page (1-based) of the PDF at an absolute path',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'pdf://{+path}/info',
+    name: 'pdf-info',
+    title: 'PDF information',
+    description: 'Metadata, page count and page sizes of the PDF at an absolute path',
+    mimeType: 'application/json',
+  },
+];
+
+const PAGE_SIZE = 100;
+// Directories are walked on every listing, so stop at a bounded number of files
+const MAX_LISTED = 2000;
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+export function documentUri(path: string): string {
+  return pathToFileURL(path).href.replace(/^file:/, 'pdf:');
+}
+
+export function parseResourceUri(uri: string): PDFResource {
+  if (!uri.startsWith('pdf://')) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+  const pageMatch = /^(.*)\/pages\/(\d+)$/.exec(uri);
+  const infoMatch = /^(.*)\/info$/.exec(uri);
+  const documentPart = pageMatch?.[1] ?? infoMatch?.[1] ?? uri;
+  const path = fileURLToPath(documentPart.replace(/^pdf:/, 'file:'));
+
+  if (pageMatch) {
+    return { view: 'page', path, pageNumber: parseInt(pageMatch[2], 10) };
+  }
+  return infoMatch ? { view: 'info', path } : { view: 'document', path };
+}
+
+/**
+ * PDFs under the roots, sorted by path, a page of PAGE_SIZE at a time. The
+ * cursor is the index of the first entry of the page.
+ */
+export function listDocuments(roots: string[], cursor?: string): ListResourcesResult {
+  const files: { root: string; path: string }[] = [];
+  for (const root of roots) {
+    collectPDFs(root, root, files);
+  }
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  const start = cursor ? parseInt(cursor, 10) : 0;
+  if (!(start >= 0)) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  const page = files.slice(start, start + PAGE_SIZE);
+  return {
+    resources: page.map(({ root, path }) => ({
+      uri: documentUri(path),
+      name: basename(path),
+      title: relative(root, path),
+      description: `PDF in ${root}; append /pages/<n> for one page or /info for its metadata`,
+      mimeType: 'text/plain',
+    })),
+    ...(start + PAGE_SIZE < files.length ? { nextCursor: String(start + PAGE_SIZE) } : {}),
+  };
+}
+
+function collectPDFs(root: string, directory: string, files: { root: string; path: string }[]): void {
+  let entries: Dirent[];
+  try {
+    entries = readdirSync(directory, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (files.length >= MAX_LISTED) {
+      return;
+    }
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+        collectPDFs(root, path, files);
+      }
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.pdf')) {
+      files.push({ root, path });
+    }
+  }
+}
+
+/**
+ * Contents of a pdf:// resource. Pages without a text layer are read with
+ * OCR, as in read_pdf.
+ */
+export async function readResource(
+  pdfTools: PDFTools,
+  uri: string,
+  context: OperationContext = {}
+): Promise<{ uri: string; mimeType: string; text: string }> {
+  const resource = parseResourceUri(uri);
+
+  if (resource.view === 'info') {
+    const info = await pdfTools.getPDFInfo(resource.path);
+    return { uri, mimeType: 'application/json', text: JSON.stringify(info, null, 2) };
+  }
+
+  const pageRange = resource.view === 'page' ? String(resource.pageNumber) : undefined;
+  const content = await pdfTools.readPDF(resource.path, pageRange, undefined, 'auto', undefined, context);
+  const text = resource.view === 'page'
+    ? content.pages[0]?.text ?? ''
+    : content.pages.map(page => `--- Page ${page.pageNumber} ---\n${page.text}`).join('\n\n');
+  return { uri, mimeType: 'text/plain', text };
+}
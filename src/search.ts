@@ -0,0 +1,174 @@
+/**
+ * Full-text search over page text. Pages are indexed with the character range
+ * and position of every pdf.js text item, so a match can be reported as an
+ * offset into the page text and also located on the page for highlighting.
+ */
+
+export interface TextSpan {
+  /** Character range in the page text */
+  start: number;
+  end: number;
+  /** pdf.js text matrix [a, b, c, d, e, f] in PDF user space */
+  transform: number[];
+  width: number;
+  height: number;
+}
+
+export interface IndexedPageText {
+  pageNumber: number;
+  text: string;
+  spans: TextSpan[];
+}
+
+export interface SearchQuery {
+  query: string;
+  /** Treat the query as a JavaScript regular expression (default: false) */
+  regex?: boolean;
+  /** Match letter case exactly (default: false) */
+  caseSensitive?: boolean;
+}
+
+export interface TextMatch {
+  offset: number;
+  length: number;
+  match: string;
+  snippet: string;
+}
+
+/**
+ * Page renderer mirroring pdf-parse's default: text items on the same baseline
+ * are concatenated, a change of baseline starts a new line. The character
+ * range of each item is kept alongside the text.
+ */
+export async function indexPageText(pageData: any): Promise<IndexedPageText> {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY: number | undefined;
+  let text = '';
+  const spans: TextSpan[] = [];
+  for (const item of textContent.items) {
+    if (lastY !== undefined && lastY !== item.transform[5]) {
+      text += '\n';
+    }
+    spans.push({
+      start: text.length,
+      end: text.length + item.str.length,
+      transform: item.transform,
+      width: item.width,
+      height: item.height
+    });
+    text += item.str;
+    lastY = item.transform[5];
+  }
+  return { pageNumber: pageData.pageIndex + 1, text, spans };
+}
+
+export function buildPattern(search: SearchQuery): RegExp {
+  if (!search.query) {
+    throw new Error('Search query is empty');
+  }
+  const source = search.regex ? search.query : escapeRegExp(search.query);
+  return new RegExp(source, search.caseSensitive ? 'g' : 'gi');
+}
+
+export function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find all matches of a global pattern in the text. Snippets show up to
+ * contextChars characters on each side, on a single line.
+ */
+export function findMatches(text: string, pattern: RegExp, contextChars: number = 60): TextMatch[] {
+  const matches: TextMatch[] = [];
+  pattern.lastIndex = 0;
+
+  let found: RegExpExecArray | null;
+  while ((found = pattern.exec(text)) !== null) {
+    if (found[0].length === 0) {
+      // Step over empty matches so patterns like /a*/ terminate
+      pattern.lastIndex++;
+      continue;
+    }
+    const offset = found.index;
+    const end = offset + found[0].length;
+    const from = Math.max(0, offset - contextChars);
+    const to = Math.min(text.length, end + contextChars);
+    matches.push({
+      offset,
+      length: found[0].length,
+      match: found[0],
+      snippet: (from > 0 ? '…' : '') + text.slice(from, to).replace(/\s+/g, ' ') + (to < text.length ? '…' : '')
+    });
+  }
+  return matches;
+}
+
+/**
+ * Quadrilaterals covering a character range, one per text item it touches,
+ * as [x1, y1, x2, y2, x3, y3, x4, y4] (top left, top right, bottom left,
+ * bottom right) in PDF user space. Positions within an item are estimated
+ * from its average character width.
+ */
+export function rangeQuads(page: IndexedPageText, offset: number, length: number): number[][] {
+  const end = offset + length;
+  const quads: number[][] = [];
+
+  for (const span of page.spans) {
+    if (span.end <= offset || span.start >= end || span.end === span.start) continue;
+
+    const { point, charWidth, size } = spanGeometry(span);
+    const t0 = (Math.max(offset, span.start) - span.start) * charWidth;
+    const t1 = (Math.min(end, span.end) - span.start) * charWidth;
+    // Cover descenders below the baseline and ascenders up to the font size
+    const top = size * 0.95;
+    const bottom = -size * 0.25;
+
+    quads.push([...point(t0, top), ...point(t1, top), ...point(t0, bottom), ...point(t1, bottom)]);
+  }
+  return quads;
+}
+
+/**
+ * The text under a set of quadrilaterals, such as a highlight's QuadPoints:
+ * every character whose center lies in the bounding box of one of them.
+ * Separate runs of characters are joined with a space.
+ */
+export function quadText(page: IndexedPageText, quads: number[][]): string {
+  const boxes = quads.map(q => {
+    const xs = [q[0], q[2], q[4], q[6]];
+    const ys = [q[1], q[3], q[5], q[7]];
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  });
+
+  let text = '';
+  let last = -1;
+  for (const span of page.spans) {
+    const { point, charWidth, size } = spanGeometry(span);
+    for (let offset = span.start; offset < span.end; offset++) {
+      const [x, y] = point((offset - span.start + 0.5) * charWidth, size * 0.35);
+      if (!boxes.some(box => x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1)) continue;
+      if (last >= 0 && offset !== last + 1) text += ' ';
+      text += page.text[offset];
+      last = offset;
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/** Map (advance along the baseline, height above it) in an item to user space */
+function spanGeometry(span: TextSpan) {
+  const [a, b, c, d, e, f] = span.transform;
+  const scaleX = Math.hypot(a, b) || 1;
+  const scaleY = Math.hypot(c, d) || 1;
+  const dir = { x: a / scaleX, y: b / scaleX };
+  const up = { x: c / scaleY, y: d / scaleY };
+  return {
+    point: (t: number, u: number) => [e + t * dir.x + u * up.x, f + t * dir.y + u * up.y],
+    charWidth: span.end > span.start ? span.width / (span.end - span.start) : 0,
+    size: span.height || scaleY
+  };
+}
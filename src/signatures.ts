@@ -0,0 +1,633 @@
+/**
+ * Digital signature verification, offline: the CMS (PKCS#7) signature of each
+ * signature field is checked against the bytes its /ByteRange covers and the
+ * certificates embedded in it, and the signer's chain is built up to an
+ * optional local trust store. Revocation (CRL, OCSP) is not checked.
+ */
+
+import { constants, createHash, KeyObject, verify, X509Certificate } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { extname, join } from 'path';
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFSignature,
+  PDFString
+} from 'pdf-lib';
+import {
+  Asn1Node,
+  contextTag,
+  expectTag,
+  findChild,
+  readDer,
+  readIntegerHex,
+  readOctets,
+  readOid,
+  readTime,
+  TAG
+} from './der.js';
+
+export interface CertificateSummary {
+  subject: string;
+  issuer: string;
+  serialNumber: string;
+  validFrom: string;
+  validTo: string;
+  /** SHA-256 fingerprint, colon-separated hex */
+  fingerprint256: string;
+}
+
+export interface SignatureTimestamp {
+  time: string;
+  /** Subject of the timestamp authority's certificate */
+  authority?: string;
+  /** The token's own signature verifies and its imprint matches what it stamps */
+  intact: boolean;
+  /** The authority's certificate chains to the trust store */
+  trusted: boolean;
+}
+
+export interface SignatureVerification {
+  fieldName: string;
+  /** 1-based pages holding the field's widgets (none for invisible signatures) */
+  pages: number[];
+  subFilter?: string;
+  /** Signer name, reason, location and contact information from the signature dictionary */
+  name?: string;
+  reason?: string;
+  location?: string;
+  contactInfo?: string;
+  signingTime?: string;
+  /** Where signingTime comes from: a verified timestamp, the signed attributes or the unsigned /M entry */
+  signingTimeSource?: 'timestamp' | 'signed-attribute' | 'signature-dictionary';
+  timestamp?: SignatureTimestamp;
+  byteRange: number[];
+  /** The signed bytes run to the end of the file */
+  coversWholeDocument: boolean;
+  /** Content was appended after the signed revision (incremental updates, later signatures) */
+  modifiedAfterSigning: boolean;
+  digestAlgorithm?: string;
+  signatureAlgorithm?: string;
+  /** The signed bytes are unchanged; absent when they could not be checked */
+  digestMatches?: boolean;
+  /** The signature verifies with the signer certificate's key; absent when it could not be checked */
+  signatureValid?: boolean;
+  signer?: CertificateSummary;
+  /** Certificates from the signer up to the last issuer found, embedded or in the trust store */
+  chain: CertificateSummary[];
+  /** The chain reaches a certificate in the trust store */
+  trusted: boolean;
+  /** Every certificate of the chain was within its validity period at the signing time */
+  certificateValidAtSigning?: boolean;
+  /**
+   * invalid: the signed bytes or the signature do not check out; valid: intact,
+   * trusted and within validity; unverified: intact but not shown trustworthy
+   */
+  status: 'valid' | 'unverified' | 'invalid';
+  problems: string[];
+}
+
+export interface TrustStore {
+  certificates: X509Certificate[];
+  /** Files that could not be read as certificates */
+  skipped: string[];
+}
+
+interface SignatureField {
+  name: string;
+  pages: number[];
+  dict: PDFDict;
+}
+
+interface SignedDataCheck {
+  digestAlgorithm?: string;
+  signatureAlgorithm?: string;
+  digestMatches?: boolean;
+  signatureValid?: boolean;
+  signer?: X509Certificate;
+  certificates: X509Certificate[];
+  signingTime?: Date;
+  /** Encapsulated content, when the content is not detached */
+  eContent?: Uint8Array;
+  signatureValue: Uint8Array;
+  timestampToken?: Uint8Array;
+  problems: string[];
+}
+
+const OID = {
+  signedData: '1.2.840.113549.1.7.2',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  timestampToken: '1.2.840.113549.1.9.16.2.14',
+  subjectKeyIdentifier: '2.5.29.14',
+  rsaPss: '1.2.840.113549.1.1.10'
+};
+
+const DIGEST_ALGORITHMS: Record<string, string> = {
+  '1.2.840.113549.2.5': 'md5',
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.4': 'sha224',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Hash undefined: the digest algorithm of the signer info applies
+const SIGNATURE_ALGORITHMS: Record<string, { name: string; hash?: string }> = {
+  '1.2.840.113549.1.1.1': { name: 'rsaEncryption' },
+  '1.2.840.113549.1.1.4': { name: 'md5WithRSAEncryption', hash: 'md5' },
+  '1.2.840.113549.1.1.5': { name: 'sha1WithRSAEncryption', hash: 'sha1' },
+  '1.2.840.113549.1.1.14': { name: 'sha224WithRSAEncryption', hash: 'sha224' },
+  '1.2.840.113549.1.1.11': { name: 'sha256WithRSAEncryption', hash: 'sha256' },
+  '1.2.840.113549.1.1.12': { name: 'sha384WithRSAEncryption', hash: 'sha384' },
+  '1.2.840.113549.1.1.13': { name: 'sha512WithRSAEncryption', hash: 'sha512' },
+  [OID.rsaPss]: { name: 'RSASSA-PSS' },
+  '1.2.840.10045.2.1': { name: 'ecdsa' },
+  '1.2.840.10045.4.1': { name: 'ecdsa-with-SHA1', hash: 'sha1' },
+  '1.2.840.10045.4.3.1': { name: 'ecdsa-with-SHA224', hash: 'sha224' },
+  '1.2.840.10045.4.3.2': { name: 'ecdsa-with-SHA256', hash: 'sha256' },
+  '1.2.840.10045.4.3.3': { name: 'ecdsa-with-SHA384', hash: 'sha384' },
+  '1.2.840.10045.4.3.4': { name: 'ecdsa-with-SHA512', hash: 'sha512' },
+  '1.3.101.112': { name: 'Ed25519' },
+  '1.2.840.10040.4.3': { name: 'dsa-with-SHA1', hash: 'sha1' },
+  '2.16.840.1.101.3.4.3.2': { name: 'dsa-with-SHA256', hash: 'sha256' }
+};
+
+const TRUST_STORE_EXTENSIONS = new Set(['.pem', '.crt', '.cer', '.der']);
+const MAX_CHAIN_LENGTH = 10;
+
+/** Number of signature fields holding a signature */
+export function countSignatures(pdfDoc: PDFDocument): number {
+  return findSignatureFields(pdfDoc).signed.length;
+}
+
+/**
+ * Certificates from the .pem, .crt, .cer and .der files of a directory
+ * (not its subdirectories); PEM files may hold several
+ */
+export function loadTrustStore(directory: string): TrustStore {
+  const certificates: X509Certificate[] = [];
+  const skipped: string[] = [];
+
+  for (const entry of readdirSync(directory, { withFileTypes: true })) {
+    if (!entry.isFile() || !TRUST_STORE_EXTENSIONS.has(extname(entry.name).toLowerCase())) {
+      continue;
+    }
+    const path = join(directory, entry.name);
+    try {
+      const data = readFileSync(path);
+      const pem = data.toString('latin1').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+      if (pem) {
+        certificates.push(...pem.map(block => new X509Certificate(block)));
+      } else {
+        certificates.push(new X509Certificate(data));
+      }
+    } catch {
+      skipped.push(path);
+    }
+  }
+  return { certificates, skipped };
+}
+
+/**
+ * The signed signature fields and the names of the empty ones. fileBytes are
+ * the bytes of the file as stored, which the byte ranges refer to.
+ */
+export function verifySignatures(
+  pdfDoc: PDFDocument,
+  fileBytes: Uint8Array,
+  trustStore: X509Certificate[] = []
+): { signatures: SignatureVerification[]; unsignedFields: string[] } {
+  const { signed, unsigned } = findSignatureFields(pdfDoc);
+  return {
+    signatures: signed.map(field => verifyField(field, fileBytes, trustStore)),
+    unsignedFields: unsigned
+  };
+}
+
+function findSignatureFields(pdfDoc: PDFDocument): { signed: SignatureField[]; unsigned: string[] } {
+  const signed: SignatureField[] = [];
+  const unsigned: string[] = [];
+  // getForm would add an empty form to documents without one
+  if (!pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict)) {
+    return { signed, unsigned };
+  }
+
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, i) => [page.ref.toString(), i + 1]));
+  for (const field of pdfDoc.getForm().getFields()) {
+    if (!(field instanceof PDFSignature)) {
+      continue;
+    }
+    const value = field.acroField.dict.lookupMaybe(PDFName.of('V'), PDFDict);
+    if (!value) {
+      unsigned.push(field.getName());
+      continue;
+    }
+    const pages = new Set<number>();
+    for (const widget of field.acroField.getWidgets()) {
+      const page = widget.P() && pageNumbers.get(widget.P()!.toString());
+      if (page) pages.add(page);
+    }
+    signed.push({ name: field.getName(), pages: [...pages].sort((a, b) => a - b), dict: value });
+  }
+  return { signed, unsigned };
+}
+
+function verifyField(field: SignatureField, fileBytes: Uint8Array, trustStore: X509Certificate[]): SignatureVerification {
+  const { dict } = field;
+  const subFilter = dict.lookupMaybe(PDFName.of('SubFilter'), PDFName)?.decodeText();
+  const byteRange = (dict.lookupMaybe(PDFName.of('ByteRange'), PDFArray)?.asArray() ?? [])
+    .map(item => (item instanceof PDFNumber ? item.asNumber() : NaN));
+  const claimedTime = readDate(dict, 'M');
+
+  const result: SignatureVerification = {
+    fieldName: field.name,
+    pages: field.pages,
+    ...(subFilter ? { subFilter } : {}),
+    ...readText(dict, { name: 'Name', reason: 'Reason', location: 'Location', contactInfo: 'ContactInfo' }),
+    byteRange,
+    coversWholeDocument: false,
+    modifiedAfterSigning: false,
+    chain: [],
+    trusted: false,
+    status: 'invalid',
+    problems: []
+  };
+  const { problems } = result;
+
+  const contents = signedContents(byteRange, fileBytes);
+  if (typeof contents === 'string') {
+    problems.push(contents);
+    return result;
+  }
+  const end = byteRange[2] + byteRange[3];
+  result.coversWholeDocument = end === fileBytes.length;
+  result.modifiedAfterSigning = Buffer.from(fileBytes.subarray(end)).toString('latin1').trim() !== '';
+
+  if (subFilter === 'adbe.x509.rsa_sha1') {
+    problems.push('adbe.x509.rsa_sha1 signatures (a bare PKCS#1 signature) are not supported; only CMS signatures are');
+    result.status = 'unverified';
+    return result;
+  }
+
+  let check: SignedDataCheck;
+  try {
+    check = checkSignedData(contents.signature, subFilter === 'ETSI.RFC3161' ? undefined : contents.signedBytes, trustStore);
+  } catch (error) {
+    problems.push(`Cannot read the signature: ${error instanceof Error ? error.message : error}`);
+    return result;
+  }
+  problems.push(...check.problems);
+  result.digestAlgorithm = check.digestAlgorithm;
+  result.signatureAlgorithm = check.signatureAlgorithm;
+  if (check.digestMatches !== undefined) result.digestMatches = check.digestMatches;
+  if (check.signatureValid !== undefined) result.signatureValid = check.signatureValid;
+
+  if (subFilter === 'adbe.pkcs7.sha1') {
+    // The signed content is the SHA-1 digest of the byte ranges
+    const digest = createHash('sha1').update(contents.signedBytes).digest();
+    if (!check.eContent || !digest.equals(check.eContent)) {
+      result.digestMatches = false;
+      problems.push('The signed SHA-1 digest does not match the signed bytes');
+    }
+  }
+
+  let timestamp: { time: Date; check: SignedDataCheck } | undefined;
+  if (subFilter === 'ETSI.RFC3161') {
+    // Document timestamp: the token stamps the byte ranges themselves
+    timestamp = readTimestamp(check, contents.signedBytes);
+    if (!timestamp) {
+      result.digestMatches = false;
+      problems.push('The timestamp imprint does not match the signed bytes');
+    }
+  } else if (check.timestampToken) {
+    try {
+      const token = checkSignedData(check.timestampToken, undefined, trustStore);
+      timestamp = readTimestamp(token, check.signatureValue);
+      if (!timestamp) {
+        problems.push('The signature timestamp does not stamp this signature');
+      }
+    } catch (error) {
+      problems.push(`Cannot read the signature timestamp: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+
+  const chain = check.signer ? buildChain(check.signer, [...check.certificates, ...trustStore]) : [];
+  if (check.signer) {
+    result.signer = summarize(check.signer);
+    result.chain = chain.map(summarize);
+    result.trusted = isTrusted(chain, trustStore);
+    if (!result.trusted) {
+      problems.push(trustStore.length > 0
+        ? 'The signer certificate does not chain to a certificate in the trust store'
+        : 'No trust store was given, so the signer identity is not verified');
+    }
+  }
+
+  if (timestamp) {
+    const intact = timestamp.check.digestMatches === true && timestamp.check.signatureValid === true;
+    const authorityChain = timestamp.check.signer ? buildChain(timestamp.check.signer, [...timestamp.check.certificates, ...trustStore]) : [];
+    result.timestamp = {
+      time: timestamp.time.toISOString(),
+      ...(timestamp.check.signer ? { authority: timestamp.check.signer.subject } : {}),
+      intact,
+      trusted: isTrusted(authorityChain, trustStore)
+    };
+    if (!intact) {
+      problems.push('The timestamp token does not verify');
+    }
+  }
+
+  if (timestamp && result.timestamp?.intact) {
+    result.signingTime = timestamp.time.toISOString();
+    result.signingTimeSource = 'timestamp';
+  } else if (check.signingTime) {
+    result.signingTime = check.signingTime.toISOString();
+    result.signingTimeSource = 'signed-attribute';
+  } else if (claimedTime) {
+    result.signingTime = claimedTime.toISOString();
+    result.signingTimeSource = 'signature-dictionary';
+  }
+
+  if (check.signer) {
+    const at = result.signingTime ? new Date(result.signingTime) : new Date();
+    const expired = chain.filter(cert => at < new Date(cert.validFrom) || at > new Date(cert.validTo));
+    result.certificateValidAtSigning = expired.length === 0;
+    for (const cert of expired) {
+      problems.push(`Certificate "${cert.subject}" was not valid at ${result.signingTime ? 'the signing time' : 'the current time'} (${new Date(cert.validFrom).toISOString()} to ${new Date(cert.validTo).toISOString()})`);
+    }
+  }
+
+  if (result.digestMatches === false || result.signatureValid === false) {
+    result.status = 'invalid';
+  } else if (result.digestMatches && result.signatureValid && result.trusted && result.certificateValidAtSigning) {
+    result.status = 'valid';
+  } else {
+    result.status = 'unverified';
+  }
+  if (result.modifiedAfterSigning) {
+    problems.push('The file was changed after this signature was applied; the signature covers an earlier revision');
+  }
+  return result;
+}
+
+/**
+ * The bytes the byte range covers and the signature in the gap between its
+ * two parts, or a description of what is wrong with the byte range
+ */
+function signedContents(byteRange: number[], fileBytes: Uint8Array): { signedBytes: Buffer; signature: Buffer } | string {
+  const [start, length1, start2, length2] = byteRange;
+  if (byteRange.length !== 4 || !byteRange.every(n => Number.isInteger(n) && n >= 0)) {
+    return 'The signature has no valid /ByteRange';
+  }
+  if (start !== 0 || length1 >= start2 || start2 + length2 > fileBytes.length) {
+    return `The /ByteRange [${byteRange.join(' ')}] does not fit the file (${fileBytes.length} bytes)`;
+  }
+  // The gap must be exactly the hex string holding the signature
+  const gap = Buffer.from(fileBytes.subarray(length1, start2)).toString('latin1');
+  const hex = /^<([0-9A-Fa-f\s]*)>$/.exec(gap);
+  if (!hex) {
+    return 'The gap in the /ByteRange is not the signature /Contents';
+  }
+  return {
+    signedBytes: Buffer.concat([fileBytes.subarray(start, length1), fileBytes.subarray(start2, start2 + length2)]),
+    signature: Buffer.from(hex[1].replace(/\s/g, ''), 'hex')
+  };
+}
+
+/**
+ * Check a CMS SignedData: the digest of the content (detached, or else the
+ * encapsulated one) against the messageDigest attribute, and the signature
+ * against the signer certificate, looked up among the embedded certificates
+ * and then the trusted ones
+ */
+function checkSignedData(cms: Uint8Array, detached?: Uint8Array, trustStore: X509Certificate[] = []): SignedDataCheck {
+  const contentInfo = expectTag(readDer(cms), TAG.SEQUENCE, 'CMS ContentInfo');
+  if (readOid(expectTag(contentInfo.children[0], TAG.OID, 'CMS content type')) !== OID.signedData) {
+    throw new Error('The signature is not CMS SignedData');
+  }
+  const signedData = expectTag(expectTag(contentInfo.children[1], contextTag(0), 'CMS content').children[0], TAG.SEQUENCE, 'SignedData');
+  const [, , encapContentInfo] = signedData.children;
+  const eContentNode = findChild(expectTag(encapContentInfo, TAG.SEQUENCE, 'encapsulated content'), contextTag(0))?.children[0];
+  const eContent = eContentNode ? readOctets(eContentNode) : undefined;
+
+  const certificates: X509Certificate[] = [];
+  for (const node of findChild(signedData, contextTag(0))?.children ?? []) {
+    // Attribute certificates and other formats are tagged; plain certificates are sequences
+    if (node.tag !== TAG.SEQUENCE) continue;
+    try {
+      certificates.push(new X509Certificate(Buffer.from(node.bytes)));
+    } catch {
+      // Unreadable certificates just cannot be used
+    }
+  }
+
+  const signerInfos = expectTag(signedData.children[signedData.children.length - 1], TAG.SET, 'signer infos');
+  if (signerInfos.children.length !== 1) {
+    throw new Error(`Expected one signer, found ${signerInfos.children.length}`);
+  }
+  const signerInfo = expectTag(signerInfos.children[0], TAG.SEQUENCE, 'signer info');
+  const [, sid, digestAlgorithmNode, ...rest] = signerInfo.children;
+  const signedAttrs = rest[0]?.tag === contextTag(0) ? rest.shift() : undefined;
+  const [signatureAlgorithmNode, signatureNode, unsignedAttrs] = rest;
+
+  const problems: string[] = [];
+  const digestOid = readOid(digestAlgorithmNode.children[0]);
+  const digestAlgorithm = DIGEST_ALGORITHMS[digestOid];
+  const signatureOid = readOid(signatureAlgorithmNode.children[0]);
+  const signatureAlgorithm = SIGNATURE_ALGORITHMS[signatureOid];
+  const signatureValue = expectTag(signatureNode, TAG.OCTET_STRING, 'signature value').content;
+  const signer = certificates.find(cert => identifies(sid, cert)) ?? trustStore.find(cert => identifies(sid, cert));
+  const content = detached ?? eContent;
+
+  const check: SignedDataCheck = {
+    digestAlgorithm: digestAlgorithm ?? digestOid,
+    signatureAlgorithm: signatureAlgorithm?.name ?? signatureOid,
+    signer,
+    certificates,
+    eContent,
+    signatureValue,
+    timestampToken: unsignedAttrs && attributeValues(unsignedAttrs, OID.timestampToken)[0]?.bytes,
+    problems
+  };
+
+  if (!digestAlgorithm) {
+    problems.push(`Unsupported digest algorithm ${digestOid}`);
+    return check;
+  }
+  if (!content) {
+    problems.push('The signature holds no content to check');
+    return check;
+  }
+
+  const contentDigest = createHash(digestAlgorithm).update(content).digest();
+  let toVerify: Uint8Array = content;
+  if (signedAttrs) {
+    const messageDigest = attributeValues(signedAttrs, OID.messageDigest)[0];
+    check.digestMatches = !!messageDigest && contentDigest.equals(readOctets(messageDigest));
+    const signingTime = attributeValues(signedAttrs, OID.signingTime)[0];
+    if (signingTime) check.signingTime = readTime(signingTime);
+    // The signature covers the attributes DER-encoded as a SET, not with their [0] tag
+    toVerify = Buffer.concat([Buffer.from([TAG.SET]), signedAttrs.bytes.subarray(1)]);
+    if (!check.digestMatches) {
+      problems.push('The signed bytes do not match the digest in the signature, so they were changed after signing');
+    }
+  }
+
+  if (!signer) {
+    problems.push('The signer certificate is neither embedded in the signature nor in the trust store' +
+      (signedAttrs ? '' : '; the signature has no signed attributes, so whether the signed bytes changed cannot be checked'));
+  } else if (!signatureAlgorithm) {
+    problems.push(`Unsupported signature algorithm ${signatureOid}`);
+  } else {
+    try {
+      check.signatureValid = verifyWith(signer.publicKey, signatureAlgorithm.hash ?? digestAlgorithm, signatureOid, signatureAlgorithmNode, toVerify, signatureValue);
+      if (!signedAttrs) {
+        // The signature is computed over the content itself, so it is the only check of the signed bytes
+        check.digestMatches = check.signatureValid;
+      }
+      if (!check.signatureValid) {
+        problems.push(signedAttrs
+          ? 'The signature does not verify with the signer certificate'
+          : 'The signature does not verify over the signed bytes: they were changed after signing, or the signature is damaged');
+      }
+    } catch (error) {
+      problems.push(`Cannot check the signature: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+  return check;
+}
+
+function verifyWith(
+  key: KeyObject,
+  hash: string,
+  signatureOid: string,
+  algorithmNode: Asn1Node,
+  data: Uint8Array,
+  signature: Uint8Array
+): boolean {
+  if (key.asymmetricKeyType === 'ed25519') {
+    return verify(null, data, key, signature);
+  }
+  if (signatureOid === OID.rsaPss) {
+    // RSASSA-PSS-params: [0] hash algorithm (default SHA-1), [2] salt length (default 20)
+    const params = algorithmNode.children[1];
+    const hashNode = params && findChild(params, contextTag(0));
+    const saltNode = params && findChild(params, contextTag(2));
+    const pssHash = hashNode ? DIGEST_ALGORITHMS[readOid(hashNode.children[0].children[0])] : 'sha1';
+    return verify(pssHash, data, {
+      key,
+      padding: constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: saltNode ? parseInt(readIntegerHex(saltNode.children[0]), 16) : 20
+    }, signature);
+  }
+  return verify(hash, data, key, signature);
+}
+
+/** The time of a timestamp token whose imprint matches the stamped data */
+function readTimestamp(token: SignedDataCheck, stamped: Uint8Array): { time: Date; check: SignedDataCheck } | undefined {
+  if (!token.eContent) {
+    return undefined;
+  }
+  // TSTInfo: version, policy, messageImprint { hashAlgorithm, hashedMessage }, serialNumber, genTime, ...
+  const tstInfo = expectTag(readDer(token.eContent), TAG.SEQUENCE, 'timestamp info');
+  const [, , imprint, , genTime] = tstInfo.children;
+  const hash = DIGEST_ALGORITHMS[readOid(imprint.children[0].children[0])];
+  if (!hash || !createHash(hash).update(stamped).digest().equals(imprint.children[1].content)) {
+    return undefined;
+  }
+  return { time: readTime(expectTag(genTime, TAG.GENERALIZED_TIME, 'timestamp time')), check: token };
+}
+
+/** Values of the attribute with the given type in a SET of attributes */
+function attributeValues(attributes: Asn1Node, type: string): Asn1Node[] {
+  const attribute = attributes.children.find(child => readOid(child.children[0]) === type);
+  return attribute?.children[1]?.children ?? [];
+}
+
+/** Whether the signer identifier (issuer and serial number, or subject key identifier) names the certificate */
+function identifies(sid: Asn1Node, cert: X509Certificate): boolean {
+  const tbs = readDer(cert.raw).children[0];
+  const offset = tbs.children[0].tag === contextTag(0) ? 1 : 0;
+  if (sid.tag === TAG.SEQUENCE) {
+    const [issuer, serial] = sid.children;
+    return readIntegerHex(serial) === readIntegerHex(tbs.children[offset])
+      && Buffer.from(issuer.bytes).equals(tbs.children[offset + 2].bytes);
+  }
+  if (sid.tag === contextTag(0, false)) {
+    const extensions = findChild(tbs, contextTag(3))?.children[0]?.children ?? [];
+    const keyId = extensions.find(extension => readOid(extension.children[0]) === OID.subjectKeyIdentifier);
+    const value = keyId && readDer(keyId.children[keyId.children.length - 1].content);
+    return !!value && Buffer.from(value.content).equals(sid.content);
+  }
+  return false;
+}
+
+/** The certificate followed by its issuers as far as the pool has them */
+function buildChain(cert: X509Certificate, pool: X509Certificate[]): X509Certificate[] {
+  const chain = [cert];
+  let current = cert;
+  while (chain.length < MAX_CHAIN_LENGTH && !isSelfSigned(current)) {
+    const issuer = pool.find(candidate =>
+      !chain.some(member => member.fingerprint256 === candidate.fingerprint256)
+      && current.checkIssued(candidate)
+      && safeVerify(current, candidate.publicKey));
+    if (!issuer) break;
+    chain.push(issuer);
+    current = issuer;
+  }
+  return chain;
+}
+
+function isTrusted(chain: X509Certificate[], trustStore: X509Certificate[]): boolean {
+  const trusted = new Set(trustStore.map(cert => cert.fingerprint256));
+  return chain.some(cert => trusted.has(cert.fingerprint256));
+}
+
+function isSelfSigned(cert: X509Certificate): boolean {
+  return cert.checkIssued(cert) && safeVerify(cert, cert.publicKey);
+}
+
+function safeVerify(cert: X509Certificate, key: KeyObject): boolean {
+  try {
+    return cert.verify(key);
+  } catch {
+    return false;
+  }
+}
+
+function summarize(cert: X509Certificate): CertificateSummary {
+  return {
+    subject: cert.subject,
+    issuer: cert.issuer,
+    serialNumber: cert.serialNumber,
+    validFrom: new Date(cert.validFrom).toISOString(),
+    validTo: new Date(cert.validTo).toISOString(),
+    fingerprint256: cert.fingerprint256
+  };
+}
+
+function readText<K extends string>(dict: PDFDict, keys: Record<K, string>): Partial<Record<K, string>> {
+  const result: Partial<Record<K, string>> = {};
+  for (const [field, key] of Object.entries(keys) as [K, string][]) {
+    const value = dict.lookup(PDFName.of(key));
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      const text = value.decodeText().trim();
+      if (text) result[field] = text;
+    }
+  }
+  return result;
+}
+
+function readDate(dict: PDFDict, key: string): Date | undefined {
+  const value = dict.lookup(PDFName.of(key));
+  try {
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeDate() : undefined;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Text and image stamps (headers, footers, page numbers, watermarks) drawn on
+ * top of existing pages.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { degrees, PDFDocument, PDFImage, PDFPage, rgb, RGB } from 'pdf-lib';
+import { FontStack, loadFontStacks } from './fonts.js';
+
+export type StampPosition =
+  | 'top-left' | 'top-center' | 'top-right'
+  | 'center-left' | 'center' | 'center-right'
+  | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+export interface StampOptions {
+  /** Text to draw; supports {page}, {total}, {filename} and {date} */
+  text?: string;
+  /** Local PNG or JPEG file to draw instead of text */
+  imagePath?: string;
+  position?: StampPosition;
+  /** Explicit coordinates of the stamp's bottom-left corner, overriding position */
+  x?: number;
+  y?: number;
+  /** Distance from the page edge for edge positions (default: 36) */
+  margin?: number;
+  fontSize?: number;
+  /** Hex color such as "#FF0000" (default: black) */
+  color?: string;
+  opacity?: number;
+  /** Rotation in degrees, counter-clockwise, around the stamp's center */
+  rotation?: number;
+  /** Image size in points; one dimension keeps the aspect ratio */
+  width?: number;
+  height?: number;
+  /** Pages to stamp in page range syntax (default: all pages) */
+  pageRange?: string;
+  /** Local TTF/OTF file for the text */
+  fontPath?: string;
+}
+
+export interface StampContext {
+  filename: string;
+  date: string;
+  /** Resolve a page range string to 0-based page indexes */
+  resolvePages: (range: string, totalPages: number) => number[];
+}
+
+interface PreparedStamp {
+  options: StampOptions;
+  pages: Set<number>;
+  font?: FontStack;
+  image?: PDFImage;
+}
+
+/**
+ * Draw all stamps onto pdfDoc. Returns the 1-based numbers of the pages that
+ * received at least one stamp. A stamp with both text and imagePath draws the
+ * image.
+ */
+export async function applyStamps(
+  pdfDoc: PDFDocument,
+  stamps: StampOptions[],
+  context: StampContext
+): Promise<{ stampedPages: number[]; missingGlyphs: number }> {
+  const pages = pdfDoc.getPages();
+  const total = pages.length;
+  const prepared: PreparedStamp[] = [];
+  const fonts = new Map<string, FontStack>();
+
+  for (const [index, options] of stamps.entries()) {
+    if (!options.text && !options.imagePath) {
+      throw new Error(`Stamp ${index + 1} needs either text or imagePath`);
+    }
+
+    const pageIndexes = options.pageRange
+      ? context.resolvePages(options.pageRange, total)
+      : pages.map((_, i) => i);
+
+    const fontKey = options.fontPath ?? '';
+    if (options.text && !options.imagePath && !fonts.has(fontKey)) {
+      fonts.set(fontKey, (await loadFontStacks(pdfDoc, { regular: options.fontPath })).regular);
+    }
+
+    prepared.push({
+      options,
+      pages: new Set(pageIndexes),
+      image: options.imagePath ? await embedImage(pdfDoc, options.imagePath) : undefined,
+      font: fonts.get(fontKey)
+    });
+  }
+
+  const stamped = new Set<number>();
+  pages.forEach((page, index) => {
+    for (const stamp of prepared) {
+      if (!stamp.pages.has(index)) continue;
+
+      if (stamp.image) {
+        drawImageStamp(page, stamp.image, stamp.options);
+      } else if (stamp.font && stamp.options.text) {
+        const text = fillTemplate(stamp.options.text, { ...context, page: index + 1, total });
+        drawTextStamp(page, text, stamp.font, stamp.options);
+      }
+      stamped.add(index + 1);
+    }
+  });
+
+  return {
+    stampedPages: [...stamped].sort((a, b) => a - b),
+    missingGlyphs: [...fonts.values()].reduce((sum, font) => sum + font.missingGlyphs, 0)
+  };
+}
+
+export function fillTemplate(
+  template: string,
+  values: { page: number; total: number; filename: string; date: string }
+): string {
+  return template.replace(/\{(page|total|filename|date)\}/g, (_, key: keyof typeof values) => String(values[key]));
+}
+
+function drawTextStamp(page: PDFPage, text: string, font: FontStack, options: StampOptions): void {
+  const size = options.fontSize ?? 12;
+  const lineHeight = size * 1.2;
+  const lines = text.split('\n');
+  const widths = lines.map(line => font.widthOfTextAtSize(line, size));
+  const width = Math.max(...widths);
+  const height = lines.length * lineHeight;
+
+  const { center, rotation } = placeBox(page, width, height, options);
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const align = horizontalAlign(options);
+
+  lines.forEach((line, i) => {
+    // Offset of the line's baseline start from the box center, before rotation
+    const dx = align === 'left' ? -width / 2 : align === 'right' ? width / 2 - widths[i] : -widths[i] / 2;
+    const dy = height / 2 - (i + 1) * lineHeight + (lineHeight - size) / 2 + size * 0.2;
+    font.draw(page, line, {
+      x: center.x + dx * cos - dy * sin,
+      y: center.y + dx * sin + dy * cos,
+      size,
+      color: parseColor(options.color),
+      opacity: options.opacity,
+      rotate: rotation
+    });
+  });
+}
+
+function drawImageStamp(page: PDFPage, image: PDFImage, options: StampOptions): void {
+  let { width, height } = options;
+  if (width && !height) {
+    height = (image.height * width) / image.width;
+  } else if (height && !width) {
+    width = (image.width * height) / image.height;
+  }
+  width ??= image.width;
+  height ??= image.height;
+
+  const { center, rotation } = placeBox(page, width, height, options);
+  const angle = (rotation * Math.PI) / 180;
+  const dx = -width / 2;
+  const dy = -height / 2;
+
+  page.drawImage(image, {
+    x: center.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: center.y + dx * Math.sin(angle) + dy * Math.cos(angle),
+    width,
+    height,
+    opacity: options.opacity,
+    rotate: degrees(rotation)
+  });
+}
+
+/**
+ * Work out where the center of a width x height box goes, in page space.
+ * Positions refer to the page as displayed, so pages carrying a /Rotate entry
+ * are compensated for and the stamp is rotated to appear upright.
+ */
+function placeBox(
+  page: PDFPage,
+  width: number,
+  height: number,
+  options: StampOptions
+): { center: { x: number; y: number }; rotation: number } {
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  const pageRotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = pageRotation === 90 || pageRotation === 270;
+  const visualWidth = sideways ? pageHeight : pageWidth;
+  const visualHeight = sideways ? pageWidth : pageHeight;
+  const margin = options.margin ?? 36;
+  const position = options.position ?? 'center';
+
+  let cx: number;
+  let cy: number;
+  if (options.x !== undefined || options.y !== undefined) {
+    cx = (options.x ?? 0) + width / 2;
+    cy = (options.y ?? 0) + height / 2;
+  } else {
+    const [vertical, horizontal = 'center'] = position === 'center' ? ['center'] : position.split('-');
+    cx = horizontal === 'left' ? margin + width / 2
+      : horizontal === 'right' ? visualWidth - margin - width / 2
+      : visualWidth / 2;
+    cy = vertical === 'top' ? visualHeight - margin - height / 2
+      : vertical === 'bottom' ? margin + height / 2
+      : visualHeight / 2;
+  }
+
+  const center =
+    pageRotation === 90 ? { x: pageWidth - cy, y: cx }
+    : pageRotation === 180 ? { x: pageWidth - cx, y: pageHeight - cy }
+    : pageRotation === 270 ? { x: cy, y: pageHeight - cx }
+    : { x: cx, y: cy };
+
+  return { center, rotation: (options.rotation ?? 0) + pageRotation };
+}
+
+function horizontalAlign(options: StampOptions): 'left' | 'center' | 'right' {
+  if (options.x !== undefined) return 'left';
+  if (options.position?.endsWith('-left')) return 'left';
+  if (options.position?.endsWith('-right')) return 'right';
+  return 'center';
+}
+
+async function embedImage(pdfDoc: PDFDocument, imagePath: string): Promise<PDFImage> {
+  if (!existsSync(imagePath)) {
+    throw new Error(`Image not found: ${imagePath}`);
+  }
+  const bytes = readFileSync(imagePath);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return pdfDoc.embedPng(bytes);
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return pdfDoc.embedJpg(bytes);
+  }
+  throw new Error(`Unsupported image format (PNG or JPEG expected): ${imagePath}`);
+}
+
+export function parseColor(color?: string): RGB {
+  if (!color) return rgb(0, 0, 0);
+  const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(color.trim());
+  if (!match) {
+    throw new Error(`Invalid color "${color}" (expected hex such as "#FF0000")`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return rgb(
+    parseInt(hex.slice(0, 2), 16) / 255,
+    parseInt(hex.slice(2, 4), 16) / 255,
+    parseInt(hex.slice(4, 6), 16) / 255
+  );
+}
@@ -0,0 +1,449 @@
+/**
+ * Table detection on top of positioned text runs. Two kinds of tables are
+ * recognized:
+ * - ruled: cells delimited by stroked lines or thin filled rectangles taken
+ *   from the page's operator list
+ * - whitespace-aligned: consecutive lines whose cells line up in columns
+ */
+
+import { BoundingBox, collectTextRuns, groupLines, PageTextRuns, TextRun } from './text-layout.js';
+
+export interface RuleSegment {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+}
+
+export interface PageTableInput extends PageTextRuns {
+  rules: RuleSegment[];
+}
+
+export interface ExtractedTable {
+  pageNumber: number;
+  method: 'ruled' | 'whitespace';
+  bbox: BoundingBox;
+  rowCount: number;
+  columnCount: number;
+  rows: string[][];
+}
+
+// pdf.js operator codes (OPS in pdf.js' shared/util.js)
+const OPS = {
+  save: 10,
+  restore: 11,
+  transform: 12,
+  moveTo: 13,
+  lineTo: 14,
+  curveTo: 15,
+  curveTo2: 16,
+  curveTo3: 17,
+  closePath: 18,
+  rectangle: 19,
+  stroke: 20,
+  closeStroke: 21,
+  fill: 22,
+  eoFill: 23,
+  fillStroke: 24,
+  eoFillStroke: 25,
+  closeFillStroke: 26,
+  closeEOFillStroke: 27,
+  endPath: 28,
+  paintFormXObjectBegin: 74,
+  paintFormXObjectEnd: 75,
+  constructPath: 91
+};
+
+const STROKE_OPS = new Set([
+  OPS.stroke, OPS.closeStroke, OPS.fillStroke, OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke
+]);
+const FILL_OPS = new Set([OPS.fill, OPS.eoFill]);
+
+// Filled rectangles thinner than this are drawn rules
+const MAX_RULE_THICKNESS = 3;
+const MIN_RULE_LENGTH = 4;
+const SNAP = 2;
+
+type Matrix = [number, number, number, number, number, number];
+
+/**
+ * pdf-parse page renderer collecting text runs plus the horizontal and
+ * vertical rules drawn on the page.
+ */
+export async function collectTableInput(pageData: any): Promise<PageTableInput> {
+  const page = await collectTextRuns(pageData);
+  let rules: RuleSegment[] = [];
+  try {
+    const opList = await pageData.getOperatorList();
+    rules = extractRules(opList.fnArray, opList.argsArray);
+  } catch {
+    // Without graphics only whitespace-aligned tables can be found
+  }
+  return { ...page, rules };
+}
+
+/**
+ * Detect ruled tables first; the runs they contain are excluded before
+ * looking for whitespace-aligned tables.
+ */
+export function detectTables(page: PageTableInput): ExtractedTable[] {
+  const ruled = findRuledTables(page);
+  const used = new Set(ruled.flatMap(t => t.runs));
+  const aligned = findAlignedTables(page.pageNumber, page.runs.filter(r => !used.has(r)));
+
+  return [...ruled.map(t => t.table), ...aligned].sort((t1, t2) => (t2.bbox.y + t2.bbox.height) - (t1.bbox.y + t1.bbox.height));
+}
+
+export function toCsv(rows: string[][]): string {
+  return rows
+    .map(row => row.map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function extractRules(fnArray: number[], argsArray: any[]): RuleSegment[] {
+  const rules: RuleSegment[] = [];
+  const stack: Matrix[] = [];
+  let ctm: Matrix = [1, 0, 0, 1, 0, 0];
+  let lines: RuleSegment[] = [];
+  let rects: RuleSegment[] = [];
+
+  const addPath = (ops: number[], coords: number[]) => {
+    let i = 0;
+    let current: [number, number] = [0, 0];
+    let start: [number, number] = [0, 0];
+
+    for (const op of ops) {
+      switch (op) {
+        case OPS.moveTo:
+          current = start = apply(ctm, coords[i], coords[i + 1]);
+          i += 2;
+          break;
+        case OPS.lineTo: {
+          const next = apply(ctm, coords[i], coords[i + 1]);
+          lines.push({ x1: current[0], y1: current[1], x2: next[0], y2: next[1] });
+          current = next;
+          i += 2;
+          break;
+        }
+        case OPS.curveTo:
+          current = apply(ctm, coords[i + 4], coords[i + 5]);
+          i += 6;
+          break;
+        case OPS.curveTo2:
+        case OPS.curveTo3:
+          current = apply(ctm, coords[i + 2], coords[i + 3]);
+          i += 4;
+          break;
+        case OPS.closePath:
+          lines.push({ x1: current[0], y1: current[1], x2: start[0], y2: start[1] });
+          current = start;
+          break;
+        case OPS.rectangle: {
+          const [x, y, w, h] = coords.slice(i, i + 4);
+          const corners = [apply(ctm, x, y), apply(ctm, x + w, y), apply(ctm, x + w, y + h), apply(ctm, x, y + h)];
+          corners.forEach((corner, k) => {
+            const next = corners[(k + 1) % 4];
+            lines.push({ x1: corner[0], y1: corner[1], x2: next[0], y2: next[1] });
+          });
+          const xs = corners.map(c => c[0]);
+          const ys = corners.map(c => c[1]);
+          rects.push({ x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) });
+          current = start = corners[0];
+          i += 4;
+          break;
+        }
+      }
+    }
+  };
+
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+
+    if (fn === OPS.save || fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (fn === OPS.paintFormXObjectBegin && Array.isArray(args?.[0])) {
+        ctm = multiply(args[0] as Matrix, ctm);
+      }
+    } else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() ?? ctm;
+    } else if (fn === OPS.transform) {
+      ctm = multiply(args as Matrix, ctm);
+    } else if (fn === OPS.constructPath) {
+      addPath(args[0], args[1]);
+    } else if (STROKE_OPS.has(fn)) {
+      rules.push(...lines.filter(isAxisAligned));
+      lines = [];
+      rects = [];
+    } else if (FILL_OPS.has(fn)) {
+      for (const rect of rects) {
+        const width = rect.x2 - rect.x1;
+        const height = rect.y2 - rect.y1;
+        if (height <= MAX_RULE_THICKNESS && width >= MIN_RULE_LENGTH) {
+          const y = (rect.y1 + rect.y2) / 2;
+          rules.push({ x1: rect.x1, y1: y, x2: rect.x2, y2: y });
+        } else if (width <= MAX_RULE_THICKNESS && height >= MIN_RULE_LENGTH) {
+          const x = (rect.x1 + rect.x2) / 2;
+          rules.push({ x1: x, y1: rect.y1, x2: x, y2: rect.y2 });
+        }
+      }
+      lines = [];
+      rects = [];
+    } else if (fn === OPS.endPath) {
+      lines = [];
+      rects = [];
+    }
+  }
+
+  return rules;
+}
+
+function isAxisAligned(s: RuleSegment): boolean {
+  const dx = Math.abs(s.x2 - s.x1);
+  const dy = Math.abs(s.y2 - s.y1);
+  return (dy <= 1 && dx >= MIN_RULE_LENGTH) || (dx <= 1 && dy >= MIN_RULE_LENGTH);
+}
+
+interface HRule { y: number; x1: number; x2: number }
+interface VRule { x: number; y1: number; y2: number }
+
+function findRuledTables(page: PageTableInput): { table: ExtractedTable; runs: TextRun[] }[] {
+  const horizontal: HRule[] = [];
+  const vertical: VRule[] = [];
+  for (const s of page.rules) {
+    if (Math.abs(s.y2 - s.y1) <= 1) {
+      horizontal.push({ y: (s.y1 + s.y2) / 2, x1: Math.min(s.x1, s.x2), x2: Math.max(s.x1, s.x2) });
+    } else {
+      vertical.push({ x: (s.x1 + s.x2) / 2, y1: Math.min(s.y1, s.y2), y2: Math.max(s.y1, s.y2) });
+    }
+  }
+
+  // Union-find over rules that touch each other
+  const parent = [...horizontal, ...vertical].map((_, i) => i);
+  const find = (i: number): number => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  horizontal.forEach((h, i) => {
+    vertical.forEach((v, j) => {
+      if (v.x >= h.x1 - SNAP && v.x <= h.x2 + SNAP && h.y >= v.y1 - SNAP && h.y <= v.y2 + SNAP) {
+        parent[find(i)] = find(horizontal.length + j);
+      }
+    });
+  });
+
+  const groups = new Map<number, { h: HRule[]; v: VRule[] }>();
+  horizontal.forEach((h, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { h: [], v: [] });
+    groups.get(root)!.h.push(h);
+  });
+  vertical.forEach((v, j) => {
+    const root = find(horizontal.length + j);
+    if (!groups.has(root)) groups.set(root, { h: [], v: [] });
+    groups.get(root)!.v.push(v);
+  });
+
+  const tables: { table: ExtractedTable; runs: TextRun[] }[] = [];
+
+  for (const { h, v } of groups.values()) {
+    const rowEdges = snap(h.map(r => r.y)).sort((a, b) => b - a);
+    const columnEdges = snap(v.map(r => r.x)).sort((a, b) => a - b);
+    if (rowEdges.length < 2 || columnEdges.length < 2) continue;
+    if ((rowEdges.length - 1) * (columnEdges.length - 1) < 2) continue;
+
+    const inside = page.runs.filter(run => {
+      const [cx, cy] = center(run);
+      return cx > columnEdges[0] && cx < columnEdges[columnEdges.length - 1] &&
+        cy < rowEdges[0] && cy > rowEdges[rowEdges.length - 1];
+    });
+
+    const cells: TextRun[][][] = rowEdges.slice(1).map(() => columnEdges.slice(1).map(() => []));
+    for (const run of inside) {
+      const [cx, cy] = center(run);
+      const row = rowEdges.findIndex((edge, k) => k > 0 && cy > edge) - 1;
+      const column = columnEdges.findIndex((edge, k) => k > 0 && cx < edge) - 1;
+      if (row >= 0 && column >= 0) cells[row][column].push(run);
+    }
+
+    const rows = pruneEmpty(cells.map(row => row.map(cellRuns => cellText(cellRuns))));
+    if (rows.flat().filter(cell => cell !== '').length < 2) continue;
+
+    tables.push({
+      table: {
+        pageNumber: page.pageNumber,
+        method: 'ruled',
+        bbox: {
+          x: round(columnEdges[0]),
+          y: round(rowEdges[rowEdges.length - 1]),
+          width: round(columnEdges[columnEdges.length - 1] - columnEdges[0]),
+          height: round(rowEdges[0] - rowEdges[rowEdges.length - 1])
+        },
+        rowCount: rows.length,
+        columnCount: rows[0]?.length ?? 0,
+        rows
+      },
+      runs: inside
+    });
+  }
+
+  return tables;
+}
+
+interface LineCell { x1: number; x2: number; text: string; runs: TextRun[] }
+
+/**
+ * Split each line into cells at wide gaps, then look for runs of consecutive
+ * multi-cell lines whose cells project onto at least two distinct column
+ * spans.
+ */
+function findAlignedTables(pageNumber: number, runs: TextRun[]): ExtractedTable[] {
+  const lines = groupLines(runs).map(line => ({ line, cells: splitCells(line.runs) }));
+  const tables: ExtractedTable[] = [];
+
+  let block: typeof lines = [];
+  const flush = () => {
+    if (block.length >= 2) {
+      const table = alignBlock(pageNumber, block.map(b => b.cells));
+      if (table) tables.push(table);
+    }
+    block = [];
+  };
+
+  for (const entry of lines) {
+    const previous = block[block.length - 1];
+    const closeEnough = !previous || previous.line.y - entry.line.y <= entry.line.fontSize * 2.5;
+    if (entry.cells.length >= 2 && closeEnough) {
+      block.push(entry);
+    } else {
+      flush();
+      if (entry.cells.length >= 2) block.push(entry);
+    }
+  }
+  flush();
+
+  return tables;
+}
+
+function alignBlock(pageNumber: number, rowsOfCells: LineCell[][]): ExtractedTable | undefined {
+  // Merge the x-intervals of all cells into column spans
+  const intervals = rowsOfCells.flat().map(c => [c.x1, c.x2]).sort((a, b) => a[0] - b[0]);
+  const spans: number[][] = [];
+  for (const [x1, x2] of intervals) {
+    const last = spans[spans.length - 1];
+    if (last && x1 <= last[1] + SNAP) {
+      last[1] = Math.max(last[1], x2);
+    } else {
+      spans.push([x1, x2]);
+    }
+  }
+  if (spans.length < 2) return undefined;
+
+  const rows = rowsOfCells.map(cells => {
+    const row: string[] = spans.map(() => '');
+    for (const cell of cells) {
+      const mid = (cell.x1 + cell.x2) / 2;
+      const column = spans.findIndex(([x1, x2]) => mid >= x1 - SNAP && mid <= x2 + SNAP);
+      if (column >= 0) row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+    }
+    return row;
+  });
+
+  // Lines that collapse into a single column are prose, not table rows
+  const multiColumnRows = rows.filter(row => row.filter(cell => cell !== '').length >= 2).length;
+  if (multiColumnRows < 2) return undefined;
+
+  const allRuns = rowsOfCells.flat().flatMap(c => c.runs);
+  const x = Math.min(...allRuns.map(r => r.x));
+  const y = Math.min(...allRuns.map(r => r.y));
+  const right = Math.max(...allRuns.map(r => r.x + r.width));
+  const top = Math.max(...allRuns.map(r => r.y + r.height));
+
+  return {
+    pageNumber,
+    method: 'whitespace',
+    bbox: { x: round(x), y: round(y), width: round(right - x), height: round(top - y) },
+    rowCount: rows.length,
+    columnCount: spans.length,
+    rows
+  };
+}
+
+/**
+ * Split a line's runs into cells at gaps wider than the font size. Runs that
+ * contain runs of spaces (one text operator for several cells) are split too,
+ * with positions estimated from the character offsets.
+ */
+function splitCells(runs: TextRun[]): LineCell[] {
+  const pieces: { x1: number; x2: number; text: string; run: TextRun }[] = [];
+  for (const run of runs) {
+    const charWidth = run.text.length > 0 ? run.width / run.text.length : 0;
+    const pattern = /\S+(?: \S+)*/g;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(run.text)) !== null) {
+      pieces.push({
+        x1: run.x + match.index * charWidth,
+        x2: run.x + (match.index + match[0].length) * charWidth,
+        text: match[0],
+        run
+      });
+    }
+  }
+
+  const cells: LineCell[] = [];
+  for (const piece of pieces) {
+    const last = cells[cells.length - 1];
+    if (last && piece.x1 - last.x2 <= piece.run.fontSize) {
+      const gap = piece.x1 - last.x2 > piece.run.fontSize * 0.15 ? ' ' : '';
+      last.text += gap + piece.text;
+      last.x2 = Math.max(last.x2, piece.x2);
+      if (!last.runs.includes(piece.run)) last.runs.push(piece.run);
+    } else {
+      cells.push({ x1: piece.x1, x2: piece.x2, text: piece.text, runs: [piece.run] });
+    }
+  }
+  return cells;
+}
+
+function cellText(runs: TextRun[]): string {
+  return groupLines(runs).map(line => line.text).join(' ').trim();
+}
+
+/** Remove rows and columns that are empty in every cell */
+function pruneEmpty(rows: string[][]): string[][] {
+  const kept = rows.filter(row => row.some(cell => cell !== ''));
+  const width = kept[0]?.length ?? 0;
+  const columns = Array.from({ length: width }, (_, c) => c).filter(c => kept.some(row => row[c] !== ''));
+  return kept.map(row => columns.map(c => row[c]));
+}
+
+function snap(values: number[]): number[] {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result: number[] = [];
+  for (const value of sorted) {
+    if (result.length === 0 || value - result[result.length - 1] > SNAP) {
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+function center(run: TextRun): [number, number] {
+  return [run.x + run.width / 2, run.y + run.fontSize * 0.3];
+}
+
+function apply(m: Matrix, x: number, y: number): [number, number] {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function multiply(m: Matrix, ctm: Matrix): Matrix {
+  return [
+    m[0] * ctm[0] + m[1] * ctm[2],
+    m[0] * ctm[1] + m[1] * ctm[3],
+    m[2] * ctm[0] + m[3] * ctm[2],
+    m[2] * ctm[1] + m[3] * ctm[3],
+    m[4] * ctm[0] + m[5] * ctm[2] + ctm[4],
+    m[4] * ctm[1] + m[5] * ctm[3] + ctm[5]
+  ];
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
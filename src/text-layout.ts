@@ -0,0 +1,375 @@
+/**
+ * Layout analysis for text extracted with pdf.js: turns positioned text items
+ * into lines and classified blocks in reading order.
+ *
+ * All coordinates are PDF user space units (points), origin at the bottom-left
+ * corner of the page. `y` is the text baseline.
+ */
+
+export interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface TextRun extends BoundingBox {
+  text: string;
+  fontName: string;
+  fontSize: number;
+}
+
+export interface PageTextRuns {
+  pageNumber: number;
+  width: number;
+  height: number;
+  runs: TextRun[];
+}
+
+export interface TextLine extends BoundingBox {
+  text: string;
+  fontSize: number;
+  runs: TextRun[];
+}
+
+export type TextBlockType = 'heading' | 'paragraph' | 'list-item';
+
+export interface TextBlock {
+  type: TextBlockType;
+  level?: number;
+  text: string;
+  bbox: BoundingBox;
+  fontName: string;
+  fontSize: number;
+  column: number;
+  runs?: TextRun[];
+}
+
+export interface StructuredPage {
+  pageNumber: number;
+  width: number;
+  height: number;
+  columns: number;
+  blocks: TextBlock[];
+}
+
+const LIST_MARKER = /^\s*(?:[•◦▪▫■□●○‣⁃–—*-]|\(?\d{1,3}[.)]|\(?[a-zA-Z][.)])\s+/;
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_CHARS = 120;
+
+/**
+ * pdf-parse page renderer that collects positioned text runs instead of a
+ * string. Font names come from the loaded font objects when pdf.js exposes
+ * them (embedded fonts), otherwise from the text content style key.
+ */
+export async function collectTextRuns(pageData: any): Promise<PageTextRuns> {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: true,
+    disableCombineTextItems: false
+  });
+
+  const fontNames = new Map<string, string>();
+  try {
+    await pageData.getOperatorList();
+    for (const item of textContent.items) {
+      if (fontNames.has(item.fontName)) continue;
+      const font = pageData.commonObjs.get(item.fontName);
+      fontNames.set(item.fontName, typeof font?.name === 'string' ? font.name : item.fontName);
+    }
+  } catch {
+    // Font objects are only a nicety; fall back to the style keys
+  }
+
+  const [x0, y0, x1, y1] = pageData.view;
+  const runs: TextRun[] = [];
+
+  for (const item of textContent.items) {
+    if (!item.str || item.str.trim() === '') continue;
+
+    const [a, b, , , e, f] = item.transform;
+    const fontSize = Math.round(Math.hypot(a, b) * 100) / 100;
+    runs.push({
+      text: item.str,
+      x: round(e),
+      y: round(f),
+      width: round(item.width),
+      height: round(item.height || fontSize),
+      fontName: (fontNames.get(item.fontName) || item.fontName || '').replace(/^[A-Z]{6}\+/, ''),
+      fontSize
+    });
+  }
+
+  return {
+    pageNumber: pageData.pageIndex + 1,
+    width: round(x1 - x0),
+    height: round(y1 - y0),
+    runs
+  };
+}
+
+/**
+ * Group runs into lines. Runs whose baselines are within half a font size of
+ * each other are considered the same line; each line is ordered left to right.
+ */
+export function groupLines(runs: TextRun[]): TextLine[] {
+  const sorted = [...runs].sort((r1, r2) => r2.y - r1.y || r1.x - r2.x);
+  const lines: TextRun[][] = [];
+
+  for (const run of sorted) {
+    const current = lines[lines.length - 1];
+    if (current && Math.abs(current[0].y - run.y) <= Math.max(current[0].fontSize, run.fontSize) * 0.5) {
+      current.push(run);
+    } else {
+      lines.push([run]);
+    }
+  }
+
+  return lines.map(lineRuns => {
+    lineRuns.sort((r1, r2) => r1.x - r2.x);
+    return { ...boundsOf(lineRuns), text: joinRuns(lineRuns), fontSize: dominantSize(lineRuns), runs: lineRuns };
+  });
+}
+
+/**
+ * Split every line into chunks of runs separated by less than a font size.
+ * Word-by-word runs of the same sentence end up in one chunk, while the two
+ * halves of a line on a two-column page stay apart.
+ */
+function lineChunks(runs: TextRun[]): { x1: number; x2: number; runs: TextRun[] }[] {
+  const chunks: { x1: number; x2: number; runs: TextRun[] }[] = [];
+  for (const line of groupLines(runs)) {
+    let current: { x1: number; x2: number; runs: TextRun[] } | undefined;
+    for (const run of line.runs) {
+      if (current && run.x - current.x2 < run.fontSize) {
+        current.x2 = Math.max(current.x2, run.x + run.width);
+        current.runs.push(run);
+      } else {
+        current = { x1: run.x, x2: run.x + run.width, runs: [run] };
+        chunks.push(current);
+      }
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Find the x position of a column gutter: a vertical strip in the middle of
+ * the page that (almost) no line crosses while both sides hold text. Lines
+ * that do cross it, such as full-width titles, are treated as spanning both
+ * columns.
+ */
+export function findColumnGutter(runs: TextRun[], pageWidth: number): number | undefined {
+  const chunks = lineChunks(runs);
+  if (chunks.length < 6) return undefined;
+
+  const from = Math.floor(pageWidth * 0.3);
+  const to = Math.ceil(pageWidth * 0.7);
+  const maxCrossing = Math.max(1, Math.floor(chunks.length * 0.1));
+
+  let best: { start: number; end: number } | undefined;
+  let gapStart: number | undefined;
+
+  for (let x = from; x <= to + 1; x++) {
+    const crossing = x > to ? Infinity : chunks.filter(c => c.x1 < x && c.x2 > x).length;
+    if (crossing <= maxCrossing) {
+      gapStart ??= x;
+    } else if (gapStart !== undefined) {
+      if (!best || x - gapStart > best.end - best.start) {
+        best = { start: gapStart, end: x };
+      }
+      gapStart = undefined;
+    }
+  }
+
+  if (!best || best.end - best.start < 8) return undefined;
+
+  const gutter = (best.start + best.end) / 2;
+  const left = chunks.filter(c => c.x2 <= gutter).length;
+  const right = chunks.filter(c => c.x1 >= gutter).length;
+  const minSide = chunks.length * 0.2;
+  return left >= minSide && right >= minSide ? gutter : undefined;
+}
+
+/**
+ * Order runs for reading: on a two-column page the text is cut into bands at
+ * every line spanning the gutter, and each band is read left column first.
+ * Returns the runs grouped into lines, tagged with their column (0 for
+ * single-column or spanning text, 1/2 for left/right).
+ */
+export function orderLines(page: PageTextRuns): { lines: (TextLine & { column: number })[]; columns: number } {
+  const gutter = findColumnGutter(page.runs, page.width);
+  if (gutter === undefined) {
+    return { lines: groupLines(page.runs).map(line => ({ ...line, column: 0 })), columns: 1 };
+  }
+
+  const spanningRuns = new Set(
+    lineChunks(page.runs)
+      .filter(c => c.x1 < gutter && c.x2 > gutter)
+      .flatMap(c => c.runs)
+  );
+  const lines: (TextLine & { column: number })[] = [];
+  const spanLines = groupLines(page.runs.filter(r => spanningRuns.has(r)));
+  const columnRuns = page.runs.filter(r => !spanningRuns.has(r));
+
+  let upper = Infinity;
+  for (const boundary of [...spanLines, undefined]) {
+    const lower = boundary ? boundary.y : -Infinity;
+    const band = columnRuns.filter(r => r.y < upper && r.y >= lower);
+    for (const line of groupLines(band.filter(r => r.x + r.width <= gutter))) {
+      lines.push({ ...line, column: 1 });
+    }
+    for (const line of groupLines(band.filter(r => r.x + r.width > gutter))) {
+      lines.push({ ...line, column: 2 });
+    }
+    if (boundary) {
+      lines.push({ ...boundary, column: 0 });
+      upper = boundary.y;
+    }
+  }
+
+  return { lines, columns: 2 };
+}
+
+/**
+ * Turn extracted pages into classified blocks. The body font size is taken
+ * across all given pages so a title page made only of large text still yields
+ * headings; heading levels are assigned by descending font size.
+ */
+export function buildStructuredPages(pages: PageTextRuns[], includeRuns: boolean = true): StructuredPage[] {
+  const bodySize = dominantSize(pages.flatMap(p => p.runs));
+  const ordered = pages.map(page => ({ page, ...orderLines(page) }));
+
+  const headingSizes = new Set<number>();
+  const drafts = ordered.map(({ page, lines, columns }) => {
+    const blocks = groupBlocks(lines).map(({ lines: blockLines, column }) => {
+      const runs = blockLines.flatMap(l => l.runs);
+      const fontSize = dominantSize(runs);
+      const text = blockLines.map(l => l.text).join('\n');
+      const boldRatio = runs.filter(r => /bold|black|heavy|semibold/i.test(r.fontName)).length / runs.length;
+
+      let type: TextBlockType = 'paragraph';
+      if (LIST_MARKER.test(blockLines[0].text)) {
+        type = 'list-item';
+      } else if (
+        text.length <= MAX_HEADING_CHARS &&
+        blockLines.length <= 3 &&
+        (fontSize >= bodySize * HEADING_SIZE_RATIO || (boldRatio === 1 && !/[.;:,]$/.test(text.trim())))
+      ) {
+        type = 'heading';
+        headingSizes.add(fontSize);
+      }
+
+      return { type, text, runs, fontSize, column, bbox: boundsOf(runs) };
+    });
+    return { page, columns, blocks };
+  });
+
+  const levels = [...headingSizes].sort((s1, s2) => s2 - s1);
+
+  return drafts.map(({ page, columns, blocks }) => ({
+    pageNumber: page.pageNumber,
+    width: page.width,
+    height: page.height,
+    columns,
+    blocks: blocks.map(block => ({
+      type: block.type,
+      ...(block.type === 'heading' ? { level: levels.indexOf(block.fontSize) + 1 } : {}),
+      text: block.text,
+      bbox: block.bbox,
+      fontName: dominantFont(block.runs),
+      fontSize: block.fontSize,
+      column: block.column,
+      ...(includeRuns ? { runs: block.runs } : {})
+    }))
+  }));
+}
+
+/**
+ * Merge consecutive lines into blocks. A new block starts on a change of
+ * column, a list marker, a font size change or a vertical gap noticeably
+ * larger than the line spacing.
+ */
+function groupBlocks(lines: (TextLine & { column: number })[]): { lines: TextLine[]; column: number }[] {
+  const blocks: { lines: TextLine[]; column: number }[] = [];
+
+  for (const line of lines) {
+    const current = blocks[blocks.length - 1];
+    const previous = current?.lines[current.lines.length - 1];
+
+    const continues =
+      current !== undefined &&
+      previous !== undefined &&
+      current.column === line.column &&
+      !LIST_MARKER.test(line.text) &&
+      Math.abs(previous.fontSize - line.fontSize) < 0.5 &&
+      previous.y - line.y > 0 &&
+      previous.y - line.y <= line.fontSize * 1.6;
+
+    if (continues) {
+      current.lines.push(line);
+    } else {
+      blocks.push({ lines: [line], column: line.column });
+    }
+  }
+
+  return blocks;
+}
+
+function joinRuns(runs: TextRun[]): string {
+  let text = '';
+  let previous: TextRun | undefined;
+
+  for (const run of runs) {
+    if (previous) {
+      const gap = run.x - (previous.x + previous.width);
+      if (gap > run.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(run.text)) {
+        text += ' ';
+      }
+    }
+    text += run.text;
+    previous = run;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function boundsOf(runs: TextRun[]): BoundingBox {
+  const x = Math.min(...runs.map(r => r.x));
+  const y = Math.min(...runs.map(r => r.y));
+  const right = Math.max(...runs.map(r => r.x + r.width));
+  const top = Math.max(...runs.map(r => r.y + r.height));
+  return { x, y, width: round(right - x), height: round(top - y) };
+}
+
+/** Font size covering the most characters */
+function dominantSize(runs: TextRun[]): number {
+  const weights = new Map<number, number>();
+  for (const run of runs) {
+    weights.set(run.fontSize, (weights.get(run.fontSize) || 0) + run.text.length);
+  }
+  return mostWeighted(weights) ?? 0;
+}
+
+function dominantFont(runs: TextRun[]): string {
+  const weights = new Map<string, number>();
+  for (const run of runs) {
+    weights.set(run.fontName, (weights.get(run.fontName) || 0) + run.text.length);
+  }
+  return mostWeighted(weights) ?? '';
+}
+
+function mostWeighted<K>(weights: Map<K, number>): K | undefined {
+  let best: K | undefined;
+  let bestWeight = -1;
+  for (const [key, weight] of weights) {
+    if (weight > bestWeight) {
+      best = key;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}